@@ -111,6 +111,16 @@ class Rd_Post_Republishing_Admin {
 			array( $this, 'render_logs_page' )
 		);
 
+		// Add Exclusions submenu
+		$this->page_hooks['exclusions'] = add_submenu_page(
+			'rd-post-republisher',
+			__( 'Exclusions', 'rd-post-republishing' ),
+			__( 'Exclusions', 'rd-post-republishing' ),
+			'manage_options',
+			'rd-post-republisher-exclusions',
+			array( $this, 'render_exclusions_page' )
+		);
+
 	}
 
 	/**
@@ -140,6 +150,137 @@ class Rd_Post_Republishing_Admin {
 		require_once plugin_dir_path( __FILE__ ) . 'partials/rd-pr-logs-display.php';
 	}
 
+	/**
+	 * Render the Exclusions page.
+	 *
+	 * @since    1.0.1
+	 */
+	public function render_exclusions_page() {
+		require_once plugin_dir_path( __FILE__ ) . 'partials/rd-pr-exclusions-display.php';
+	}
+
+	/**
+	 * Register the republishing status widget on the WordPress dashboard.
+	 *
+	 * @since    1.0.1
+	 */
+	public function add_dashboard_widget() {
+
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return;
+		}
+
+		wp_add_dashboard_widget(
+			'rd_pr_dashboard_widget',
+			__( 'Post Republisher', 'rd-post-republishing' ),
+			array( $this, 'render_dashboard_widget' )
+		);
+
+	}
+
+	/**
+	 * Render the dashboard widget.
+	 *
+	 * @since    1.0.1
+	 */
+	public function render_dashboard_widget() {
+		require_once plugin_dir_path( __FILE__ ) . 'partials/rd-pr-dashboard-widget-display.php';
+	}
+
+	/**
+	 * Add a "Republish now" action to published posts in the post lists.
+	 *
+	 * @since    1.0.1
+	 * @param    array      $actions    The row actions.
+	 * @param    WP_Post    $post       The post in the row.
+	 * @return   array                  The row actions.
+	 */
+	public function add_republish_row_action( $actions, $post ) {
+
+		if ( $post->post_status !== 'publish' || ! current_user_can( 'edit_post', $post->ID ) ) {
+			return $actions;
+		}
+
+		$actions['rd_pr_republish_now'] = sprintf(
+			'<a href="#" class="rd-pr-republish-now" data-post-id="%d">%s</a>',
+			$post->ID,
+			esc_html__( 'Republish now', 'rd-post-republishing' )
+		);
+
+		return $actions;
+
+	}
+
+	/**
+	 * Register the "Never republish" meta box in the post editor.
+	 *
+	 * @since    1.0.1
+	 */
+	public function add_exclusion_meta_box() {
+
+		$post_types = array_diff( get_post_types( array( 'public' => true ) ), array( 'attachment' ) );
+
+		add_meta_box(
+			'rd-pr-exclusion',
+			__( 'Post Republisher', 'rd-post-republishing' ),
+			array( $this, 'render_exclusion_meta_box' ),
+			array_values( $post_types ),
+			'side',
+			'default'
+		);
+
+	}
+
+	/**
+	 * Render the "Never republish" meta box.
+	 *
+	 * @since    1.0.1
+	 * @param    WP_Post    $post    The post being edited.
+	 */
+	public function render_exclusion_meta_box( $post ) {
+
+		$exclusion_service = new Exclusion_Service();
+
+		wp_nonce_field( 'rd_pr_exclusion_meta_box', 'rd_pr_exclusion_nonce' );
+		?>
+		<label for="rd-pr-exclude">
+			<input type="checkbox" id="rd-pr-exclude" name="rd_pr_exclude" value="1" <?php checked( $exclusion_service->is_excluded( $post->ID ) ); ?>>
+			<?php esc_html_e( 'Never republish this post', 'rd-post-republishing' ); ?>
+		</label>
+		<?php
+
+	}
+
+	/**
+	 * Save the "Never republish" meta box.
+	 *
+	 * @since    1.0.1
+	 * @param    int    $post_id    The ID of the post being saved.
+	 */
+	public function save_exclusion_meta_box( $post_id ) {
+
+		if ( ! isset( $_POST['rd_pr_exclusion_nonce'] ) || ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['rd_pr_exclusion_nonce'] ) ), 'rd_pr_exclusion_meta_box' ) ) {
+			return;
+		}
+
+		if ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE ) {
+			return;
+		}
+
+		if ( wp_is_post_revision( $post_id ) || ! current_user_can( 'edit_post', $post_id ) ) {
+			return;
+		}
+
+		$exclusion_service = new Exclusion_Service();
+
+		if ( ! empty( $_POST['rd_pr_exclude'] ) ) {
+			$exclusion_service->exclude_post( $post_id );
+		} elseif ( $exclusion_service->is_excluded( $post_id ) ) {
+			$exclusion_service->include_post( $post_id );
+		}
+
+	}
+
 	/**
 	 * Register the stylesheets for the admin area.
 	 *
@@ -187,6 +328,28 @@ class Rd_Post_Republishing_Admin {
 			);
 		}
 
+		if ( $screen->id === 'post-republisher_page_rd-post-republisher-exclusions' ) {
+			wp_enqueue_style(
+				'rd-pr-exclusions',
+				plugin_dir_url( __FILE__ ) . 'css/rd-pr-exclusions.css',
+				array(),
+				// $this->version,
+				filemtime( plugin_dir_path( __FILE__ ) . 'css/rd-pr-exclusions.css' ),
+				'all'
+			);
+		}
+
+		if ( $screen->id === 'dashboard' ) {
+			wp_enqueue_style(
+				'rd-pr-dashboard',
+				plugin_dir_url( __FILE__ ) . 'css/rd-pr-dashboard.css',
+				array(),
+				// $this->version,
+				filemtime( plugin_dir_path( __FILE__ ) . 'css/rd-pr-dashboard.css' ),
+				'all'
+			);
+		}
+
 	}
 
 	/**
@@ -202,12 +365,52 @@ class Rd_Post_Republishing_Admin {
 			return;
 		}
 
+		// Site timezone helpers, shared by every page that shows dates
+		wp_register_script(
+			'rd-pr-time',
+			plugin_dir_url( __FILE__ ) . 'js/rd-pr-time.js',
+			array( 'jquery' ),
+			// $this->version,
+			filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-time.js' ),
+			true
+		);
+
+		wp_localize_script(
+			'rd-pr-time',
+			'rdPrTimezone',
+			array(
+				'timezone' => wp_timezone_string(),
+				'offset'   => (int) round( (float) get_option( 'gmt_offset' ) * 60 ),
+			)
+		);
+
+		// "Republish now" confirm dialog, shared by the post lists and the History page
+		if ( $screen->base === 'edit' || $screen->id === 'post-republisher_page_rd-post-republisher-configure' ) {
+			wp_enqueue_script(
+				'rd-pr-republish-now',
+				plugin_dir_url( __FILE__ ) . 'js/rd-pr-republish-now.js',
+				array( 'jquery', 'rd-pr-time' ),
+				// $this->version,
+				filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-republish-now.js' ),
+				true
+			);
+
+			wp_localize_script(
+				'rd-pr-republish-now',
+				'rdPrRepublish',
+				array(
+					'restUrl' => esc_url_raw( rest_url( 'postmetadata/v1/republish' ) ),
+					'nonce'   => wp_create_nonce( 'wp_rest' ),
+				)
+			);
+		}
+
 		// Enqueue page-specific scripts
 		if ( $screen->id === 'toplevel_page_rd-post-republisher' ) {
 			wp_enqueue_script(
 				'rd-pr-settings',
 				plugin_dir_url( __FILE__ ) . 'js/rd-pr-settings.js',
-				array( 'jquery' ),
+				array( 'jquery', 'rd-pr-time' ),
 				// $this->version,
 				filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-settings.js' ),
 				true
@@ -217,10 +420,17 @@ class Rd_Post_Republishing_Admin {
 				'rd-pr-settings',
 				'rdPrSettings',
 				array(
-					'restUrl'         => esc_url_raw( rest_url( 'postmetadata/v1/preferences' ) ),
-					'licenseUrl'      => esc_url_raw( rest_url( 'postmetadata/v1/license' ) ),
-					'calculationUrl'  => esc_url_raw( rest_url( 'postmetadata/v1/calculation' ) ),
-					'nonce'           => wp_create_nonce( 'wp_rest' ),
+					'restUrl'           => esc_url_raw( rest_url( 'postmetadata/v1/preferences' ) ),
+					'licenseUrl'        => esc_url_raw( rest_url( 'postmetadata/v1/license' ) ),
+					'calculationUrl'    => esc_url_raw( rest_url( 'postmetadata/v1/calculation' ) ),
+					'contentUrl'        => esc_url_raw( rest_url( 'postmetadata/v1/content' ) ),
+					'republishUrl'      => esc_url_raw( rest_url( 'postmetadata/v1/republish' ) ),
+					'processUrl'        => esc_url_raw( rest_url( 'postmetadata/v1/process' ) ),
+					'authenticationUrl' => esc_url_raw( rest_url( 'postmetadata/v1/authentication' ) ),
+					'webhooksUrl'       => esc_url_raw( rest_url( 'postmetadata/v1/webhooks' ) ),
+					'notificationsUrl'  => esc_url_raw( rest_url( 'postmetadata/v1/notifications' ) ),
+					'indexnowUrl'       => esc_url_raw( rest_url( 'postmetadata/v1/indexnow' ) ),
+					'nonce'             => wp_create_nonce( 'wp_rest' ),
 				)
 			);
 		}
@@ -229,7 +439,7 @@ class Rd_Post_Republishing_Admin {
 			wp_enqueue_script(
 				'rd-pr-configure',
 				plugin_dir_url( __FILE__ ) . 'js/rd-pr-configure.js',
-				array( 'jquery' ),
+				array( 'jquery', 'rd-pr-time', 'rd-pr-republish-now' ),
 				// $this->version,
 				filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-configure.js' ),
 				true
@@ -249,7 +459,7 @@ class Rd_Post_Republishing_Admin {
 			wp_enqueue_script(
 				'rd-pr-logs',
 				plugin_dir_url( __FILE__ ) . 'js/rd-pr-logs.js',
-				array( 'jquery' ),
+				array( 'jquery', 'rd-pr-time' ),
 				// $this->version,
 				filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-logs.js' ),
 				true
@@ -265,6 +475,49 @@ class Rd_Post_Republishing_Admin {
 			);
 		}
 
+		if ( $screen->id === 'post-republisher_page_rd-post-republisher-exclusions' ) {
+			wp_enqueue_script(
+				'rd-pr-exclusions',
+				plugin_dir_url( __FILE__ ) . 'js/rd-pr-exclusions.js',
+				array( 'jquery', 'rd-pr-time' ),
+				// $this->version,
+				filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-exclusions.js' ),
+				true
+			);
+
+			wp_localize_script(
+				'rd-pr-exclusions',
+				'rdPrExclusions',
+				array(
+					'restUrl' => esc_url_raw( rest_url( 'postmetadata/v1/exclusions' ) ),
+					'nonce'   => wp_create_nonce( 'wp_rest' ),
+				)
+			);
+		}
+
+		if ( $screen->id === 'dashboard' && current_user_can( 'edit_posts' ) ) {
+			wp_enqueue_script(
+				'rd-pr-dashboard',
+				plugin_dir_url( __FILE__ ) . 'js/rd-pr-dashboard.js',
+				array( 'jquery', 'rd-pr-time' ),
+				// $this->version,
+				filemtime( plugin_dir_path( __FILE__ ) . 'js/rd-pr-dashboard.js' ),
+				true
+			);
+
+			wp_localize_script(
+				'rd-pr-dashboard',
+				'rdPrDashboard',
+				array(
+					'preferencesUrl' => esc_url_raw( rest_url( 'postmetadata/v1/preferences' ) ),
+					'calculationUrl' => esc_url_raw( rest_url( 'postmetadata/v1/calculation' ) ),
+					'loggingUrl'     => esc_url_raw( rest_url( 'postmetadata/v1/logging' ) ),
+					'processUrl'     => esc_url_raw( rest_url( 'postmetadata/v1/process' ) ),
+					'nonce'          => wp_create_nonce( 'wp_rest' ),
+				)
+			);
+		}
+
 	}
 
 }
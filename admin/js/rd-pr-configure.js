@@ -12,6 +12,9 @@
 
 		var $tbody = $('#rd-pr-history-tbody');
 		var $limitFilter = $('#rd-pr-history-limit');
+		var $selectAll = $('#rd-pr-history-select-all');
+		var $revertSelected = $('#rd-pr-history-revert-selected');
+		var $message = $('#rd-pr-history-message');
 
 		/**
 		 * Fetch history from the API with limit parameter
@@ -44,28 +47,29 @@
 		}
 
 		/**
-		 * Format timestamp for display (DD/MM/YY HH:MM:SS)
+		 * Format timestamp for display (DD/MM/YY HH:MM:SS), showing both timezones on hover
+		 * Format: "2026-01-26 14:05:02"
 		 */
 		function formatTimestamp(dateString) {
-			if (!dateString) {
-				return 'Invalid date';
-			}
+			var formatted = rdPrTime.formatDateTime(dateString, true);
+
+			return formatted ? rdPrTime.wrap(dateString, formatted) : 'Invalid date';
+		}
 
-			// Parse the date string (format: "2026-01-26 14:05:02")
-			var timestamp = new Date(dateString.replace(' ', 'T'));
+		/**
+		 * Format the drift between two dates as a number of days
+		 */
+		function formatDrift(fromString, toString) {
+			var from = rdPrTime.toTimestamp(fromString);
+			var to = rdPrTime.toTimestamp(toString);
 
-			if (isNaN(timestamp.getTime())) {
-				return 'Invalid date';
+			if (isNaN(from) || isNaN(to)) {
+				return '';
 			}
 
-			var day = String(timestamp.getDate()).padStart(2, '0');
-			var month = String(timestamp.getMonth() + 1).padStart(2, '0');
-			var year = String(timestamp.getFullYear()).slice(-2);
-			var hours = String(timestamp.getHours()).padStart(2, '0');
-			var minutes = String(timestamp.getMinutes()).padStart(2, '0');
-			var seconds = String(timestamp.getSeconds()).padStart(2, '0');
+			var days = Math.round((to - from) / 86400000);
 
-			return day + '/' + month + '/' + year + ' ' + hours + ':' + minutes + ':' + seconds;
+			return '+' + days.toLocaleString() + (days === 1 ? ' day' : ' days');
 		}
 
 		/**
@@ -89,50 +93,242 @@
 				return;
 			}
 
-			// Sort by post_publish_datetime descending (latest first)
+			// Sort by republished_at descending (latest first)
 			var sortedHistory = history.slice().sort(function(a, b) {
-				var dateA = new Date(a.post_publish_datetime.replace(' ', 'T'));
-				var dateB = new Date(b.post_publish_datetime.replace(' ', 'T'));
-				return dateB - dateA;
+				return rdPrTime.toTimestamp(b.republished_at) - rdPrTime.toTimestamp(a.republished_at);
 			});
 
 			var html = '';
 
 			sortedHistory.forEach(function(item) {
 				html += '<tr>';
-				html += '<td class="rd-pr-history-col-datetime">' + formatTimestamp(item.post_publish_datetime) + '</td>';
+				html += '<td class="rd-pr-history-col-select">';
+				if (item.revertable) {
+					html += '<input type="checkbox" class="rd-pr-history-select" value="' + escapeHtml(item.post_id) + '" aria-label="Select post ' + escapeHtml(item.post_id) + '">';
+				}
+				html += '</td>';
+				html += '<td class="rd-pr-history-col-datetime">' + formatTimestamp(item.republished_at) + '</td>';
 				html += '<td class="rd-pr-history-col-id">' + escapeHtml(item.post_id) + '</td>';
-				html += '<td class="rd-pr-history-col-title"><a href="' + escapeHtml(item.post_url) + '" target="_blank">' + escapeHtml(item.post_title) + '</a></td>';
+				html += '<td class="rd-pr-history-col-title"><a href="' + escapeHtml(item.post_url) + '" target="_blank">' + escapeHtml(item.post_title) + '</a>';
+				if (item.type === 'manual') {
+					html += ' <span class="rd-pr-history-manual">Manual</span>';
+				}
+				if (item.reverted_at) {
+					html += ' <span class="rd-pr-history-reverted" title="Reverted ' + escapeHtml(rdPrTime.formatDateTime(item.reverted_at, true)) + '">Reverted</span>';
+				}
+				html += '</td>';
+				html += '<td class="rd-pr-history-col-original">';
+				if (item.original_date) {
+					html += formatTimestamp(item.original_date);
+					html += ' <span class="rd-pr-history-drift">' + formatDrift(item.original_date, item.post_publish_datetime) + '</span>';
+				} else {
+					html += '<span class="rd-pr-history-unknown">Unknown</span>';
+				}
+				html += '</td>';
+				html += '<td class="rd-pr-history-col-actions">';
+				html += '<button type="button" class="button button-small rd-pr-history-timeline-toggle" data-post-id="' + escapeHtml(item.post_id) + '" aria-expanded="false">Timeline</button> ';
+				if (item.revertable) {
+					html += '<button type="button" class="button button-small rd-pr-history-revert" data-post-id="' + escapeHtml(item.post_id) + '">Revert</button> ';
+				}
+				html += '<button type="button" class="button button-small rd-pr-history-republish" data-post-id="' + escapeHtml(item.post_id) + '">Republish now</button>';
+				html += '</td>';
 				html += '</tr>';
 			});
 
 			$tbody.html(html);
+			updateSelection();
+		}
+
+		/**
+		 * Enable the bulk revert button when posts are selected
+		 */
+		function updateSelection() {
+			var $checkboxes = $tbody.find('.rd-pr-history-select');
+			var selected = $checkboxes.filter(':checked').length;
+
+			$revertSelected.prop('disabled', selected === 0);
+			$selectAll.prop('checked', selected > 0 && selected === $checkboxes.length);
+		}
+
+		/**
+		 * Revert the latest republish of the given posts, then refresh the history
+		 */
+		function revertPosts(postIds) {
+			var message = postIds.length === 1 ?
+				'Revert this post to the date it had before it was last republished?' :
+				'Revert ' + postIds.length + ' posts to the dates they had before they were last republished?';
+
+			if (!window.confirm(message)) {
+				return;
+			}
+
+			$revertSelected.prop('disabled', true);
+			$message.text('').removeClass('rd-pr-history-message-error');
+
+			$.ajax({
+				url: rdPrRepublish.restUrl + '/revert',
+				method: 'POST',
+				contentType: 'application/json',
+				data: JSON.stringify({ post_ids: postIds }),
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrHistory.nonce);
+				},
+				success: function(response) {
+					var count = response.reverted_posts.length;
+					var text = count === 1 ? '1 post reverted.' : count + ' posts reverted.';
+
+					if (response.errors && response.errors.length) {
+						text += ' ' + response.errors.join(' ');
+					}
+
+					$message.text(text).toggleClass('rd-pr-history-message-error', !response.success);
+					fetchHistory();
+				},
+				error: function(xhr) {
+					var text = 'Failed to revert.';
+					if (xhr.responseJSON && xhr.responseJSON.errors && xhr.responseJSON.errors.length) {
+						text = xhr.responseJSON.errors.join(' ');
+					} else if (xhr.responseJSON && xhr.responseJSON.message) {
+						text = xhr.responseJSON.message;
+					}
+					$message.text(text).addClass('rd-pr-history-message-error');
+					updateSelection();
+				}
+			});
+		}
+
+		/**
+		 * Show or hide the republish timeline below a history row
+		 */
+		function toggleTimeline($button) {
+			var $row = $button.closest('tr');
+			var $timelineRow = $row.next('.rd-pr-history-timeline-row');
+
+			if ($timelineRow.length) {
+				$timelineRow.remove();
+				$button.attr('aria-expanded', 'false');
+				return;
+			}
+
+			$timelineRow = $('<tr class="rd-pr-history-timeline-row"><td colspan="6"><p class="rd-pr-history-timeline-message">Loading timeline...</p></td></tr>');
+			$row.after($timelineRow);
+			$button.attr('aria-expanded', 'true');
+
+			$.ajax({
+				url: rdPrHistory.restUrl + '/timeline',
+				method: 'GET',
+				data: { post_id: $button.data('post-id') },
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrHistory.nonce);
+				},
+				success: function(response) {
+					$timelineRow.find('td').html(renderTimeline(response.data || []));
+				},
+				error: function(xhr) {
+					var message = 'Failed to load timeline.';
+					if (xhr.responseJSON && xhr.responseJSON.message) {
+						message = xhr.responseJSON.message;
+					}
+					$timelineRow.find('td').html('<p class="rd-pr-history-timeline-message rd-pr-history-timeline-error">' + escapeHtml(message) + '</p>');
+				}
+			});
+		}
+
+		/**
+		 * Build the timeline table for one post
+		 */
+		function renderTimeline(timeline) {
+			if (timeline.length === 0) {
+				return '<p class="rd-pr-history-timeline-message">No republishes found.</p>';
+			}
+
+			var html = '<table class="rd-pr-history-timeline">';
+			html += '<thead><tr><th>Republished</th><th>Trigger</th><th>Post Date Before</th><th>Post Date After</th><th>Reverted</th></tr></thead><tbody>';
+
+			timeline.forEach(function(entry) {
+				html += '<tr>';
+				html += '<td>' + formatTimestamp(entry.timestamp) + '</td>';
+				html += '<td>' + (entry.type === 'manual' ? 'Manual' : 'Automatic') + '</td>';
+				html += '<td>' + (entry.date_before ? formatTimestamp(entry.date_before) : '&mdash;') + '</td>';
+				if (entry.mode === 'modified') {
+					// The post date was kept, date_after is the modified date it was given
+					html += '<td>' + (entry.date_before ? formatTimestamp(entry.date_before) : '&mdash;') + ' <span class="rd-pr-history-timeline-mode">(updated ' + formatTimestamp(entry.date_after) + ')</span></td>';
+				} else {
+					html += '<td>' + (entry.date_after ? formatTimestamp(entry.date_after) : '&mdash;') + '</td>';
+				}
+				html += '<td>' + (entry.reverted_at ? formatTimestamp(entry.reverted_at) : '&mdash;') + '</td>';
+				html += '</tr>';
+			});
+
+			html += '</tbody></table>';
+
+			return html;
 		}
 
 		/**
 		 * Show loading state
 		 */
 		function showLoading() {
-			$tbody.html('<tr class="rd-pr-history-loading"><td colspan="3">Loading history...</td></tr>');
+			$tbody.html('<tr class="rd-pr-history-loading"><td colspan="6">Loading history...</td></tr>');
 		}
 
 		/**
 		 * Show error state
 		 */
 		function showError(message) {
-			$tbody.html('<tr class="rd-pr-history-error"><td colspan="3">' + escapeHtml(message) + '</td></tr>');
+			$tbody.html('<tr class="rd-pr-history-error"><td colspan="6">' + escapeHtml(message) + '</td></tr>');
 		}
 
 		/**
 		 * Show empty state
 		 */
 		function showEmpty() {
-			$tbody.html('<tr class="rd-pr-history-empty"><td colspan="3">No republish history found.</td></tr>');
+			$tbody.html('<tr class="rd-pr-history-empty"><td colspan="6">No republish history found.</td></tr>');
 		}
 
 		// Event handler for limit filter - re-fetch with new limit
 		$limitFilter.on('change', fetchHistory);
 
+		// Download the rows currently shown; the nonce goes in the URL as the browser downloads the file directly
+		$('.rd-pr-history-export-button').on('click', function() {
+			window.location.href = rdPrHistory.restUrl + '/export?' + $.param({
+				format: $(this).data('format'),
+				limit: parseInt($limitFilter.val(), 10),
+				_wpnonce: rdPrHistory.nonce
+			});
+		});
+
+		$tbody.on('click', '.rd-pr-history-timeline-toggle', function() {
+			toggleTimeline($(this));
+		});
+
+		$tbody.on('change', '.rd-pr-history-select', updateSelection);
+
+		$selectAll.on('change', function() {
+			$tbody.find('.rd-pr-history-select').prop('checked', $(this).prop('checked'));
+			updateSelection();
+		});
+
+		$tbody.on('click', '.rd-pr-history-revert', function() {
+			revertPosts([$(this).data('post-id')]);
+		});
+
+		$revertSelected.on('click', function() {
+			var postIds = $tbody.find('.rd-pr-history-select:checked').map(function() {
+				return parseInt($(this).val(), 10);
+			}).get();
+
+			revertPosts(postIds);
+		});
+
+		// Republish a post straight away, then refresh the history
+		$tbody.on('click', '.rd-pr-history-republish', function() {
+			window.rdPrRepublishNow.republish($(this).data('post-id'), fetchHistory);
+		});
+
+		// Render the times again when switching between site and local time
+		$(document).on('rdPrTimeChange', fetchHistory);
+
 		// Fetch history on page load
 		fetchHistory();
 
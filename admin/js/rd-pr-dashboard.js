@@ -0,0 +1,256 @@
+/**
+ * Dashboard widget JavaScript.
+ *
+ * @package    Rd_Post_Republishing
+ * @subpackage Rd_Post_Republishing/admin/js
+ */
+
+(function( $ ) {
+	'use strict';
+
+	$(document).ready(function() {
+
+		var $widget = $('#rd-pr-dashboard');
+
+		if (!$widget.length) {
+			return;
+		}
+
+		var $status = $('#rd-pr-dashboard-status');
+		var $today = $('#rd-pr-dashboard-today');
+		var $next = $('#rd-pr-dashboard-next');
+		var $prerequisites = $('#rd-pr-dashboard-prerequisites');
+		var $errors = $('#rd-pr-dashboard-errors');
+
+		// Refresh every five minutes while the dashboard is open
+		var REFRESH_INTERVAL = 5 * 60 * 1000;
+
+		// Days of schedule searched for the next slot
+		var SCHEDULE_DAYS = 14;
+
+		/**
+		 * Send a GET request to one of the plugin's REST APIs
+		 */
+		function request(url, data) {
+			return $.ajax({
+				url: url,
+				method: 'GET',
+				data: data,
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrDashboard.nonce);
+				}
+			});
+		}
+
+		/**
+		 * Format a Date as dd-mm-yyyy for the calculation API
+		 */
+		function formatApiDate(date) {
+			var day = String(date.getDate()).padStart(2, '0');
+			var month = String(date.getMonth() + 1).padStart(2, '0');
+
+			return day + '-' + month + '-' + date.getFullYear();
+		}
+
+		/**
+		 * Format a dd-mm-yyyy date from the calculation API for display (DD/MM/YY)
+		 */
+		function formatDay(date) {
+			var parts = date.split('-');
+
+			return parts[0] + '/' + parts[1] + '/' + parts[2].slice(-2);
+		}
+
+		/**
+		 * Format a log timestamp for display (DD/MM/YY HH:MM)
+		 * Format: "2026-01-26 14:05:02.189"
+		 */
+		function formatTimestamp(timestamp) {
+			return rdPrTime.formatDateTime(timestamp);
+		}
+
+		/**
+		 * Escape HTML to prevent XSS
+		 */
+		function escapeHtml(text) {
+			if (text === null || text === undefined) {
+				return '';
+			}
+			var div = document.createElement('div');
+			div.textContent = String(text);
+			return div.innerHTML;
+		}
+
+		/**
+		 * Build a link to a post, or its title alone when it has no link
+		 */
+		function postLink(post) {
+			var title = escapeHtml(post.title || '(no title)');
+
+			return post.permalink ? '<a href="' + escapeHtml(post.permalink) + '">' + title + '</a>' : title;
+		}
+
+		/**
+		 * Show whether republishing is active from the preferences
+		 */
+		function loadStatus() {
+			request(rdPrDashboard.preferencesUrl + '/retrieve')
+				.done(function(response) {
+					var active = (response.data || []).some(function(preference) {
+						return preference.key === 'status' && preference.value === 'active';
+					});
+
+					$status.text(active ? 'Active' : 'Inactive')
+						.toggleClass('rd-pr-dashboard-active', active)
+						.toggleClass('rd-pr-dashboard-inactive', !active);
+				})
+				.fail(function() {
+					$status.text('Unavailable');
+				});
+		}
+
+		/**
+		 * Show today's progress and the next scheduled slot from the calculation API
+		 */
+		function loadSchedule() {
+			var start = rdPrTime.getSiteToday();
+			var end = rdPrTime.getSiteToday();
+
+			end.setDate(end.getDate() + SCHEDULE_DAYS);
+
+			request(rdPrDashboard.calculationUrl + '/posttimesrange', {
+				start_date: formatApiDate(start),
+				end_date: formatApiDate(end)
+			})
+				.done(function(response) {
+					var next = null;
+					var todayDay = null;
+
+					response.days.forEach(function(day) {
+						if (day.date === response.today) {
+							todayDay = day;
+						}
+
+						// Past days have no scheduled slots, so the first one found is the next
+						if (!next && day.scheduled.length) {
+							next = { date: day.date, slot: day.scheduled[0] };
+						}
+					});
+
+					renderToday(todayDay);
+					renderNext(next, response.today);
+				})
+				.fail(function() {
+					$today.text('Unavailable');
+					$next.text('Unavailable');
+				});
+		}
+
+		/**
+		 * Show how many posts were republished today against today's slots,
+		 * which follow posts_per_day or the weekday schedule
+		 */
+		function renderToday(day) {
+			if (!day) {
+				$today.text('Unavailable');
+				return;
+			}
+
+			var target = day.previous_times.length + day.future_times.length;
+
+			$today.text(day.republished.length + ' of ' + target);
+		}
+
+		/**
+		 * Show the next scheduled slot and the post projected to fill it
+		 */
+		function renderNext(next, today) {
+			if (!next) {
+				$next.text('None scheduled');
+				return;
+			}
+
+			// Slot times are in the site's timezone, the date comes as dd-mm-yyyy
+			var dateString = next.date.split('-').reverse().join('-') + ' ' + next.slot.time;
+			var when = (next.date === today ? 'Today' : formatDay(next.date)) + ' at ' + next.slot.time;
+			var post = next.slot.post ? postLink(next.slot.post) : 'no eligible post';
+
+			if (rdPrTime.isViewerLocal()) {
+				when = rdPrTime.formatDateTime(dateString);
+			}
+
+			$next.html(rdPrTime.wrap(dateString, when) + '<br>' + post);
+		}
+
+		/**
+		 * Show the result of the prerequisite checks
+		 */
+		function loadPrerequisites() {
+			request(rdPrDashboard.processUrl + '/validate')
+				.done(function(response) {
+					if (response.success) {
+						$prerequisites.html('<p class="rd-pr-dashboard-ok">All prerequisites are met.</p>');
+						return;
+					}
+
+					var html = '<ul class="rd-pr-dashboard-problems">';
+					response.errors.forEach(function(error) {
+						html += '<li>' + escapeHtml(error) + '</li>';
+					});
+					html += '</ul>';
+
+					$prerequisites.html(html);
+				})
+				.fail(function() {
+					$prerequisites.html('<p class="rd-pr-dashboard-problem">Unavailable.</p>');
+				});
+		}
+
+		/**
+		 * Show the most recent error log entries
+		 */
+		function loadErrors() {
+			request(rdPrDashboard.loggingUrl + '/retrieve', { type: 'error', per_page: 5 })
+				.done(function(response) {
+					if (!response.data.length) {
+						$errors.html('<li class="rd-pr-dashboard-none">No errors logged.</li>');
+						return;
+					}
+
+					var html = '';
+					response.data.forEach(function(log) {
+						html += '<li>';
+						html += '<span class="rd-pr-dashboard-error-time">' + rdPrTime.wrap(log.timestamp, formatTimestamp(log.timestamp)) + '</span> ';
+						html += escapeHtml(log.entry);
+						if (log.postid) {
+							html += ' <span class="rd-pr-dashboard-error-post">(#' + escapeHtml(log.postid) + ')</span>';
+						}
+						html += '</li>';
+					});
+
+					$errors.html(html);
+				})
+				.fail(function() {
+					$errors.html('<li class="rd-pr-dashboard-problem">Unavailable.</li>');
+				});
+		}
+
+		/**
+		 * Load everything shown in the widget
+		 */
+		function refresh() {
+			loadStatus();
+			loadSchedule();
+			loadPrerequisites();
+			loadErrors();
+		}
+
+		$('#rd-pr-dashboard-refresh').on('click', refresh);
+
+		setInterval(refresh, REFRESH_INTERVAL);
+
+		refresh();
+
+	});
+
+})( jQuery );
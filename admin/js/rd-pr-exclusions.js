@@ -0,0 +1,260 @@
+/**
+ * Exclusions page JavaScript.
+ *
+ * @package    Rd_Post_Republishing
+ * @subpackage Rd_Post_Republishing/admin/js
+ */
+
+(function( $ ) {
+	'use strict';
+
+	$(document).ready(function() {
+
+		var $tbody = $('#rd-pr-exclusions-tbody');
+		var $search = $('#rd-pr-exclusions-search');
+		var $results = $('#rd-pr-exclusions-results');
+		var $message = $('#rd-pr-exclusions-message');
+
+		var searchTimer = null;
+		var searchRequest = null;
+
+		/**
+		 * Send a request to the exclusions API
+		 */
+		function request(endpoint, method, data) {
+			return $.ajax({
+				url: rdPrExclusions.restUrl + endpoint,
+				method: method,
+				data: data,
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrExclusions.nonce);
+				}
+			});
+		}
+
+		/**
+		 * Get the error message from a failed request
+		 */
+		function getErrorMessage(xhr, fallback) {
+			if (xhr.responseJSON) {
+				if (xhr.responseJSON.errors && xhr.responseJSON.errors.length) {
+					return xhr.responseJSON.errors.join(' ');
+				}
+				if (xhr.responseJSON.message) {
+					return xhr.responseJSON.message;
+				}
+			}
+			return fallback;
+		}
+
+		/**
+		 * Fetch the excluded posts from the API
+		 */
+		function fetchExclusions() {
+			showLoading();
+
+			request('/retrieve', 'GET')
+				.done(function(response) {
+					if (response.success && response.data) {
+						renderExclusions(response.data);
+					} else {
+						showError('Failed to load exclusions.');
+					}
+				})
+				.fail(function(xhr) {
+					showError(getErrorMessage(xhr, 'Failed to load exclusions.'));
+				});
+		}
+
+		/**
+		 * Search published posts that are not excluded
+		 */
+		function searchPosts() {
+			var search = $.trim($search.val());
+
+			if (searchRequest) {
+				searchRequest.abort();
+			}
+
+			if (search === '') {
+				hideResults();
+				return;
+			}
+
+			searchRequest = request('/search', 'GET', { search: search })
+				.done(function(response) {
+					renderResults(response.data || []);
+				})
+				.fail(function(xhr, status) {
+					if (status !== 'abort') {
+						showMessage(getErrorMessage(xhr, 'Search failed.'), true);
+					}
+				});
+		}
+
+		/**
+		 * Add a post to the exclusion list
+		 */
+		function addExclusion(postId) {
+			hideResults();
+			$search.val('');
+
+			request('/add', 'POST', { post_id: postId })
+				.done(function() {
+					showMessage('Post excluded.', false);
+					fetchExclusions();
+				})
+				.fail(function(xhr) {
+					showMessage(getErrorMessage(xhr, 'Failed to exclude post.'), true);
+				});
+		}
+
+		/**
+		 * Remove a post from the exclusion list
+		 */
+		function removeExclusion(postId, $button) {
+			$button.prop('disabled', true);
+
+			request('/remove', 'POST', { post_id: postId })
+				.done(function() {
+					showMessage('Post removed from exclusions.', false);
+					fetchExclusions();
+				})
+				.fail(function(xhr) {
+					$button.prop('disabled', false);
+					showMessage(getErrorMessage(xhr, 'Failed to remove exclusion.'), true);
+				});
+		}
+
+		/**
+		 * Format date for display (DD/MM/YY), showing both timezones on hover
+		 */
+		function formatDate(dateString) {
+			var formatted = rdPrTime.formatDate(dateString);
+
+			return formatted ? rdPrTime.wrap(dateString, formatted) : escapeHtml(dateString || '');
+		}
+
+		/**
+		 * Escape HTML to prevent XSS
+		 */
+		function escapeHtml(text) {
+			if (text === null || text === undefined) {
+				return '';
+			}
+			var div = document.createElement('div');
+			div.textContent = String(text);
+			return div.innerHTML;
+		}
+
+		/**
+		 * Render the search results dropdown
+		 */
+		function renderResults(posts) {
+			var html = '';
+
+			if (posts.length === 0) {
+				html = '<div class="rd-pr-exclusions-empty-result">No matching posts.</div>';
+			}
+
+			posts.forEach(function(post) {
+				html += '<button type="button" class="rd-pr-exclusions-option" data-post-id="' + escapeHtml(post.id) + '">';
+				html += escapeHtml(post.title || '(no title)');
+				html += ' <span class="rd-pr-exclusions-option-meta">' + escapeHtml(post.post_type) + ' &middot; ' + formatDate(post.date) + '</span>';
+				html += '</button>';
+			});
+
+			$results.html(html).prop('hidden', false);
+		}
+
+		/**
+		 * Render the excluded posts in the table
+		 */
+		function renderExclusions(posts) {
+			if (posts.length === 0) {
+				showEmpty();
+				return;
+			}
+
+			var html = '';
+
+			posts.forEach(function(post) {
+				var title = escapeHtml(post.title || '(no title)');
+
+				if (post.edit_url) {
+					title = '<a href="' + escapeHtml(post.edit_url) + '">' + title + '</a>';
+				}
+
+				html += '<tr>';
+				html += '<td class="rd-pr-exclusions-col-postid">' + escapeHtml(post.id) + '</td>';
+				html += '<td class="rd-pr-exclusions-col-title">' + title + '</td>';
+				html += '<td class="rd-pr-exclusions-col-type">' + escapeHtml(post.post_type) + '</td>';
+				html += '<td class="rd-pr-exclusions-col-date">' + formatDate(post.date) + '</td>';
+				html += '<td class="rd-pr-exclusions-col-actions"><button type="button" class="button button-small rd-pr-exclusions-remove" data-post-id="' + escapeHtml(post.id) + '">Remove</button></td>';
+				html += '</tr>';
+			});
+
+			$tbody.html(html);
+		}
+
+		/**
+		 * Hide the search results dropdown
+		 */
+		function hideResults() {
+			$results.prop('hidden', true).empty();
+		}
+
+		/**
+		 * Show a status message next to the picker
+		 */
+		function showMessage(message, isError) {
+			$message.text(message).toggleClass('rd-pr-exclusions-message-error', isError);
+		}
+
+		/**
+		 * Show loading state
+		 */
+		function showLoading() {
+			$tbody.html('<tr class="rd-pr-exclusions-loading"><td colspan="5">Loading exclusions...</td></tr>');
+		}
+
+		/**
+		 * Show error state
+		 */
+		function showError(message) {
+			$tbody.html('<tr class="rd-pr-exclusions-error"><td colspan="5">' + escapeHtml(message) + '</td></tr>');
+		}
+
+		/**
+		 * Show empty state
+		 */
+		function showEmpty() {
+			$tbody.html('<tr class="rd-pr-exclusions-empty"><td colspan="5">No posts are excluded.</td></tr>');
+		}
+
+		// Event handlers
+		$search.on('input', function() {
+			clearTimeout(searchTimer);
+			searchTimer = setTimeout(searchPosts, 300);
+		});
+
+		$results.on('click', '.rd-pr-exclusions-option', function() {
+			addExclusion($(this).data('post-id'));
+		});
+
+		$tbody.on('click', '.rd-pr-exclusions-remove', function() {
+			removeExclusion($(this).data('post-id'), $(this));
+		});
+
+		$(document).on('click', function(e) {
+			if (!$(e.target).closest('.rd-pr-exclusions-search-wrap').length) {
+				hideResults();
+			}
+		});
+
+		// Fetch exclusions on page load
+		fetchExclusions();
+
+	});
+
+})( jQuery );
@@ -13,170 +13,297 @@
 		var $tbody = $('#rd-pr-logs-tbody');
 		var $typeFilter = $('#rd-pr-logs-type-filter');
 		var $limitFilter = $('#rd-pr-logs-limit');
+		var $search = $('#rd-pr-logs-search');
+		var $postId = $('#rd-pr-logs-post-id');
+		var $from = $('#rd-pr-logs-from');
+		var $to = $('#rd-pr-logs-to');
+		var $total = $('#rd-pr-logs-total');
+		var $pageInfo = $('#rd-pr-logs-page-info');
+		var $pageButtons = $('.rd-pr-logs-page');
+		var $retentionTbody = $('#rd-pr-logs-retention-tbody');
+		var $retentionMessage = $('#rd-pr-logs-retention-message');
+		var $purgeButton = $('#rd-pr-logs-purge');
+
+		// Entries each type would lose if purged now, from the last retention response
+		var purgePreview = {};
+
+		// Current page and page count from the last response
+		var currentPage = 1;
+		var totalPages = 0;
+
+		var searchTimer = null;
+		var logsRequest = null;
 
-		// Store all logs for filtering
-		var allLogs = [];
+		/**
+		 * Build the query parameters from the filter inputs
+		 */
+		function getQuery() {
+			var query = {
+				page: currentPage,
+				per_page: parseInt($limitFilter.val(), 10)
+			};
+			var search = $.trim($search.val());
+			var postId = $.trim($postId.val());
+
+			if ($typeFilter.val() !== '') {
+				query.type = $typeFilter.val();
+			}
+			if (search !== '') {
+				query.search = search;
+			}
+			if (postId !== '') {
+				query.post_id = postId;
+			}
+			if ($from.val()) {
+				query.from = $from.val();
+			}
+			if ($to.val()) {
+				query.to = $to.val();
+			}
+
+			return query;
+		}
 
 		/**
-		 * Fetch logs from the API
+		 * Fetch one page of logs from the API
 		 */
 		function fetchLogs() {
+			if (logsRequest) {
+				logsRequest.abort();
+			}
+
 			showLoading();
 
-			$.ajax({
+			logsRequest = $.ajax({
 				url: rdPrLogs.restUrl + '/retrieve',
 				method: 'GET',
+				data: getQuery(),
 				beforeSend: function(xhr) {
 					xhr.setRequestHeader('X-WP-Nonce', rdPrLogs.nonce);
 				},
 				success: function(response) {
 					if (response.success && response.data) {
-						allLogs = response.data;
-						populateTypeFilter(allLogs);
-						applyFiltersAndRender();
+						populateTypeFilter(response.types || []);
+						updatePagination(response.page, response.total_pages, response.total);
+						renderLogs(response.data);
 					} else {
+						updatePagination(1, 0, 0);
 						showError('No logs found.');
 					}
 				},
 				error: function(xhr, status, error) {
+					if (status === 'abort') {
+						return;
+					}
 					var message = 'Failed to load logs.';
-					if (xhr.responseJSON && xhr.responseJSON.message) {
+					if (xhr.responseJSON && xhr.responseJSON.errors && xhr.responseJSON.errors.length) {
+						message = xhr.responseJSON.errors.join(' ');
+					} else if (xhr.responseJSON && xhr.responseJSON.message) {
 						message = xhr.responseJSON.message;
 					}
+					updatePagination(1, 0, 0);
 					showError(message);
 				}
 			});
 		}
 
 		/**
-		 * Populate type filter dropdown with unique types
+		 * Send a request to the logging API
 		 */
-		function populateTypeFilter(logs) {
-			var types = [];
-
-			logs.forEach(function(log) {
-				if (log.type && types.indexOf(log.type) === -1) {
-					types.push(log.type);
+		function request(endpoint, method, data) {
+			return $.ajax({
+				url: rdPrLogs.restUrl + endpoint,
+				method: method,
+				contentType: method === 'GET' ? undefined : 'application/json',
+				data: method === 'GET' ? data : JSON.stringify(data || {}),
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrLogs.nonce);
 				}
 			});
+		}
 
-			// Sort types alphabetically
-			types.sort();
+		/**
+		 * Get the error message from a failed request
+		 */
+		function getErrorMessage(xhr, fallback) {
+			if (xhr.responseJSON) {
+				if (xhr.responseJSON.errors && xhr.responseJSON.errors.length) {
+					return xhr.responseJSON.errors.join(' ');
+				}
+				if (xhr.responseJSON.message) {
+					return xhr.responseJSON.message;
+				}
+			}
+			return fallback;
+		}
 
-			// Clear existing options except "All"
-			$typeFilter.find('option:not(:first)').remove();
+		/**
+		 * Fetch the retention periods and purge preview
+		 */
+		function fetchRetention() {
+			request('/retention', 'GET')
+				.done(renderRetention)
+				.fail(function(xhr) {
+					$retentionTbody.html('<tr class="rd-pr-logs-error"><td colspan="3">' + escapeHtml(getErrorMessage(xhr, 'Failed to load retention.')) + '</td></tr>');
+				});
+		}
 
-			// Add type options
-			types.forEach(function(type) {
-				$typeFilter.append('<option value="' + escapeHtml(type) + '">' + escapeHtml(type) + '</option>');
+		/**
+		 * Render a row per log type with its retention period and purge preview
+		 */
+		function renderRetention(response) {
+			var html = '';
+
+			purgePreview = response.preview || {};
+
+			response.types.forEach(function(type) {
+				var days = response.retention[type] || '';
+				var count = purgePreview[type];
+
+				html += '<tr>';
+				html += '<td class="rd-pr-logs-col-type"><span class="rd-pr-log-type rd-pr-log-type-' + escapeHtml(type) + '">' + escapeHtml(type) + '</span></td>';
+				html += '<td><input type="number" class="rd-pr-logs-input rd-pr-logs-input-small rd-pr-logs-retention-days" data-type="' + escapeHtml(type) + '" min="0" max="3650" step="1" value="' + escapeHtml(days) + '" placeholder="Forever"></td>';
+				html += '<td>' + (count === undefined ? '&mdash;' : escapeHtml(count) + (count === 1 ? ' entry' : ' entries')) + '</td>';
+				html += '</tr>';
 			});
+
+			$retentionTbody.html(html);
+			$purgeButton.prop('disabled', !response.total);
 		}
 
 		/**
-		 * Apply filters and render the table
+		 * Save the retention periods from the inputs
 		 */
-		function applyFiltersAndRender() {
-			var selectedType = $typeFilter.val();
-			var limit = parseInt($limitFilter.val(), 10);
+		function saveRetention() {
+			var retention = {};
 
-			// Filter by type
-			var filteredLogs = allLogs;
-			if (selectedType !== '') {
-				filteredLogs = allLogs.filter(function(log) {
-					return log.type === selectedType;
+			$retentionTbody.find('.rd-pr-logs-retention-days').each(function() {
+				var days = $.trim($(this).val());
+				retention[$(this).data('type')] = days === '' ? 0 : parseInt(days, 10);
+			});
+
+			request('/saveretention', 'POST', { retention: retention })
+				.done(function(response) {
+					renderRetention(response);
+					showRetentionMessage('Retention saved.', false);
+				})
+				.fail(function(xhr) {
+					showRetentionMessage(getErrorMessage(xhr, 'Failed to save retention.'), true);
 				});
-			}
+		}
 
-			// Sort by timestamp descending (most recent first)
-			var sortedLogs = sortLogsByTimestamp(filteredLogs);
+		/**
+		 * Purge entries older than their retention period, after confirming what will be lost
+		 */
+		function purgeNow() {
+			var lines = [];
 
-			// Limit rows
-			var limitedLogs = sortedLogs.slice(0, limit);
+			Object.keys(purgePreview).forEach(function(type) {
+				if (purgePreview[type] > 0) {
+					lines.push(type + ': ' + purgePreview[type]);
+				}
+			});
 
-			renderLogs(limitedLogs);
+			if (!window.confirm('Permanently delete these log entries?\n\n' + lines.join('\n'))) {
+				return;
+			}
+
+			$purgeButton.prop('disabled', true);
+
+			request('/purge', 'POST')
+				.done(function(response) {
+					showRetentionMessage(response.total === 1 ? '1 entry purged.' : response.total + ' entries purged.', false);
+					fetchRetention();
+					fetchLogs();
+				})
+				.fail(function(xhr) {
+					$purgeButton.prop('disabled', false);
+					showRetentionMessage(getErrorMessage(xhr, 'Failed to purge logs.'), true);
+				});
 		}
 
 		/**
-		 * Sort logs by date descending (newest first), then by time ascending within each date
+		 * Show a status message next to the retention buttons
 		 */
-		function sortLogsByTimestamp(logs) {
-			return logs.slice().sort(function(a, b) {
-				var dateA = parseTimestamp(a.timestamp);
-				var dateB = parseTimestamp(b.timestamp);
+		function showRetentionMessage(message, isError) {
+			$retentionMessage.text(message).toggleClass('rd-pr-logs-retention-message-error', isError);
+		}
 
-				// Get date-only strings for comparison (YYYY-MM-DD)
-				var dateOnlyA = getDateOnly(dateA);
-				var dateOnlyB = getDateOnly(dateB);
+		/**
+		 * Download every log matching the current filters
+		 *
+		 * The nonce goes in the URL as the browser downloads the file directly.
+		 */
+		function exportLogs(format) {
+			var query = getQuery();
 
-				// First sort by date descending (newest date first)
-				if (dateOnlyA !== dateOnlyB) {
-					return dateOnlyB.localeCompare(dateOnlyA);
-				}
+			delete query.page;
+			delete query.per_page;
+			query.format = format;
+			query._wpnonce = rdPrLogs.nonce;
 
-				// Within the same date, sort by time ascending (earliest time first)
-				return dateA - dateB;
-			});
+			window.location.href = rdPrLogs.restUrl + '/export?' + $.param(query);
 		}
 
 		/**
-		 * Get date-only string from Date object (YYYY-MM-DD format for comparison)
+		 * Go back to the first page and fetch logs with the current filters
 		 */
-		function getDateOnly(date) {
-			if (isNaN(date.getTime())) {
-				return '';
-			}
-			var year = date.getFullYear();
-			var month = String(date.getMonth() + 1).padStart(2, '0');
-			var day = String(date.getDate()).padStart(2, '0');
-			return year + '-' + month + '-' + day;
+		function applyFilters() {
+			currentPage = 1;
+			fetchLogs();
 		}
 
 		/**
-		 * Parse timestamp string to Date object
-		 * Format: "2026-01-26 14:05:02.189"
+		 * Populate type filter dropdown, keeping the current selection
 		 */
-		function parseTimestamp(timestamp) {
-			if (!timestamp) {
-				return new Date(0);
+		function populateTypeFilter(types) {
+			var selectedType = $typeFilter.val();
+
+			// Keep the selected type even when it has no entries
+			if (selectedType !== '' && types.indexOf(selectedType) === -1) {
+				types = types.concat([selectedType]).sort();
 			}
 
-			// Replace space with T for ISO format compatibility
-			var isoString = timestamp.replace(' ', 'T');
-			return new Date(isoString);
+			// Clear existing options except "All"
+			$typeFilter.find('option:not(:first)').remove();
+
+			// Add type options
+			types.forEach(function(type) {
+				$typeFilter.append('<option value="' + escapeHtml(type) + '">' + escapeHtml(type) + '</option>');
+			});
+
+			$typeFilter.val(selectedType);
 		}
 
 		/**
-		 * Format date for display (DD/MM/YY)
+		 * Update the total count and pagination controls
 		 */
-		function formatDate(timestamp) {
-			var date = parseTimestamp(timestamp);
+		function updatePagination(page, pages, total) {
+			currentPage = page;
+			totalPages = pages;
 
-			if (isNaN(date.getTime())) {
-				return timestamp || 'Invalid date';
-			}
+			$total.text(total === 1 ? '1 entry' : total + ' entries');
+			$pageInfo.text(pages > 0 ? 'Page ' + page + ' of ' + pages : '');
 
-			var day = String(date.getDate()).padStart(2, '0');
-			var month = String(date.getMonth() + 1).padStart(2, '0');
-			var year = String(date.getFullYear()).slice(-2);
+			$pageButtons.filter('[data-page="first"], [data-page="prev"]').prop('disabled', page <= 1);
+			$pageButtons.filter('[data-page="next"], [data-page="last"]').prop('disabled', page >= pages);
+		}
 
-			return day + '/' + month + '/' + year;
+		/**
+		 * Format date for display (DD/MM/YY)
+		 * Format: "2026-01-26 14:05:02.189"
+		 */
+		function formatDate(timestamp) {
+			return rdPrTime.formatDate(timestamp) || escapeHtml(timestamp || 'Invalid date');
 		}
 
 		/**
-		 * Format time for display (HH:MM:SS)
+		 * Format time for display (HH:MM:SS), showing both timezones on hover
 		 */
 		function formatTime(timestamp) {
-			var date = parseTimestamp(timestamp);
-
-			if (isNaN(date.getTime())) {
-				return '';
-			}
+			var time = rdPrTime.formatTime(timestamp, true);
 
-			var hours = String(date.getHours()).padStart(2, '0');
-			var minutes = String(date.getMinutes()).padStart(2, '0');
-			var seconds = String(date.getSeconds()).padStart(2, '0');
-
-			return hours + ':' + minutes + ':' + seconds;
+			return time ? rdPrTime.wrap(timestamp, time) : '';
 		}
 
 		/**
@@ -244,11 +371,56 @@
 		}
 
 		// Event handlers for filters
-		$typeFilter.on('change', applyFiltersAndRender);
-		$limitFilter.on('change', applyFiltersAndRender);
+		$typeFilter.on('change', applyFilters);
+		$limitFilter.on('change', applyFilters);
+		$from.on('change', applyFilters);
+		$to.on('change', applyFilters);
+
+		$search.add($postId).on('input', function() {
+			clearTimeout(searchTimer);
+			searchTimer = setTimeout(applyFilters, 300);
+		});
+
+		$('#rd-pr-logs-clear').on('click', function() {
+			clearTimeout(searchTimer);
+			$typeFilter.val('');
+			$search.val('');
+			$postId.val('');
+			$from.val('');
+			$to.val('');
+			applyFilters();
+		});
+
+		$('.rd-pr-logs-export-button').on('click', function() {
+			exportLogs($(this).data('format'));
+		});
+
+		// Event handlers for pagination
+		$pageButtons.on('click', function() {
+			var target = $(this).data('page');
+
+			if (target === 'first') {
+				currentPage = 1;
+			} else if (target === 'prev') {
+				currentPage = Math.max(1, currentPage - 1);
+			} else if (target === 'next') {
+				currentPage = Math.min(totalPages, currentPage + 1);
+			} else if (target === 'last') {
+				currentPage = totalPages;
+			}
+
+			fetchLogs();
+		});
+
+		// Render the times again when switching between site and local time
+		$(document).on('rdPrTimeChange', fetchLogs);
+
+		$('#rd-pr-logs-retention-save').on('click', saveRetention);
+		$purgeButton.on('click', purgeNow);
 
-		// Fetch logs on page load
+		// Fetch logs and retention on page load
 		fetchLogs();
+		fetchRetention();
 
 	});
 
@@ -0,0 +1,99 @@
+/**
+ * "Republish now" JavaScript, shared by the post lists and the History page.
+ *
+ * @package    Rd_Post_Republishing
+ * @subpackage Rd_Post_Republishing/admin/js
+ */
+
+(function( $ ) {
+	'use strict';
+
+	/**
+	 * Format a date from the API for display (DD/MM/YY HH:MM)
+	 * Format: "2026-01-26 14:05:02"
+	 */
+	function formatDate(dateString) {
+		return rdPrTime.formatDateTime(dateString);
+	}
+
+	/**
+	 * Get the error message from a failed request
+	 */
+	function getErrorMessage(xhr, fallback) {
+		if (xhr.responseJSON && xhr.responseJSON.message) {
+			return xhr.responseJSON.message;
+		}
+		return fallback;
+	}
+
+	/**
+	 * Send a request to the republish API
+	 */
+	function request(endpoint, method, postId) {
+		return $.ajax({
+			url: rdPrRepublish.restUrl + endpoint,
+			method: method,
+			data: { post_id: postId },
+			beforeSend: function(xhr) {
+				xhr.setRequestHeader('X-WP-Nonce', rdPrRepublish.nonce);
+			}
+		});
+	}
+
+	/**
+	 * Ask for confirmation showing the new date, then republish the post
+	 *
+	 * @param {number} postId The post ID
+	 * @param {Function} onSuccess Called with the republished post once done
+	 */
+	function republish(postId, onSuccess) {
+		request('/preview', 'GET', postId)
+			.done(function(response) {
+				var post = response.post;
+				var message = 'Republish "' + (post.title || '(no title)') + '" now?\n\n' +
+					'Current date: ' + formatDate(post.date) + '\n';
+
+				// The 'modified' mode keeps the publish date and only marks the post as updated
+				if (post.mode === 'modified') {
+					message += 'Updated date: ' + formatDate(post.new_date) + ' (the publish date is kept)';
+				} else {
+					message += 'New date: ' + formatDate(post.new_date);
+				}
+
+				if (!window.confirm(message)) {
+					return;
+				}
+
+				request('/post', 'POST', postId)
+					.done(function(result) {
+						if (typeof onSuccess === 'function') {
+							onSuccess(result.republished_post);
+						}
+					})
+					.fail(function(xhr) {
+						window.alert(getErrorMessage(xhr, 'Failed to republish post.'));
+					});
+			})
+			.fail(function(xhr) {
+				window.alert(getErrorMessage(xhr, 'This post cannot be republished.'));
+			});
+	}
+
+	window.rdPrRepublishNow = {
+		republish: republish
+	};
+
+	$(document).ready(function() {
+
+		// Row action on the post lists
+		$(document).on('click', '.rd-pr-republish-now', function(e) {
+			e.preventDefault();
+
+			republish($(this).data('post-id'), function() {
+				window.location.reload();
+			});
+		});
+
+	});
+
+})( jQuery );
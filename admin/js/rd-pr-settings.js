@@ -14,8 +14,23 @@
 		var $wpCronToggle = $('#rd-pr-wp-cron');
 		var $slider = $('#rd-pr-posts-per-day');
 		var $sliderValue = $('#rd-pr-posts-per-day-value');
-		var $startTime = $('#rd-pr-start-time');
-		var $endTime = $('#rd-pr-end-time');
+		var $intervalDays = $('#rd-pr-interval-days');
+		var $publishWindows = $('#rd-pr-publish-windows');
+		var $scheduleMode = $('#rd-pr-schedule-mode');
+		var $weekdayScheduleGroup = $('#rd-pr-weekday-schedule-group');
+		var $weekdayRows = $('.rd-pr-weekday-row');
+		var $minPostAge = $('#rd-pr-min-post-age');
+		var $cooldown = $('#rd-pr-cooldown');
+		var $eligibleCount = $('#rd-pr-eligible-count');
+		var $eligibleWarning = $('#rd-pr-eligible-warning');
+		var $strategySelect = $('#rd-pr-selection-strategy');
+		var $strategyActive = $('#rd-pr-strategy-active');
+		var $strategyDescription = $('#rd-pr-strategy-description');
+		var $strategySample = $('#rd-pr-strategy-sample-list');
+		var $manualQuotaToggle = $('#rd-pr-manual-quota');
+		var $republishMode = $('#rd-pr-republish-mode');
+		var $postTypeModes = $('#rd-pr-post-type-modes select');
+		var $republishNoticeToggle = $('#rd-pr-republish-notice');
 		var $debugToggle = $('#rd-pr-debug');
 		var $debugTimestampValue = $('#rd-pr-debug-timestamp-value');
 		var $debugTimestampContainer = $('#rd-pr-debug-timestamp-container');
@@ -35,8 +50,8 @@
 		// Field groups for enabling/disabling
 		var $wpCronGroup = $wpCronToggle.closest('.rd-pr-field-group');
 		var $postsPerDayGroup = $slider.closest('.rd-pr-field-group');
-		var $startTimeGroup = $startTime.closest('.rd-pr-field-group');
-		var $endTimeGroup = $endTime.closest('.rd-pr-field-group');
+		var $publishWindowsGroup = $publishWindows.closest('.rd-pr-field-group');
+		var $scheduleModeGroup = $scheduleMode.closest('.rd-pr-field-group');
 
 		/**
 		 * Tab Switching Logic
@@ -111,17 +126,34 @@
 			status: 'active',
 			wp_cron: 'active',
 			posts_per_day: '1',
-			publish_start_time: '9',
-			publish_end_time: '17',
+			interval_days: '1',
+			publish_windows: '["09:00-17:00"]',
+			schedule_mode: 'daily',
+			weekday_schedule: '',
+			min_post_age_days: '0',
+			republish_cooldown_days: '0',
+			selection_strategy: 'oldest_first',
+			manual_counts_toward_quota: 'inactive',
+			republish_mode: 'date',
+			republish_mode_post_types: '{}',
+			republish_notice: 'inactive',
 			debug_timestamp: '',
 			cron_secret_token: '',
 			at_active: 'inactive'
 		};
 
+		/**
+		 * Preferences as last loaded from the API
+		 */
+		var savedPreferences = [];
+
 		/**
 		 * Populate form fields with preferences data
 		 */
 		function populateFormFields(preferences) {
+			// Keep the saved values so unsaved changes can be discarded
+			savedPreferences = preferences;
+
 			// Create a lookup object for easier access
 			var prefLookup = {};
 			preferences.forEach(function(pref) {
@@ -141,33 +173,89 @@
 			$slider.val(postsPerDay);
 			$sliderValue.text(postsPerDay);
 
-			// Set Publish Start Time (default: 9)
-			var startTime = prefLookup.publish_start_time !== undefined ? prefLookup.publish_start_time : defaults.publish_start_time;
-			$startTime.val(startTime);
+			// Set the days the posts are spread over (default: 1, every day)
+			$intervalDays.val(prefLookup.interval_days !== undefined && prefLookup.interval_days !== '' ? prefLookup.interval_days : defaults.interval_days);
+
+			// Set Publishing windows, from the start and end hours saved before windows existed (default: 9am-5pm)
+			var publishWindows = parseWindows(prefLookup.publish_windows);
+			if (publishWindows === null && prefLookup.publish_start_time !== undefined && prefLookup.publish_end_time !== undefined) {
+				publishWindows = [hoursToWindow(prefLookup.publish_start_time, prefLookup.publish_end_time)];
+			}
+			renderWindows($publishWindows, publishWindows || parseWindows(defaults.publish_windows));
+
+			// Set Schedule mode (default: daily)
+			var scheduleMode = prefLookup.schedule_mode !== undefined ? prefLookup.schedule_mode : defaults.schedule_mode;
+			$scheduleMode.val(scheduleMode === 'weekday' ? 'weekday' : 'daily');
+
+			// Set Weekday schedule, starting from the daily values where a day has not been set
+			var weekdaySchedule = {};
+			try {
+				weekdaySchedule = JSON.parse(prefLookup.weekday_schedule || defaults.weekday_schedule || '{}') || {};
+			} catch (e) {
+				weekdaySchedule = {};
+			}
+			populateWeekdaySchedule(weekdaySchedule, {
+				enabled: true,
+				posts_per_day: postsPerDay,
+				publish_windows: getWindows($publishWindows)
+			});
+
+			// Set eligibility rules (default: 0, no restriction)
+			$minPostAge.val(prefLookup.min_post_age_days !== undefined && prefLookup.min_post_age_days !== '' ? prefLookup.min_post_age_days : defaults.min_post_age_days);
+			$cooldown.val(prefLookup.republish_cooldown_days !== undefined && prefLookup.republish_cooldown_days !== '' ? prefLookup.republish_cooldown_days : defaults.republish_cooldown_days);
+			refreshEligibleCount();
+
+			// Set Selection strategy (default: oldest first)
+			selectedStrategy = prefLookup.selection_strategy || defaults.selection_strategy;
+			$strategySelect.val(selectedStrategy);
+			refreshStrategySample();
+
+			// Set Manual republish quota toggle (default: inactive)
+			var manualQuota = prefLookup.manual_counts_toward_quota !== undefined ? prefLookup.manual_counts_toward_quota : defaults.manual_counts_toward_quota;
+			$manualQuotaToggle.prop('checked', manualQuota === 'active');
+
+			// Set Republish mode, for the site and for each post type (default: new publish date)
+			$republishMode.val(prefLookup.republish_mode || defaults.republish_mode);
+			if (!$republishMode.val()) {
+				$republishMode.val(defaults.republish_mode);
+			}
+
+			var postTypeModes = {};
+			try {
+				postTypeModes = JSON.parse(prefLookup.republish_mode_post_types || defaults.republish_mode_post_types) || {};
+			} catch (e) {
+				postTypeModes = {};
+			}
+			$postTypeModes.each(function() {
+				var $select = $(this);
+				$select.val(postTypeModes[$select.data('post-type')] || '');
+				if ($select.val() === null) {
+					$select.val('');
+				}
+			});
 
-			// Set Publish End Time (default: 17)
-			var endTime = prefLookup.publish_end_time !== undefined ? prefLookup.publish_end_time : defaults.publish_end_time;
-			$endTime.val(endTime);
+			// Set Republish notice toggle (default: inactive)
+			var republishNotice = prefLookup.republish_notice !== undefined ? prefLookup.republish_notice : defaults.republish_notice;
+			$republishNoticeToggle.prop('checked', republishNotice === 'active');
 
 			// Set Debug toggle based on debug_timestamp
 			var debugTimestamp = prefLookup.debug_timestamp !== undefined ? prefLookup.debug_timestamp : defaults.debug_timestamp;
 			var isDebugOn = false;
-			var debugDisplay = '';
+			var debugExpiry = '';
 
 			if (debugTimestamp && !isNaN(debugTimestamp)) {
 				var now = Math.floor(Date.now() / 1000);
 				var timestamp = parseInt(debugTimestamp, 10);
 				if (timestamp > now) {
 					isDebugOn = true;
-					// Format timestamp for display
-					var date = new Date(timestamp * 1000);
-					debugDisplay = date.toLocaleString();
+					// Expiry in the site's timezone, formatted below
+					debugExpiry = rdPrTime.fromTimestamp(timestamp * 1000);
 				}
 			}
 
 			$debugToggle.prop('checked', isDebugOn);
 			if (isDebugOn) {
-				$debugTimestampValue.text(debugDisplay);
+				$debugTimestampValue.text(rdPrTime.formatDateTime(debugExpiry, true)).attr('title', rdPrTime.getTitle(debugExpiry));
 				$debugTimestampContainer.show();
 			} else {
 				$debugTimestampContainer.hide();
@@ -192,25 +280,259 @@
 			toggleFieldsState();
 
 			// Load posting calendar after preferences are set
+			exitCalendarPreview();
 			loadPostingCalendar();
 		}
 
 		/**
-		 * Toggle fields enabled/disabled state based on Active checkbox
+		 * Read the post types that use their own republish mode, keyed by post type
+		 */
+		function getPostTypeModes() {
+			var modes = {};
+
+			$postTypeModes.each(function() {
+				var $select = $(this);
+				if ($select.val()) {
+					modes[$select.data('post-type')] = $select.val();
+				}
+			});
+
+			return modes;
+		}
+
+		/**
+		 * Populate the weekday schedule grid, using fallback values for days that are not set
+		 */
+		function populateWeekdaySchedule(schedule, fallback) {
+			$weekdayRows.each(function() {
+				var $row = $(this);
+				var day = schedule[$row.data('weekday')] || fallback;
+				var enabled = day.enabled === undefined ? fallback.enabled : !!day.enabled;
+
+				$row.find('.rd-pr-weekday-enabled').prop('checked', enabled);
+				$row.find('.rd-pr-weekday-posts').val(String(day.posts_per_day || fallback.posts_per_day));
+
+				var windows = parseWindows(day.publish_windows);
+				if (windows === null && day.publish_start_time && day.publish_end_time) {
+					windows = [hoursToWindow(day.publish_start_time, day.publish_end_time)];
+				}
+				renderWindows($row.find('.rd-pr-weekday-windows'), windows || fallback.publish_windows);
+			});
+		}
+
+		/**
+		 * Read the weekday schedule grid into an object keyed by weekday
+		 */
+		function getWeekdaySchedule() {
+			var schedule = {};
+
+			$weekdayRows.each(function() {
+				var $row = $(this);
+
+				schedule[$row.data('weekday')] = {
+					enabled: $row.find('.rd-pr-weekday-enabled').is(':checked'),
+					posts_per_day: parseInt($row.find('.rd-pr-weekday-posts').val(), 10),
+					publish_windows: getWindows($row.find('.rd-pr-weekday-windows'))
+				};
+			});
+
+			return schedule;
+		}
+
+		/**
+		 * Parse saved publishing windows, returning null when there are none
+		 */
+		function parseWindows(value) {
+			if (typeof value === 'string') {
+				try {
+					value = JSON.parse(value);
+				} catch (e) {
+					return null;
+				}
+			}
+
+			return $.isArray(value) && value.length > 0 ? value : null;
+		}
+
+		/**
+		 * Convert the whole-hour start and end saved before windows existed into a window
+		 */
+		function hoursToWindow(startHour, endHour) {
+			var pad = function(hour) {
+				return ('0' + parseInt(hour, 10)).slice(-2) + ':00';
+			};
+
+			return pad(startHour) + '-' + pad(endHour);
+		}
+
+		/**
+		 * Convert an hh:mm time into minutes from midnight
+		 */
+		function toMinutes(time) {
+			var parts = time.split(':');
+			return parseInt(parts[0], 10) * 60 + parseInt(parts[1], 10);
+		}
+
+		/**
+		 * Convert minutes from midnight into an hh:mm time
+		 */
+		function toTime(minutes) {
+			return ('0' + Math.floor(minutes / 60)).slice(-2) + ':' + ('0' + (minutes % 60)).slice(-2);
+		}
+
+		/**
+		 * Create the time pickers for one publishing window
+		 *
+		 * Time pickers cannot show 24:00, so midnight at the end of the day shows as 00:00.
+		 */
+		function createWindowRow(publishWindow) {
+			var parts = publishWindow.split('-');
+
+			return $('<div class="rd-pr-window"></div>')
+				.append($('<input type="time" class="rd-pr-input rd-pr-window-start" aria-label="Start">').val(parts[0]))
+				.append('<span class="rd-pr-window-separator">&ndash;</span>')
+				.append($('<input type="time" class="rd-pr-input rd-pr-window-end" aria-label="End">').val(parts[1] === '24:00' ? '00:00' : parts[1]))
+				.append('<button type="button" class="rd-pr-button rd-pr-remove-window" aria-label="Remove window">&times;</button>');
+		}
+
+		/**
+		 * Render a list of publishing windows with an Add window button
+		 */
+		function renderWindows($container, windows) {
+			$container.empty();
+
+			windows.forEach(function(publishWindow) {
+				$container.append(createWindowRow(publishWindow));
+			});
+
+			$container.append('<button type="button" class="rd-pr-button rd-pr-add-window">Add window</button>');
+			updateWindowControls($container);
+		}
+
+		/**
+		 * Only allow removing a window when there is more than one, and adding up to the maximum
+		 */
+		function updateWindowControls($container) {
+			var count = $container.find('.rd-pr-window').length;
+
+			$container.find('.rd-pr-remove-window').toggle(count > 1);
+			$container.find('.rd-pr-add-window').toggle(count < parseInt($container.data('max'), 10));
+		}
+
+		/**
+		 * Add a window of an hour after the last one, or 9am-5pm if that would pass midnight
+		 */
+		function addWindow($container) {
+			var last = getWindows($container).pop();
+			var start = last ? toMinutes(last.split('-')[1]) : NaN;
+			var publishWindow = !isNaN(start) && start + 60 <= 1440 ? toTime(start) + '-' + (start + 60 === 1440 ? '24:00' : toTime(start + 60)) : '09:00-17:00';
+
+			$container.find('.rd-pr-add-window').before(createWindowRow(publishWindow));
+			updateWindowControls($container);
+		}
+
+		/**
+		 * Read a list of publishing windows in hh:mm-hh:mm format
+		 */
+		function getWindows($container) {
+			return $container.find('.rd-pr-window').map(function() {
+				var end = $(this).find('.rd-pr-window-end').val();
+				return $(this).find('.rd-pr-window-start').val() + '-' + (end === '00:00' ? '24:00' : end);
+			}).get();
+		}
+
+		/**
+		 * Get the reason a list of publishing windows is invalid, or null if it is valid
+		 */
+		function getWindowsError(windows, postsPerDay) {
+			if (windows.length === 0) {
+				return 'Add at least one publishing window.';
+			}
+
+			var ranges = windows.map(function(publishWindow) {
+				var parts = publishWindow.split('-');
+				return [toMinutes(parts[0]), toMinutes(parts[1])];
+			}).sort(function(a, b) {
+				return a[0] - b[0];
+			});
+			var totalMinutes = 0;
+
+			for (var i = 0; i < ranges.length; i++) {
+				if (isNaN(ranges[i][0]) || isNaN(ranges[i][1])) {
+					return 'Enter a start and end time for every publishing window.';
+				}
+
+				if (ranges[i][1] - ranges[i][0] < 15) {
+					return 'Each publishing window must end at least 15 minutes after it starts.';
+				}
+
+				if (i > 0 && ranges[i][0] < ranges[i - 1][1]) {
+					return 'Publishing windows must not overlap.';
+				}
+
+				totalMinutes += ranges[i][1] - ranges[i][0];
+			}
+
+			if (totalMinutes < postsPerDay) {
+				return 'Publishing windows must cover at least ' + postsPerDay + ' minutes for ' + postsPerDay + ' posts a day.';
+			}
+
+			return null;
+		}
+
+		/**
+		 * Get the error message for the number of days posts are spread over, or null if valid
+		 */
+		function getIntervalDaysError(value) {
+			var max = parseInt($intervalDays.attr('max'), 10);
+
+			if (!/^\d+$/.test(value) || parseInt(value, 10) < 1 || parseInt(value, 10) > max) {
+				return 'Posts must be spread over a whole number of days between 1 and ' + max + '.';
+			}
+
+			return null;
+		}
+
+		/**
+		 * Check whether the per-weekday schedule is selected
+		 */
+		function isWeekdayMode() {
+			return $scheduleMode.val() === 'weekday';
+		}
+
+		/**
+		 * Toggle fields enabled/disabled state based on Active checkbox and schedule mode
 		 */
 		function toggleFieldsState() {
 			var isActive = $activeToggle.is(':checked');
+			var weekdayMode = isWeekdayMode();
 
 			$wpCronToggle.prop('disabled', !isActive);
+			$scheduleMode.prop('disabled', !isActive);
 			$slider.prop('disabled', !isActive);
-			$startTime.prop('disabled', !isActive);
-			$endTime.prop('disabled', !isActive);
+			$intervalDays.prop('disabled', !isActive);
+			$publishWindows.find(':input').prop('disabled', !isActive);
+
+			// Show either the daily fields or the weekday grid
+			$postsPerDayGroup.toggle(!weekdayMode);
+			$publishWindowsGroup.toggle(!weekdayMode);
+			$weekdayScheduleGroup.toggle(weekdayMode);
+
+			$weekdayRows.each(function() {
+				var $row = $(this);
+				var dayEnabled = $row.find('.rd-pr-weekday-enabled').is(':checked');
+
+				$row.find('.rd-pr-weekday-enabled').prop('disabled', !isActive);
+				$row.find('select, .rd-pr-weekday-windows :input').prop('disabled', !isActive || !dayEnabled);
+				$row.toggleClass('rd-pr-weekday-off', !dayEnabled);
+			});
 
 			// Toggle visual disabled state on field groups
 			$wpCronGroup.toggleClass('rd-pr-field-disabled', !isActive);
+			$scheduleModeGroup.toggleClass('rd-pr-field-disabled', !isActive);
 			$postsPerDayGroup.toggleClass('rd-pr-field-disabled', !isActive);
-			$startTimeGroup.toggleClass('rd-pr-field-disabled', !isActive);
-			$endTimeGroup.toggleClass('rd-pr-field-disabled', !isActive);
+			$publishWindowsGroup.toggleClass('rd-pr-field-disabled', !isActive);
+			$weekdayScheduleGroup.toggleClass('rd-pr-field-disabled', !isActive);
 
 			// Revalidate when toggling
 			if (isActive) {
@@ -221,14 +543,21 @@
 		}
 
 		/**
-		 * Validate that end time is later than start time
+		 * Validate the publishing windows
 		 */
 		function validateTimeRange() {
-			var startValue = parseInt($startTime.val(), 10);
-			var endValue = parseInt($endTime.val(), 10);
+			if (isWeekdayMode()) {
+				return validateWeekdayTimeRanges();
+			}
+
+			var error = getIntervalDaysError($intervalDays.val());
+
+			if (error === null) {
+				error = getWindowsError(getWindows($publishWindows), parseInt($slider.val(), 10));
+			}
 
-			if (startValue >= endValue) {
-				showValidationError('Publish End Time must be later than Publish Start Time.');
+			if (error !== null) {
+				showValidationError(error);
 				return false;
 			} else {
 				hideValidationError();
@@ -236,6 +565,57 @@
 			}
 		}
 
+		/**
+		 * Validate the publishing windows of every enabled weekday
+		 */
+		function validateWeekdayTimeRanges() {
+			var invalidDay = null;
+			var error = null;
+
+			$weekdayRows.each(function() {
+				var $row = $(this);
+
+				if (!$row.find('.rd-pr-weekday-enabled').is(':checked')) {
+					return;
+				}
+
+				error = getWindowsError(getWindows($row.find('.rd-pr-weekday-windows')), parseInt($row.find('.rd-pr-weekday-posts').val(), 10));
+
+				if (error !== null) {
+					invalidDay = $row.find('.rd-pr-weekday-name').text();
+					return false;
+				}
+			});
+
+			if (invalidDay !== null) {
+				showValidationError(invalidDay + ': ' + error);
+				return false;
+			}
+
+			hideValidationError();
+			return true;
+		}
+
+		/**
+		 * Validate that the eligibility rules are whole numbers of days
+		 */
+		function validateRules() {
+			var valid = true;
+
+			[$minPostAge, $cooldown].forEach(function($input) {
+				var value = $input.val();
+				if (!/^\d+$/.test(value) || parseInt(value, 10) > 3650) {
+					valid = false;
+				}
+			});
+
+			if (!valid) {
+				showValidationError('Minimum Post Age and Republish Cooldown must be whole numbers of days between 0 and 3650.');
+			}
+
+			return valid;
+		}
+
 		/**
 		 * Show validation error message
 		 */
@@ -274,9 +654,45 @@
 		// Active toggle change handler
 		$activeToggle.on('change', toggleFieldsState);
 
-		// Time dropdowns change handler
-		$startTime.on('change', validateTimeRange);
-		$endTime.on('change', validateTimeRange);
+		// Publishing window handlers, delegated as windows are added and removed
+		$form.on('click', '.rd-pr-add-window', function() {
+			addWindow($(this).closest('.rd-pr-windows'));
+			validateTimeRange();
+			scheduleCalendarPreview();
+		});
+		$form.on('click', '.rd-pr-remove-window', function() {
+			var $container = $(this).closest('.rd-pr-windows');
+			$(this).closest('.rd-pr-window').remove();
+			updateWindowControls($container);
+			validateTimeRange();
+			scheduleCalendarPreview();
+		});
+		$form.on('change', '.rd-pr-window input', function() {
+			validateTimeRange();
+			scheduleCalendarPreview();
+		});
+
+		// Schedule mode and weekday grid change handlers
+		$scheduleMode.on('change', toggleFieldsState);
+		$weekdayRows.find('.rd-pr-weekday-enabled').on('change', toggleFieldsState);
+
+		// Eligibility rule change handlers
+		$minPostAge.on('input', scheduleEligibleCount);
+		$cooldown.on('input', scheduleEligibleCount);
+		$slider.on('input', updateEligibleWarning);
+		$intervalDays.on('input', updateEligibleWarning);
+		$strategySelect.on('change', function() {
+			selectedStrategy = $strategySelect.val();
+			refreshStrategySample();
+		});
+		$scheduleMode.on('change', updateEligibleWarning);
+		$weekdayRows.find('input, select').on('change', updateEligibleWarning);
+
+		// Preview the calendar against unsaved schedule values
+		$slider.on('input', scheduleCalendarPreview);
+		$intervalDays.on('input', scheduleCalendarPreview);
+		$scheduleMode.on('change', scheduleCalendarPreview);
+		$weekdayRows.find('input, select').on('change', scheduleCalendarPreview);
 
 		/**
 		 * Update license UI state based on registration status
@@ -441,37 +857,35 @@
 
 		// Generate Token button handler
 		$generateTokenButton.on('click', function() {
-			generateNewToken($(this), function(token) {
+			generateNewToken($(this), rdPrSettings.restUrl + '/generate_token', 'POST', function(token) {
 				$cronTokenInput.val(token);
-				$atDisplayInput.val(token);
 				showSuccessMessage('New token generated. Don\'t forget to Save settings.');
 			});
 		});
 
-		// Generate Access Token button handler
+		// Generate Access Token button handler (the authentication API saves it)
 		$generateAtTokenButton.on('click', function() {
-			generateNewToken($(this), function(token) {
+			generateNewToken($(this), rdPrSettings.authenticationUrl + '/generate', 'GET', function(token) {
 				$atDisplayInput.val(token);
-				$cronTokenInput.val(token);
-				showSuccessMessage('New access token generated. Don\'t forget to Save settings.');
+				showSuccessMessage('New access token generated.');
 			});
 		});
 
 		/**
 		 * Helper to generate a new token via API
 		 */
-		function generateNewToken($btn, successCallback) {
+		function generateNewToken($btn, url, method, successCallback) {
 			var originalText = $btn.text();
 			$btn.prop('disabled', true).text('Generating...');
 
 			$.ajax({
-				url: rdPrSettings.restUrl + '/generate_token',
-				method: 'POST',
+				url: url,
+				method: method,
 				beforeSend: function(xhr) {
 					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
 				},
 				success: function(response) {
-					if (response.success && response.token) {
+					if (response && response.token) {
 						successCallback(response.token);
 					} else {
 						showValidationError('Failed to generate token.');
@@ -491,7 +905,7 @@
 		 */
 		function fetchAndPopulateAccessToken() {
 			$.ajax({
-				url: rdPrSettings.restUrl.replace('/preferences', '/authentication') + '/retrieve',
+				url: rdPrSettings.authenticationUrl + '/retrieve',
 				method: 'GET',
 				beforeSend: function(xhr) {
 					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
@@ -507,143 +921,1503 @@
 			});
 		}
 
-		// Initialize state on page load
-		toggleFieldsState();
+		// =====================================================
+		// API token functionality
+		// =====================================================
 
-		// Fetch preferences from API on page load
-		fetchPreferences();
+		var $tokensBody = $('#rd-pr-tokens-tbody');
+		var $tokenScopes = $('#rd-pr-token-scopes');
 
-		// Fetch license status on page load
-		fetchLicenseStatus();
+		/**
+		 * Get the label of a scope from its checkbox
+		 */
+		function getScopeLabel(scope) {
+			var $input = $tokenScopes.find('input[value="' + scope + '"]');
+			return $input.length ? $.trim($input.parent().text()) : scope;
+		}
 
 		/**
-		 * Save preferences to the API
+		 * Render the list of API tokens
 		 */
-		function savePreferences() {
-			var $saveButton = $('#rd-pr-save-settings');
-			var originalText = $saveButton.text();
+		function renderTokens(tokens) {
+			if (tokens.length === 0) {
+				$tokensBody.html('<tr class="rd-pr-tokens-empty"><td colspan="7">No API tokens.</td></tr>');
+				return;
+			}
 
-			// Disable button and show saving state
-			$saveButton.prop('disabled', true).text('Saving...');
+			var html = '';
 
-			// Build preferences payload
-			var preferences = [
-				{
-					key: 'status',
-					value: $activeToggle.is(':checked') ? 'active' : 'inactive'
-				},
-				{
-					key: 'wp_cron',
-					value: $wpCronToggle.is(':checked') ? 'active' : 'inactive'
-				},
-				{
-					key: 'posts_per_day',
-					value: $slider.val()
-				},
-				{
-					key: 'publish_start_time',
-					value: $startTime.val()
-				},
-				{
-					key: 'publish_end_time',
-					value: $endTime.val()
-				},
-				{
-					key: 'debug_timestamp',
-					value: $debugToggle.is(':checked') ? Math.floor(Date.now() / 1000 + 12 * 3600).toString() : ''
+			tokens.forEach(function(token) {
+				html += '<tr' + (token.expired ? ' class="rd-pr-token-expired"' : '') + '>';
+				html += '<td>' + escapeHtml(token.name) + '</td>';
+				html += '<td><code>' + escapeHtml(token.token_prefix) + '&hellip;</code></td>';
+				html += '<td>' + escapeHtml(token.scopes.map(getScopeLabel).join(', ')) + '</td>';
+				html += '<td>' + formatPostDateHtml(token.created_at) + '</td>';
+				html += '<td>' + (token.last_used_at ? formatPostDateHtml(token.last_used_at) : 'Never') + '</td>';
+				html += '<td>' + (token.expires_at ? rdPrTime.wrap(token.expires_at, rdPrTime.formatDate(token.expires_at)) + (token.expired ? ' (expired)' : '') : 'Never') + '</td>';
+				html += '<td><button type="button" class="rd-pr-button rd-pr-revoke-token" data-id="' + escapeHtml(token.id) + '">Revoke</button></td>';
+				html += '</tr>';
+			});
+
+			$tokensBody.html(html);
+		}
+
+		/**
+		 * Fetch the API tokens
+		 */
+		function fetchTokens() {
+			$.ajax({
+				url: rdPrSettings.authenticationUrl + '/tokens',
+				method: 'GET',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
 				},
-				{
-					key: 'cron_secret_token',
-					value: $cronTokenInput.val()
+				success: function(response) {
+					renderTokens(response.data || []);
 				},
-				{
-					key: 'at_active',
-					value: $atActiveToggle.is(':checked') ? 'active' : 'inactive'
+				error: function() {
+					$tokensBody.html('<tr class="rd-pr-tokens-empty"><td colspan="7">Failed to load API tokens.</td></tr>');
 				}
-			];
+			});
+		}
+
+		$('#rd-pr-create-token').on('click', function() {
+			var $btn = $(this);
+			var scopes = $tokenScopes.find('input:checked').map(function() {
+				return this.value;
+			}).get();
+
+			hideValidationError();
+
+			if ($.trim($('#rd-pr-token-name').val()) === '') {
+				showValidationError('Please enter a name for the token.');
+				return;
+			}
+
+			if (scopes.length === 0) {
+				showValidationError('Please select at least one scope.');
+				return;
+			}
+
+			var data = {
+				name: $.trim($('#rd-pr-token-name').val()),
+				scopes: scopes
+			};
+
+			if ($('#rd-pr-token-expires').val()) {
+				data.expires_at = $('#rd-pr-token-expires').val();
+			}
+
+			$btn.prop('disabled', true);
 
 			$.ajax({
-				url: rdPrSettings.restUrl + '/update',
+				url: rdPrSettings.authenticationUrl + '/createtoken',
 				method: 'POST',
 				beforeSend: function(xhr) {
 					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
 				},
 				contentType: 'application/json',
-				data: JSON.stringify({ preferences: preferences }),
+				data: JSON.stringify(data),
 				success: function(response) {
-			if (response.success) {
-				showSuccessMessage('Settings saved successfully.');
-				// Refresh the posting calendar with new settings
-				loadPostingCalendar();
-				// Re-fetch preferences to update debug timestamp display
-				fetchPreferences();
-			} else {
-				showValidationError(response.message || 'Failed to save settings.');
-			}
-		},
-				error: function(xhr, status, error) {
-					var message = 'Failed to save settings.';
-					if (xhr.responseJSON && xhr.responseJSON.message) {
+					$('#rd-pr-new-token').val(response.token);
+					$('#rd-pr-new-token-container').show();
+					$('#rd-pr-token-name, #rd-pr-token-expires').val('');
+					$tokenScopes.find('input').prop('checked', false);
+					fetchTokens();
+				},
+				error: function(xhr) {
+					var message = 'Failed to create token.';
+					if (xhr.responseJSON && xhr.responseJSON.errors) {
+						message = xhr.responseJSON.errors.join(' ');
+					} else if (xhr.responseJSON && xhr.responseJSON.message) {
 						message = xhr.responseJSON.message;
 					}
 					showValidationError(message);
 				},
 				complete: function() {
-					// Re-enable button and restore text
-					$saveButton.prop('disabled', false).text(originalText);
+					$btn.prop('disabled', false);
 				}
 			});
-		}
+		});
 
-		/**
+		$tokensBody.on('click', '.rd-pr-revoke-token', function() {
+			var $btn = $(this);
+			var name = $btn.closest('tr').find('td').first().text();
+
+			if (!window.confirm('Revoke the token "' + name + '"? Anything using it will stop working.')) {
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			$.ajax({
+				url: rdPrSettings.authenticationUrl + '/revoketoken',
+				method: 'POST',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: JSON.stringify({ id: $btn.data('id') }),
+				success: function() {
+					showSuccessMessage('Token revoked.');
+					fetchTokens();
+				},
+				error: function() {
+					$btn.prop('disabled', false);
+					showValidationError('Failed to revoke token.');
+				}
+			});
+		});
+
+		// Fetch API tokens on page load
+		fetchTokens();
+
+		// =====================================================
+		// Webhooks functionality
+		// =====================================================
+
+		var $webhooksBody = $('#rd-pr-webhooks-tbody');
+		var $deliveriesBody = $('#rd-pr-deliveries-tbody');
+		var $webhookEvents = $('#rd-pr-webhook-events');
+
+		/**
+		 * Send a request to the webhooks API
+		 */
+		function webhookRequest(endpoint, method, data) {
+			return $.ajax({
+				url: rdPrSettings.webhooksUrl + endpoint,
+				method: method,
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: method === 'GET' ? undefined : JSON.stringify(data)
+			});
+		}
+
+		/**
+		 * Get the label of an event from its checkbox
+		 */
+		function getEventLabel(event) {
+			var $input = $webhookEvents.find('input[value="' + event + '"]');
+			return $input.length ? $.trim($input.parent().text()) : event;
+		}
+
+		/**
+		 * Render the list of webhooks
+		 */
+		function renderWebhooks(webhooks) {
+			if (webhooks.length === 0) {
+				$webhooksBody.html('<tr class="rd-pr-webhooks-empty"><td colspan="5">No webhooks.</td></tr>');
+				return;
+			}
+
+			var html = '';
+
+			webhooks.forEach(function(webhook) {
+				html += '<tr>';
+				html += '<td>' + escapeHtml(webhook.url) + '</td>';
+				html += '<td>' + escapeHtml(webhook.events.map(getEventLabel).join(', ')) + '</td>';
+				html += '<td><input type="text" class="rd-pr-input" value="' + escapeHtml(webhook.secret) + '" readonly></td>';
+				html += '<td>' + formatPostDateHtml(webhook.created_at) + '</td>';
+				html += '<td><button type="button" class="rd-pr-button rd-pr-remove-webhook" data-id="' + escapeHtml(webhook.id) + '">Remove</button></td>';
+				html += '</tr>';
+			});
+
+			$webhooksBody.html(html);
+		}
+
+		/**
+		 * Render the delivery log
+		 */
+		function renderDeliveries(deliveries) {
+			if (deliveries.length === 0) {
+				$deliveriesBody.html('<tr class="rd-pr-webhooks-empty"><td colspan="7">No deliveries yet.</td></tr>');
+				return;
+			}
+
+			var html = '';
+
+			deliveries.forEach(function(delivery) {
+				var status = escapeHtml(delivery.status);
+				var response = delivery.response_code ? delivery.response_code + ' ' + (delivery.response_message || '') : (delivery.response_message || '');
+
+				if (delivery.status === 'retrying' && delivery.next_attempt_at) {
+					status += ' (next ' + formatPostDateHtml(delivery.next_attempt_at) + ')';
+				}
+
+				html += '<tr>';
+				html += '<td>' + formatPostDateHtml(delivery.created_at) + '</td>';
+				html += '<td>' + escapeHtml(delivery.url) + '</td>';
+				html += '<td>' + escapeHtml(getEventLabel(delivery.event)) + '</td>';
+				html += '<td><span class="rd-pr-delivery-status rd-pr-delivery-status-' + escapeHtml(delivery.status) + '">' + status + '</span></td>';
+				html += '<td>' + escapeHtml(delivery.attempts) + '</td>';
+				html += '<td>' + escapeHtml(response) + '</td>';
+				html += '<td><button type="button" class="rd-pr-button rd-pr-redeliver" data-id="' + escapeHtml(delivery.id) + '">Redeliver</button></td>';
+				html += '</tr>';
+			});
+
+			$deliveriesBody.html(html);
+		}
+
+		/**
+		 * Fetch the webhooks
+		 */
+		function fetchWebhooks() {
+			webhookRequest('/retrieve', 'GET')
+				.done(function(response) {
+					renderWebhooks(response.data || []);
+				})
+				.fail(function() {
+					$webhooksBody.html('<tr class="rd-pr-webhooks-empty"><td colspan="5">Failed to load webhooks.</td></tr>');
+				});
+		}
+
+		/**
+		 * Fetch the delivery log
+		 */
+		function fetchDeliveries() {
+			webhookRequest('/deliveries', 'GET')
+				.done(function(response) {
+					renderDeliveries(response.data || []);
+				})
+				.fail(function() {
+					$deliveriesBody.html('<tr class="rd-pr-webhooks-empty"><td colspan="7">Failed to load deliveries.</td></tr>');
+				});
+		}
+
+		$('#rd-pr-add-webhook').on('click', function() {
+			var $btn = $(this);
+			var url = $.trim($('#rd-pr-webhook-url').val());
+			var events = $webhookEvents.find('input:checked').map(function() {
+				return this.value;
+			}).get();
+
+			hideValidationError();
+
+			if (url === '') {
+				showValidationError('Please enter the webhook URL.');
+				return;
+			}
+
+			if (events.length === 0) {
+				showValidationError('Please select at least one event.');
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			webhookRequest('/add', 'POST', { url: url, events: events })
+				.done(function() {
+					$('#rd-pr-webhook-url').val('');
+					$webhookEvents.find('input').prop('checked', false);
+					showSuccessMessage('Webhook added.');
+					fetchWebhooks();
+				})
+				.fail(function(xhr) {
+					var message = 'Failed to add webhook.';
+					if (xhr.responseJSON && xhr.responseJSON.errors) {
+						message = xhr.responseJSON.errors.join(' ');
+					} else if (xhr.responseJSON && xhr.responseJSON.message) {
+						message = xhr.responseJSON.message;
+					}
+					showValidationError(message);
+				})
+				.always(function() {
+					$btn.prop('disabled', false);
+				});
+		});
+
+		$webhooksBody.on('click', '.rd-pr-remove-webhook', function() {
+			var $btn = $(this);
+
+			if (!window.confirm('Remove this webhook and its delivery log?')) {
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			webhookRequest('/remove', 'POST', { id: $btn.data('id') })
+				.done(function() {
+					showSuccessMessage('Webhook removed.');
+					fetchWebhooks();
+					fetchDeliveries();
+				})
+				.fail(function() {
+					$btn.prop('disabled', false);
+					showValidationError('Failed to remove webhook.');
+				});
+		});
+
+		$deliveriesBody.on('click', '.rd-pr-redeliver', function() {
+			var $btn = $(this);
+			$btn.prop('disabled', true);
+
+			webhookRequest('/redeliver', 'POST', { id: $btn.data('id') })
+				.done(function(response) {
+					var delivered = response.data && response.data.status === 'success';
+					showSuccessMessage(delivered ? 'Redelivered successfully.' : 'Redelivery failed, it will be retried.');
+					fetchDeliveries();
+				})
+				.fail(function() {
+					$btn.prop('disabled', false);
+					showValidationError('Failed to redeliver.');
+				});
+		});
+
+		$('#rd-pr-refresh-deliveries').on('click', fetchDeliveries);
+
+		// Fetch webhooks and their deliveries on page load
+		fetchWebhooks();
+		fetchDeliveries();
+
+		// =====================================================
+		// Notifications functionality
+		// =====================================================
+
+		var $notificationEvents = $('#rd-pr-notification-events');
+
+		/**
+		 * Send a request to the notifications API
+		 */
+		function notificationRequest(endpoint, method, data) {
+			return $.ajax({
+				url: rdPrSettings.notificationsUrl + endpoint,
+				method: method,
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: method === 'GET' ? undefined : JSON.stringify(data)
+			});
+		}
+
+		/**
+		 * Get the recipients entered, one per line
+		 */
+		function getNotificationRecipients() {
+			return $('#rd-pr-notification-recipients').val().split(/[\r\n,]+/).map($.trim).filter(function(recipient) {
+				return recipient !== '';
+			});
+		}
+
+		/**
+		 * Get the message of a failed notifications request
+		 */
+		function getNotificationError(xhr, fallback) {
+			if (xhr.responseJSON && xhr.responseJSON.errors) {
+				return xhr.responseJSON.errors.join(' ');
+			}
+
+			if (xhr.responseJSON && xhr.responseJSON.message) {
+				return xhr.responseJSON.message;
+			}
+
+			return fallback;
+		}
+
+		/**
+		 * Fill the form from the saved settings
+		 */
+		function renderNotificationSettings(settings) {
+			$('#rd-pr-notification-recipients').val(settings.recipients.join('\n'));
+			$notificationEvents.find('input').each(function() {
+				$(this).prop('checked', settings.events.indexOf(this.value) !== -1);
+			});
+			$('#rd-pr-notification-digest').val(settings.digest);
+		}
+
+		$('#rd-pr-notifications-form').on('submit', function(e) {
+			e.preventDefault();
+
+			var $btn = $('#rd-pr-save-notifications');
+			var settings = {
+				recipients: getNotificationRecipients(),
+				events: $notificationEvents.find('input:checked').map(function() {
+					return this.value;
+				}).get(),
+				digest: $('#rd-pr-notification-digest').val()
+			};
+
+			hideValidationError();
+
+			if (settings.recipients.length === 0 && (settings.events.length > 0 || settings.digest !== 'off')) {
+				showValidationError('Please enter at least one recipient.');
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			notificationRequest('/save', 'POST', { settings: settings })
+				.done(function(response) {
+					renderNotificationSettings(response.settings);
+					showSuccessMessage('Notification settings saved.');
+				})
+				.fail(function(xhr) {
+					showValidationError(getNotificationError(xhr, 'Failed to save notification settings.'));
+				})
+				.always(function() {
+					$btn.prop('disabled', false);
+				});
+		});
+
+		$('#rd-pr-test-notification').on('click', function() {
+			var $btn = $(this);
+			var recipients = getNotificationRecipients();
+
+			hideValidationError();
+
+			if (recipients.length === 0) {
+				showValidationError('Please enter at least one recipient.');
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			notificationRequest('/test', 'POST', { recipients: recipients })
+				.done(function() {
+					showSuccessMessage('Test email sent.');
+				})
+				.fail(function(xhr) {
+					showValidationError(getNotificationError(xhr, 'Failed to send test email.'));
+				})
+				.always(function() {
+					$btn.prop('disabled', false);
+				});
+		});
+
+		// Fetch notification settings on page load
+		notificationRequest('/retrieve', 'GET')
+			.done(function(response) {
+				renderNotificationSettings(response.settings);
+			})
+			.fail(function() {
+				showValidationError('Failed to load notification settings.');
+			});
+
+		// =====================================================
+		// IndexNow functionality
+		// =====================================================
+
+		var $indexnowKey = $('#rd-pr-indexnow-key');
+		var $indexnowKeyLocation = $('#rd-pr-indexnow-key-location');
+
+		/**
+		 * Send a request to the IndexNow API
+		 */
+		function indexnowRequest(endpoint, method, data) {
+			return $.ajax({
+				url: rdPrSettings.indexnowUrl + endpoint,
+				method: method,
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: method === 'GET' ? undefined : JSON.stringify(data)
+			});
+		}
+
+		/**
+		 * Get the message of a failed IndexNow request
+		 */
+		function getIndexnowError(xhr, fallback) {
+			if (xhr.responseJSON && xhr.responseJSON.errors) {
+				return xhr.responseJSON.errors.join(' ');
+			}
+
+			if (xhr.responseJSON && xhr.responseJSON.message) {
+				return xhr.responseJSON.message;
+			}
+
+			return fallback;
+		}
+
+		/**
+		 * Fill the form from the saved settings
+		 */
+		function renderIndexnowSettings(settings, keyLocation) {
+			$('#rd-pr-indexnow-enabled').prop('checked', settings.enabled);
+			$('#rd-pr-indexnow-endpoint').val(settings.endpoint);
+			$indexnowKey.val(settings.key);
+			$indexnowKeyLocation.text(keyLocation || '\u2013');
+		}
+
+		$('#rd-pr-indexnow-form').on('submit', function(e) {
+			e.preventDefault();
+
+			var $btn = $('#rd-pr-save-indexnow');
+			var settings = {
+				enabled: $('#rd-pr-indexnow-enabled').is(':checked'),
+				endpoint: $.trim($('#rd-pr-indexnow-endpoint').val()),
+				key: $.trim($indexnowKey.val())
+			};
+
+			hideValidationError();
+
+			if (settings.enabled && settings.key === '') {
+				showValidationError('Please enter or generate a key.');
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			indexnowRequest('/save', 'POST', { settings: settings })
+				.done(function() {
+					showSuccessMessage('IndexNow settings saved.');
+					fetchIndexnowSettings();
+				})
+				.fail(function(xhr) {
+					showValidationError(getIndexnowError(xhr, 'Failed to save IndexNow settings.'));
+				})
+				.always(function() {
+					$btn.prop('disabled', false);
+				});
+		});
+
+		$('#rd-pr-generate-indexnow-key').on('click', function() {
+			var $btn = $(this);
+
+			$btn.prop('disabled', true);
+
+			indexnowRequest('/generate', 'POST', {})
+				.done(function(response) {
+					$indexnowKey.val(response.key);
+					$indexnowKeyLocation.text(response.key_location);
+					showSuccessMessage('New key generated. Don\'t forget to Save.');
+				})
+				.fail(function(xhr) {
+					showValidationError(getIndexnowError(xhr, 'Failed to generate a key.'));
+				})
+				.always(function() {
+					$btn.prop('disabled', false);
+				});
+		});
+
+		$('#rd-pr-test-indexnow').on('click', function() {
+			var $btn = $(this);
+			var key = $.trim($indexnowKey.val());
+
+			hideValidationError();
+
+			if (key === '') {
+				showValidationError('Please enter or generate a key.');
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			// Test what is in the form, which search engines can only verify once the key is saved
+			indexnowRequest('/test', 'POST', { endpoint: $.trim($('#rd-pr-indexnow-endpoint').val()), key: key })
+				.done(function(response) {
+					showSuccessMessage('Test submission accepted (HTTP ' + response.response_code + ').');
+				})
+				.fail(function(xhr) {
+					showValidationError(getIndexnowError(xhr, 'Failed to send test submission.'));
+				})
+				.always(function() {
+					$btn.prop('disabled', false);
+				});
+		});
+
+		/**
+		 * Fetch the saved IndexNow settings
+		 */
+		function fetchIndexnowSettings() {
+			indexnowRequest('/retrieve', 'GET')
+				.done(function(response) {
+					renderIndexnowSettings(response.settings, response.key_location);
+				})
+				.fail(function() {
+					showValidationError('Failed to load IndexNow settings.');
+				});
+		}
+
+		// Fetch IndexNow settings on page load
+		fetchIndexnowSettings();
+
+		// Initialize state on page load
+		toggleFieldsState();
+
+		// Fetch preferences from API on page load
+		fetchPreferences();
+
+		// Fetch license status on page load
+		fetchLicenseStatus();
+
+		/**
+		 * Save preferences to the API
+		 */
+		function savePreferences() {
+			var $saveButton = $('#rd-pr-save-settings');
+			var originalText = $saveButton.text();
+
+			// Disable button and show saving state
+			$saveButton.prop('disabled', true).text('Saving...');
+
+			// Build preferences payload
+			var preferences = [
+				{
+					key: 'status',
+					value: $activeToggle.is(':checked') ? 'active' : 'inactive'
+				},
+				{
+					key: 'wp_cron',
+					value: $wpCronToggle.is(':checked') ? 'active' : 'inactive'
+				},
+				{
+					key: 'posts_per_day',
+					value: $slider.val()
+				},
+				{
+					key: 'interval_days',
+					value: $intervalDays.val()
+				},
+				{
+					key: 'publish_windows',
+					value: JSON.stringify(getWindows($publishWindows))
+				},
+				{
+					key: 'schedule_mode',
+					value: $scheduleMode.val()
+				},
+				{
+					key: 'weekday_schedule',
+					value: JSON.stringify(getWeekdaySchedule())
+				},
+				{
+					key: 'min_post_age_days',
+					value: $minPostAge.val()
+				},
+				{
+					key: 'republish_cooldown_days',
+					value: $cooldown.val()
+				},
+				{
+					key: 'selection_strategy',
+					value: selectedStrategy
+				},
+				{
+					key: 'manual_counts_toward_quota',
+					value: $manualQuotaToggle.is(':checked') ? 'active' : 'inactive'
+				},
+				{
+					key: 'republish_mode',
+					value: $republishMode.val()
+				},
+				{
+					key: 'republish_mode_post_types',
+					value: JSON.stringify(getPostTypeModes())
+				},
+				{
+					key: 'republish_notice',
+					value: $republishNoticeToggle.is(':checked') ? 'active' : 'inactive'
+				},
+				{
+					key: 'debug_timestamp',
+					value: $debugToggle.is(':checked') ? Math.floor(Date.now() / 1000 + 12 * 3600).toString() : ''
+				},
+				{
+					key: 'cron_secret_token',
+					value: $cronTokenInput.val()
+				},
+				{
+					key: 'at_active',
+					value: $atActiveToggle.is(':checked') ? 'active' : 'inactive'
+				}
+			];
+
+			$.ajax({
+				url: rdPrSettings.restUrl + '/update',
+				method: 'POST',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: JSON.stringify({ preferences: preferences }),
+				success: function(response) {
+			if (response.success) {
+				showSuccessMessage('Settings saved successfully.');
+				// Refresh the posting calendar with new settings
+				exitCalendarPreview();
+				loadPostingCalendar();
+				// Re-fetch preferences to update debug timestamp display
+				fetchPreferences();
+			} else {
+				showValidationError(response.message || 'Failed to save settings.');
+			}
+		},
+				error: function(xhr, status, error) {
+					var message = 'Failed to save settings.';
+					if (xhr.responseJSON && xhr.responseJSON.message) {
+						message = xhr.responseJSON.message;
+					}
+					showValidationError(message);
+				},
+				complete: function() {
+					// Re-enable button and restore text
+					$saveButton.prop('disabled', false).text(originalText);
+				}
+			});
+		}
+
+		/**
 		 * Show success message
 		 */
-		function showSuccessMessage(message) {
-			hideValidationError();
-			var $activeTab = $('.rd-pr-tab-content.rd-pr-tab-active');
-			var $success = $activeTab.find('.rd-pr-success-message');
+		function showSuccessMessage(message) {
+			hideValidationError();
+			var $activeTab = $('.rd-pr-tab-content.rd-pr-tab-active');
+			var $success = $activeTab.find('.rd-pr-success-message');
+
+			if ($success.length === 0) {
+				$success = $('<div class="rd-pr-success-message"></div>');
+				var $target = $activeTab.find('.rd-pr-submit-group');
+				if ($target.length === 0) {
+					// Fallback for tabs without a submit group
+					$target = $activeTab.find('.rd-pr-form, .rd-pr-field-group').last();
+				}
+				$target.before($success);
+			}
+
+			$success.text(message).show();
+
+			// Auto-hide after 3 seconds
+			setTimeout(function() {
+				$success.fadeOut();
+			}, 3000);
+		}
+
+		// Form submission
+		$form.on('submit', function(e) {
+			e.preventDefault();
+
+			// Hide any existing success message
+			$('#rd-pr-success-message').hide();
+
+			// Only validate time range if active
+			if ($activeToggle.is(':checked')) {
+				if (!validateTimeRange()) {
+					return false;
+				}
+			}
+
+			if (!validateRules()) {
+				return false;
+			}
+
+			// Save preferences to API
+			savePreferences();
+		});
+
+		// =====================================================
+		// Eligible posts functionality
+		// =====================================================
+
+		var eligibleCountTimer = null;
+		var lastEligibleCount = null;
+
+		/**
+		 * Get the largest number of posts scheduled on a single day by the form values
+		 */
+		function getScheduledPostsPerDay() {
+			if (!isWeekdayMode()) {
+				return Math.ceil(parseInt($slider.val(), 10) / (parseInt($intervalDays.val(), 10) || 1));
+			}
+
+			var max = 0;
+
+			$.each(getWeekdaySchedule(), function(weekday, day) {
+				if (day.enabled) {
+					max = Math.max(max, day.posts_per_day);
+				}
+			});
+
+			return max;
+		}
+
+		/**
+		 * Warn when fewer posts are eligible than one day of the schedule needs
+		 */
+		function updateEligibleWarning() {
+			var postsPerDay = getScheduledPostsPerDay();
+
+			if (lastEligibleCount === null || lastEligibleCount >= postsPerDay) {
+				$eligibleWarning.hide();
+				return;
+			}
+
+			$eligibleWarning.text('Only ' + lastEligibleCount + ' post' + (lastEligibleCount === 1 ? '' : 's') + ' currently pass these rules, fewer than the ' + postsPerDay + ' scheduled per day. Some slots will have nothing to republish.').show();
+		}
+
+		/**
+		 * Fetch the number of posts that pass the content filters and the unsaved eligibility rules
+		 */
+		function refreshEligibleCount() {
+			var minPostAge = $minPostAge.val();
+			var cooldown = $cooldown.val();
+
+			// Wait for valid input before counting
+			if (!/^\d+$/.test(minPostAge) || !/^\d+$/.test(cooldown)) {
+				return;
+			}
+
+			$.ajax({
+				url: rdPrSettings.contentUrl + '/count',
+				method: 'POST',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: JSON.stringify({
+					rules: {
+						min_post_age_days: parseInt(minPostAge, 10),
+						republish_cooldown_days: parseInt(cooldown, 10)
+					}
+				}),
+				success: function(response) {
+					lastEligibleCount = response.success ? response.eligible_count : null;
+					$eligibleCount.text(lastEligibleCount === null ? '\u2013' : lastEligibleCount);
+					$eligibleCount.toggleClass('rd-pr-content-count-empty', lastEligibleCount === 0);
+					updateEligibleWarning();
+				},
+				error: function() {
+					lastEligibleCount = null;
+					$eligibleCount.text('\u2013');
+					updateEligibleWarning();
+				}
+			});
+		}
+
+		/**
+		 * Refresh the eligible count after a short pause in input
+		 */
+		function scheduleEligibleCount() {
+			clearTimeout(eligibleCountTimer);
+			eligibleCountTimer = setTimeout(refreshEligibleCount, 300);
+		}
+
+		// =====================================================
+		// Simulate next run functionality
+		// =====================================================
+
+		var $simulateButton = $('#rd-pr-simulate-run');
+		var $simulateResults = $('#rd-pr-simulate-results');
+
+		/**
+		 * Render the result of a dry run of the republish process
+		 */
+		function renderSimulation(response) {
+			var html = '';
+			var planned = response.planned_posts || [];
+
+			if (planned.length) {
+				html += '<p><strong>' + planned.length + ' post' + (planned.length === 1 ? '' : 's') + ' would be republished:</strong></p>';
+				html += '<table class="rd-pr-simulate-table"><thead><tr><th>Slot</th><th>Post</th><th>Current date</th><th>New date</th></tr></thead><tbody>';
+
+				planned.forEach(function(post) {
+					html += '<tr>';
+					html += '<td>' + escapeHtml(post.time) + '</td>';
+					html += '<td><a href="' + escapeHtml(post.permalink) + '" target="_blank">' + escapeHtml(post.title || '(no title)') + '</a></td>';
+					html += '<td>' + formatPostDateHtml(post.current_date) + '</td>';
+					html += '<td>' + formatPostDateHtml(post.new_date) + '</td>';
+					html += '</tr>';
+				});
+
+				html += '</tbody></table>';
+			} else if (response.message) {
+				html += '<p>' + escapeHtml(response.message) + '</p>';
+			} else if (!response.errors || !response.errors.length) {
+				html += '<p>Nothing would be republished.</p>';
+			}
+
+			if (response.errors && response.errors.length) {
+				html += '<ul class="rd-pr-simulate-errors">';
+				response.errors.forEach(function(error) {
+					html += '<li>' + escapeHtml(error) + '</li>';
+				});
+				html += '</ul>';
+			}
+
+			$simulateResults.html(html).show();
+		}
+
+		/**
+		 * Run the republish process as a dry run
+		 */
+		function simulateNextRun() {
+			var originalText = $simulateButton.text();
+
+			$simulateButton.prop('disabled', true).text('Simulating...');
+
+			$.ajax({
+				url: rdPrSettings.processUrl + '/trigger',
+				method: 'GET',
+				data: { dry_run: true },
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				success: function(response) {
+					renderSimulation(response);
+				},
+				error: function(xhr) {
+					var message = 'Failed to simulate the next run.';
+					if (xhr.responseJSON && xhr.responseJSON.message) {
+						message = xhr.responseJSON.message;
+					}
+					renderSimulation({ errors: [message] });
+				},
+				complete: function() {
+					$simulateButton.prop('disabled', false).text(originalText);
+				}
+			});
+		}
+
+		$simulateButton.on('click', simulateNextRun);
+
+		// =====================================================
+		// Selection strategy functionality
+		// =====================================================
+
+		/**
+		 * Strategy chosen in the form, kept separately so it survives until the options have loaded
+		 */
+		var selectedStrategy = defaults.selection_strategy;
+
+		/**
+		 * Labels of the available strategies keyed by strategy key
+		 */
+		var strategyLabels = {};
+
+		/**
+		 * Populate the strategy dropdown the first time the strategies are loaded
+		 */
+		function populateStrategyOptions(strategies) {
+			if ($strategySelect.children().length) {
+				return;
+			}
+
+			strategies.forEach(function(strategy) {
+				strategyLabels[strategy.key] = strategy.label;
+				$strategySelect.append(
+					$('<option></option>').val(strategy.key).text(strategy.label).data('description', strategy.description)
+				);
+			});
+
+			$strategySelect.val(selectedStrategy);
+		}
+
+		/**
+		 * Render the next posts the chosen strategy would pick
+		 */
+		function renderStrategySample(posts) {
+			if (!posts || posts.length === 0) {
+				$strategySample.html('<li class="rd-pr-strategy-sample-empty">No eligible posts.</li>');
+				return;
+			}
+
+			var html = '';
+
+			posts.forEach(function(post) {
+				html += '<li>' + escapeHtml(post.title || '(no title)') + ' <span class="rd-pr-field-description">' + formatPostDateHtml(post.date) + '</span></li>';
+			});
+
+			$strategySample.html(html);
+		}
+
+		/**
+		 * Fetch the strategies, the active one, and a sample of the chosen strategy's next picks
+		 */
+		function refreshStrategySample() {
+			$.ajax({
+				url: rdPrSettings.republishUrl + '/strategies',
+				method: 'GET',
+				data: { strategy: selectedStrategy },
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				success: function(response) {
+					if (!response.success) {
+						return;
+					}
+
+					populateStrategyOptions(response.strategies);
+					$strategyActive.text('Active: ' + (strategyLabels[response.active] || response.active));
+					$strategyDescription.text($strategySelect.find('option:selected').data('description') || '');
+					renderStrategySample(response.sample);
+				},
+				error: function(xhr, status, error) {
+					console.error('Failed to fetch selection strategies:', error);
+					$strategySample.html('<li class="rd-pr-strategy-sample-empty">Failed to load sample.</li>');
+				}
+			});
+		}
+
+		// =====================================================
+		// Content filters functionality
+		// =====================================================
+
+		var $contentForm = $('#rd-pr-content-form');
+		var $contentPostTypes = $('#rd-pr-content-post-types');
+		var $contentCount = $('#rd-pr-content-count');
+		var $multiselects = $('.rd-pr-multiselect');
+		var contentCountTimer = null;
+
+		/**
+		 * Selected categories, tags and authors keyed by filter, each a list of { id, name }
+		 */
+		var contentSelections = {};
+
+		/**
+		 * Fetch the saved content filters and the selectable post types
+		 */
+		function fetchContentFilters() {
+			$.ajax({
+				url: rdPrSettings.contentUrl + '/retrieve',
+				method: 'GET',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				success: function(response) {
+					if (response.success) {
+						populateContentForm(response);
+					}
+				},
+				error: function(xhr, status, error) {
+					console.error('Failed to fetch content filters:', error);
+				}
+			});
+		}
+
+		/**
+		 * Populate the content form with filters data
+		 */
+		function populateContentForm(data) {
+			var html = '';
+
+			(data.post_types || []).forEach(function(postType) {
+				var checked = data.filters.post_types.indexOf(postType.name) !== -1;
+				html += '<label><input type="checkbox" value="' + escapeHtml(postType.name) + '"' + (checked ? ' checked' : '') + '> ' + escapeHtml(postType.label) + '</label>';
+			});
+
+			$contentPostTypes.html(html);
+
+			$multiselects.each(function() {
+				var filter = $(this).data('filter');
+				contentSelections[filter] = (data.selected && data.selected[filter]) ? data.selected[filter] : [];
+				renderMultiselectSelection($(this));
+			});
+
+			updateContentCount(data.eligible_count);
+		}
+
+		/**
+		 * Read the content form into a filters object
+		 */
+		function getContentFilters() {
+			var filters = {
+				post_types: $contentPostTypes.find('input:checked').map(function() {
+					return this.value;
+				}).get()
+			};
+
+			$multiselects.each(function() {
+				var filter = $(this).data('filter');
+				filters[filter] = (contentSelections[filter] || []).map(function(item) {
+					return item.id;
+				});
+			});
+
+			return filters;
+		}
+
+		/**
+		 * Show the number of eligible posts
+		 */
+		function updateContentCount(count) {
+			$contentCount.text(count === null ? '\u2013' : count);
+			$contentCount.toggleClass('rd-pr-content-count-empty', count === 0);
+		}
+
+		/**
+		 * Refresh the eligible count for the unsaved filters after a short pause
+		 */
+		function scheduleContentCount() {
+			clearTimeout(contentCountTimer);
+
+			contentCountTimer = setTimeout(function() {
+				var filters = getContentFilters();
+
+				if (filters.post_types.length === 0) {
+					updateContentCount(0);
+					return;
+				}
+
+				$.ajax({
+					url: rdPrSettings.contentUrl + '/count',
+					method: 'POST',
+					beforeSend: function(xhr) {
+						xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+					},
+					contentType: 'application/json',
+					data: JSON.stringify({ filters: filters }),
+					success: function(response) {
+						if (response.success) {
+							hideValidationError();
+							updateContentCount(response.eligible_count);
+						}
+					},
+					error: function(xhr) {
+						if (xhr.responseJSON && xhr.responseJSON.errors) {
+							showValidationError(xhr.responseJSON.errors.join(' '));
+						}
+						updateContentCount(null);
+					}
+				});
+			}, 300);
+		}
+
+		/**
+		 * Render the selected items of a multi-select as removable chips
+		 */
+		function renderMultiselectSelection($multiselect) {
+			var html = '';
+
+			(contentSelections[$multiselect.data('filter')] || []).forEach(function(item) {
+				html += '<span class="rd-pr-multiselect-chip">' + escapeHtml(item.name);
+				html += '<button type="button" class="rd-pr-multiselect-remove" data-id="' + item.id + '" aria-label="Remove">&times;</button>';
+				html += '</span>';
+			});
+
+			$multiselect.find('.rd-pr-multiselect-selected').html(html);
+		}
+
+		/**
+		 * Search categories, tags or authors for a multi-select and show the results
+		 */
+		function searchMultiselect($multiselect) {
+			var source = $multiselect.data('source');
+			var search = $multiselect.find('.rd-pr-multiselect-search').val();
+			var $results = $multiselect.find('.rd-pr-multiselect-results');
+			var url = source === 'authors' ? rdPrSettings.contentUrl + '/authors' : rdPrSettings.contentUrl + '/terms';
+			var params = { search: search };
+
+			if (source !== 'authors') {
+				params.taxonomy = source;
+			}
+
+			$.ajax({
+				url: url,
+				method: 'GET',
+				data: params,
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				success: function(response) {
+					var selectedIds = (contentSelections[$multiselect.data('filter')] || []).map(function(item) {
+						return item.id;
+					});
+					var html = '';
+
+					(response.data || []).forEach(function(item) {
+						if (selectedIds.indexOf(item.id) === -1) {
+							html += '<button type="button" class="rd-pr-multiselect-option" data-id="' + item.id + '" data-name="' + escapeHtml(item.name) + '">' + escapeHtml(item.name) + '</button>';
+						}
+					});
+
+					if (html === '') {
+						html = '<div class="rd-pr-multiselect-empty">No matches found</div>';
+					}
+
+					$results.html(html).show();
+				},
+				error: function(xhr, status, error) {
+					console.error('Failed to search:', error);
+					$results.hide();
+				}
+			});
+		}
+
+		// Multi-select search handlers
+		$multiselects.each(function() {
+			var $multiselect = $(this);
+			var searchTimer = null;
+
+			$multiselect.find('.rd-pr-multiselect-search').on('input focus', function() {
+				clearTimeout(searchTimer);
+				searchTimer = setTimeout(function() {
+					searchMultiselect($multiselect);
+				}, 250);
+			});
+		});
+
+		$multiselects.on('click', '.rd-pr-multiselect-option', function() {
+			var $multiselect = $(this).closest('.rd-pr-multiselect');
+			var filter = $multiselect.data('filter');
+
+			contentSelections[filter] = (contentSelections[filter] || []).concat({
+				id: parseInt($(this).data('id'), 10),
+				name: String($(this).data('name'))
+			});
+
+			$multiselect.find('.rd-pr-multiselect-search').val('');
+			$multiselect.find('.rd-pr-multiselect-results').hide();
+			renderMultiselectSelection($multiselect);
+			scheduleContentCount();
+		});
+
+		$multiselects.on('click', '.rd-pr-multiselect-remove', function() {
+			var $multiselect = $(this).closest('.rd-pr-multiselect');
+			var filter = $multiselect.data('filter');
+			var id = parseInt($(this).data('id'), 10);
+
+			contentSelections[filter] = (contentSelections[filter] || []).filter(function(item) {
+				return item.id !== id;
+			});
+
+			renderMultiselectSelection($multiselect);
+			scheduleContentCount();
+		});
+
+		// Close search results when clicking elsewhere
+		$(document).on('click', function(e) {
+			if (!$(e.target).closest('.rd-pr-multiselect').length) {
+				$('.rd-pr-multiselect-results').hide();
+			}
+		});
+
+		$contentPostTypes.on('change', 'input', scheduleContentCount);
+
+		// Content form submission
+		$contentForm.on('submit', function(e) {
+			e.preventDefault();
+
+			var filters = getContentFilters();
+
+			if (filters.post_types.length === 0) {
+				showValidationError('Please select at least one post type.');
+				return false;
+			}
+
+			var $saveButton = $('#rd-pr-save-content');
+			var originalText = $saveButton.text();
+			$saveButton.prop('disabled', true).text('Saving...');
+
+			$.ajax({
+				url: rdPrSettings.contentUrl + '/save',
+				method: 'POST',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: JSON.stringify({ filters: filters }),
+				success: function(response) {
+					if (response.success) {
+						showSuccessMessage('Content filters saved successfully.');
+						updateContentCount(response.eligible_count);
+						// Projected posts and the eligible count depend on the filters
+						loadPostingCalendar();
+						refreshEligibleCount();
+					} else {
+						showValidationError((response.errors || []).join(' ') || 'Failed to save content filters.');
+					}
+				},
+				error: function(xhr) {
+					var message = 'Failed to save content filters.';
+					if (xhr.responseJSON && xhr.responseJSON.errors) {
+						message = xhr.responseJSON.errors.join(' ');
+					} else if (xhr.responseJSON && xhr.responseJSON.message) {
+						message = xhr.responseJSON.message;
+					}
+					showValidationError(message);
+				},
+				complete: function() {
+					$saveButton.prop('disabled', false).text(originalText);
+				}
+			});
+		});
+
+		// Fetch content filters on page load
+		fetchContentFilters();
+
+		// =====================================================
+		// Import / Export functionality
+		// =====================================================
+
+		var $importFile = $('#rd-pr-import-file');
+		var $importDiff = $('#rd-pr-import-diff');
+		var $importDiffBody = $('#rd-pr-import-diff-tbody');
+
+		// Configuration read from the chosen file, kept until it is applied or cancelled
+		var pendingImport = null;
+
+		/**
+		 * Get the error message from a failed import request
+		 */
+		function getImportErrorMessage(xhr, fallback) {
+			if (xhr.responseJSON && xhr.responseJSON.errors) {
+				return xhr.responseJSON.errors.join(' ');
+			}
+			if (xhr.responseJSON && xhr.responseJSON.message) {
+				return xhr.responseJSON.message;
+			}
+			return fallback;
+		}
+
+		/**
+		 * Send a configuration to one of the import endpoints
+		 */
+		function sendImport(endpoint, configuration) {
+			return $.ajax({
+				url: rdPrSettings.restUrl + endpoint,
+				method: 'POST',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: JSON.stringify({ configuration: configuration })
+			});
+		}
+
+		/**
+		 * Render the before/after diff of an import
+		 */
+		function renderImportDiff(changes) {
+			var html = '';
 
-			if ($success.length === 0) {
-				$success = $('<div class="rd-pr-success-message"></div>');
-				var $target = $activeTab.find('.rd-pr-submit-group');
-				if ($target.length === 0) {
-					// Fallback for tabs without a submit group
-					$target = $activeTab.find('.rd-pr-form, .rd-pr-field-group').last();
-				}
-				$target.before($success);
-			}
+			changes.forEach(function(change) {
+				html += '<tr class="rd-pr-import-' + escapeHtml(change.action) + '">';
+				html += '<td>' + escapeHtml(change.key) + '</td>';
+				html += '<td>' + (change.before === null ? '<span class="rd-pr-import-none">Not set</span>' : escapeHtml(change.before)) + '</td>';
+				html += '<td>' + escapeHtml(change.after) + '</td>';
+				html += '</tr>';
+			});
 
-			$success.text(message).show();
+			$importDiffBody.html(html);
+			$importDiff.show();
+		}
 
-			// Auto-hide after 3 seconds
-			setTimeout(function() {
-				$success.fadeOut();
-			}, 3000);
+		/**
+		 * Hide the import diff and forget the chosen file
+		 */
+		function resetImport() {
+			pendingImport = null;
+			$importDiff.hide();
+			$importDiffBody.empty();
+			$importFile.val('');
 		}
 
-		// Form submission
-		$form.on('submit', function(e) {
-			e.preventDefault();
+		$('#rd-pr-export-configuration').on('click', function() {
+			var query = {
+				include_secrets: $('#rd-pr-export-secrets').is(':checked') ? 1 : 0,
+				_wpnonce: rdPrSettings.nonce
+			};
 
-			// Hide any existing success message
-			$('#rd-pr-success-message').hide();
+			window.location.href = rdPrSettings.restUrl + '/export?' + $.param(query);
+		});
 
-			// Only validate time range if active
-			if ($activeToggle.is(':checked')) {
-				if (!validateTimeRange()) {
-					return false;
+		$('#rd-pr-import-preview').on('click', function() {
+			var file = $importFile[0].files[0];
+
+			hideValidationError();
+
+			if (!file) {
+				showValidationError('Please choose a configuration file.');
+				return;
+			}
+
+			var $previewButton = $(this);
+			var reader = new FileReader();
+
+			reader.onload = function() {
+				var configuration;
+
+				try {
+					configuration = JSON.parse(reader.result);
+				} catch (e) {
+					showValidationError('The file is not valid JSON.');
+					return;
 				}
+
+				$previewButton.prop('disabled', true);
+
+				sendImport('/importpreview', configuration)
+					.done(function(response) {
+						pendingImport = configuration;
+						renderImportDiff(response.changes);
+					})
+					.fail(function(xhr) {
+						resetImport();
+						showValidationError(getImportErrorMessage(xhr, 'Failed to read the configuration.'));
+					})
+					.always(function() {
+						$previewButton.prop('disabled', false);
+					});
+			};
+
+			reader.readAsText(file);
+		});
+
+		$('#rd-pr-import-apply').on('click', function() {
+			if (!pendingImport) {
+				return;
 			}
 
-			// Save preferences to API
-			savePreferences();
+			var $applyButton = $(this);
+			var originalText = $applyButton.text();
+			$applyButton.prop('disabled', true).text('Importing...');
+
+			sendImport('/import', pendingImport)
+				.done(function() {
+					resetImport();
+					showSuccessMessage('Configuration imported successfully.');
+
+					// Reload everything that reads the preferences
+					fetchPreferences();
+					fetchContentFilters();
+					fetchLicenseStatus();
+				})
+				.fail(function(xhr) {
+					showValidationError(getImportErrorMessage(xhr, 'Failed to import the configuration.'));
+				})
+				.always(function() {
+					$applyButton.prop('disabled', false).text(originalText);
+				});
 		});
 
+		$('#rd-pr-import-cancel').on('click', resetImport);
+
 		// =====================================================
 		// Posting Calendar functionality
 		// =====================================================
 
 		var $calendarGrid = $('#rd-pr-calendar-grid');
+		var $calendarWeekdays = $('#rd-pr-calendar-weekdays');
+		var $calendarTitle = $('#rd-pr-calendar-title');
+		var $calendarViewButtons = $('.rd-pr-calendar-view-button');
+		var $calendarJump = $('#rd-pr-calendar-jump');
+
+		var $calendarPreviewBar = $('#rd-pr-calendar-preview-bar');
+		var calendarPreviewTimer = null;
+
+		var weekdayLabels = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+		var monthLabels = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+		/**
+		 * Current calendar view ('week' or 'month') and the date it is anchored to
+		 */
+		var calendarState = {
+			view: 'week',
+			anchor: rdPrTime.getSiteToday(),
+			preview: false
+		};
+
+		/**
+		 * Get a copy of a Date object moved by a number of days
+		 */
+		function addDays(date, days) {
+			var result = new Date(date);
+			result.setDate(result.getDate() + days);
+			return result;
+		}
 
 		/**
 		 * Format a Date object to dd-mm-yyyy string
@@ -666,67 +2440,302 @@
 		}
 
 		/**
-		 * Get an array of 7 dates starting from today
+		 * Convert a dd-mm-yyyy string to a sortable yyyymmdd string
+		 */
+		function toSortableDate(dateString) {
+			var parts = dateString.split('-');
+			return parts[2] + parts[1] + parts[0];
+		}
+
+		/**
+		 * Get the first and last date shown by the current calendar view
+		 */
+		function getVisibleRange() {
+			var anchor = calendarState.anchor;
+
+			if (calendarState.view === 'month') {
+				return {
+					start: new Date(anchor.getFullYear(), anchor.getMonth(), 1),
+					end: new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0)
+				};
+			}
+
+			return {
+				start: anchor,
+				end: addDays(anchor, 6)
+			};
+		}
+
+		/**
+		 * Get an array of every date within a range
 		 */
-		function getNext7Days() {
+		function getDatesInRange(range) {
 			var dates = [];
-			var today = new Date();
+			var current = new Date(range.start);
 
-			for (var i = 0; i < 7; i++) {
-				var date = new Date(today);
-				date.setDate(today.getDate() + i);
-				dates.push(date);
+			while (current <= range.end) {
+				dates.push(new Date(current));
+				current = addDays(current, 1);
 			}
 
 			return dates;
 		}
 
 		/**
-		 * Fetch posttimes for a single date
+		 * Update the calendar toolbar title, view buttons and jump input
 		 */
-		function fetchPosttimesForDate(date) {
-			return $.ajax({
-				url: rdPrSettings.calculationUrl + '/posttimes',
-				method: 'POST',
-				beforeSend: function(xhr) {
-					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
-				},
-				contentType: 'application/json',
-				data: JSON.stringify({ date: formatDateToDDMMYYYY(date) })
+		function updateCalendarToolbar(range) {
+			if (calendarState.view === 'month') {
+				$calendarTitle.text(monthLabels[range.start.getMonth()] + ' ' + range.start.getFullYear());
+			} else {
+				$calendarTitle.text(formatDateForDisplay(range.start) + ' - ' + formatDateForDisplay(range.end));
+			}
+
+			$calendarViewButtons.each(function() {
+				$(this).toggleClass('rd-pr-calendar-view-active', $(this).data('view') === calendarState.view);
 			});
+
+			var anchor = calendarState.anchor;
+			$calendarJump.val(anchor.getFullYear() + '-' + String(anchor.getMonth() + 1).padStart(2, '0') + '-' + String(anchor.getDate()).padStart(2, '0'));
+
+			$calendarGrid.toggleClass('rd-pr-calendar-month', calendarState.view === 'month');
+
+			if (calendarState.view === 'month') {
+				var weekdaysHtml = '';
+				weekdayLabels.forEach(function(label) {
+					weekdaysHtml += '<div class="rd-pr-calendar-weekday">' + label + '</div>';
+				});
+				$calendarWeekdays.html(weekdaysHtml).show();
+			} else {
+				$calendarWeekdays.empty().hide();
+			}
 		}
 
 		/**
-		 * Render the calendar with the fetched times
+		 * Build the empty cells that align the first day of a month with its weekday
 		 */
-		function renderCalendar(datesWithTimes) {
+		function getMonthPadding(range) {
+			if (calendarState.view !== 'month') {
+				return '';
+			}
+
 			var html = '';
+			var padding = (range.start.getDay() + 6) % 7;
 
-			datesWithTimes.forEach(function(item, index) {
-				var isToday = index === 0;
-				var dayLabel = isToday ? 'Today' : formatDateForDisplay(item.date);
-				var allTimes = [];
+			for (var i = 0; i < padding; i++) {
+				html += '<div class="rd-pr-calendar-day rd-pr-calendar-padding"></div>';
+			}
 
-				// Combine previous_times and future_times
-				if (item.times && item.times.previous_times) {
-					allTimes = allTimes.concat(item.times.previous_times);
-				}
-				if (item.times && item.times.future_times) {
-					allTimes = allTimes.concat(item.times.future_times);
+			return html;
+		}
+
+		/**
+		 * Get the header label for a calendar day
+		 */
+		function getDayLabel(date, isToday) {
+			if (calendarState.view === 'month') {
+				return isToday ? date.getDate() + ' - Today' : String(date.getDate());
+			}
+
+			return isToday ? 'Today' : formatDateForDisplay(date);
+		}
+
+		/**
+		 * Escape HTML to prevent XSS
+		 */
+		function escapeHtml(text) {
+			if (text === null || text === undefined) {
+				return '';
+			}
+			var div = document.createElement('div');
+			div.textContent = String(text);
+			return div.innerHTML;
+		}
+
+		/**
+		 * Format a post date string for display (DD/MM/YY HH:MM)
+		 * Format: "2026-01-26 14:05:02"
+		 */
+		function formatPostDate(dateString) {
+			return rdPrTime.formatDateTime(dateString);
+		}
+
+		/**
+		 * Format a post date string as HTML showing both timezones on hover
+		 */
+		function formatPostDateHtml(dateString) {
+			return rdPrTime.wrap(dateString, formatPostDate(dateString));
+		}
+
+		/**
+		 * Slots rendered in the current calendar, referenced by index from each badge
+		 */
+		var calendarSlots = [];
+
+		/**
+		 * Get the date string of a slot, whose time is in the site's timezone
+		 * Format: "2026-01-26 14:05"
+		 */
+		function getSlotDateString(date, time) {
+			return formatDateToDDMMYYYY(date).split('-').reverse().join('-') + ' ' + time;
+		}
+
+		/**
+		 * Build a clickable badge for a single slot
+		 */
+		function renderSlot(slot, date, status) {
+			var index = calendarSlots.length;
+			var postTitle = slot.post ? slot.post.title : 'No eligible post';
+			var dateString = getSlotDateString(date, slot.time);
+
+			calendarSlots.push({
+				time: slot.time,
+				date: date,
+				status: status,
+				post: slot.post
+			});
+
+			var html = '<button type="button" class="rd-pr-calendar-time rd-pr-calendar-slot' + (status === 'republished' ? ' rd-pr-calendar-time-done' : '') + '" data-slot="' + index + '" title="' + escapeHtml(rdPrTime.getTitle(dateString)) + '">';
+			html += '<span class="rd-pr-calendar-slot-time">' + escapeHtml(rdPrTime.formatTime(dateString)) + '</span>';
+			html += '<span class="rd-pr-calendar-slot-title">' + escapeHtml(postTitle) + '</span>';
+			html += '</button>';
+
+			return html;
+		}
+
+		/**
+		 * Build the slot badges for a single day
+		 *
+		 * Past days show what was actually republished, future days show what is scheduled
+		 * and today shows both.
+		 */
+		function renderDayTimes(day, date, dateKey, todayKey) {
+			var comparison = toSortableDate(dateKey).localeCompare(toSortableDate(todayKey));
+			var html = '';
+
+			if (comparison <= 0) {
+				(day.republished || []).forEach(function(slot) {
+					html += renderSlot(slot, date, 'republished');
+				});
+			}
+
+			if (comparison >= 0) {
+				(day.scheduled || []).forEach(function(slot) {
+					html += renderSlot(slot, date, 'scheduled');
+				});
+			}
+
+			if (html === '') {
+				var message = comparison < 0 ? 'Nothing republished' : 'No times scheduled';
+				if (day.enabled === false && comparison >= 0) {
+					message = 'Republishing off';
 				}
+				html = '<span class="rd-pr-calendar-no-times">' + message + '</span>';
+			}
 
-				html += '<div class="rd-pr-calendar-day' + (isToday ? ' rd-pr-calendar-today' : '') + '">';
-				html += '<div class="rd-pr-calendar-day-header">' + dayLabel + '</div>';
-				html += '<div class="rd-pr-calendar-times">';
+			return html;
+		}
 
-				if (allTimes.length > 0) {
-					allTimes.forEach(function(time) {
-						html += '<span class="rd-pr-calendar-time">' + time + '</span>';
-					});
-				} else {
-					html += '<span class="rd-pr-calendar-no-times">No times scheduled</span>';
+		/**
+		 * Close the slot popover if it is open
+		 */
+		function closeSlotPopover() {
+			$('.rd-pr-calendar-popover').remove();
+		}
+
+		/**
+		 * Open a popover describing the post for a slot
+		 */
+		function openSlotPopover($badge) {
+			var slot = calendarSlots[parseInt($badge.data('slot'), 10)];
+
+			closeSlotPopover();
+
+			if (!slot) {
+				return;
+			}
+
+			var statusLabel = slot.status === 'republished' ? 'Republished' : 'Scheduled';
+			var html = '<div class="rd-pr-calendar-popover" role="dialog">';
+			html += '<button type="button" class="rd-pr-calendar-popover-close" aria-label="Close">&times;</button>';
+			html += '<div class="rd-pr-calendar-popover-status">' + statusLabel + ' ' + escapeHtml(rdPrTime.formatDateTime(getSlotDateString(slot.date, slot.time))) + '</div>';
+
+			if (slot.post) {
+				html += '<div class="rd-pr-calendar-popover-title">' + escapeHtml(slot.post.title) + '</div>';
+				html += '<div class="rd-pr-calendar-popover-date">Current date: ' + formatPostDateHtml(slot.post.date) + '</div>';
+				html += '<div class="rd-pr-calendar-popover-links">';
+				if (slot.post.edit_url) {
+					html += '<a href="' + escapeHtml(slot.post.edit_url) + '">Edit</a>';
 				}
+				if (slot.post.permalink) {
+					html += '<a href="' + escapeHtml(slot.post.permalink) + '" target="_blank">View</a>';
+				}
+				html += '</div>';
+			} else {
+				html += '<div class="rd-pr-calendar-popover-title">' + (slot.status === 'republished' ? 'Post no longer exists' : 'No eligible post') + '</div>';
+			}
+
+			html += '</div>';
+
+			var $popover = $(html);
+			var $panel = $('.rd-pr-calendar-panel');
+			var badgeOffset = $badge.offset();
+			var panelOffset = $panel.offset();
+
+			$panel.append($popover);
+
+			// Position below the badge, kept within the panel
+			var left = Math.min(badgeOffset.left - panelOffset.left, $panel.outerWidth() - $popover.outerWidth() - 8);
+			$popover.css({
+				top: badgeOffset.top - panelOffset.top + $badge.outerHeight() + 4,
+				left: Math.max(8, left)
+			});
+		}
+
+		// Slot popover handlers
+		$calendarGrid.on('click', '.rd-pr-calendar-slot', function(e) {
+			e.stopPropagation();
+			openSlotPopover($(this));
+		});
+
+		$(document).on('click', '.rd-pr-calendar-popover-close', closeSlotPopover);
+
+		$(document).on('click', function(e) {
+			if (!$(e.target).closest('.rd-pr-calendar-popover').length) {
+				closeSlotPopover();
+			}
+		});
 
+		$(document).on('keydown', function(e) {
+			if (e.key === 'Escape') {
+				closeSlotPopover();
+			}
+		});
+
+		/**
+		 * Render the calendar with the fetched days
+		 */
+		function renderCalendar(range, days, todayKey) {
+			var dayLookup = {};
+			days.forEach(function(day) {
+				dayLookup[day.date] = day;
+			});
+
+			var html = getMonthPadding(range);
+
+			calendarSlots = [];
+			closeSlotPopover();
+
+			getDatesInRange(range).forEach(function(date) {
+				var dateKey = formatDateToDDMMYYYY(date);
+				var isToday = dateKey === todayKey;
+				var isPast = toSortableDate(dateKey) < toSortableDate(todayKey);
+				var day = dayLookup[dateKey] || {};
+
+				html += '<div class="rd-pr-calendar-day' + (isToday ? ' rd-pr-calendar-today' : '') + (isPast ? ' rd-pr-calendar-past' : '') + (day.enabled === false && !isPast ? ' rd-pr-calendar-off' : '') + '">';
+				html += '<div class="rd-pr-calendar-day-header">' + getDayLabel(date, isToday) + '</div>';
+				html += '<div class="rd-pr-calendar-times">';
+				html += renderDayTimes(day, date, dateKey, todayKey);
 				html += '</div>';
 				html += '</div>';
 			});
@@ -751,16 +2760,15 @@
 		/**
 		 * Render calendar with inactive state (no times)
 		 */
-		function renderInactiveCalendar() {
-			var dates = getNext7Days();
-			var html = '';
+		function renderInactiveCalendar(range) {
+			var todayKey = formatDateToDDMMYYYY(rdPrTime.getSiteToday());
+			var html = getMonthPadding(range);
 
-			dates.forEach(function(date, index) {
-				var isToday = index === 0;
-				var dayLabel = isToday ? 'Today' : formatDateForDisplay(date);
+			getDatesInRange(range).forEach(function(date) {
+				var isToday = formatDateToDDMMYYYY(date) === todayKey;
 
 				html += '<div class="rd-pr-calendar-day rd-pr-calendar-inactive' + (isToday ? ' rd-pr-calendar-today' : '') + '">';
-				html += '<div class="rd-pr-calendar-day-header">' + dayLabel + '</div>';
+				html += '<div class="rd-pr-calendar-day-header">' + getDayLabel(date, isToday) + '</div>';
 				html += '<div class="rd-pr-calendar-times">';
 				html += '<span class="rd-pr-calendar-no-times">Republishing disabled</span>';
 				html += '</div>';
@@ -771,45 +2779,152 @@
 		}
 
 		/**
-		 * Fetch and display posttimes for all 7 days
+		 * Fetch and display posttimes for every day in the current view
 		 */
 		function loadPostingCalendar() {
+			var range = getVisibleRange();
+			updateCalendarToolbar(range);
+
 			// If Active toggle is disabled, show inactive calendar
 			if (!$activeToggle.is(':checked')) {
-				renderInactiveCalendar();
+				renderInactiveCalendar(range);
 				return;
 			}
 
 			showCalendarLoading();
 
-			var dates = getNext7Days();
-			var requests = dates.map(function(date) {
-				return fetchPosttimesForDate(date);
+			var endpoint = '/posttimesrange';
+			var payload = {
+				start_date: formatDateToDDMMYYYY(range.start),
+				end_date: formatDateToDDMMYYYY(range.end)
+			};
+
+			// In preview mode, calculate against the unsaved form values
+			if (calendarState.preview) {
+				endpoint = '/posttimespreview';
+				payload.posts_per_day = parseInt($slider.val(), 10);
+				payload.interval_days = parseInt($intervalDays.val(), 10);
+				payload.publish_windows = getWindows($publishWindows);
+				payload.schedule_mode = $scheduleMode.val();
+
+				if (isWeekdayMode()) {
+					payload.weekday_schedule = getWeekdaySchedule();
+				}
+			}
+
+			$.ajax({
+				url: rdPrSettings.calculationUrl + endpoint,
+				method: 'POST',
+				beforeSend: function(xhr) {
+					xhr.setRequestHeader('X-WP-Nonce', rdPrSettings.nonce);
+				},
+				contentType: 'application/json',
+				data: JSON.stringify(payload),
+				success: function(response) {
+					if (response.success && response.days) {
+						renderCalendar(range, response.days, response.today || formatDateToDDMMYYYY(rdPrTime.getSiteToday()));
+					} else {
+						showCalendarError();
+					}
+				},
+				error: function() {
+					showCalendarError();
+				}
 			});
+		}
 
-			$.when.apply($, requests)
-				.done(function() {
-					var results = requests.length === 1 ? [arguments] : arguments;
-					var datesWithTimes = [];
-
-					dates.forEach(function(date, index) {
-						var response = results[index][0];
-						datesWithTimes.push({
-							date: date,
-							times: response.success ? {
-								previous_times: response.previous_times || [],
-								future_times: response.future_times || []
-							} : null
-						});
-					});
+		/**
+		 * Switch the calendar into preview mode after a short pause in input
+		 */
+		function scheduleCalendarPreview() {
+			clearTimeout(calendarPreviewTimer);
 
-					renderCalendar(datesWithTimes);
-				})
-				.fail(function() {
-					showCalendarError();
-				});
+			calendarPreviewTimer = setTimeout(function() {
+				// Don't preview a time range that can't be saved
+				if (!validateTimeRange()) {
+					return;
+				}
+
+				calendarState.preview = true;
+				$calendarPreviewBar.show();
+				$('.rd-pr-calendar-panel').addClass('rd-pr-calendar-previewing');
+				loadPostingCalendar();
+			}, 300);
+		}
+
+		/**
+		 * Leave preview mode without reloading the calendar
+		 */
+		function exitCalendarPreview() {
+			clearTimeout(calendarPreviewTimer);
+			calendarState.preview = false;
+			$calendarPreviewBar.hide();
+			$('.rd-pr-calendar-panel').removeClass('rd-pr-calendar-previewing');
+		}
+
+		// Preview bar handlers
+		$('#rd-pr-calendar-preview-save').on('click', function() {
+			$form.trigger('submit');
+		});
+
+		$('#rd-pr-calendar-preview-discard').on('click', function() {
+			hideValidationError();
+			populateFormFields(savedPreferences);
+		});
+
+		/**
+		 * Move the calendar backwards or forwards by one view
+		 */
+		function shiftCalendar(direction) {
+			var anchor = calendarState.anchor;
+
+			if (calendarState.view === 'month') {
+				calendarState.anchor = new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+			} else {
+				calendarState.anchor = addDays(anchor, direction * 7);
+			}
+
+			loadPostingCalendar();
 		}
 
+		// Calendar navigation handlers
+		$('#rd-pr-calendar-prev').on('click', function() {
+			shiftCalendar(-1);
+		});
+
+		$('#rd-pr-calendar-next').on('click', function() {
+			shiftCalendar(1);
+		});
+
+		$('#rd-pr-calendar-today').on('click', function() {
+			calendarState.anchor = rdPrTime.getSiteToday();
+			loadPostingCalendar();
+		});
+
+		// Render the times again when switching between site and local time
+		$(document).on('rdPrTimeChange', function() {
+			loadPostingCalendar();
+			fetchTokens();
+			fetchWebhooks();
+			fetchDeliveries();
+		});
+
+		$calendarViewButtons.on('click', function() {
+			calendarState.view = $(this).data('view');
+			loadPostingCalendar();
+		});
+
+		$calendarJump.on('change', function() {
+			var parts = this.value.split('-');
+
+			if (parts.length !== 3) {
+				return;
+			}
+
+			calendarState.anchor = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+			loadPostingCalendar();
+		});
+
 	});
 
 })( jQuery );
@@ -0,0 +1,315 @@
+/**
+ * Site timezone JavaScript, shared by every admin page that shows dates.
+ *
+ * Dates from the API are in the site's timezone ("2026-01-26 14:05:02"), so they
+ * are shown as they are unless the viewer chooses to see their own local time.
+ * Both are available on hover.
+ *
+ * @package    Rd_Post_Republishing
+ * @subpackage Rd_Post_Republishing/admin/js
+ */
+
+(function( $ ) {
+	'use strict';
+
+	/**
+	 * localStorage key remembering whether to show the viewer's local time
+	 */
+	var STORAGE_KEY = 'rdPrViewerLocalTime';
+
+	var DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+	var OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+
+	var siteFormatter = createFormatter(rdPrTimezone.timezone);
+	var viewerTimezone = getViewerTimezone();
+	var viewerLocal = readViewerLocal();
+
+	/**
+	 * Create a formatter for a named timezone, or null for a UTC offset or an unknown name
+	 */
+	function createFormatter(timezone) {
+		if (OFFSET_PATTERN.test(timezone) || !window.Intl) {
+			return null;
+		}
+
+		try {
+			return new Intl.DateTimeFormat('en-US', {
+				timeZone: timezone,
+				hourCycle: 'h23',
+				year: 'numeric',
+				month: '2-digit',
+				day: '2-digit',
+				hour: '2-digit',
+				minute: '2-digit',
+				second: '2-digit'
+			});
+		} catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Get the name of the viewer's timezone
+	 */
+	function getViewerTimezone() {
+		try {
+			return Intl.DateTimeFormat().resolvedOptions().timeZone || 'local time';
+		} catch (e) {
+			return 'local time';
+		}
+	}
+
+	/**
+	 * Get the saved viewer-local setting, which may be unavailable in private browsing
+	 */
+	function readViewerLocal() {
+		try {
+			return window.localStorage.getItem(STORAGE_KEY) === '1';
+		} catch (e) {
+			return false;
+		}
+	}
+
+	/**
+	 * Get the site's offset from UTC in minutes at a moment
+	 *
+	 * Falls back to the offset localized with the page when the timezone is a fixed
+	 * UTC offset or the browser can't resolve it.
+	 */
+	function getSiteOffset(time) {
+		if (!siteFormatter) {
+			return rdPrTimezone.offset;
+		}
+
+		var parts = {};
+		siteFormatter.formatToParts(new Date(time)).forEach(function(part) {
+			parts[part.type] = parseInt(part.value, 10);
+		});
+
+		var wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+
+		return Math.round((wallClock - Math.floor(time / 1000) * 1000) / 60000);
+	}
+
+	/**
+	 * Split a date string into its numeric parts, or null if it isn't a date
+	 */
+	function parseParts(dateString) {
+		var match = DATE_PATTERN.exec(String(dateString || ''));
+
+		if (!match) {
+			return null;
+		}
+
+		return {
+			year: parseInt(match[1], 10),
+			month: parseInt(match[2], 10),
+			day: parseInt(match[3], 10),
+			hours: parseInt(match[4] || '0', 10),
+			minutes: parseInt(match[5] || '0', 10),
+			seconds: parseInt(match[6] || '0', 10)
+		};
+	}
+
+	/**
+	 * Get the parts of a moment's wall-clock time in the site's timezone
+	 */
+	function getSiteParts(time) {
+		var shifted = new Date(time + getSiteOffset(time) * 60000);
+
+		return {
+			year: shifted.getUTCFullYear(),
+			month: shifted.getUTCMonth() + 1,
+			day: shifted.getUTCDate(),
+			hours: shifted.getUTCHours(),
+			minutes: shifted.getUTCMinutes(),
+			seconds: shifted.getUTCSeconds()
+		};
+	}
+
+	/**
+	 * Get the parts of a moment's wall-clock time in the viewer's timezone
+	 */
+	function getViewerParts(time) {
+		var date = new Date(time);
+
+		return {
+			year: date.getFullYear(),
+			month: date.getMonth() + 1,
+			day: date.getDate(),
+			hours: date.getHours(),
+			minutes: date.getMinutes(),
+			seconds: date.getSeconds()
+		};
+	}
+
+	/**
+	 * Convert a date string in the site's timezone to a timestamp in milliseconds
+	 *
+	 * The offset is looked up twice so times next to a daylight saving change land
+	 * on the right side of it.
+	 */
+	function toTimestamp(dateString) {
+		var parts = parseParts(dateString);
+
+		if (!parts) {
+			return NaN;
+		}
+
+		var wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+		var time = wallClock - getSiteOffset(wallClock) * 60000;
+
+		return wallClock - getSiteOffset(time) * 60000;
+	}
+
+	/**
+	 * Get the parts of a date string in the site's or the viewer's timezone
+	 */
+	function getParts(dateString, inViewerTime) {
+		if (!inViewerTime) {
+			return parseParts(dateString);
+		}
+
+		var time = toTimestamp(dateString);
+
+		return isNaN(time) ? null : getViewerParts(time);
+	}
+
+	function pad(value) {
+		return String(value).padStart(2, '0');
+	}
+
+	function formatPartsDate(parts) {
+		return pad(parts.day) + '/' + pad(parts.month) + '/' + String(parts.year).slice(-2);
+	}
+
+	function formatPartsTime(parts, withSeconds) {
+		return pad(parts.hours) + ':' + pad(parts.minutes) + (withSeconds ? ':' + pad(parts.seconds) : '');
+	}
+
+	/**
+	 * Get the label of the site's timezone
+	 */
+	function getSiteTimezoneLabel() {
+		return OFFSET_PATTERN.test(rdPrTimezone.timezone) ? 'UTC' + rdPrTimezone.timezone : rdPrTimezone.timezone;
+	}
+
+	/**
+	 * Escape HTML to prevent XSS
+	 */
+	function escapeHtml(text) {
+		var div = document.createElement('div');
+		div.textContent = String(text);
+		return div.innerHTML;
+	}
+
+	window.rdPrTime = {
+
+		/**
+		 * Whether dates are shown in the viewer's local time rather than the site's
+		 */
+		isViewerLocal: function() {
+			return viewerLocal;
+		},
+
+		/**
+		 * Switch between the site's and the viewer's time, remembered across pages
+		 *
+		 * Triggers 'rdPrTimeChange' on the document so pages can render their dates again.
+		 */
+		setViewerLocal: function(enabled) {
+			viewerLocal = !!enabled;
+
+			try {
+				window.localStorage.setItem(STORAGE_KEY, viewerLocal ? '1' : '0');
+			} catch (e) {
+				// Keep the setting for this page only
+			}
+
+			$('.rd-pr-viewer-time').prop('checked', viewerLocal);
+			$(document).trigger('rdPrTimeChange');
+		},
+
+		/**
+		 * Get today in the site's timezone as a Date set to midnight
+		 *
+		 * The calendar and the schedule work in the site's days, whatever the viewer's
+		 * timezone, so this ignores the viewer-local setting.
+		 */
+		getSiteToday: function() {
+			var parts = getSiteParts(Date.now());
+
+			return new Date(parts.year, parts.month - 1, parts.day);
+		},
+
+		/**
+		 * Convert a timestamp in milliseconds to a date string in the site's timezone
+		 */
+		fromTimestamp: function(time) {
+			var parts = getSiteParts(time);
+
+			return parts.year + '-' + pad(parts.month) + '-' + pad(parts.day) + ' ' + formatPartsTime(parts, true);
+		},
+
+		toTimestamp: toTimestamp,
+
+		/**
+		 * Format a date string for display (DD/MM/YY)
+		 */
+		formatDate: function(dateString) {
+			var parts = getParts(dateString, viewerLocal);
+
+			return parts ? formatPartsDate(parts) : '';
+		},
+
+		/**
+		 * Format the time of a date string for display (HH:MM or HH:MM:SS)
+		 */
+		formatTime: function(dateString, withSeconds) {
+			var parts = getParts(dateString, viewerLocal);
+
+			return parts ? formatPartsTime(parts, withSeconds) : '';
+		},
+
+		/**
+		 * Format a date string for display (DD/MM/YY HH:MM or DD/MM/YY HH:MM:SS)
+		 */
+		formatDateTime: function(dateString, withSeconds) {
+			var parts = getParts(dateString, viewerLocal);
+
+			return parts ? formatPartsDate(parts) + ' ' + formatPartsTime(parts, withSeconds) : '';
+		},
+
+		/**
+		 * Get a hover text giving a date string in both the site's and the viewer's time
+		 */
+		getTitle: function(dateString) {
+			var siteParts = getParts(dateString, false);
+			var viewerParts = getParts(dateString, true);
+
+			if (!siteParts || !viewerParts) {
+				return '';
+			}
+
+			return 'Site time (' + getSiteTimezoneLabel() + '): ' + formatPartsDate(siteParts) + ' ' + formatPartsTime(siteParts, true) + '\n' +
+				'Your time (' + viewerTimezone + '): ' + formatPartsDate(viewerParts) + ' ' + formatPartsTime(viewerParts, true);
+		},
+
+		/**
+		 * Wrap formatted text in a span showing both times on hover
+		 */
+		wrap: function(dateString, text) {
+			return '<span class="rd-pr-time" title="' + escapeHtml(this.getTitle(dateString)) + '">' + escapeHtml(text) + '</span>';
+		}
+	};
+
+	$(document).ready(function() {
+		$('.rd-pr-viewer-time')
+			.prop('checked', viewerLocal)
+			.attr('title', 'Site time: ' + getSiteTimezoneLabel() + '\nYour time: ' + viewerTimezone)
+			.on('change', function() {
+				window.rdPrTime.setViewerLocal(this.checked);
+			});
+	});
+
+})( jQuery );
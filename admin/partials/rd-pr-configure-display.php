@@ -28,19 +28,33 @@ if ( ! defined( 'ABSPATH' ) ) {
 					<option value="500"><?php esc_html_e( '500 rows', 'rd-post-republishing' ); ?></option>
 				</select>
 			</div>
+			<div class="rd-pr-history-filter-group">
+				<label class="rd-pr-viewer-time-toggle"><input type="checkbox" class="rd-pr-viewer-time"> <?php esc_html_e( 'Show times in my timezone', 'rd-post-republishing' ); ?></label>
+			</div>
+			<div class="rd-pr-history-filter-group">
+				<button type="button" id="rd-pr-history-revert-selected" class="button" disabled><?php esc_html_e( 'Revert selected', 'rd-post-republishing' ); ?></button>
+				<span id="rd-pr-history-message" class="rd-pr-history-message" aria-live="polite"></span>
+			</div>
+			<div class="rd-pr-history-filter-group rd-pr-history-export">
+				<button type="button" class="button rd-pr-history-export-button" data-format="csv"><?php esc_html_e( 'Export CSV', 'rd-post-republishing' ); ?></button>
+				<button type="button" class="button rd-pr-history-export-button" data-format="json"><?php esc_html_e( 'Export JSON', 'rd-post-republishing' ); ?></button>
+			</div>
 		</div>
 		<div class="rd-pr-history-table-container">
 			<table class="rd-pr-history-table">
 				<thead>
 					<tr>
+						<th class="rd-pr-history-col-select"><input type="checkbox" id="rd-pr-history-select-all" aria-label="<?php esc_attr_e( 'Select all', 'rd-post-republishing' ); ?>"></th>
 						<th class="rd-pr-history-col-datetime"><?php esc_html_e( 'Republishing Date/Time', 'rd-post-republishing' ); ?></th>
 						<th class="rd-pr-history-col-id"><?php esc_html_e( 'Post ID', 'rd-post-republishing' ); ?></th>
 						<th class="rd-pr-history-col-title"><?php esc_html_e( 'Post Title', 'rd-post-republishing' ); ?></th>
+						<th class="rd-pr-history-col-original"><?php esc_html_e( 'Originally Published', 'rd-post-republishing' ); ?></th>
+						<th class="rd-pr-history-col-actions"></th>
 					</tr>
 				</thead>
 				<tbody id="rd-pr-history-tbody">
 					<tr class="rd-pr-history-loading">
-						<td colspan="3"><?php esc_html_e( 'Loading history...', 'rd-post-republishing' ); ?></td>
+						<td colspan="6"><?php esc_html_e( 'Loading history...', 'rd-post-republishing' ); ?></td>
 					</tr>
 				</tbody>
 			</table>
@@ -0,0 +1,53 @@
+<?php
+/**
+ * Dashboard widget display template.
+ *
+ * @link       https://www.paulramotowski.com
+ * @since      1.0.1
+ *
+ * @package    Rd_Post_Republishing
+ * @subpackage Rd_Post_Republishing/admin/partials
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+
+<div class="rd-pr-dashboard" id="rd-pr-dashboard">
+	<ul class="rd-pr-dashboard-stats">
+		<li>
+			<span class="rd-pr-dashboard-label"><?php esc_html_e( 'Republishing', 'rd-post-republishing' ); ?></span>
+			<span class="rd-pr-dashboard-value" id="rd-pr-dashboard-status">&hellip;</span>
+		</li>
+		<li>
+			<span class="rd-pr-dashboard-label"><?php esc_html_e( 'Republished today', 'rd-post-republishing' ); ?></span>
+			<span class="rd-pr-dashboard-value" id="rd-pr-dashboard-today">&hellip;</span>
+		</li>
+		<li>
+			<span class="rd-pr-dashboard-label"><?php esc_html_e( 'Next slot', 'rd-post-republishing' ); ?></span>
+			<span class="rd-pr-dashboard-value" id="rd-pr-dashboard-next">&hellip;</span>
+		</li>
+	</ul>
+
+	<div class="rd-pr-dashboard-section">
+		<h3><?php esc_html_e( 'Prerequisites', 'rd-post-republishing' ); ?></h3>
+		<div id="rd-pr-dashboard-prerequisites">&hellip;</div>
+	</div>
+
+	<div class="rd-pr-dashboard-section">
+		<h3><?php esc_html_e( 'Recent errors', 'rd-post-republishing' ); ?></h3>
+		<ul id="rd-pr-dashboard-errors" class="rd-pr-dashboard-errors">
+			<li>&hellip;</li>
+		</ul>
+	</div>
+
+	<div class="rd-pr-dashboard-footer">
+		<?php if ( current_user_can( 'manage_options' ) ) : ?>
+			<a href="<?php echo esc_url( admin_url( 'admin.php?page=rd-post-republisher' ) ); ?>"><?php esc_html_e( 'Settings', 'rd-post-republishing' ); ?></a>
+			<a href="<?php echo esc_url( admin_url( 'admin.php?page=rd-post-republisher-configure' ) ); ?>"><?php esc_html_e( 'History', 'rd-post-republishing' ); ?></a>
+			<a href="<?php echo esc_url( admin_url( 'admin.php?page=rd-post-republisher-logs' ) ); ?>"><?php esc_html_e( 'Logs', 'rd-post-republishing' ); ?></a>
+		<?php endif; ?>
+		<button type="button" class="button-link rd-pr-dashboard-refresh" id="rd-pr-dashboard-refresh"><?php esc_html_e( 'Refresh', 'rd-post-republishing' ); ?></button>
+	</div>
+</div>
@@ -0,0 +1,48 @@
+<?php
+/**
+ * Exclusions page display template.
+ *
+ * @link       https://www.paulramotowski.com
+ * @since      1.0.1
+ *
+ * @package    Rd_Post_Republishing
+ * @subpackage Rd_Post_Republishing/admin/partials
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+?>
+
+<div class="wrap rd-pr-exclusions-wrap">
+	<h1><?php esc_html_e( 'Exclusions', 'rd-post-republishing' ); ?></h1>
+	<p class="rd-pr-exclusions-description"><?php esc_html_e( 'Posts on this list are never republished, whatever the content filters and eligibility rules allow.', 'rd-post-republishing' ); ?></p>
+	<div class="rd-pr-exclusions-content">
+		<div class="rd-pr-exclusions-picker">
+			<label for="rd-pr-exclusions-search"><?php esc_html_e( 'Add post:', 'rd-post-republishing' ); ?></label>
+			<div class="rd-pr-exclusions-search-wrap">
+				<input type="search" id="rd-pr-exclusions-search" class="regular-text" placeholder="<?php esc_attr_e( 'Search published posts...', 'rd-post-republishing' ); ?>" autocomplete="off">
+				<div id="rd-pr-exclusions-results" class="rd-pr-exclusions-results" hidden></div>
+			</div>
+			<span id="rd-pr-exclusions-message" class="rd-pr-exclusions-message" aria-live="polite"></span>
+		</div>
+		<div class="rd-pr-exclusions-table-container">
+			<table id="rd-pr-exclusions-table" class="rd-pr-exclusions-table">
+				<thead>
+					<tr>
+						<th class="rd-pr-exclusions-col-postid"><?php esc_html_e( 'Post ID', 'rd-post-republishing' ); ?></th>
+						<th class="rd-pr-exclusions-col-title"><?php esc_html_e( 'Title', 'rd-post-republishing' ); ?></th>
+						<th class="rd-pr-exclusions-col-type"><?php esc_html_e( 'Type', 'rd-post-republishing' ); ?></th>
+						<th class="rd-pr-exclusions-col-date"><?php esc_html_e( 'Published', 'rd-post-republishing' ); ?></th>
+						<th class="rd-pr-exclusions-col-actions"></th>
+					</tr>
+				</thead>
+				<tbody id="rd-pr-exclusions-tbody">
+					<tr class="rd-pr-exclusions-loading">
+						<td colspan="5"><?php esc_html_e( 'Loading exclusions...', 'rd-post-republishing' ); ?></td>
+					</tr>
+				</tbody>
+			</table>
+		</div>
+	</div>
+</div>
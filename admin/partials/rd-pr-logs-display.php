@@ -18,12 +18,26 @@ if ( ! defined( 'ABSPATH' ) ) {
 	<h1><?php esc_html_e( 'Logs', 'rd-post-republishing' ); ?></h1>
 	<div class="rd-pr-logs-content">
 		<div class="rd-pr-logs-filters">
+			<div class="rd-pr-logs-filter-group">
+				<label for="rd-pr-logs-search"><?php esc_html_e( 'Search:', 'rd-post-republishing' ); ?></label>
+				<input type="search" id="rd-pr-logs-search" class="rd-pr-logs-input" placeholder="<?php esc_attr_e( 'Search entries...', 'rd-post-republishing' ); ?>">
+			</div>
 			<div class="rd-pr-logs-filter-group">
 				<label for="rd-pr-logs-type-filter"><?php esc_html_e( 'Type:', 'rd-post-republishing' ); ?></label>
 				<select id="rd-pr-logs-type-filter" class="rd-pr-logs-select">
 					<option value=""><?php esc_html_e( 'All', 'rd-post-republishing' ); ?></option>
 				</select>
 			</div>
+			<div class="rd-pr-logs-filter-group">
+				<label for="rd-pr-logs-post-id"><?php esc_html_e( 'Post ID:', 'rd-post-republishing' ); ?></label>
+				<input type="number" id="rd-pr-logs-post-id" class="rd-pr-logs-input rd-pr-logs-input-small" min="1" step="1">
+			</div>
+			<div class="rd-pr-logs-filter-group">
+				<label for="rd-pr-logs-from"><?php esc_html_e( 'From:', 'rd-post-republishing' ); ?></label>
+				<input type="date" id="rd-pr-logs-from" class="rd-pr-logs-input">
+				<label for="rd-pr-logs-to"><?php esc_html_e( 'To:', 'rd-post-republishing' ); ?></label>
+				<input type="date" id="rd-pr-logs-to" class="rd-pr-logs-input">
+			</div>
 			<div class="rd-pr-logs-filter-group">
 				<label for="rd-pr-logs-limit"><?php esc_html_e( 'Show:', 'rd-post-republishing' ); ?></label>
 				<select id="rd-pr-logs-limit" class="rd-pr-logs-select">
@@ -33,6 +47,16 @@ if ( ! defined( 'ABSPATH' ) ) {
 					<option value="1000"><?php esc_html_e( '1000 rows', 'rd-post-republishing' ); ?></option>
 				</select>
 			</div>
+			<div class="rd-pr-logs-filter-group">
+				<label class="rd-pr-viewer-time-toggle"><input type="checkbox" class="rd-pr-viewer-time"> <?php esc_html_e( 'Show times in my timezone', 'rd-post-republishing' ); ?></label>
+			</div>
+			<div class="rd-pr-logs-filter-group">
+				<button type="button" id="rd-pr-logs-clear" class="button"><?php esc_html_e( 'Clear filters', 'rd-post-republishing' ); ?></button>
+			</div>
+			<div class="rd-pr-logs-filter-group rd-pr-logs-export">
+				<button type="button" class="button rd-pr-logs-export-button" data-format="csv"><?php esc_html_e( 'Export CSV', 'rd-post-republishing' ); ?></button>
+				<button type="button" class="button rd-pr-logs-export-button" data-format="json"><?php esc_html_e( 'Export JSON', 'rd-post-republishing' ); ?></button>
+			</div>
 		</div>
 		<div class="rd-pr-logs-table-container">
 			<table id="rd-pr-logs-table" class="rd-pr-logs-table">
@@ -52,5 +76,40 @@ if ( ! defined( 'ABSPATH' ) ) {
 				</tbody>
 			</table>
 		</div>
+		<div class="rd-pr-logs-pagination">
+			<span id="rd-pr-logs-total" class="rd-pr-logs-total"></span>
+			<div class="rd-pr-logs-pagination-links">
+				<button type="button" class="button rd-pr-logs-page" data-page="first" aria-label="<?php esc_attr_e( 'First page', 'rd-post-republishing' ); ?>" disabled>&laquo;</button>
+				<button type="button" class="button rd-pr-logs-page" data-page="prev" aria-label="<?php esc_attr_e( 'Previous page', 'rd-post-republishing' ); ?>" disabled>&lsaquo;</button>
+				<span id="rd-pr-logs-page-info" class="rd-pr-logs-page-info"></span>
+				<button type="button" class="button rd-pr-logs-page" data-page="next" aria-label="<?php esc_attr_e( 'Next page', 'rd-post-republishing' ); ?>" disabled>&rsaquo;</button>
+				<button type="button" class="button rd-pr-logs-page" data-page="last" aria-label="<?php esc_attr_e( 'Last page', 'rd-post-republishing' ); ?>" disabled>&raquo;</button>
+			</div>
+		</div>
+	</div>
+	<div class="rd-pr-logs-content rd-pr-logs-retention">
+		<h2><?php esc_html_e( 'Retention', 'rd-post-republishing' ); ?></h2>
+		<p class="rd-pr-logs-retention-description"><?php esc_html_e( 'Entries older than the number of days set for their type are deleted once a day. Leave a type empty to keep it forever. The History page is built from republish and manual entries, so purging those removes their history.', 'rd-post-republishing' ); ?></p>
+		<div class="rd-pr-logs-table-container">
+			<table class="rd-pr-logs-table rd-pr-logs-retention-table">
+				<thead>
+					<tr>
+						<th class="rd-pr-logs-col-type"><?php esc_html_e( 'Type', 'rd-post-republishing' ); ?></th>
+						<th><?php esc_html_e( 'Keep for (days)', 'rd-post-republishing' ); ?></th>
+						<th><?php esc_html_e( 'Would be purged now', 'rd-post-republishing' ); ?></th>
+					</tr>
+				</thead>
+				<tbody id="rd-pr-logs-retention-tbody">
+					<tr class="rd-pr-logs-loading">
+						<td colspan="3"><?php esc_html_e( 'Loading retention...', 'rd-post-republishing' ); ?></td>
+					</tr>
+				</tbody>
+			</table>
+		</div>
+		<div class="rd-pr-logs-retention-actions">
+			<button type="button" id="rd-pr-logs-retention-save" class="button button-primary"><?php esc_html_e( 'Save retention', 'rd-post-republishing' ); ?></button>
+			<button type="button" id="rd-pr-logs-purge" class="button" disabled><?php esc_html_e( 'Purge now', 'rd-post-republishing' ); ?></button>
+			<span id="rd-pr-logs-retention-message" class="rd-pr-logs-retention-message" aria-live="polite"></span>
+		</div>
 	</div>
 </div>
@@ -13,25 +13,28 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
-// Generate time options for dropdowns (2am - 10pm, values 2-22)
-$time_options = array();
-for ( $hour = 2; $hour <= 22; $hour++ ) {
-	if ( $hour < 12 ) {
-		$display = $hour . 'am';
-	} elseif ( $hour === 12 ) {
-		$display = '12pm';
-	} else {
-		$display = ( $hour - 12 ) . 'pm';
-	}
-	$time_options[ $hour ] = $display;
-}
+// Weekdays for the per-weekday schedule grid, Monday first
+$weekday_options = array(
+	'mon' => __( 'Monday', 'rd-post-republishing' ),
+	'tue' => __( 'Tuesday', 'rd-post-republishing' ),
+	'wed' => __( 'Wednesday', 'rd-post-republishing' ),
+	'thu' => __( 'Thursday', 'rd-post-republishing' ),
+	'fri' => __( 'Friday', 'rd-post-republishing' ),
+	'sat' => __( 'Saturday', 'rd-post-republishing' ),
+	'sun' => __( 'Sunday', 'rd-post-republishing' ),
+);
 ?>
 
 <div class="wrap rd-pr-settings-wrap">
 	<h2 class="nav-tab-wrapper rd-pr-nav-tab-wrapper">
 		<a href="#preferences" class="nav-tab nav-tab-active" data-tab="preferences"><?php esc_html_e( 'Preferences', 'rd-post-republishing' ); ?></a>
+		<a href="#content" class="nav-tab" data-tab="content"><?php esc_html_e( 'Content', 'rd-post-republishing' ); ?></a>
 		<a href="#access-token" class="nav-tab" data-tab="access-token"><?php esc_html_e( 'Access Token', 'rd-post-republishing' ); ?></a>
 		<a href="#license" class="nav-tab" data-tab="license"><?php esc_html_e( 'License Activation', 'rd-post-republishing' ); ?></a>
+		<a href="#webhooks" class="nav-tab" data-tab="webhooks"><?php esc_html_e( 'Webhooks', 'rd-post-republishing' ); ?></a>
+		<a href="#notifications" class="nav-tab" data-tab="notifications"><?php esc_html_e( 'Notifications', 'rd-post-republishing' ); ?></a>
+		<a href="#search-engines" class="nav-tab" data-tab="search-engines"><?php esc_html_e( 'Search Engines', 'rd-post-republishing' ); ?></a>
+		<a href="#import-export" class="nav-tab" data-tab="import-export"><?php esc_html_e( 'Import / Export', 'rd-post-republishing' ); ?></a>
 	</h2>
 
 	<div class="rd-pr-settings-content">
@@ -70,56 +73,223 @@ for ( $hour = 2; $hour <= 22; $hour++ ) {
 					</div>
 				</div>
 
-				<!-- Posts Per Day Slider -->
+				<!-- Schedule Mode Dropdown -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-schedule-mode">
+						<?php esc_html_e( 'Schedule', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<select id="rd-pr-schedule-mode" name="schedule_mode" class="rd-pr-select">
+							<option value="daily"><?php esc_html_e( 'Same every day', 'rd-post-republishing' ); ?></option>
+							<option value="weekday"><?php esc_html_e( 'Per weekday', 'rd-post-republishing' ); ?></option>
+						</select>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Use one schedule for every day, or set a separate count and window for each weekday', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Republishing Rate: posts slider and the days they are spread over -->
 				<div class="rd-pr-field-group">
 					<label class="rd-pr-field-label" for="rd-pr-posts-per-day">
-						<?php esc_html_e( 'Posts Per Day', 'rd-post-republishing' ); ?>
+						<?php esc_html_e( 'Republishing Rate', 'rd-post-republishing' ); ?>
 					</label>
 					<div class="rd-pr-field-input">
 						<div class="rd-pr-slider-container">
-							<input type="range" id="rd-pr-posts-per-day" name="posts_per_day" min="1" max="10" value="1" class="rd-pr-slider">
+							<input type="range" id="rd-pr-posts-per-day" name="posts_per_day" min="1" max="<?php echo esc_attr( Calculation_Helper::MAX_POSTS_PER_DAY ); ?>" value="1" class="rd-pr-slider">
 							<output id="rd-pr-posts-per-day-value" class="rd-pr-slider-value">1</output>
+							<label for="rd-pr-interval-days" class="rd-pr-number-unit"><?php esc_html_e( 'posts every', 'rd-post-republishing' ); ?></label>
+							<input type="number" id="rd-pr-interval-days" name="interval_days" min="1" max="<?php echo esc_attr( Calculation_Helper::MAX_INTERVAL_DAYS ); ?>" step="1" value="1" class="rd-pr-input rd-pr-number">
+							<span class="rd-pr-number-unit"><?php esc_html_e( 'days', 'rd-post-republishing' ); ?></span>
 						</div>
 						<span class="rd-pr-field-description">
-							<?php esc_html_e( 'Number of posts to republish per day (1-10)', 'rd-post-republishing' ); ?>
+							<?php
+							/* translators: 1: maximum number of posts, 2: maximum number of days */
+							echo esc_html( sprintf( __( 'Number of posts to republish (1-%1$d) and the number of days they are spread over (1-%2$d). Over several days, the same days get a post every time and the others are skipped.', 'rd-post-republishing' ), Calculation_Helper::MAX_POSTS_PER_DAY, Calculation_Helper::MAX_INTERVAL_DAYS ) );
+							?>
 						</span>
 					</div>
 				</div>
 
-				<!-- Publish Start Time Dropdown -->
+				<!-- Publishing Windows -->
 				<div class="rd-pr-field-group">
-					<label class="rd-pr-field-label" for="rd-pr-start-time">
-						<?php esc_html_e( 'Publish Start Time', 'rd-post-republishing' ); ?>
+					<span class="rd-pr-field-label"><?php esc_html_e( 'Publishing Windows', 'rd-post-republishing' ); ?></span>
+					<div class="rd-pr-field-input">
+						<div id="rd-pr-publish-windows" class="rd-pr-windows" data-max="<?php echo esc_attr( Calculation_Helper::MAX_WINDOWS ); ?>">
+							<!-- Windows will be populated via JavaScript -->
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Times of day to republish posts in. Posts are spread across the windows in proportion to their length. An end time of 00:00 is midnight at the end of the day.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Per-Weekday Schedule Grid -->
+				<div id="rd-pr-weekday-schedule-group" class="rd-pr-field-group" style="display: none;">
+					<label class="rd-pr-field-label">
+						<?php esc_html_e( 'Weekday Schedule', 'rd-post-republishing' ); ?>
 					</label>
 					<div class="rd-pr-field-input">
-						<select id="rd-pr-start-time" name="publish_start_time" class="rd-pr-select">
-							<?php foreach ( $time_options as $value => $label ) : ?>
-								<option value="<?php echo esc_attr( $value ); ?>">
-									<?php echo esc_html( $label ); ?>
-								</option>
-							<?php endforeach; ?>
-						</select>
+						<table class="rd-pr-weekday-grid">
+							<thead>
+								<tr>
+									<th><?php esc_html_e( 'Day', 'rd-post-republishing' ); ?></th>
+									<th><?php esc_html_e( 'On', 'rd-post-republishing' ); ?></th>
+									<th><?php esc_html_e( 'Posts', 'rd-post-republishing' ); ?></th>
+									<th><?php esc_html_e( 'Windows', 'rd-post-republishing' ); ?></th>
+								</tr>
+							</thead>
+							<tbody>
+								<?php foreach ( $weekday_options as $weekday => $weekday_label ) : ?>
+									<tr class="rd-pr-weekday-row" data-weekday="<?php echo esc_attr( $weekday ); ?>">
+										<td class="rd-pr-weekday-name"><?php echo esc_html( $weekday_label ); ?></td>
+										<td>
+											<label class="rd-pr-toggle">
+												<input type="checkbox" class="rd-pr-weekday-enabled" value="1" aria-label="<?php echo esc_attr( $weekday_label ); ?>">
+												<span class="rd-pr-toggle-slider"></span>
+											</label>
+										</td>
+										<td>
+											<select class="rd-pr-select rd-pr-weekday-posts">
+												<?php for ( $count = 1; $count <= Calculation_Helper::MAX_POSTS_PER_DAY; $count++ ) : ?>
+													<option value="<?php echo esc_attr( $count ); ?>"><?php echo esc_html( $count ); ?></option>
+												<?php endfor; ?>
+											</select>
+										</td>
+										<td>
+											<div class="rd-pr-windows rd-pr-weekday-windows" data-max="<?php echo esc_attr( Calculation_Helper::MAX_WINDOWS ); ?>"></div>
+										</td>
+									</tr>
+								<?php endforeach; ?>
+							</tbody>
+						</table>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Number of posts and publishing windows for each weekday. Switch a day off to skip republishing on it.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Minimum Post Age -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-min-post-age">
+						<?php esc_html_e( 'Minimum Post Age', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<input type="number" id="rd-pr-min-post-age" name="min_post_age_days" min="0" max="3650" step="1" value="0" class="rd-pr-input rd-pr-number">
+						<span class="rd-pr-number-unit"><?php esc_html_e( 'days', 'rd-post-republishing' ); ?></span>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Only republish posts whose current date is older than this. Use 0 for no minimum.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Republish Cooldown -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-cooldown">
+						<?php esc_html_e( 'Republish Cooldown', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<input type="number" id="rd-pr-cooldown" name="republish_cooldown_days" min="0" max="3650" step="1" value="0" class="rd-pr-input rd-pr-number">
+						<span class="rd-pr-number-unit"><?php esc_html_e( 'days', 'rd-post-republishing' ); ?></span>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( "Don't republish the same post again within this many days. Use 0 for no cooldown.", 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Eligible Posts -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label">
+						<?php esc_html_e( 'Eligible Posts', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<span id="rd-pr-eligible-count" class="rd-pr-content-count">&ndash;</span>
 						<span class="rd-pr-field-description">
-							<?php esc_html_e( 'Earliest time of day to republish posts', 'rd-post-republishing' ); ?>
+							<?php esc_html_e( 'Posts that currently pass the content filters, minimum age and cooldown', 'rd-post-republishing' ); ?>
 						</span>
+						<div id="rd-pr-eligible-warning" class="rd-pr-warning" style="display: none;"></div>
 					</div>
 				</div>
 
-				<!-- Publish End Time Dropdown -->
+				<!-- Selection Strategy -->
 				<div class="rd-pr-field-group">
-					<label class="rd-pr-field-label" for="rd-pr-end-time">
-						<?php esc_html_e( 'Publish End Time', 'rd-post-republishing' ); ?>
+					<label class="rd-pr-field-label" for="rd-pr-selection-strategy">
+						<?php esc_html_e( 'Selection Strategy', 'rd-post-republishing' ); ?>
 					</label>
 					<div class="rd-pr-field-input">
-						<select id="rd-pr-end-time" name="publish_end_time" class="rd-pr-select">
-							<?php foreach ( $time_options as $value => $label ) : ?>
-								<option value="<?php echo esc_attr( $value ); ?>">
-									<?php echo esc_html( $label ); ?>
-								</option>
+						<select id="rd-pr-selection-strategy" name="selection_strategy" class="rd-pr-select">
+							<!-- Strategies will be populated via JavaScript -->
+						</select>
+						<span id="rd-pr-strategy-active" class="rd-pr-strategy-active"></span>
+						<span id="rd-pr-strategy-description" class="rd-pr-field-description"></span>
+						<div class="rd-pr-strategy-sample">
+							<span class="rd-pr-strategy-sample-title"><?php esc_html_e( 'Next posts this strategy would pick:', 'rd-post-republishing' ); ?></span>
+							<ol id="rd-pr-strategy-sample-list" class="rd-pr-strategy-sample-list"></ol>
+						</div>
+					</div>
+				</div>
+
+				<!-- Republish Mode -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-republish-mode">
+						<?php esc_html_e( 'Republish Action', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<select id="rd-pr-republish-mode" name="republish_mode" class="rd-pr-select">
+							<?php foreach ( Republish_Service::REPUBLISH_MODES as $mode_key => $mode_label ) : ?>
+								<option value="<?php echo esc_attr( $mode_key ); ?>"><?php echo esc_html( $mode_label ); ?></option>
 							<?php endforeach; ?>
 						</select>
 						<span class="rd-pr-field-description">
-							<?php esc_html_e( 'Latest time of day to republish posts', 'rd-post-republishing' ); ?>
+							<?php esc_html_e( 'A new publish date moves the post to the top of the feed. Updated date only keeps the publish date, so themes show the post as updated.', 'rd-post-republishing' ); ?>
+						</span>
+						<div id="rd-pr-post-type-modes" class="rd-pr-post-type-modes">
+							<span class="rd-pr-post-type-modes-title"><?php esc_html_e( 'Post types can use a different action:', 'rd-post-republishing' ); ?></span>
+							<?php foreach ( get_post_types( array( 'public' => true ), 'objects' ) as $post_type ) : ?>
+								<?php if ( $post_type->name !== 'attachment' ) : ?>
+									<label class="rd-pr-post-type-mode">
+										<span class="rd-pr-post-type-mode-label"><?php echo esc_html( $post_type->label ); ?></span>
+										<select class="rd-pr-select" data-post-type="<?php echo esc_attr( $post_type->name ); ?>">
+											<option value=""><?php esc_html_e( 'Site default', 'rd-post-republishing' ); ?></option>
+											<?php foreach ( Republish_Service::REPUBLISH_MODES as $mode_key => $mode_label ) : ?>
+												<option value="<?php echo esc_attr( $mode_key ); ?>"><?php echo esc_html( $mode_label ); ?></option>
+											<?php endforeach; ?>
+										</select>
+									</label>
+								<?php endif; ?>
+							<?php endforeach; ?>
+						</div>
+					</div>
+				</div>
+
+				<!-- Republish Notice Toggle -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-republish-notice">
+						<?php esc_html_e( 'Updated Notice', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<label class="rd-pr-toggle">
+							<input type="checkbox" id="rd-pr-republish-notice" name="republish_notice" value="1">
+							<span class="rd-pr-toggle-slider"></span>
+						</label>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'When on, republished posts start with "Originally published on [date], updated on [date]".', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Manual Republish Quota Toggle -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-manual-quota">
+						<?php esc_html_e( 'Count Manual Republishes', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<label class="rd-pr-toggle">
+							<input type="checkbox" id="rd-pr-manual-quota" name="manual_counts_toward_quota" value="1">
+							<span class="rd-pr-toggle-slider"></span>
+						</label>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'When on, posts republished with "Republish now" use up one of the day\'s scheduled slots. When off, they are extra to the schedule.', 'rd-post-republishing' ); ?>
 						</span>
 					</div>
 				</div>
@@ -160,6 +330,7 @@ for ( $hour = 2; $hour <= 22; $hour++ ) {
 							<?php esc_html_e( 'Use this token to authenticate external cron jobs. Append ', 'rd-post-republishing' ); ?>
 							<code>?token=YOUR_TOKEN</code>
 							<?php esc_html_e( ' to your public endpoint URLs.', 'rd-post-republishing' ); ?>
+							<?php esc_html_e( 'It only grants the process endpoints, create an API token on the Access Token tab for other access.', 'rd-post-republishing' ); ?>
 						</span>
 					</div>
 				</div>
@@ -169,6 +340,157 @@ for ( $hour = 2; $hour <= 22; $hour++ ) {
 					<button type="submit" id="rd-pr-save-settings" class="rd-pr-button rd-pr-button-primary">
 						<?php esc_html_e( 'Save', 'rd-post-republishing' ); ?>
 					</button>
+					<button type="button" id="rd-pr-simulate-run" class="rd-pr-button">
+						<?php esc_html_e( 'Simulate next run', 'rd-post-republishing' ); ?>
+					</button>
+					<span class="rd-pr-field-description">
+						<?php esc_html_e( 'Shows what the republish process would do if it ran now with the saved settings, without changing any posts.', 'rd-post-republishing' ); ?>
+					</span>
+					<div id="rd-pr-simulate-results" class="rd-pr-simulate-results" style="display: none;"></div>
+				</div>
+
+			</form>
+		</div>
+
+		<div id="rd-pr-tab-content" class="rd-pr-tab-content">
+			<form id="rd-pr-content-form" class="rd-pr-form">
+				<h2><?php esc_html_e( 'Eligible Content', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Post Types -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label">
+						<?php esc_html_e( 'Post Types', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div id="rd-pr-content-post-types" class="rd-pr-checkbox-list">
+							<!-- Post types will be populated via JavaScript -->
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Post types that can be republished', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Include Categories -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-content-include-categories">
+						<?php esc_html_e( 'Include Categories', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-multiselect" data-filter="include_categories" data-source="category">
+							<div class="rd-pr-multiselect-selected"></div>
+							<input type="text" id="rd-pr-content-include-categories" class="rd-pr-input rd-pr-multiselect-search" autocomplete="off" placeholder="<?php esc_attr_e( 'Search categories...', 'rd-post-republishing' ); ?>">
+							<div class="rd-pr-multiselect-results" style="display: none;"></div>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Only posts in at least one of these categories are republished. Leave empty to allow every category.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Exclude Categories -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-content-exclude-categories">
+						<?php esc_html_e( 'Exclude Categories', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-multiselect" data-filter="exclude_categories" data-source="category">
+							<div class="rd-pr-multiselect-selected"></div>
+							<input type="text" id="rd-pr-content-exclude-categories" class="rd-pr-input rd-pr-multiselect-search" autocomplete="off" placeholder="<?php esc_attr_e( 'Search categories...', 'rd-post-republishing' ); ?>">
+							<div class="rd-pr-multiselect-results" style="display: none;"></div>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Posts in any of these categories are never republished.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Include Tags -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-content-include-tags">
+						<?php esc_html_e( 'Include Tags', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-multiselect" data-filter="include_tags" data-source="post_tag">
+							<div class="rd-pr-multiselect-selected"></div>
+							<input type="text" id="rd-pr-content-include-tags" class="rd-pr-input rd-pr-multiselect-search" autocomplete="off" placeholder="<?php esc_attr_e( 'Search tags...', 'rd-post-republishing' ); ?>">
+							<div class="rd-pr-multiselect-results" style="display: none;"></div>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Only posts with at least one of these tags are republished. Leave empty to allow every tag.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Exclude Tags -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-content-exclude-tags">
+						<?php esc_html_e( 'Exclude Tags', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-multiselect" data-filter="exclude_tags" data-source="post_tag">
+							<div class="rd-pr-multiselect-selected"></div>
+							<input type="text" id="rd-pr-content-exclude-tags" class="rd-pr-input rd-pr-multiselect-search" autocomplete="off" placeholder="<?php esc_attr_e( 'Search tags...', 'rd-post-republishing' ); ?>">
+							<div class="rd-pr-multiselect-results" style="display: none;"></div>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Posts with any of these tags are never republished.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Include Authors -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-content-include-authors">
+						<?php esc_html_e( 'Include Authors', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-multiselect" data-filter="include_authors" data-source="authors">
+							<div class="rd-pr-multiselect-selected"></div>
+							<input type="text" id="rd-pr-content-include-authors" class="rd-pr-input rd-pr-multiselect-search" autocomplete="off" placeholder="<?php esc_attr_e( 'Search authors...', 'rd-post-republishing' ); ?>">
+							<div class="rd-pr-multiselect-results" style="display: none;"></div>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Only posts by these authors are republished. Leave empty to allow every author.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Exclude Authors -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-content-exclude-authors">
+						<?php esc_html_e( 'Exclude Authors', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-multiselect" data-filter="exclude_authors" data-source="authors">
+							<div class="rd-pr-multiselect-selected"></div>
+							<input type="text" id="rd-pr-content-exclude-authors" class="rd-pr-input rd-pr-multiselect-search" autocomplete="off" placeholder="<?php esc_attr_e( 'Search authors...', 'rd-post-republishing' ); ?>">
+							<div class="rd-pr-multiselect-results" style="display: none;"></div>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Posts by these authors are never republished.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Eligible Count -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label">
+						<?php esc_html_e( 'Eligible Posts', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<span id="rd-pr-content-count" class="rd-pr-content-count">&ndash;</span>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Published posts that currently match these filters', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Save Button -->
+				<div class="rd-pr-field-group rd-pr-submit-group">
+					<button type="submit" id="rd-pr-save-content" class="rd-pr-button rd-pr-button-primary">
+						<?php esc_html_e( 'Save', 'rd-post-republishing' ); ?>
+					</button>
 				</div>
 
 			</form>
@@ -211,6 +533,81 @@ for ( $hour = 2; $hour <= 22; $hour++ ) {
 						</span>
 					</div>
 				</div>
+
+				<h2><?php esc_html_e( 'API Tokens', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Token Name -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-token-name">
+						<?php esc_html_e( 'Name', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<input type="text" id="rd-pr-token-name" class="rd-pr-input" maxlength="<?php echo esc_attr( Token_Service::MAX_NAME_LENGTH ); ?>" placeholder="<?php esc_attr_e( 'e.g. Server cron', 'rd-post-republishing' ); ?>">
+					</div>
+				</div>
+
+				<!-- Token Scopes -->
+				<div class="rd-pr-field-group">
+					<span class="rd-pr-field-label"><?php esc_html_e( 'Scopes', 'rd-post-republishing' ); ?></span>
+					<div class="rd-pr-field-input">
+						<div id="rd-pr-token-scopes" class="rd-pr-token-scopes">
+							<?php foreach ( Token_Service::SCOPES as $scope_key => $scope ) : ?>
+								<label>
+									<input type="checkbox" value="<?php echo esc_attr( $scope_key ); ?>">
+									<?php echo esc_html( $scope['label'] ); ?>
+								</label>
+							<?php endforeach; ?>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'The public endpoints the token can call.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Token Expiry -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-token-expires">
+						<?php esc_html_e( 'Expires', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<input type="date" id="rd-pr-token-expires" class="rd-pr-input">
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'The token works until the end of this day. Leave empty for no expiry.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<div class="rd-pr-field-group">
+					<button type="button" id="rd-pr-create-token" class="rd-pr-button rd-pr-button-primary">
+						<?php esc_html_e( 'Create Token', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+
+				<!-- New Token Display -->
+				<div id="rd-pr-new-token-container" class="rd-pr-new-token" style="display: none;">
+					<p><?php esc_html_e( 'Copy this token now, it will not be shown again.', 'rd-post-republishing' ); ?></p>
+					<input type="text" id="rd-pr-new-token" class="rd-pr-input" readonly>
+				</div>
+
+				<!-- Token List -->
+				<table class="rd-pr-tokens-table">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Name', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Token', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Scopes', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Created', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Last Used', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Expires', 'rd-post-republishing' ); ?></th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody id="rd-pr-tokens-tbody">
+						<tr class="rd-pr-tokens-empty">
+							<td colspan="7"><?php esc_html_e( 'Loading tokens...', 'rd-post-republishing' ); ?></td>
+						</tr>
+					</tbody>
+				</table>
 			</div>
 		</div>
 
@@ -247,12 +644,333 @@ for ( $hour = 2; $hour <= 22; $hour++ ) {
 				</div>
 			</div>
 		</div>
+
+		<div id="rd-pr-tab-webhooks" class="rd-pr-tab-content">
+			<div class="rd-pr-form">
+				<h2><?php esc_html_e( 'Webhooks', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Webhook URL -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-webhook-url">
+						<?php esc_html_e( 'URL', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<input type="url" id="rd-pr-webhook-url" class="rd-pr-input" placeholder="https://">
+					</div>
+				</div>
+
+				<!-- Webhook Events -->
+				<div class="rd-pr-field-group">
+					<span class="rd-pr-field-label"><?php esc_html_e( 'Events', 'rd-post-republishing' ); ?></span>
+					<div class="rd-pr-field-input">
+						<div id="rd-pr-webhook-events" class="rd-pr-webhook-events">
+							<?php foreach ( Webhook_Service::EVENTS as $event_key => $event_label ) : ?>
+								<label>
+									<input type="checkbox" value="<?php echo esc_attr( $event_key ); ?>">
+									<?php echo esc_html( $event_label ); ?>
+								</label>
+							<?php endforeach; ?>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Each delivery is a JSON POST signed with the webhook secret. The X-RD-PR-Signature header holds sha256= followed by the HMAC-SHA256 of the body.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<div class="rd-pr-field-group">
+					<button type="button" id="rd-pr-add-webhook" class="rd-pr-button rd-pr-button-primary">
+						<?php esc_html_e( 'Add Webhook', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+
+				<!-- Webhook List -->
+				<table class="rd-pr-webhooks-table">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'URL', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Events', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Secret', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Created', 'rd-post-republishing' ); ?></th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody id="rd-pr-webhooks-tbody">
+						<tr class="rd-pr-webhooks-empty">
+							<td colspan="5"><?php esc_html_e( 'Loading webhooks...', 'rd-post-republishing' ); ?></td>
+						</tr>
+					</tbody>
+				</table>
+
+				<div class="rd-pr-webhook-deliveries-header">
+					<h2><?php esc_html_e( 'Delivery Log', 'rd-post-republishing' ); ?></h2>
+					<button type="button" id="rd-pr-refresh-deliveries" class="rd-pr-button">
+						<?php esc_html_e( 'Refresh', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+
+				<!-- Delivery Log -->
+				<table class="rd-pr-webhooks-table">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Created', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'URL', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Event', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Status', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Attempts', 'rd-post-republishing' ); ?></th>
+							<th><?php esc_html_e( 'Response', 'rd-post-republishing' ); ?></th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody id="rd-pr-deliveries-tbody">
+						<tr class="rd-pr-webhooks-empty">
+							<td colspan="7"><?php esc_html_e( 'Loading deliveries...', 'rd-post-republishing' ); ?></td>
+						</tr>
+					</tbody>
+				</table>
+			</div>
+		</div>
+
+		<div id="rd-pr-tab-notifications" class="rd-pr-tab-content">
+			<form id="rd-pr-notifications-form" class="rd-pr-form">
+				<h2><?php esc_html_e( 'Email Notifications', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Recipients -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-notification-recipients">
+						<?php esc_html_e( 'Recipients', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<textarea id="rd-pr-notification-recipients" class="rd-pr-textarea" rows="3" placeholder="<?php echo esc_attr( get_option( 'admin_email' ) ); ?>"></textarea>
+						<span class="rd-pr-field-description">
+							<?php
+							/* translators: %d: maximum number of recipients */
+							echo esc_html( sprintf( __( 'One email address per line, up to %d.', 'rd-post-republishing' ), Notification_Service::MAX_RECIPIENTS ) );
+							?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Events -->
+				<div class="rd-pr-field-group">
+					<span class="rd-pr-field-label"><?php esc_html_e( 'Email when', 'rd-post-republishing' ); ?></span>
+					<div class="rd-pr-field-input">
+						<div id="rd-pr-notification-events" class="rd-pr-checkbox-list">
+							<?php foreach ( Notification_Service::EVENTS as $event_key => $event_label ) : ?>
+								<label>
+									<input type="checkbox" value="<?php echo esc_attr( $event_key ); ?>">
+									<?php echo esc_html( $event_label ); ?>
+								</label>
+							<?php endforeach; ?>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Each of these is emailed at most once a day.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Digest -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-notification-digest">
+						<?php esc_html_e( 'Digest', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<select id="rd-pr-notification-digest" class="rd-pr-select">
+							<option value="off"><?php esc_html_e( 'Off', 'rd-post-republishing' ); ?></option>
+							<option value="daily"><?php esc_html_e( 'Daily', 'rd-post-republishing' ); ?></option>
+							<option value="weekly"><?php esc_html_e( 'Weekly', 'rd-post-republishing' ); ?></option>
+						</select>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'A list of the posts republished the day or week before, with links. Sent shortly after midnight.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Save Button -->
+				<div class="rd-pr-field-group rd-pr-submit-group">
+					<button type="submit" id="rd-pr-save-notifications" class="rd-pr-button rd-pr-button-primary">
+						<?php esc_html_e( 'Save', 'rd-post-republishing' ); ?>
+					</button>
+					<button type="button" id="rd-pr-test-notification" class="rd-pr-button">
+						<?php esc_html_e( 'Send test email', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+			</form>
+		</div>
+
+		<div id="rd-pr-tab-search-engines" class="rd-pr-tab-content">
+			<form id="rd-pr-indexnow-form" class="rd-pr-form">
+				<h2><?php esc_html_e( 'IndexNow', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Enable Toggle -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-indexnow-enabled">
+						<?php esc_html_e( 'Submit Republished Posts', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<label class="rd-pr-toggle">
+							<input type="checkbox" id="rd-pr-indexnow-enabled" value="1">
+							<span class="rd-pr-toggle-slider"></span>
+						</label>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'After each run, the URLs of the posts it republished are submitted together, and the sitemap gives each post its modified date. Results are logged as indexnow.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Endpoint -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-indexnow-endpoint">
+						<?php esc_html_e( 'Endpoint', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<input type="url" id="rd-pr-indexnow-endpoint" class="rd-pr-input" maxlength="<?php echo esc_attr( IndexNow_Service::MAX_ENDPOINT_LENGTH ); ?>" placeholder="<?php echo esc_attr( IndexNow_Service::DEFAULT_ENDPOINT ); ?>">
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Leave empty to use the shared IndexNow endpoint, which passes submissions on to every search engine taking part.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Key -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-indexnow-key">
+						<?php esc_html_e( 'Key', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-token-container">
+							<input type="text" id="rd-pr-indexnow-key" class="rd-pr-input" maxlength="128">
+							<button type="button" id="rd-pr-generate-indexnow-key" class="rd-pr-button">
+								<?php esc_html_e( 'Generate', 'rd-post-republishing' ); ?>
+							</button>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Search engines check the key against the key file this site serves at:', 'rd-post-republishing' ); ?>
+							<code id="rd-pr-indexnow-key-location">&ndash;</code>
+						</span>
+					</div>
+				</div>
+
+				<!-- Save Button -->
+				<div class="rd-pr-field-group rd-pr-submit-group">
+					<button type="submit" id="rd-pr-save-indexnow" class="rd-pr-button rd-pr-button-primary">
+						<?php esc_html_e( 'Save', 'rd-post-republishing' ); ?>
+					</button>
+					<button type="button" id="rd-pr-test-indexnow" class="rd-pr-button">
+						<?php esc_html_e( 'Send test submission', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+			</form>
+		</div>
+
+		<div id="rd-pr-tab-import-export" class="rd-pr-tab-content">
+			<div class="rd-pr-form">
+				<h2><?php esc_html_e( 'Export Configuration', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Include Secrets Toggle -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-export-secrets">
+						<?php esc_html_e( 'Include Secrets', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<label class="rd-pr-toggle">
+							<input type="checkbox" id="rd-pr-export-secrets" value="1">
+							<span class="rd-pr-toggle-slider"></span>
+						</label>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Include the cron secret token, public access token and license key. Leave off when sharing the file.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<div class="rd-pr-field-group">
+					<button type="button" id="rd-pr-export-configuration" class="rd-pr-button rd-pr-button-primary">
+						<?php esc_html_e( 'Export', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+
+				<h2><?php esc_html_e( 'Import Configuration', 'rd-post-republishing' ); ?></h2>
+
+				<!-- Import File Field -->
+				<div class="rd-pr-field-group">
+					<label class="rd-pr-field-label" for="rd-pr-import-file">
+						<?php esc_html_e( 'Configuration File', 'rd-post-republishing' ); ?>
+					</label>
+					<div class="rd-pr-field-input">
+						<div class="rd-pr-token-container">
+							<input type="file" id="rd-pr-import-file" accept=".json,application/json">
+							<button type="button" id="rd-pr-import-preview" class="rd-pr-button">
+								<?php esc_html_e( 'Preview', 'rd-post-republishing' ); ?>
+							</button>
+						</div>
+						<span class="rd-pr-field-description">
+							<?php esc_html_e( 'Preferences in the file replace the ones here. Preferences it does not contain are left as they are.', 'rd-post-republishing' ); ?>
+						</span>
+					</div>
+				</div>
+
+				<!-- Import Diff -->
+				<div id="rd-pr-import-diff" class="rd-pr-import-diff" style="display: none;">
+					<table class="rd-pr-import-diff-table">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Preference', 'rd-post-republishing' ); ?></th>
+								<th><?php esc_html_e( 'Current', 'rd-post-republishing' ); ?></th>
+								<th><?php esc_html_e( 'Imported', 'rd-post-republishing' ); ?></th>
+							</tr>
+						</thead>
+						<tbody id="rd-pr-import-diff-tbody"></tbody>
+					</table>
+					<div class="rd-pr-import-actions">
+						<button type="button" id="rd-pr-import-apply" class="rd-pr-button rd-pr-button-primary">
+							<?php esc_html_e( 'Apply Import', 'rd-post-republishing' ); ?>
+						</button>
+						<button type="button" id="rd-pr-import-cancel" class="rd-pr-button">
+							<?php esc_html_e( 'Cancel', 'rd-post-republishing' ); ?>
+						</button>
+					</div>
+				</div>
+			</div>
+		</div>
 	</div>
 
 	<!-- Posting Calendar Panel -->
 	<div class="rd-pr-calendar-panel">
 		<h2><?php esc_html_e( 'Posting Calendar', 'rd-post-republishing' ); ?></h2>
+		<div id="rd-pr-calendar-preview-bar" class="rd-pr-calendar-preview-bar" style="display: none;">
+			<span class="rd-pr-calendar-preview-badge"><?php esc_html_e( 'Preview', 'rd-post-republishing' ); ?></span>
+			<span class="rd-pr-calendar-preview-text">
+				<?php esc_html_e( 'Showing unsaved changes. Save them to apply this schedule, or discard them.', 'rd-post-republishing' ); ?>
+			</span>
+			<button type="button" id="rd-pr-calendar-preview-save" class="rd-pr-button rd-pr-button-primary rd-pr-calendar-button">
+				<?php esc_html_e( 'Save', 'rd-post-republishing' ); ?>
+			</button>
+			<button type="button" id="rd-pr-calendar-preview-discard" class="rd-pr-button rd-pr-calendar-button">
+				<?php esc_html_e( 'Discard', 'rd-post-republishing' ); ?>
+			</button>
+		</div>
+		<div class="rd-pr-calendar-toolbar">
+			<div class="rd-pr-calendar-nav">
+				<button type="button" id="rd-pr-calendar-prev" class="rd-pr-button rd-pr-calendar-button" aria-label="<?php esc_attr_e( 'Previous', 'rd-post-republishing' ); ?>">&lsaquo;</button>
+				<button type="button" id="rd-pr-calendar-today" class="rd-pr-button rd-pr-calendar-button">
+					<?php esc_html_e( 'Today', 'rd-post-republishing' ); ?>
+				</button>
+				<button type="button" id="rd-pr-calendar-next" class="rd-pr-button rd-pr-calendar-button" aria-label="<?php esc_attr_e( 'Next', 'rd-post-republishing' ); ?>">&rsaquo;</button>
+				<span id="rd-pr-calendar-title" class="rd-pr-calendar-title"></span>
+			</div>
+			<div class="rd-pr-calendar-controls">
+				<label class="rd-pr-viewer-time-toggle"><input type="checkbox" class="rd-pr-viewer-time"> <?php esc_html_e( 'Show times in my timezone', 'rd-post-republishing' ); ?></label>
+				<input type="date" id="rd-pr-calendar-jump" class="rd-pr-calendar-jump" aria-label="<?php esc_attr_e( 'Jump to date', 'rd-post-republishing' ); ?>">
+				<div class="rd-pr-calendar-views">
+					<button type="button" class="rd-pr-button rd-pr-calendar-button rd-pr-calendar-view-button rd-pr-calendar-view-active" data-view="week">
+						<?php esc_html_e( 'Week', 'rd-post-republishing' ); ?>
+					</button>
+					<button type="button" class="rd-pr-button rd-pr-calendar-button rd-pr-calendar-view-button" data-view="month">
+						<?php esc_html_e( 'Month', 'rd-post-republishing' ); ?>
+					</button>
+				</div>
+			</div>
+		</div>
 		<div class="rd-pr-calendar-content">
+			<div id="rd-pr-calendar-weekdays" class="rd-pr-calendar-weekdays" style="display: none;"></div>
 			<div id="rd-pr-calendar-grid" class="rd-pr-calendar-grid">
 				<!-- Calendar days will be populated via JavaScript -->
 				<div class="rd-pr-calendar-loading">
@@ -25,14 +25,13 @@ class Rd_Post_Republishing_Activator {
 	/**
 	 * Plugin activation tasks.
 	 *
-	 * Creates the database tables (preferences and log).
+	 * Creates the database tables (preferences, log and republish).
 	 *
 	 * @since    1.0.0
 	 */
 	public static function activate() {
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'setup/Init_Setup.php';
-		Init_Setup::create_preferences_table();
-		Init_Setup::create_log_table();
+		Init_Setup::create_tables();
 	}
 
 }
@@ -79,6 +79,7 @@ class Rd_Post_Republishing {
 		$this->define_admin_hooks();
 		$this->define_public_hooks();
 		$this->define_cron_hooks();
+		$this->define_query_hooks();
 		$this->check_for_updates();
 
 	}
@@ -110,6 +111,19 @@ class Rd_Post_Republishing {
 		require_once plugin_dir_path( dirname( __FILE__ ) ) . 'src/services/Cron_Service.php';
 		$cron_service = new Cron_Service();
 		$this->loader->add_action( Cron_Service::CRON_HOOK, $cron_service, 'handle_cron_event' );
+		$this->loader->add_action( Cron_Service::PURGE_CRON_HOOK, $cron_service, 'handle_purge_event' );
+		$this->loader->add_action( Cron_Service::WEBHOOK_CRON_HOOK, $cron_service, 'handle_webhook_delivery_event' );
+		$this->loader->add_action( Cron_Service::DIGEST_CRON_HOOK, $cron_service, 'handle_digest_event' );
+	}
+
+	/**
+	 * Register the hooks that change the queries selecting posts to republish.
+	 *
+	 * @access   private
+	 */
+	private function define_query_hooks() {
+		$republish_service = new Republish_Service();
+		$this->loader->add_filter( 'posts_clauses', $republish_service, 'add_republish_date_clauses', 10, 2 );
 	}
 
 	/**
@@ -188,6 +202,11 @@ class Rd_Post_Republishing {
 		$this->loader->add_action( 'admin_menu', $plugin_admin, 'add_admin_menu' );
 		$this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_styles' );
 		$this->loader->add_action( 'admin_enqueue_scripts', $plugin_admin, 'enqueue_scripts' );
+		$this->loader->add_action( 'wp_dashboard_setup', $plugin_admin, 'add_dashboard_widget' );
+		$this->loader->add_action( 'add_meta_boxes', $plugin_admin, 'add_exclusion_meta_box' );
+		$this->loader->add_action( 'save_post', $plugin_admin, 'save_exclusion_meta_box' );
+		$this->loader->add_filter( 'post_row_actions', $plugin_admin, 'add_republish_row_action', 10, 2 );
+		$this->loader->add_filter( 'page_row_actions', $plugin_admin, 'add_republish_row_action', 10, 2 );
 
 	}
 
@@ -204,6 +223,9 @@ class Rd_Post_Republishing {
 
 		$this->loader->add_action( 'wp_enqueue_scripts', $plugin_public, 'enqueue_styles' );
 		$this->loader->add_action( 'wp_enqueue_scripts', $plugin_public, 'enqueue_scripts' );
+		$this->loader->add_filter( 'the_content', $plugin_public, 'add_republish_notice' );
+		$this->loader->add_action( 'template_redirect', $plugin_public, 'serve_indexnow_key' );
+		$this->loader->add_filter( 'wp_sitemaps_posts_entry', $plugin_public, 'add_sitemap_lastmod', 10, 2 );
 
 	}
 
@@ -40,6 +40,15 @@ class Rd_Post_Republishing_Public {
 	 */
 	private $version;
 
+	/**
+	 * Whether the IndexNow integration is on, looked up once per request.
+	 *
+	 * @since    1.0.0
+	 * @access   private
+	 * @var      bool|null    $indexnow_enabled    Null until looked up.
+	 */
+	private $indexnow_enabled = null;
+
 	/**
 	 * Initialize the class and set its properties.
 	 *
@@ -100,4 +109,100 @@ class Rd_Post_Republishing_Public {
 
 	}
 
+	/**
+	 * Add an "Originally published on X, updated on Y" notice to the top of republished posts.
+	 *
+	 * Only added to the main post of a single post page, and only when the notice is
+	 * turned on in the settings.
+	 *
+	 * @since    1.0.0
+	 * @param    string    $content    The post content.
+	 * @return   string
+	 */
+	public function add_republish_notice( $content ) {
+
+		if ( ! is_singular() || ! in_the_loop() || ! is_main_query() ) {
+			return $content;
+		}
+
+		$republish_service = new Republish_Service();
+
+		if ( ! $republish_service->is_notice_enabled() ) {
+			return $content;
+		}
+
+		$dates = $republish_service->get_notice_dates( get_post() );
+
+		if ( $dates === null ) {
+			return $content;
+		}
+
+		$date_format = get_option( 'date_format' );
+		$original_date = mysql2date( $date_format, $dates['original'] );
+		$updated_date = mysql2date( $date_format, $dates['updated'] );
+
+		if ( $original_date === $updated_date ) {
+			return $content;
+		}
+
+		ob_start();
+		include plugin_dir_path( __FILE__ ) . 'partials/rd-post-republishing-public-display.php';
+
+		return ob_get_clean() . $content;
+
+	}
+
+	/**
+	 * Serve the IndexNow key file, which search engines read to check the key belongs to this site.
+	 *
+	 * @since    1.0.0
+	 */
+	public function serve_indexnow_key() {
+
+		$request_path = wp_parse_url( isset( $_SERVER['REQUEST_URI'] ) ? wp_unslash( $_SERVER['REQUEST_URI'] ) : '', PHP_URL_PATH );
+
+		// Only look the key up for requests that could be the key file
+		if ( ! is_string( $request_path ) || substr( $request_path, -4 ) !== '.txt' ) {
+			return;
+		}
+
+		$indexnow_service = new IndexNow_Service();
+		$settings = $indexnow_service->get_settings();
+
+		if ( $settings['key'] === '' || $request_path !== wp_parse_url( $indexnow_service->get_key_location( $settings['key'] ), PHP_URL_PATH ) ) {
+			return;
+		}
+
+		status_header( 200 );
+		header( 'Content-Type: text/plain; charset=utf-8' );
+		echo esc_html( $settings['key'] );
+		exit;
+
+	}
+
+	/**
+	 * Add the modified date to each post in the sitemap, so search engines see which posts were republished.
+	 *
+	 * Only added when the IndexNow integration is on.
+	 *
+	 * @since    1.0.0
+	 * @param    array      $entry    The sitemap entry.
+	 * @param    WP_Post    $post     The post.
+	 * @return   array
+	 */
+	public function add_sitemap_lastmod( $entry, $post ) {
+
+		if ( $this->indexnow_enabled === null ) {
+			$indexnow_service = new IndexNow_Service();
+			$this->indexnow_enabled = $indexnow_service->is_enabled();
+		}
+
+		if ( $this->indexnow_enabled ) {
+			$entry['lastmod'] = get_post_modified_time( DATE_W3C, true, $post );
+		}
+
+		return $entry;
+
+	}
+
 }
@@ -3,7 +3,8 @@
 /**
  * Provide a public-facing view for the plugin
  *
- * This file is used to markup the public-facing aspects of the plugin.
+ * This file is used to markup the "Originally published" notice added to the top
+ * of republished posts.
  *
  * @link       https://www.paulramotowski.com
  * @since      1.0.0
@@ -13,4 +14,9 @@
  */
 ?>
 
-<!-- This file should primarily consist of HTML with a little bit of PHP. -->
+<p class="rd-pr-republish-notice">
+	<?php
+	/* translators: 1: date the post was first published, 2: date the post was last updated */
+	echo esc_html( sprintf( __( 'Originally published on %1$s, updated on %2$s', 'rd-post-republishing' ), $original_date, $updated_date ) );
+	?>
+</p>
@@ -24,12 +24,90 @@ class Init_Setup
      */
     const TABLE_NAME_LOG = 'rd_pr_log';
 
+    /**
+     * Table name for republish records (without prefix)
+     */
+    const TABLE_NAME_REPUBLISH = 'rd_pr_republish';
+
+    /**
+     * Table name for API tokens (without prefix)
+     */
+    const TABLE_NAME_TOKENS = 'rd_pr_tokens';
+
+    /**
+     * Table name for webhooks (without prefix)
+     */
+    const TABLE_NAME_WEBHOOKS = 'rd_pr_webhooks';
+
+    /**
+     * Table name for webhook deliveries (without prefix)
+     */
+    const TABLE_NAME_WEBHOOK_DELIVERIES = 'rd_pr_webhook_deliveries';
+
+    /**
+     * Current database schema version
+     */
+    const DB_VERSION = '6';
+
+    /**
+     * Option holding the installed database schema version
+     */
+    const DB_VERSION_OPTION = 'rd_pr_db_version';
+
     /**
      * Constructor
      */
     public function __construct()
     {
+        add_action('plugins_loaded', array(__CLASS__, 'maybe_upgrade'));
+    }
 
+    /**
+     * Create any missing tables when the plugin is updated without being reactivated
+     *
+     * @return void
+     */
+    public static function maybe_upgrade()
+    {
+        if (get_option(self::DB_VERSION_OPTION) === self::DB_VERSION) {
+            return;
+        }
+
+        self::create_tables();
+    }
+
+    /**
+     * Create all plugin tables and record the schema version
+     *
+     * @return void
+     */
+    public static function create_tables()
+    {
+        self::create_preferences_table();
+        self::create_log_table();
+        self::create_republish_table();
+        self::create_tokens_table();
+        self::create_webhooks_table();
+        self::create_webhook_deliveries_table();
+
+        update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
+    }
+
+    /**
+     * Drop all plugin tables and forget the schema version
+     *
+     * @return void
+     */
+    public static function drop_tables()
+    {
+        self::drop_preferences_table();
+        self::drop_log_table();
+        self::drop_republish_table();
+        self::drop_tokens_table();
+        self::drop_webhooks_table();
+        self::drop_webhook_deliveries_table();
+
+        delete_option(self::DB_VERSION_OPTION);
     }
 
     /**
@@ -54,6 +132,50 @@ class Init_Setup
         return $wpdb->prefix . self::TABLE_NAME_LOG;
     }
 
+    /**
+     * Get the full republish table name with WordPress prefix
+     *
+     * @return string
+     */
+    public static function get_republish_table_name()
+    {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE_NAME_REPUBLISH;
+    }
+
+    /**
+     * Get the full API tokens table name with WordPress prefix
+     *
+     * @return string
+     */
+    public static function get_tokens_table_name()
+    {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE_NAME_TOKENS;
+    }
+
+    /**
+     * Get the full webhooks table name with WordPress prefix
+     *
+     * @return string
+     */
+    public static function get_webhooks_table_name()
+    {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE_NAME_WEBHOOKS;
+    }
+
+    /**
+     * Get the full webhook deliveries table name with WordPress prefix
+     *
+     * @return string
+     */
+    public static function get_webhook_deliveries_table_name()
+    {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE_NAME_WEBHOOK_DELIVERIES;
+    }
+
     /**
      * Create the preferences table
      *
@@ -128,4 +250,181 @@ class Init_Setup
         $wpdb->query("DROP TABLE IF EXISTS $table_name");
     }
 
-}
\ No newline at end of file
+    /**
+     * Create the republish table
+     *
+     * Each row records the post dates either side of one republish, linked to its log entry,
+     * so that the republish can be reverted
+     *
+     * @return void
+     */
+    public static function create_republish_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_republish_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            logid bigint(20) unsigned NOT NULL,
+            postid bigint(10) unsigned NOT NULL,
+            date_before datetime NOT NULL,
+            date_gmt_before datetime DEFAULT NULL,
+            modified_before datetime DEFAULT NULL,
+            modified_gmt_before datetime DEFAULT NULL,
+            date_after datetime NOT NULL,
+            mode varchar(20) NOT NULL DEFAULT 'date',
+            reverted_at datetime DEFAULT NULL,
+            PRIMARY KEY (id),
+            KEY logid (logid),
+            KEY postid (postid)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Drop the republish table
+     *
+     * @return void
+     */
+    public static function drop_republish_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_republish_table_name();
+        $wpdb->query("DROP TABLE IF EXISTS $table_name");
+    }
+
+    /**
+     * Create the API tokens table
+     *
+     * Only a hash of each token is stored, the token itself is shown once when created
+     *
+     * @return void
+     */
+    public static function create_tokens_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_tokens_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            name varchar(100) NOT NULL,
+            token_hash char(64) NOT NULL,
+            token_prefix varchar(8) NOT NULL,
+            scopes varchar(255) NOT NULL,
+            created_at datetime NOT NULL,
+            expires_at datetime DEFAULT NULL,
+            last_used_at datetime DEFAULT NULL,
+            PRIMARY KEY (id),
+            UNIQUE KEY token_hash (token_hash)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Drop the API tokens table
+     *
+     * @return void
+     */
+    public static function drop_tokens_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_tokens_table_name();
+        $wpdb->query("DROP TABLE IF EXISTS $table_name");
+    }
+
+    /**
+     * Create the webhooks table
+     *
+     * @return void
+     */
+    public static function create_webhooks_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_webhooks_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            url varchar(2048) NOT NULL,
+            events varchar(255) NOT NULL,
+            secret char(64) NOT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY (id)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Drop the webhooks table
+     *
+     * @return void
+     */
+    public static function drop_webhooks_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_webhooks_table_name();
+        $wpdb->query("DROP TABLE IF EXISTS $table_name");
+    }
+
+    /**
+     * Create the webhook deliveries table
+     *
+     * Each row is one event sent to one webhook, with the payload kept so it can be redelivered
+     *
+     * @return void
+     */
+    public static function create_webhook_deliveries_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_webhook_deliveries_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            webhookid bigint(20) unsigned NOT NULL,
+            event varchar(50) NOT NULL,
+            payload longtext NOT NULL,
+            status varchar(20) NOT NULL,
+            attempts smallint(5) unsigned NOT NULL DEFAULT 0,
+            response_code smallint(5) unsigned DEFAULT NULL,
+            response_message varchar(500) DEFAULT NULL,
+            created_at datetime NOT NULL,
+            last_attempt_at datetime DEFAULT NULL,
+            next_attempt_at datetime DEFAULT NULL,
+            PRIMARY KEY (id),
+            KEY webhookid (webhookid)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Drop the webhook deliveries table
+     *
+     * @return void
+     */
+    public static function drop_webhook_deliveries_table()
+    {
+        global $wpdb;
+
+        $table_name = self::get_webhook_deliveries_table_name();
+        $wpdb->query("DROP TABLE IF EXISTS $table_name");
+    }
+
+}
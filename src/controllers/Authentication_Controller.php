@@ -7,6 +7,12 @@
  * - postmetadata/v1/authentication/generatepublic (public)
  * - postmetadata/v1/authentication/retrieve (protected)
  * - postmetadata/v1/authentication/retrievepublic (public)
+ * - postmetadata/v1/authentication/tokens (protected)
+ * - postmetadata/v1/authentication/createtoken (protected)
+ * - postmetadata/v1/authentication/revoketoken (protected)
+ *
+ * The API token endpoints have no public versions, so a token can never be
+ * used to create or revoke tokens.
  */
 
 if (!defined('ABSPATH')) {
@@ -27,6 +33,13 @@ class Authentication_Controller
      */
     private $authentication_service;
 
+    /**
+     * Token service instance
+     *
+     * @var Token_Service
+     */
+    private $token_service;
+
     /**
      * Authorisation helper instance
      *
@@ -44,6 +57,7 @@ class Authentication_Controller
         $this->authorisation_helper = $authorisation_helper;
         $preferences_service = new Preferences_Service();
         $this->authentication_service = new Authentication_Service($preferences_service, $authorisation_helper);
+        $this->token_service = new Token_Service();
         add_action('rest_api_init', array($this, 'register_rest_routes'));
     }
 
@@ -77,6 +91,64 @@ class Authentication_Controller
             'callback' => array($this, 'handle_retrieve_request'),
             'permission_callback' => array($this, 'check_debug_authorization')
         ));
+
+        // API token endpoints
+        register_rest_route($this->namespace, '/tokens', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_tokens_request'),
+            'permission_callback' => array($this, 'check_token_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/createtoken', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_create_token_request'),
+            'permission_callback' => array($this, 'check_token_authentication'),
+            'args' => $this->get_create_token_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/revoketoken', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_revoke_token_request'),
+            'permission_callback' => array($this, 'check_token_authentication'),
+            'args' => array(
+                'id' => array(
+                    'required' => true,
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'description' => 'The token ID'
+                )
+            )
+        ));
+    }
+
+    /**
+     * Get create token endpoint arguments for validation
+     *
+     * @return array
+     */
+    private function get_create_token_endpoint_args()
+    {
+        return array(
+            'name' => array(
+                'required' => true,
+                'type' => 'string',
+                'description' => 'Name to recognise the token by (max 100 characters)'
+            ),
+            'scopes' => array(
+                'required' => true,
+                'type' => 'array',
+                'items' => array(
+                    'type' => 'string',
+                    'enum' => array_keys(Token_Service::SCOPES)
+                ),
+                'description' => 'The public endpoints the token grants'
+            ),
+            'expires_at' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Last day the token works, in Y-m-d format. Leave out for no expiry'
+            )
+        );
     }
 
     /**
@@ -87,7 +159,7 @@ class Authentication_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -125,6 +197,33 @@ class Authentication_Controller
         return true;
     }
 
+    /**
+     * Authentication callback for the API token endpoints
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_token_authentication($request)
+    {
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        if (!current_user_can('manage_options')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to manage API tokens.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Handle generate token request
      *
@@ -172,4 +271,103 @@ class Authentication_Controller
             );
         }
     }
+
+    /**
+     * Handle list tokens request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_tokens_request($request)
+    {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $this->token_service->get_tokens(),
+                'scopes' => $this->token_service->get_scopes(),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'tokens_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle create token request
+     *
+     * The token is only ever returned in this response.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_create_token_request($request)
+    {
+        try {
+            $result = $this->token_service->create_token(
+                $request->get_param('name'),
+                $request->get_param('scopes'),
+                $request->get_param('expires_at')
+            );
+
+            if (!$result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $result['errors'],
+                    'timestamp' => current_time('mysql')
+                ), 400);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'token' => $result['token'],
+                'data' => $result['data'],
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'create_token_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle revoke token request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_revoke_token_request($request)
+    {
+        try {
+            $result = $this->token_service->revoke_token($request->get_param('id'));
+
+            if (!$result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $result['errors'],
+                    'timestamp' => current_time('mysql')
+                ), 404);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'revoke_token_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
 }
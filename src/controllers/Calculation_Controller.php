@@ -5,6 +5,9 @@
  * Registers REST API endpoints:
  * - /calculate - Perform a calculation
  * - /operations - Get available operations
+ * - /posttimes - Get post times for a single date
+ * - /posttimesrange - Get post times for every date in a range
+ * - /posttimespreview - Get post times for a range using unsaved preference values
  */
 
 if (!defined('ABSPATH')) {
@@ -91,6 +94,34 @@ class Calculation_Controller
             'permission_callback' => array($this, 'check_debug_authorization'),
             'args' => $this->get_posttimes_endpoint_args()
         ));
+
+        register_rest_route($this->namespace, '/posttimesrange', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_posttimes_range_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_posttimes_range_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/posttimesrangepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_posttimes_range_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_posttimes_range_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/posttimespreview', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_posttimes_preview_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_posttimes_preview_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/posttimespreviewpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_posttimes_preview_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_posttimes_preview_endpoint_args()
+        ));
     }
 
     /**
@@ -133,6 +164,77 @@ class Calculation_Controller
         );
     }
 
+    /**
+     * Get endpoint arguments for posttimes range validation
+     *
+     * @return array
+     */
+    private function get_posttimes_range_endpoint_args()
+    {
+        return array(
+            'start_date' => array(
+                'required' => true,
+                'type' => 'string',
+                'description' => 'The first date of the range in dd-mm-yyyy format'
+            ),
+            'end_date' => array(
+                'required' => true,
+                'type' => 'string',
+                'description' => 'The last date of the range in dd-mm-yyyy format (max ' . Calculation_Helper::MAX_RANGE_DAYS . ' days)'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for posttimes preview validation
+     *
+     * @return array
+     */
+    private function get_posttimes_preview_endpoint_args()
+    {
+        return array_merge($this->get_posttimes_range_endpoint_args(), array(
+            'posts_per_day' => array(
+                'required' => false,
+                'type' => 'integer',
+                'description' => 'Hypothetical number of posts to republish per day, or per interval_days days'
+            ),
+            'interval_days' => array(
+                'required' => false,
+                'type' => 'integer',
+                'description' => 'Hypothetical number of days posts_per_day is spread over (1-30)'
+            ),
+            'publish_windows' => array(
+                'required' => false,
+                'type' => 'array',
+                'items' => array(
+                    'type' => 'string'
+                ),
+                'description' => 'Hypothetical publishing windows in hh:mm-hh:mm format'
+            ),
+            'publish_start_time' => array(
+                'required' => false,
+                'type' => 'integer',
+                'description' => 'Hypothetical publish start hour (0-23)'
+            ),
+            'publish_end_time' => array(
+                'required' => false,
+                'type' => 'integer',
+                'description' => 'Hypothetical publish end hour (1-24)'
+            ),
+            'schedule_mode' => array(
+                'required' => false,
+                'type' => 'string',
+                'enum' => array('daily', 'weekday'),
+                'description' => "Hypothetical schedule mode ('daily' or 'weekday')"
+            ),
+            'weekday_schedule' => array(
+                'required' => false,
+                'type' => 'object',
+                'description' => 'Hypothetical per-weekday schedule keyed by weekday (mon-sun)'
+            )
+        ));
+    }
+
     /**
      * Authentication callback for protected endpoint
      *
@@ -170,7 +272,7 @@ class Calculation_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -284,4 +386,91 @@ class Calculation_Controller
             );
         }
     }
+
+    /**
+     * Handle posttimes range request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_posttimes_range_request($request)
+    {
+        try {
+            $start_date = $request->get_param('start_date');
+            $end_date = $request->get_param('end_date');
+
+            $result = $this->calculation_service->get_post_times_range($start_date, $end_date);
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'today' => $result['today'],
+                    'days' => $result['days'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'posttimes_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle posttimes preview request
+     *
+     * Nothing is persisted; the supplied values only apply to this calculation.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_posttimes_preview_request($request)
+    {
+        try {
+            $start_date = $request->get_param('start_date');
+            $end_date = $request->get_param('end_date');
+
+            $overrides = array();
+            foreach (array('posts_per_day', 'interval_days', 'publish_windows', 'publish_start_time', 'publish_end_time', 'schedule_mode', 'weekday_schedule') as $key) {
+                $value = $request->get_param($key);
+                if ($value !== null && $value !== '') {
+                    $overrides[$key] = $value;
+                }
+            }
+
+            $result = $this->calculation_service->get_post_times_range($start_date, $end_date, $overrides);
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'preview' => true,
+                    'today' => $result['today'],
+                    'days' => $result['days'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'posttimes_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
 }
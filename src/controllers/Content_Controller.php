@@ -0,0 +1,419 @@
+<?php
+/**
+ * WordPress REST API Class for Content Filters
+ *
+ * Registers REST API endpoints:
+ * - /retrieve - Get the saved content filters and the selectable post types
+ * - /save - Save the content filters
+ * - /count - Count the posts eligible under saved or unsaved filters and rules
+ * - /terms - Search categories or tags
+ * - /authors - Search authors
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Content_Controller
+{
+
+    /**
+     * API namespace
+     */
+    private $namespace = 'postmetadata/v1/content';
+
+    /**
+     * Content service instance
+     *
+     * @var Content_Service
+     */
+    private $content_service;
+
+    /**
+     * Republish service instance
+     *
+     * @var Republish_Service
+     */
+    private $republish_service;
+
+    /**
+     * Authorisation helper instance
+     *
+     * @var Authorisation_Helper
+     */
+    private $authorisation_helper;
+
+    /**
+     * Constructor
+     *
+     * @param Authorisation_Helper $authorisation_helper
+     */
+    public function __construct($authorisation_helper)
+    {
+        $this->authorisation_helper = $authorisation_helper;
+        $this->content_service = new Content_Service();
+        $this->republish_service = new Republish_Service($this->content_service);
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_rest_routes()
+    {
+        // Protected endpoints requiring application password authentication
+        register_rest_route($this->namespace, '/retrieve', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/save', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_filters_endpoint_args(true)
+        ));
+
+        register_rest_route($this->namespace, '/count', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_count_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_count_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/terms', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_terms_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_terms_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/authors', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_authors_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_authors_endpoint_args()
+        ));
+
+        // Public endpoints for testing
+        register_rest_route($this->namespace, '/retrievepublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/savepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_filters_endpoint_args(true)
+        ));
+
+        register_rest_route($this->namespace, '/countpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_count_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_count_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/termspublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_terms_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_terms_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/authorspublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_authors_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_authors_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for save and count validation
+     *
+     * @param bool $required Whether the filters must be supplied
+     * @return array
+     */
+    private function get_filters_endpoint_args($required)
+    {
+        return array(
+            'filters' => array(
+                'required' => $required,
+                'type' => 'object',
+                'description' => 'Content filters with post_types and include/exclude category, tag and author IDs'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for count validation
+     *
+     * @return array
+     */
+    private function get_count_endpoint_args()
+    {
+        return array_merge($this->get_filters_endpoint_args(false), array(
+            'rules' => array(
+                'required' => false,
+                'type' => 'object',
+                'description' => 'Eligibility rules with min_post_age_days and republish_cooldown_days'
+            )
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for terms search validation
+     *
+     * @return array
+     */
+    private function get_terms_endpoint_args()
+    {
+        return array(
+            'taxonomy' => array(
+                'required' => true,
+                'type' => 'string',
+                'enum' => array('category', 'post_tag'),
+                'description' => 'Taxonomy to search'
+            ),
+            'search' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Text to search for in term names'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for authors search validation
+     *
+     * @return array
+     */
+    private function get_authors_endpoint_args()
+    {
+        return array(
+            'search' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Text to search for in author names'
+            )
+        );
+    }
+
+    /**
+     * Authentication callback for protected endpoint
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_authentication($request)
+    {
+        // Check if user is authenticated via application password
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        // Check if user has appropriate capabilities
+        if (!current_user_can('edit_posts')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to access this endpoint.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission callback for public endpoints
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_debug_authorization($request)
+    {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            __('Public access is restricted. Please enable Debug mode in settings.'),
+            array('status' => 403)
+        );
+    }
+
+    /**
+     * Handle retrieve request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_retrieve_request($request)
+    {
+        try {
+            $filters = $this->content_service->get_filters();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'filters' => $filters,
+                'selected' => $this->content_service->describe_filters($filters),
+                'post_types' => $this->content_service->get_post_types(),
+                'eligible_count' => $this->republish_service->count_eligible_posts($filters),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'content_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle save request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_save_request($request)
+    {
+        try {
+            $result = $this->content_service->save_filters($request->get_param('filters'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'filters' => $result['filters'],
+                    'eligible_count' => $this->republish_service->count_eligible_posts($result['filters']),
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'content_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle count request
+     *
+     * Counts against the supplied filters and rules without saving them, or the
+     * saved ones when none are supplied.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_count_request($request)
+    {
+        try {
+            $filters = $request->get_param('filters');
+            $rules = $request->get_param('rules');
+
+            if ($filters !== null || $rules !== null) {
+                $errors = array_merge(
+                    $filters !== null ? $this->content_service->validate_filters($filters) : array(),
+                    $rules !== null ? $this->republish_service->validate_rules($rules) : array()
+                );
+
+                if (!empty($errors)) {
+                    return new WP_REST_Response(array(
+                        'success' => false,
+                        'errors' => $errors,
+                        'timestamp' => current_time('mysql')
+                    ), 400);
+                }
+            }
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'eligible_count' => $this->republish_service->count_eligible_posts($filters, $rules),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'content_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle terms search request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_terms_request($request)
+    {
+        try {
+            $results = $this->content_service->search_terms(
+                $request->get_param('taxonomy'),
+                $request->get_param('search')
+            );
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $results,
+                'count' => count($results),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'content_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle authors search request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_authors_request($request)
+    {
+        try {
+            $results = $this->content_service->search_authors($request->get_param('search'));
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $results,
+                'count' => count($results),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'content_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+}
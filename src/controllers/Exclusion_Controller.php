@@ -0,0 +1,313 @@
+<?php
+/**
+ * WordPress REST API Class for Exclusions
+ *
+ * Registers REST API endpoints:
+ * - /retrieve - Get every excluded post
+ * - /add - Exclude a post from republishing
+ * - /remove - Remove a post from the exclusion list
+ * - /search - Search published posts that are not excluded
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Exclusion_Controller
+{
+
+    /**
+     * API namespace
+     */
+    private $namespace = 'postmetadata/v1/exclusions';
+
+    /**
+     * Exclusion service instance
+     *
+     * @var Exclusion_Service
+     */
+    private $exclusion_service;
+
+    /**
+     * Authorisation helper instance
+     *
+     * @var Authorisation_Helper
+     */
+    private $authorisation_helper;
+
+    /**
+     * Constructor
+     *
+     * @param Authorisation_Helper $authorisation_helper
+     */
+    public function __construct($authorisation_helper)
+    {
+        $this->authorisation_helper = $authorisation_helper;
+        $this->exclusion_service = new Exclusion_Service();
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_rest_routes()
+    {
+        // Protected endpoints requiring application password authentication
+        register_rest_route($this->namespace, '/retrieve', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/add', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_add_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/remove', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_remove_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/search', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_search_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_search_endpoint_args()
+        ));
+
+        // Public endpoints for testing
+        register_rest_route($this->namespace, '/retrievepublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/addpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_add_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/removepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_remove_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/searchpublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_search_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_search_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for add and remove validation
+     *
+     * @return array
+     */
+    private function get_post_endpoint_args()
+    {
+        return array(
+            'post_id' => array(
+                'required' => true,
+                'type' => 'integer',
+                'minimum' => 1,
+                'description' => 'The post ID'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for search validation
+     *
+     * @return array
+     */
+    private function get_search_endpoint_args()
+    {
+        return array(
+            'search' => array(
+                'required' => true,
+                'type' => 'string',
+                'description' => 'Text to search for in post titles and content'
+            )
+        );
+    }
+
+    /**
+     * Authentication callback for protected endpoint
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_authentication($request)
+    {
+        // Check if user is authenticated via application password
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        // Check if user has appropriate capabilities
+        if (!current_user_can('edit_posts')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to access this endpoint.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission callback for public endpoints
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_debug_authorization($request)
+    {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            __('Public access is restricted. Please enable Debug mode in settings.'),
+            array('status' => 403)
+        );
+    }
+
+    /**
+     * Handle retrieve request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_retrieve_request($request)
+    {
+        try {
+            $posts = $this->exclusion_service->get_excluded_posts();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $posts,
+                'count' => count($posts),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'exclusion_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle add request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_add_request($request)
+    {
+        try {
+            $result = $this->exclusion_service->exclude_post((int) $request->get_param('post_id'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'post' => $result['post'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 404);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'exclusion_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle remove request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_remove_request($request)
+    {
+        try {
+            $result = $this->exclusion_service->include_post((int) $request->get_param('post_id'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 404);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'exclusion_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle search request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_search_request($request)
+    {
+        try {
+            $posts = $this->exclusion_service->search_posts($request->get_param('search'));
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $posts,
+                'count' => count($posts),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'exclusion_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+}
@@ -5,6 +5,10 @@
  * Registers REST API endpoints:
  * - postmetadata/v1/history/retrieve (protected)
  * - postmetadata/v1/history/retrievepublic (public)
+ * - postmetadata/v1/history/timeline (protected) - Every republish of one post
+ * - postmetadata/v1/history/timelinepublic (public)
+ * - postmetadata/v1/history/export (protected) - Download history as CSV or JSON
+ * - postmetadata/v1/history/exportpublic (public)
  */
 
 if (!defined('ABSPATH')) {
@@ -33,6 +37,13 @@ class History_Controller
      */
     private $authorisation_helper;
 
+    /**
+     * Export helper instance
+     *
+     * @var Export_Helper
+     */
+    private $export_helper;
+
     /**
      * Constructor
      *
@@ -42,6 +53,7 @@ class History_Controller
     {
         $this->authorisation_helper = $authorisation_helper;
         $this->history_service = new History_Service();
+        $this->export_helper = new Export_Helper();
         add_action('rest_api_init', array($this, 'register_rest_routes'));
     }
 
@@ -57,12 +69,81 @@ class History_Controller
             'permission_callback' => array($this, 'check_authentication')
         ));
 
+        register_rest_route($this->namespace, '/timeline', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_timeline_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_timeline_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/export', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_export_history_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_export_endpoint_args()
+        ));
+
         // Public endpoint for testing
         register_rest_route($this->namespace, '/retrievepublic', array(
             'methods' => WP_REST_Server::READABLE,
             'callback' => array($this, 'handle_retrieve_history_request'),
             'permission_callback' => array($this, 'check_debug_authorization')
         ));
+
+        register_rest_route($this->namespace, '/timelinepublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_timeline_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_timeline_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/exportpublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_export_history_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_export_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for timeline validation
+     *
+     * @return array
+     */
+    private function get_timeline_endpoint_args()
+    {
+        return array(
+            'post_id' => array(
+                'required' => true,
+                'type' => 'integer',
+                'minimum' => 1,
+                'description' => 'The post ID to get the timeline for'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for export validation
+     *
+     * @return array
+     */
+    private function get_export_endpoint_args()
+    {
+        return array(
+            'format' => array(
+                'required' => false,
+                'type' => 'string',
+                'enum' => Export_Helper::FORMATS,
+                'default' => 'csv',
+                'description' => 'File format of the export'
+            ),
+            'limit' => array(
+                'required' => false,
+                'type' => 'integer',
+                'minimum' => 1,
+                'description' => 'Maximum number of entries to export (all if omitted)'
+            )
+        );
     }
 
     /**
@@ -73,7 +154,7 @@ class History_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -156,4 +237,65 @@ class History_Controller
             );
         }
     }
+
+    /**
+     * Handle timeline request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_timeline_request($request)
+    {
+        try {
+            $timeline = $this->history_service->get_post_timeline((int) $request->get_param('post_id'));
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $timeline,
+                'count' => count($timeline),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'retrieve_timeline_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle export history request
+     *
+     * Streams the file straight to the client and ends the request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_Error
+     */
+    public function handle_export_history_request($request)
+    {
+        try {
+            $limit = $request->get_param('limit');
+            $limit = $limit !== null ? (int) $limit : null;
+
+            $this->export_helper->stream(
+                $this->export_helper->get_filename('history'),
+                $request->get_param('format'),
+                array('id', 'post_id', 'type', 'republished_at', 'post_title', 'post_publish_datetime', 'original_date', 'reverted_at', 'post_url'),
+                function ($write) use ($limit) {
+                    $this->history_service->export_history($limit, $write);
+                }
+            );
+
+            exit;
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'export_history_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
 }
@@ -0,0 +1,321 @@
+<?php
+/**
+ * WordPress REST API Class for the IndexNow integration
+ *
+ * Registers REST API endpoints:
+ * - /retrieve - Get the IndexNow settings and the location of the key file
+ * - /save - Save the IndexNow settings
+ * - /generate - Generate a new key, saved with the settings
+ * - /test - Send a test submission
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class IndexNow_Controller
+{
+
+    /**
+     * API namespace
+     */
+    private $namespace = 'postmetadata/v1/indexnow';
+
+    /**
+     * IndexNow service instance
+     *
+     * @var IndexNow_Service
+     */
+    private $indexnow_service;
+
+    /**
+     * Authorisation helper instance
+     *
+     * @var Authorisation_Helper
+     */
+    private $authorisation_helper;
+
+    /**
+     * Constructor
+     *
+     * @param Authorisation_Helper $authorisation_helper
+     */
+    public function __construct($authorisation_helper)
+    {
+        $this->authorisation_helper = $authorisation_helper;
+        $this->indexnow_service = new IndexNow_Service();
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_rest_routes()
+    {
+        // Protected endpoints requiring application password authentication
+        register_rest_route($this->namespace, '/retrieve', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/save', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_save_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/generate', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_generate_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/test', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_test_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_test_endpoint_args()
+        ));
+
+        // Public endpoints for testing
+        register_rest_route($this->namespace, '/retrievepublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/savepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_save_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/generatepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_generate_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/testpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_test_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_test_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for save validation
+     *
+     * @return array
+     */
+    private function get_save_endpoint_args()
+    {
+        return array(
+            'settings' => array(
+                'required' => true,
+                'type' => 'object',
+                'description' => 'IndexNow settings with enabled, endpoint and key'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for test validation
+     *
+     * @return array
+     */
+    private function get_test_endpoint_args()
+    {
+        return array(
+            'endpoint' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Endpoint to submit to, defaults to the saved endpoint'
+            ),
+            'key' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Key to submit with, defaults to the saved key'
+            )
+        );
+    }
+
+    /**
+     * Authentication callback for protected endpoint
+     *
+     * Submissions go to outside services, so only administrators can change them.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_authentication($request)
+    {
+        // Check if user is authenticated via application password
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        // Check if user has appropriate capabilities
+        if (!current_user_can('manage_options')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to access this endpoint.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission callback for public endpoints
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_debug_authorization($request)
+    {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            __('Public access is restricted. Please enable Debug mode in settings.'),
+            array('status' => 403)
+        );
+    }
+
+    /**
+     * Handle retrieve request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_retrieve_request($request)
+    {
+        try {
+            $settings = $this->indexnow_service->get_settings();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'settings' => $settings,
+                'key_location' => $settings['key'] !== '' ? $this->indexnow_service->get_key_location($settings['key']) : null,
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'indexnow_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle save request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_save_request($request)
+    {
+        try {
+            $result = $this->indexnow_service->save_settings($request->get_param('settings'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'settings' => $result['settings'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'indexnow_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle generate request
+     *
+     * The key is only returned, it is saved with the rest of the settings.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_generate_request($request)
+    {
+        try {
+            $key = $this->indexnow_service->generate_key();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'key' => $key,
+                'key_location' => $this->indexnow_service->get_key_location($key),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'indexnow_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle test request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_test_request($request)
+    {
+        try {
+            $result = $this->indexnow_service->send_test($request->get_param('endpoint'), $request->get_param('key'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'response_code' => $result['response_code'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'response_code' => isset($result['response_code']) ? $result['response_code'] : null,
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'indexnow_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+}
@@ -3,7 +3,12 @@
  * WordPress REST API Class for Logging
  *
  * Registers REST API endpoints:
- * -
+ * - /add - Add a log entry
+ * - /retrieve - Get one page of log entries, filtered by type, post ID, text and date range
+ * - /export - Download every log entry matching the same filters as CSV or JSON
+ * - /retention - Get the retention period per log type and how many entries a purge would delete
+ * - /saveretention - Save the retention period per log type
+ * - /purge - Delete the entries older than their type's retention period
  */
 
 if (!defined('ABSPATH')) {
@@ -32,6 +37,20 @@ class Logging_Controller
      */
     private $authorisation_helper;
 
+    /**
+     * Export helper instance
+     *
+     * @var Export_Helper
+     */
+    private $export_helper;
+
+    /**
+     * Retention service instance
+     *
+     * @var Retention_Service
+     */
+    private $retention_service;
+
     /**
      * Constructor
      *
@@ -41,6 +60,8 @@ class Logging_Controller
     {
         $this->authorisation_helper = $authorisation_helper;
         $this->logging_service = new Logging_Service();
+        $this->export_helper = new Export_Helper();
+        $this->retention_service = new Retention_Service(null, $this->logging_service);
         add_action('rest_api_init', array($this, 'register_rest_routes'));
     }
 
@@ -60,9 +81,36 @@ class Logging_Controller
         register_rest_route($this->namespace, '/retrieve', array(
             'methods' => WP_REST_Server::READABLE,
             'callback' => array($this, 'handle_retrieve_log_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_retrieve_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/export', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_export_log_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_export_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/retention', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retention_request'),
             'permission_callback' => array($this, 'check_authentication')
         ));
 
+        register_rest_route($this->namespace, '/saveretention', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_retention_request'),
+            'permission_callback' => array($this, 'check_retention_authentication'),
+            'args' => $this->get_retention_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/purge', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_purge_request'),
+            'permission_callback' => array($this, 'check_retention_authentication')
+        ));
+
         // Public endpoints
         register_rest_route($this->namespace, '/addpublic', array(
             'methods' => WP_REST_Server::CREATABLE,
@@ -74,6 +122,33 @@ class Logging_Controller
         register_rest_route($this->namespace, '/retrievepublic', array(
             'methods' => WP_REST_Server::READABLE,
             'callback' => array($this, 'handle_retrieve_log_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_retrieve_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/exportpublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_export_log_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_export_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/retentionpublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retention_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/saveretentionpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_retention_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_retention_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/purgepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_purge_request'),
             'permission_callback' => array($this, 'check_debug_authorization')
         ));
     }
@@ -104,6 +179,97 @@ class Logging_Controller
         );
     }
 
+    /**
+     * Get endpoint arguments for retrieve validation
+     *
+     * @return array
+     */
+    private function get_retrieve_endpoint_args()
+    {
+        return array(
+            'page' => array(
+                'required' => false,
+                'type' => 'integer',
+                'minimum' => 1,
+                'default' => 1,
+                'description' => 'Page number, starting at 1'
+            ),
+            'per_page' => array(
+                'required' => false,
+                'type' => 'integer',
+                'minimum' => 1,
+                'maximum' => Logging_Service::MAX_PER_PAGE,
+                'default' => Logging_Service::DEFAULT_PER_PAGE,
+                'description' => 'Number of log entries per page'
+            ),
+            'type' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Only return log entries of this type'
+            ),
+            'post_id' => array(
+                'required' => false,
+                'type' => 'integer',
+                'minimum' => 1,
+                'description' => 'Only return log entries for this post ID'
+            ),
+            'search' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Only return log entries whose entry contains this text'
+            ),
+            'from' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Earliest date to return (YYYY-MM-DD, inclusive)'
+            ),
+            'to' => array(
+                'required' => false,
+                'type' => 'string',
+                'description' => 'Latest date to return (YYYY-MM-DD, inclusive)'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for export validation
+     *
+     * Takes the same filters as retrieve, without the paging
+     *
+     * @return array
+     */
+    private function get_export_endpoint_args()
+    {
+        $args = $this->get_retrieve_endpoint_args();
+        unset($args['page'], $args['per_page']);
+
+        return array_merge(array(
+            'format' => array(
+                'required' => false,
+                'type' => 'string',
+                'enum' => Export_Helper::FORMATS,
+                'default' => 'csv',
+                'description' => 'File format of the export'
+            )
+        ), $args);
+    }
+
+    /**
+     * Get endpoint arguments for retention validation
+     *
+     * @return array
+     */
+    private function get_retention_endpoint_args()
+    {
+        return array(
+            'retention' => array(
+                'required' => true,
+                'type' => 'object',
+                'description' => 'Days to keep keyed by log type; empty or 0 keeps the type forever'
+            )
+        );
+    }
+
     /**
      * Permission callback for public endpoints
      *
@@ -112,7 +278,7 @@ class Logging_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -152,6 +318,35 @@ class Logging_Controller
         return true;
     }
 
+    /**
+     * Authentication callback for the endpoints that change retention or purge logs
+     *
+     * Purged logs and republish history cannot be restored, so only administrators can.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_retention_authentication($request)
+    {
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        if (!current_user_can('manage_options')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to change log retention.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Handle add log request
      *
@@ -201,18 +396,33 @@ class Logging_Controller
     public function handle_retrieve_log_request($request)
     {
         try {
-            $type = $request->get_param('type');
+            $filters = array();
 
-            if ($type !== null && $type !== '') {
-                $logs = $this->logging_service->get_logs_of_type($type);
-            } else {
-                $logs = $this->logging_service->get_all_logs();
+            foreach (array('page', 'per_page', 'type', 'post_id', 'search', 'from', 'to') as $key) {
+                $filters[$key] = $request->get_param($key);
             }
 
+            $errors = $this->logging_service->validate_log_query($filters);
+
+            if (!empty($errors)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $errors,
+                    'timestamp' => current_time('mysql')
+                ), 400);
+            }
+
+            $result = $this->logging_service->query_logs($filters);
+
             return new WP_REST_Response(array(
                 'success' => true,
-                'data' => $logs,
-                'count' => count($logs),
+                'data' => $result['logs'],
+                'count' => count($result['logs']),
+                'total' => $result['total'],
+                'page' => $result['page'],
+                'per_page' => $result['per_page'],
+                'total_pages' => $result['total_pages'],
+                'types' => $this->logging_service->get_log_types(),
                 'timestamp' => current_time('mysql')
             ), 200);
 
@@ -224,4 +434,147 @@ class Logging_Controller
             );
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Handle export log request
+     *
+     * Streams the file straight to the client and ends the request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_export_log_request($request)
+    {
+        try {
+            $filters = array();
+
+            foreach (array('type', 'post_id', 'search', 'from', 'to') as $key) {
+                $filters[$key] = $request->get_param($key);
+            }
+
+            $errors = $this->logging_service->validate_log_query($filters);
+
+            if (!empty($errors)) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $errors,
+                    'timestamp' => current_time('mysql')
+                ), 400);
+            }
+
+            $this->export_helper->stream(
+                $this->export_helper->get_filename('logs'),
+                $request->get_param('format'),
+                array('id', 'timestamp', 'type', 'postid', 'entry'),
+                function ($write) use ($filters) {
+                    $this->logging_service->export_logs($filters, $write);
+                }
+            );
+
+            exit;
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'export_log_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle retention request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_retention_request($request)
+    {
+        try {
+            return new WP_REST_Response($this->get_retention_response(), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'retention_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle save retention request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_save_retention_request($request)
+    {
+        try {
+            $result = $this->retention_service->save_retention($request->get_param('retention'));
+
+            if (!$result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $result['errors'],
+                    'timestamp' => current_time('mysql')
+                ), 400);
+            }
+
+            return new WP_REST_Response($this->get_retention_response(), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'retention_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle purge request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_purge_request($request)
+    {
+        try {
+            $result = $this->retention_service->purge_logs();
+
+            return new WP_REST_Response(array(
+                'success' => $result['success'],
+                'purged' => (object) $result['purged'],
+                'total' => $result['total'],
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'purge_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Build the response for the retention endpoints
+     *
+     * @return array
+     */
+    private function get_retention_response()
+    {
+        $preview = $this->retention_service->preview_purge();
+
+        return array(
+            'success' => true,
+            'retention' => (object) $this->retention_service->get_retention(),
+            'types' => $this->retention_service->get_log_types(),
+            'preview' => (object) $preview,
+            'total' => array_sum($preview),
+            'timestamp' => current_time('mysql')
+        );
+    }
+}
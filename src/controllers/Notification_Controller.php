@@ -0,0 +1,279 @@
+<?php
+/**
+ * WordPress REST API Class for Notifications
+ *
+ * Registers REST API endpoints:
+ * - /retrieve - Get the notification settings and the events that can be emailed
+ * - /save - Save the notification settings
+ * - /test - Send a test email
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Notification_Controller
+{
+
+    /**
+     * API namespace
+     */
+    private $namespace = 'postmetadata/v1/notifications';
+
+    /**
+     * Notification service instance
+     *
+     * @var Notification_Service
+     */
+    private $notification_service;
+
+    /**
+     * Authorisation helper instance
+     *
+     * @var Authorisation_Helper
+     */
+    private $authorisation_helper;
+
+    /**
+     * Constructor
+     *
+     * @param Authorisation_Helper $authorisation_helper
+     */
+    public function __construct($authorisation_helper)
+    {
+        $this->authorisation_helper = $authorisation_helper;
+        $this->notification_service = new Notification_Service();
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_rest_routes()
+    {
+        // Protected endpoints requiring application password authentication
+        register_rest_route($this->namespace, '/retrieve', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/save', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_save_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/test', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_test_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_test_endpoint_args()
+        ));
+
+        // Public endpoints for testing
+        register_rest_route($this->namespace, '/retrievepublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/savepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_save_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_save_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/testpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_test_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_test_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for save validation
+     *
+     * @return array
+     */
+    private function get_save_endpoint_args()
+    {
+        return array(
+            'settings' => array(
+                'required' => true,
+                'type' => 'object',
+                'description' => 'Notification settings with recipients, events and digest (off, daily or weekly)'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for test validation
+     *
+     * @return array
+     */
+    private function get_test_endpoint_args()
+    {
+        return array(
+            'recipients' => array(
+                'required' => false,
+                'type' => 'array',
+                'items' => array(
+                    'type' => 'string'
+                ),
+                'description' => 'Email addresses to send the test to, defaults to the saved recipients'
+            )
+        );
+    }
+
+    /**
+     * Authentication callback for protected endpoint
+     *
+     * Notifications go to the site's administrators, so only they can change them.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_authentication($request)
+    {
+        // Check if user is authenticated via application password
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        // Check if user has appropriate capabilities
+        if (!current_user_can('manage_options')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to access this endpoint.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission callback for public endpoints
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_debug_authorization($request)
+    {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            __('Public access is restricted. Please enable Debug mode in settings.'),
+            array('status' => 403)
+        );
+    }
+
+    /**
+     * Handle retrieve request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_retrieve_request($request)
+    {
+        try {
+            return new WP_REST_Response(array(
+                'success' => true,
+                'settings' => $this->notification_service->get_settings(),
+                'events' => $this->notification_service->get_events(),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'notification_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle save request
+     *
+     * Reschedules the digest, since its frequency may have changed.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_save_request($request)
+    {
+        try {
+            $result = $this->notification_service->save_settings($request->get_param('settings'));
+
+            if ($result['success']) {
+                require_once plugin_dir_path( dirname( __FILE__ ) ) . 'services/Cron_Service.php';
+                $cron_service = new Cron_Service();
+                $cron_service->manage_cron();
+
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'settings' => $result['settings'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'notification_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle test request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_test_request($request)
+    {
+        try {
+            $result = $this->notification_service->send_test($request->get_param('recipients'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'notification_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+}
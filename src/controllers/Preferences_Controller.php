@@ -7,6 +7,12 @@
  * - postmetadata/v1/preferences/retrieve (protected)
  * - postmetadata/v1/preferences/updatepublic (public)
  * - postmetadata/v1/preferences/retrievepublic (public)
+ * - postmetadata/v1/preferences/export (protected)
+ * - postmetadata/v1/preferences/importpreview (protected)
+ * - postmetadata/v1/preferences/import (protected)
+ * - postmetadata/v1/preferences/exportpublic (public)
+ * - postmetadata/v1/preferences/importpreviewpublic (public)
+ * - postmetadata/v1/preferences/importpublic (public)
  */
 
 if (!defined('ABSPATH')) {
@@ -79,6 +85,87 @@ class Preferences_Controller
             'callback' => array($this, 'handle_generate_token_request'),
             'permission_callback' => array($this, 'check_authentication')
         ));
+
+        // Export endpoint (protected)
+        register_rest_route($this->namespace, '/export', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_export_request'),
+            'permission_callback' => array($this, 'check_export_authentication'),
+            'args' => $this->get_export_endpoint_args()
+        ));
+
+        // Import preview endpoint (protected)
+        register_rest_route($this->namespace, '/importpreview', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_import_preview_request'),
+            'permission_callback' => array($this, 'check_configuration_authentication'),
+            'args' => $this->get_import_endpoint_args()
+        ));
+
+        // Import endpoint (protected)
+        register_rest_route($this->namespace, '/import', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_import_request'),
+            'permission_callback' => array($this, 'check_configuration_authentication'),
+            'args' => $this->get_import_endpoint_args()
+        ));
+
+        // Export endpoint (public)
+        register_rest_route($this->namespace, '/exportpublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_export_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_export_endpoint_args()
+        ));
+
+        // Import preview endpoint (public)
+        register_rest_route($this->namespace, '/importpreviewpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_import_preview_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_import_endpoint_args()
+        ));
+
+        // Import endpoint (public)
+        register_rest_route($this->namespace, '/importpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_import_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_import_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get export endpoint arguments for validation
+     *
+     * @return array
+     */
+    private function get_export_endpoint_args()
+    {
+        return array(
+            'include_secrets' => array(
+                'required' => false,
+                'type' => 'boolean',
+                'default' => false,
+                'description' => 'Include secrets such as the cron secret token and license key'
+            )
+        );
+    }
+
+    /**
+     * Get import endpoint arguments for validation
+     *
+     * @return array
+     */
+    private function get_import_endpoint_args()
+    {
+        return array(
+            'configuration' => array(
+                'required' => true,
+                'type' => 'object',
+                'description' => 'A configuration produced by the export endpoint'
+            )
+        );
     }
 
     /**
@@ -118,7 +205,7 @@ class Preferences_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -158,6 +245,52 @@ class Preferences_Controller
         return true;
     }
 
+    /**
+     * Authentication callback for the export endpoint
+     *
+     * Exporting the secrets, such as the license key, needs the same access as importing.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_export_authentication($request)
+    {
+        if ($request->get_param('include_secrets')) {
+            return $this->check_configuration_authentication($request);
+        }
+
+        return $this->check_authentication($request);
+    }
+
+    /**
+     * Authentication callback for importing the configuration and exporting its secrets
+     *
+     * An import can overwrite every preference, so only administrators can.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_configuration_authentication($request)
+    {
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        if (!current_user_can('manage_options')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to import the configuration or export its secrets.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
     /**
      * Handle update preferences request
      *
@@ -288,4 +421,101 @@ class Preferences_Controller
             );
         }
     }
+
+    /**
+     * Handle export request
+     *
+     * Responds with the configuration as a JSON file download.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_export_request($request)
+    {
+        try {
+            $configuration = $this->preferences_service->export_preferences((bool) $request->get_param('include_secrets'));
+
+            $response = new WP_REST_Response($configuration, 200);
+            $response->header('Content-Disposition', 'attachment; filename="rd-post-republishing-configuration-' . current_time('Y-m-d') . '.json"');
+
+            return $response;
+        } catch (Exception $e) {
+            return new WP_Error(
+                'export_preferences_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle import preview request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_import_preview_request($request)
+    {
+        try {
+            $result = $this->preferences_service->preview_import($request->get_param('configuration'));
+
+            if (!$result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $result['errors'],
+                    'timestamp' => current_time('mysql')
+                ), 400);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'changes' => $result['changes'],
+                'timestamp' => current_time('mysql')
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_Error(
+                'import_preview_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle import request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_import_request($request)
+    {
+        try {
+            $result = $this->preferences_service->import_preferences($request->get_param('configuration'));
+
+            if (!$result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => false,
+                    'errors' => $result['errors'],
+                    'timestamp' => current_time('mysql')
+                ), 400);
+            }
+
+            // The imported preferences may switch the cron jobs on or off
+            require_once plugin_dir_path( dirname( __FILE__ ) ) . 'services/Cron_Service.php';
+            $cron_service = new Cron_Service();
+            $cron_service->manage_cron();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'changes' => $result['changes'],
+                'timestamp' => current_time('mysql')
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_Error(
+                'import_preferences_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
 }
\ No newline at end of file
@@ -56,14 +56,16 @@ class Process_Controller
         register_rest_route($this->namespace, '/trigger', array(
             'methods' => WP_REST_Server::READABLE,
             'callback' => array($this, 'handle_trigger_process_request'),
-            'permission_callback' => array($this, 'check_authentication')
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_trigger_endpoint_args()
         ));
 
         // Public endpoint
         register_rest_route($this->namespace, '/triggerpublic', array(
             'methods' => WP_REST_Server::READABLE,
             'callback' => array($this, 'handle_trigger_process_request'),
-            'permission_callback' => array($this, 'check_debug_authorization')
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_trigger_endpoint_args()
         ));
 
         // Validate endpoint (protected)
@@ -81,6 +83,23 @@ class Process_Controller
         ));
     }
 
+    /**
+     * Get endpoint arguments for trigger validation
+     *
+     * @return array
+     */
+    private function get_trigger_endpoint_args()
+    {
+        return array(
+            'dry_run' => array(
+                'required' => false,
+                'type' => 'boolean',
+                'default' => false,
+                'description' => 'Report the posts that would be republished without changing anything'
+            )
+        );
+    }
+
     /**
      * Permission callback for public endpoints
      *
@@ -89,7 +108,7 @@ class Process_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -140,14 +159,23 @@ class Process_Controller
     public function handle_trigger_process_request($request)
     {
         try {
-            $result = $this->process_service->execute_republish_process();
+            $dry_run = (bool) $request->get_param('dry_run');
+            $result = $this->process_service->execute_republish_process($dry_run);
 
             $response = array(
                 'success' => $result['success'],
                 'errors' => $result['errors'],
+                'dry_run' => $dry_run,
                 'timestamp' => current_time('mysql')
             );
 
+            if (isset($result['message'])) {
+                $response['message'] = $result['message'];
+            }
+            if (isset($result['planned_posts'])) {
+                $response['planned_posts'] = $result['planned_posts'];
+            }
+
             // Include additional data for testing if present
             if (isset($result['posts_per_day'])) {
                 $response['posts_per_day'] = $result['posts_per_day'];
@@ -56,12 +56,132 @@ class Republish_Controller
             'permission_callback' => array($this, 'check_authentication')
         ));
 
+        register_rest_route($this->namespace, '/strategies', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_strategies_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_strategies_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/preview', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_preview_request'),
+            'permission_callback' => array($this, 'check_post_authentication'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/post', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_post_request'),
+            'permission_callback' => array($this, 'check_post_authentication'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/revert', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_revert_request'),
+            'permission_callback' => array($this, 'check_revert_authentication'),
+            'args' => $this->get_revert_endpoint_args()
+        ));
+
         // Public endpoint
         register_rest_route($this->namespace, '/executepublic', array(
             'methods' => WP_REST_Server::READABLE,
             'callback' => array($this, 'handle_republish_request'),
             'permission_callback' => array($this, 'check_debug_authorization')
         ));
+
+        register_rest_route($this->namespace, '/strategiespublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_strategies_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_strategies_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/previewpublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_preview_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/postpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_post_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_post_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/revertpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_revert_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_revert_endpoint_args()
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for manual republish validation
+     *
+     * @return array
+     */
+    private function get_post_endpoint_args()
+    {
+        return array(
+            'post_id' => array(
+                'required' => true,
+                'type' => 'integer',
+                'minimum' => 1,
+                'description' => 'The post ID to republish'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for revert validation
+     *
+     * @return array
+     */
+    private function get_revert_endpoint_args()
+    {
+        return array(
+            'post_ids' => array(
+                'required' => true,
+                'type' => 'array',
+                'items' => array(
+                    'type' => 'integer',
+                    'minimum' => 1
+                ),
+                'minItems' => 1,
+                'maxItems' => 100,
+                'description' => 'The post IDs whose latest republish should be reverted'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for strategies validation
+     *
+     * @return array
+     */
+    private function get_strategies_endpoint_args()
+    {
+        return array(
+            'strategy' => array(
+                'required' => false,
+                'type' => 'string',
+                'enum' => array_keys($this->service->get_strategies()),
+                'description' => 'Strategy to sample, defaults to the active strategy'
+            ),
+            'count' => array(
+                'required' => false,
+                'type' => 'integer',
+                'minimum' => 1,
+                'maximum' => 10,
+                'default' => 5,
+                'description' => 'Number of upcoming posts to sample'
+            )
+        );
     }
 
     /**
@@ -72,7 +192,7 @@ class Republish_Controller
      */
     public function check_debug_authorization($request)
     {
-        if ($this->authorisation_helper->is_debug_authorized()) {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
             return true;
         }
 
@@ -112,6 +232,62 @@ class Republish_Controller
         return true;
     }
 
+    /**
+     * Authentication callback for manual republish endpoints
+     *
+     * On top of the usual checks, the user must be able to edit the post itself.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_post_authentication($request)
+    {
+        $authenticated = $this->check_authentication($request);
+
+        if ($authenticated !== true) {
+            return $authenticated;
+        }
+
+        if (!current_user_can('edit_post', (int) $request->get_param('post_id'))) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have permission to republish this post.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Authentication callback for the revert endpoint
+     *
+     * On top of the usual checks, the user must be able to edit every post.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_revert_authentication($request)
+    {
+        $authenticated = $this->check_authentication($request);
+
+        if ($authenticated !== true) {
+            return $authenticated;
+        }
+
+        foreach ((array) $request->get_param('post_ids') as $post_id) {
+            if (!current_user_can('edit_post', (int) $post_id)) {
+                return new WP_Error(
+                    'rest_forbidden',
+                    __('You do not have permission to revert one or more of these posts.'),
+                    array('status' => 403)
+                );
+            }
+        }
+
+        return true;
+    }
+
     /**
      * Handle republish request
      *
@@ -120,9 +296,9 @@ class Republish_Controller
      */
     public function handle_republish_request($request) {
         try {
-            $oldest_post = $this->service->find_oldest_post();
+            $next_post = $this->service->find_next_post();
 
-            if (!$oldest_post) {
+            if (!$next_post) {
                 return new WP_Error(
                     'no_posts_found',
                     __('No published posts found to republish.'),
@@ -130,7 +306,7 @@ class Republish_Controller
                 );
             }
 
-            $result = $this->service->republish_post($oldest_post['id']);
+            $result = $this->service->republish_post($next_post['id']);
 
             if (is_wp_error($result)) {
                 return $result;
@@ -149,4 +325,119 @@ class Republish_Controller
             );
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Handle strategies request
+     *
+     * Returns the available selection strategies, the active one, and the next
+     * posts the requested strategy would pick.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_strategies_request($request) {
+        try {
+            $active = $this->service->get_active_strategy()->get_key();
+            $strategy = $request->get_param('strategy') ?: $active;
+
+            return new WP_REST_Response(array(
+                'success'    => true,
+                'strategies' => $this->service->get_strategy_options(),
+                'active'     => $active,
+                'strategy'   => $strategy,
+                'sample'     => $this->service->find_next_posts($request->get_param('count') ?: 5, 0, $strategy),
+                'timestamp'  => current_time('mysql'),
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_Error(
+                'republish_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle manual republish preview request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_preview_request($request) {
+        try {
+            $preview = $this->service->preview_republish_now($request->get_param('post_id'));
+
+            if (is_wp_error($preview)) {
+                return $preview;
+            }
+
+            return new WP_REST_Response(array(
+                'success'   => true,
+                'timestamp' => current_time('mysql'),
+                'post'      => $preview,
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_Error(
+                'republish_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle manual republish request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_post_request($request) {
+        try {
+            $result = $this->service->republish_post_now($request->get_param('post_id'));
+
+            if (is_wp_error($result)) {
+                return $result;
+            }
+
+            return new WP_REST_Response(array(
+                'success'          => true,
+                'timestamp'        => current_time('mysql'),
+                'republished_post' => $result,
+            ), 200);
+        } catch (Exception $e) {
+            return new WP_Error(
+                'republish_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle revert request
+     *
+     * Reverts the latest republish of each post. Posts that cannot be reverted are
+     * reported in 'errors' without stopping the rest.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_revert_request($request) {
+        try {
+            $result = $this->service->revert_republishes($request->get_param('post_ids'));
+
+            return new WP_REST_Response(array(
+                'success'        => $result['success'],
+                'errors'         => $result['errors'],
+                'timestamp'      => current_time('mysql'),
+                'reverted_posts' => $result['reverted_posts'],
+            ), empty($result['reverted_posts']) ? 400 : 200);
+        } catch (Exception $e) {
+            return new WP_Error(
+                'revert_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+}
@@ -0,0 +1,376 @@
+<?php
+/**
+ * WordPress REST API Class for Webhooks
+ *
+ * Registers REST API endpoints:
+ * - /retrieve - Get every webhook and the events they can be registered for
+ * - /add - Register a webhook
+ * - /remove - Remove a webhook and its deliveries
+ * - /deliveries - Get the most recent deliveries
+ * - /redeliver - Send a delivery's payload again
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Webhook_Controller
+{
+
+    /**
+     * API namespace
+     */
+    private $namespace = 'postmetadata/v1/webhooks';
+
+    /**
+     * Webhook service instance
+     *
+     * @var Webhook_Service
+     */
+    private $webhook_service;
+
+    /**
+     * Authorisation helper instance
+     *
+     * @var Authorisation_Helper
+     */
+    private $authorisation_helper;
+
+    /**
+     * Constructor
+     *
+     * @param Authorisation_Helper $authorisation_helper
+     */
+    public function __construct($authorisation_helper)
+    {
+        $this->authorisation_helper = $authorisation_helper;
+        $this->webhook_service = new Webhook_Service();
+        add_action('rest_api_init', array($this, 'register_rest_routes'));
+    }
+
+    /**
+     * Register REST API routes
+     */
+    public function register_rest_routes()
+    {
+        // Protected endpoints requiring application password authentication
+        register_rest_route($this->namespace, '/retrieve', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/add', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_add_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_add_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/remove', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_remove_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_id_endpoint_args('The webhook ID')
+        ));
+
+        register_rest_route($this->namespace, '/deliveries', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_deliveries_request'),
+            'permission_callback' => array($this, 'check_authentication')
+        ));
+
+        register_rest_route($this->namespace, '/redeliver', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_redeliver_request'),
+            'permission_callback' => array($this, 'check_authentication'),
+            'args' => $this->get_id_endpoint_args('The delivery ID')
+        ));
+
+        // Public endpoints for testing
+        register_rest_route($this->namespace, '/retrievepublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_retrieve_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/addpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_add_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_add_endpoint_args()
+        ));
+
+        register_rest_route($this->namespace, '/removepublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_remove_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_id_endpoint_args('The webhook ID')
+        ));
+
+        register_rest_route($this->namespace, '/deliveriespublic', array(
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => array($this, 'handle_deliveries_request'),
+            'permission_callback' => array($this, 'check_debug_authorization')
+        ));
+
+        register_rest_route($this->namespace, '/redeliverpublic', array(
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => array($this, 'handle_redeliver_request'),
+            'permission_callback' => array($this, 'check_debug_authorization'),
+            'args' => $this->get_id_endpoint_args('The delivery ID')
+        ));
+    }
+
+    /**
+     * Get endpoint arguments for add validation
+     *
+     * @return array
+     */
+    private function get_add_endpoint_args()
+    {
+        return array(
+            'url' => array(
+                'required' => true,
+                'type' => 'string',
+                'description' => 'The http or https URL deliveries are posted to'
+            ),
+            'events' => array(
+                'required' => true,
+                'type' => 'array',
+                'items' => array(
+                    'type' => 'string',
+                    'enum' => array_keys(Webhook_Service::EVENTS)
+                ),
+                'description' => 'The events sent to the webhook'
+            )
+        );
+    }
+
+    /**
+     * Get endpoint arguments for endpoints taking a single ID
+     *
+     * @param string $description Description of the ID
+     * @return array
+     */
+    private function get_id_endpoint_args($description)
+    {
+        return array(
+            'id' => array(
+                'required' => true,
+                'type' => 'integer',
+                'minimum' => 1,
+                'description' => $description
+            )
+        );
+    }
+
+    /**
+     * Authentication callback for protected endpoint
+     *
+     * Webhooks carry their signing secrets, so only administrators can manage them.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_authentication($request)
+    {
+        // Check if user is authenticated via application password
+        if (!is_user_logged_in()) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('Authentication required. Please provide valid application password credentials.'),
+                array('status' => 401)
+            );
+        }
+
+        // Check if user has appropriate capabilities
+        if (!current_user_can('manage_options')) {
+            return new WP_Error(
+                'rest_forbidden',
+                __('You do not have sufficient permissions to access this endpoint.'),
+                array('status' => 403)
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission callback for public endpoints
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function check_debug_authorization($request)
+    {
+        if ($this->authorisation_helper->is_debug_authorized($request)) {
+            return true;
+        }
+
+        return new WP_Error(
+            'rest_forbidden',
+            __('Public access is restricted. Please enable Debug mode in settings.'),
+            array('status' => 403)
+        );
+    }
+
+    /**
+     * Handle retrieve request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_retrieve_request($request)
+    {
+        try {
+            $webhooks = $this->webhook_service->get_webhooks();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $webhooks,
+                'count' => count($webhooks),
+                'events' => $this->webhook_service->get_events(),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'webhook_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle add request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_add_request($request)
+    {
+        try {
+            $result = $this->webhook_service->add_webhook(
+                $request->get_param('url'),
+                $request->get_param('events')
+            );
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'data' => $result['data'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 400);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'webhook_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle remove request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_remove_request($request)
+    {
+        try {
+            $result = $this->webhook_service->remove_webhook((int) $request->get_param('id'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 404);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'webhook_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle deliveries request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_deliveries_request($request)
+    {
+        try {
+            $deliveries = $this->webhook_service->get_deliveries();
+
+            return new WP_REST_Response(array(
+                'success' => true,
+                'data' => $deliveries,
+                'count' => count($deliveries),
+                'timestamp' => current_time('mysql')
+            ), 200);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'webhook_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+
+    /**
+     * Handle redeliver request
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function handle_redeliver_request($request)
+    {
+        try {
+            $result = $this->webhook_service->redeliver((int) $request->get_param('id'));
+
+            if ($result['success']) {
+                return new WP_REST_Response(array(
+                    'success' => true,
+                    'data' => $result['data'],
+                    'timestamp' => current_time('mysql')
+                ), 200);
+            }
+
+            return new WP_REST_Response(array(
+                'success' => false,
+                'errors' => $result['errors'],
+                'timestamp' => current_time('mysql')
+            ), 404);
+
+        } catch (Exception $e) {
+            return new WP_Error(
+                'webhook_error',
+                __('An error occurred: ') . $e->getMessage(),
+                array('status' => 500)
+            );
+        }
+    }
+}
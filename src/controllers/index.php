@@ -26,3 +26,18 @@ new Authentication_Controller($auth_helper);
 
 require_once plugin_dir_path( __FILE__ ) . 'License_Controller.php';
 new License_Controller($auth_helper);
+
+require_once plugin_dir_path( __FILE__ ) . 'Content_Controller.php';
+new Content_Controller($auth_helper);
+
+require_once plugin_dir_path( __FILE__ ) . 'Exclusion_Controller.php';
+new Exclusion_Controller($auth_helper);
+
+require_once plugin_dir_path( __FILE__ ) . 'Webhook_Controller.php';
+new Webhook_Controller($auth_helper);
+
+require_once plugin_dir_path( __FILE__ ) . 'Notification_Controller.php';
+new Notification_Controller($auth_helper);
+
+require_once plugin_dir_path( __FILE__ ) . 'IndexNow_Controller.php';
+new IndexNow_Controller($auth_helper);
\ No newline at end of file
@@ -16,45 +16,55 @@ class Authorisation_Helper
      */
     private $preferences_service;
 
+    /**
+     * Token service instance
+     *
+     * @var Token_Service
+     */
+    private $token_service;
+
     /**
      * Constructor
      *
      * @param Preferences_Service $preferences_service
+     * @param Token_Service|null $token_service
      */
-    public function __construct($preferences_service)
+    public function __construct($preferences_service, $token_service = null)
     {
         $this->preferences_service = $preferences_service;
+        $this->token_service = $token_service ?: new Token_Service();
     }
 
     /**
-     * Check if authorized based on debug_timestamp or secret token
+     * Check if authorized based on debug_timestamp or a provided token
+     *
+     * The cron secret token only grants the process endpoints, like a named token
+     * with the 'process' scope. Named API tokens grant the endpoints their scopes
+     * cover. Both need the request.
      *
+     * @param WP_REST_Request|null $request The request being authorized
      * @return bool True if authorized, false otherwise
      */
-    public function is_debug_authorized()
+    public function is_debug_authorized($request = null)
     {
-        // 1. Check for Secret Token in Request
+        $provided_token = $this->get_provided_token();
+
+        // 1. Check for Secret Token in Request, limited to the process endpoints
         $token_pref = $this->preferences_service->get_preference_by_key('cron_secret_token');
         if ($token_pref && !empty($token_pref['value'])) {
-            $provided_token = null;
-
-            // Check query parameter
-            if (isset($_GET['token'])) {
-                $provided_token = $_GET['token'];
-            }
-            // Check Authorization header (Bearer token)
-            elseif (isset($_SERVER['HTTP_AUTHORIZATION'])) {
-                if (preg_match('/Bearer\s+(.*)$/i', $_SERVER['HTTP_AUTHORIZATION'], $matches)) {
-                    $provided_token = $matches[1];
-                }
-            }
-
-            if ($provided_token !== null && hash_equals($token_pref['value'], $provided_token)) {
+            if ($provided_token !== null && $request !== null && hash_equals($token_pref['value'], $provided_token)
+                && $this->token_service->scopes_allow(array('process'), $request->get_route(), $request->get_method())) {
                 return true;
             }
         }
 
-        // 2. Check for Debug Timestamp
+        // 2. Check for a named API token scoped to this request
+        if ($provided_token !== null && $request !== null
+            && $this->token_service->authorize($provided_token, $request->get_route(), $request->get_method(), $request->get_params())) {
+            return true;
+        }
+
+        // 3. Check for Debug Timestamp
         $debug_pref = $this->preferences_service->get_preference_by_key('debug_timestamp');
 
         if (!$debug_pref || empty($debug_pref['value'])) {
@@ -71,6 +81,28 @@ class Authorisation_Helper
         return (int)$timestamp > $now;
     }
 
+    /**
+     * Get the token provided with the request
+     *
+     * @return string|null The token from the 'token' query parameter or a Bearer Authorization header
+     */
+    private function get_provided_token()
+    {
+        // Check query parameter
+        if (isset($_GET['token'])) {
+            return (string) $_GET['token'];
+        }
+
+        // Check Authorization header (Bearer token)
+        if (isset($_SERVER['HTTP_AUTHORIZATION'])) {
+            if (preg_match('/Bearer\s+(.*)$/i', $_SERVER['HTTP_AUTHORIZATION'], $matches)) {
+                return $matches[1];
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Generate a unique random token
      *
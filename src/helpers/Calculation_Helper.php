@@ -11,17 +11,54 @@ if (!defined('ABSPATH')) {
 
 class Calculation_Helper
 {
+    /**
+     * Maximum number of days that can be requested in a single date range
+     */
+    const MAX_RANGE_DAYS = 62;
+
+    /**
+     * Maximum number of posts that can be republished per day
+     */
+    const MAX_POSTS_PER_DAY = 25;
+
+    /**
+     * Maximum number of days the posts of the daily schedule can be spread over
+     */
+    const MAX_INTERVAL_DAYS = 30;
+
+    /**
+     * Weekday keys used by the per-weekday schedule, in ISO-8601 order (Monday first)
+     */
+    const WEEKDAYS = array('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun');
+
+    /**
+     * Maximum number of publishing windows in a day
+     */
+    const MAX_WINDOWS = 4;
+
+    /**
+     * Minimum length of a publishing window in minutes
+     */
+    const MIN_WINDOW_MINUTES = 15;
+
+    /**
+     * Format of a publishing window, hh:mm-hh:mm with 24:00 allowed as the end
+     */
+    const WINDOW_PATTERN = '/^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$/';
+
     /**
      * Generate deterministic post times based on the date and site domain
      *
+     * The windows are laid end to end and split into one segment per post, so each
+     * window receives slots in proportion to its length.
+     *
      * @param string $date The date string used as seed
-     * @param int $start_hour The start hour (e.g., 9 for 9am)
-     * @param int $end_hour The end hour (e.g., 17 for 5pm)
+     * @param array $windows Publishing windows in hh:mm-hh:mm format (e.g. '07:30-09:15')
      * @param int $posts_per_day Number of times to generate
      * @param string|null $domain Optional domain override
      * @return array Array of times in hh:mm format
      */
-    public function generate_post_times($date, $start_hour, $end_hour, $posts_per_day, $domain = null)
+    public function generate_post_times($date, $windows, $posts_per_day, $domain = null)
     {
         $times = array();
 
@@ -30,10 +67,8 @@ class Calculation_Helper
             $domain = parse_url(home_url(), PHP_URL_HOST);
         }
 
-        // Convert hours to minutes from midnight
-        $start_minutes = $start_hour * 60;
-        $end_minutes = $end_hour * 60;
-        $total_minutes = $end_minutes - $start_minutes;
+        $ranges = $this->parse_windows($windows);
+        $total_minutes = $this->count_window_minutes($ranges);
 
         // Calculate segment size for each post
         $segment_size = $total_minutes / $posts_per_day;
@@ -41,22 +76,150 @@ class Calculation_Helper
         for ($i = 0; $i < $posts_per_day; $i++) {
             // Generate a deterministic offset within this segment using domain, date and index
             $segment_seed = crc32($domain . '_' . $date . '_' . $i);
-            $offset_within_segment = abs($segment_seed) % (int) $segment_size;
+            $offset_within_segment = abs($segment_seed) % max(1, (int) $segment_size);
 
             // Calculate the time in minutes from midnight
-            $time_in_minutes = $start_minutes + ($i * $segment_size) + $offset_within_segment;
-
-            // Convert to hours and minutes
-            $hours = (int) floor($time_in_minutes / 60);
-            $minutes = (int) ($time_in_minutes % 60);
+            $time_in_minutes = $this->get_minute_in_windows($ranges, (int) (($i * $segment_size) + $offset_within_segment));
 
             // Format as hh:mm
-            $times[] = sprintf('%02d:%02d', $hours, $minutes);
+            $times[] = sprintf('%02d:%02d', intdiv($time_in_minutes, 60), $time_in_minutes % 60);
         }
 
         return $times;
     }
 
+    /**
+     * Get the number of posts due on a date when posts are spread over several days
+     *
+     * Days are grouped into cycles of $interval_days counted from 01-01-1970. Each of a
+     * cycle's posts is placed on one of its days using the domain and the cycle's first
+     * date as seed, so the same days are picked on every request and days without a post
+     * are skipped.
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @param int $posts Number of posts in each cycle
+     * @param int $interval_days Number of days in each cycle
+     * @param string|null $domain Optional domain override
+     * @return int Number of posts due on the date
+     */
+    public function get_posts_for_date($date, $posts, $interval_days, $domain = null)
+    {
+        if ($interval_days <= 1) {
+            return $posts;
+        }
+
+        if ($domain === null) {
+            $domain = parse_url(home_url(), PHP_URL_HOST);
+        }
+
+        $day_number = (int) floor($this->parse_date($date)->getTimestamp() / 86400);
+        $position = (($day_number % $interval_days) + $interval_days) % $interval_days;
+        $cycle_start = $this->add_days($date, -$position);
+
+        // Split the cycle into one segment of days per post, like the times within a day
+        $count = 0;
+
+        for ($i = 0; $i < $posts; $i++) {
+            $segment_seed = crc32($domain . '_' . $cycle_start . '_' . $i);
+            $offset_within_segment = abs($segment_seed) % max(1, intdiv($interval_days, $posts));
+
+            if (intdiv($i * $interval_days, $posts) + $offset_within_segment === $position) {
+                $count++;
+            }
+        }
+
+        return $count;
+    }
+
+    /**
+     * Validate a list of publishing windows
+     *
+     * When the number of posts is given, the windows must also be long enough to give
+     * every post its own minute.
+     *
+     * @param mixed $windows The windows as an array or JSON string of hh:mm-hh:mm strings
+     * @param string $name Name of the value, used in the error messages
+     * @param int|null $posts_per_day Number of posts published in the windows, or null to skip that check
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_windows($windows, $name = 'publish_windows', $posts_per_day = null)
+    {
+        $errors = array();
+        $windows = $this->decode_windows($windows);
+
+        if (empty($windows)) {
+            $errors[] = $name . ' must contain at least one window';
+            return $errors;
+        }
+
+        if (count($windows) > self::MAX_WINDOWS) {
+            $errors[] = $name . ' must not contain more than ' . self::MAX_WINDOWS . ' windows';
+            return $errors;
+        }
+
+        foreach ($windows as $window) {
+            if (!is_string($window) || !preg_match(self::WINDOW_PATTERN, $window)) {
+                $errors[] = $name . ' windows must be in hh:mm-hh:mm format';
+                return $errors;
+            }
+        }
+
+        $ranges = $this->parse_windows($windows);
+
+        foreach ($ranges as $range) {
+            if ($range[1] - $range[0] < self::MIN_WINDOW_MINUTES) {
+                $errors[] = $name . ' windows must end at least ' . self::MIN_WINDOW_MINUTES . ' minutes after they start';
+                break;
+            }
+        }
+
+        for ($i = 1; $i < count($ranges); $i++) {
+            if ($ranges[$i][0] < $ranges[$i - 1][1]) {
+                $errors[] = $name . ' windows must not overlap';
+                break;
+            }
+        }
+
+        if (empty($errors) && $posts_per_day !== null && $this->count_window_minutes($ranges) < (int) $posts_per_day) {
+            $errors[] = $name . ' must span at least ' . (int) $posts_per_day . ' minutes for ' . (int) $posts_per_day . ' posts per day';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Decode a list of publishing windows
+     *
+     * @param mixed $windows The windows as an array or JSON string
+     * @return array|null The windows, or null if they could not be decoded
+     */
+    public function decode_windows($windows)
+    {
+        if (is_string($windows)) {
+            $windows = json_decode($windows, true);
+        }
+
+        return is_array($windows) ? array_values($windows) : null;
+    }
+
+    /**
+     * Get the publishing windows of a schedule
+     *
+     * Schedules saved before windows were introduced have a single window of whole
+     * hours in 'publish_start_time' and 'publish_end_time'.
+     *
+     * @param array $schedule Array with 'publish_windows', or 'publish_start_time' and 'publish_end_time'
+     * @return array Windows in hh:mm-hh:mm format
+     */
+    public function get_windows($schedule)
+    {
+        if (isset($schedule['publish_windows'])) {
+            return $this->decode_windows($schedule['publish_windows']);
+        }
+
+        return array(sprintf('%02d:00-%02d:00', (int) $schedule['publish_start_time'], (int) $schedule['publish_end_time']));
+    }
+
     /**
      * Validate date input
      *
@@ -97,6 +260,348 @@ class Calculation_Helper
         return $errors;
     }
 
+    /**
+     * Validate a date range
+     *
+     * @param mixed $start_date The first date of the range (dd-mm-yyyy)
+     * @param mixed $end_date The last date of the range (dd-mm-yyyy)
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_date_range($start_date, $end_date)
+    {
+        $errors = array();
+
+        foreach ($this->validate_date($start_date) as $error) {
+            $errors[] = 'start_' . $error;
+        }
+
+        foreach ($this->validate_date($end_date) as $error) {
+            $errors[] = 'end_' . $error;
+        }
+
+        if (!empty($errors)) {
+            return $errors;
+        }
+
+        $start = $this->parse_date($start_date);
+        $end = $this->parse_date($end_date);
+
+        if ($end < $start) {
+            $errors[] = 'end_date must not be before start_date';
+            return $errors;
+        }
+
+        $total_days = (int) $start->diff($end)->days + 1;
+
+        if ($total_days > self::MAX_RANGE_DAYS) {
+            $errors[] = 'date range must not exceed ' . self::MAX_RANGE_DAYS . ' days';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate hypothetical schedule values used to preview unsaved preferences
+     *
+     * Only the keys present in the array are validated.
+     *
+     * @param array $overrides Array with any of 'posts_per_day', 'interval_days', 'publish_windows',
+     *                         'publish_start_time', 'publish_end_time', 'schedule_mode' and 'weekday_schedule'
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_schedule_overrides($overrides)
+    {
+        $errors = array();
+
+        if (isset($overrides['posts_per_day']) && !$this->is_integer_between($overrides['posts_per_day'], 1, self::MAX_POSTS_PER_DAY)) {
+            $errors[] = 'posts_per_day must be a whole number between 1 and ' . self::MAX_POSTS_PER_DAY;
+        }
+
+        if (isset($overrides['interval_days']) && !$this->is_valid_interval_days($overrides['interval_days'])) {
+            $errors[] = 'interval_days must be a whole number between 1 and ' . self::MAX_INTERVAL_DAYS;
+        }
+
+        if (isset($overrides['publish_windows'])) {
+            $posts_per_day = isset($overrides['posts_per_day']) && $this->is_integer_between($overrides['posts_per_day'], 1, self::MAX_POSTS_PER_DAY)
+                ? (int) $overrides['posts_per_day']
+                : null;
+            $errors = array_merge($errors, $this->validate_windows($overrides['publish_windows'], 'publish_windows', $posts_per_day));
+        }
+
+        if (isset($overrides['publish_start_time']) && !$this->is_integer_between($overrides['publish_start_time'], 0, 23)) {
+            $errors[] = 'publish_start_time must be a whole number between 0 and 23';
+        }
+
+        if (isset($overrides['publish_end_time']) && !$this->is_integer_between($overrides['publish_end_time'], 1, 24)) {
+            $errors[] = 'publish_end_time must be a whole number between 1 and 24';
+        }
+
+        if (isset($overrides['schedule_mode']) && !in_array($overrides['schedule_mode'], array('daily', 'weekday'), true)) {
+            $errors[] = "schedule_mode must be 'daily' or 'weekday'";
+        }
+
+        if (isset($overrides['weekday_schedule'])) {
+            $errors = array_merge($errors, $this->validate_weekday_schedule($overrides['weekday_schedule']));
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate a per-weekday schedule
+     *
+     * Every weekday must be present. Days that are switched off only need 'enabled',
+     * enabled days also need a valid 'posts_per_day' and 'publish_windows', or for
+     * schedules saved before windows, 'publish_start_time' and 'publish_end_time'.
+     *
+     * @param mixed $schedule The schedule as an array or JSON string keyed by weekday (mon-sun)
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_weekday_schedule($schedule)
+    {
+        $errors = array();
+        $schedule = $this->decode_weekday_schedule($schedule);
+
+        if ($schedule === null) {
+            $errors[] = 'weekday_schedule is invalid';
+            return $errors;
+        }
+
+        foreach (self::WEEKDAYS as $weekday) {
+            if (!isset($schedule[$weekday]) || !is_array($schedule[$weekday])) {
+                $errors[] = 'weekday_schedule is missing ' . $weekday;
+                continue;
+            }
+
+            $day = $schedule[$weekday];
+
+            if (empty($day['enabled'])) {
+                continue;
+            }
+
+            $posts_valid = isset($day['posts_per_day']) && $this->is_integer_between($day['posts_per_day'], 1, self::MAX_POSTS_PER_DAY);
+
+            if (!$posts_valid) {
+                $errors[] = 'weekday_schedule ' . $weekday . ' posts_per_day must be a whole number between 1 and ' . self::MAX_POSTS_PER_DAY;
+            }
+
+            if (isset($day['publish_windows'])) {
+                $errors = array_merge($errors, $this->validate_windows(
+                    $day['publish_windows'],
+                    'weekday_schedule ' . $weekday . ' publish_windows',
+                    $posts_valid ? (int) $day['posts_per_day'] : null
+                ));
+                continue;
+            }
+
+            $start_valid = isset($day['publish_start_time']) && $this->is_integer_between($day['publish_start_time'], 0, 23);
+            $end_valid = isset($day['publish_end_time']) && $this->is_integer_between($day['publish_end_time'], 1, 24);
+
+            if (!$start_valid) {
+                $errors[] = 'weekday_schedule ' . $weekday . ' publish_start_time must be a whole number between 0 and 23';
+            }
+
+            if (!$end_valid) {
+                $errors[] = 'weekday_schedule ' . $weekday . ' publish_end_time must be a whole number between 1 and 24';
+            }
+
+            if ($start_valid && $end_valid && intval($day['publish_start_time']) >= intval($day['publish_end_time'])) {
+                $errors[] = 'weekday_schedule ' . $weekday . ' publish_start_time must be earlier than publish_end_time';
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Decode a per-weekday schedule
+     *
+     * @param mixed $schedule The schedule as an array or JSON string
+     * @return array|null The schedule array, or null if it could not be decoded
+     */
+    public function decode_weekday_schedule($schedule)
+    {
+        if (is_string($schedule)) {
+            $schedule = json_decode($schedule, true);
+        }
+
+        return is_array($schedule) ? $schedule : null;
+    }
+
+    /**
+     * Get the weekday key (mon-sun) for a date
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @return string The weekday key
+     */
+    public function get_weekday_key($date)
+    {
+        return self::WEEKDAYS[(int) $this->parse_date($date)->format('N') - 1];
+    }
+
+    /**
+     * Get every date within a range (inclusive)
+     *
+     * Assumes the range has already been validated with validate_date_range().
+     *
+     * @param string $start_date The first date of the range (dd-mm-yyyy)
+     * @param string $end_date The last date of the range (dd-mm-yyyy)
+     * @return array Array of dates in dd-mm-yyyy format
+     */
+    public function get_dates_in_range($start_date, $end_date)
+    {
+        $dates = array();
+
+        $current = $this->parse_date($start_date);
+        $end = $this->parse_date($end_date);
+
+        while ($current <= $end) {
+            $dates[] = $current->format('d-m-Y');
+            $current = $current->modify('+1 day');
+        }
+
+        return $dates;
+    }
+
+    /**
+     * Move a date forwards or backwards by a number of days
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @param int $days Number of days to add (negative to subtract)
+     * @return string The resulting date in dd-mm-yyyy format
+     */
+    public function add_days($date, $days)
+    {
+        return $this->parse_date($date)->modify(sprintf('%+d day', $days))->format('d-m-Y');
+    }
+
+    /**
+     * Convert a dd-mm-yyyy date to Y-m-d format
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @return string The date in Y-m-d format
+     */
+    public function to_ymd($date)
+    {
+        return $this->parse_date($date)->format('Y-m-d');
+    }
+
+    /**
+     * Check if a value is a valid number of days to spread the daily schedule's posts over
+     *
+     * @param mixed $value The value to check
+     * @return bool True if valid
+     */
+    public function is_valid_interval_days($value)
+    {
+        return $this->is_integer_between($value, 1, self::MAX_INTERVAL_DAYS);
+    }
+
+    /**
+     * Check if a value is a whole number within a range (inclusive)
+     *
+     * @param mixed $value The value to check
+     * @param int $min The minimum allowed value
+     * @param int $max The maximum allowed value
+     * @return bool True if valid
+     */
+    private function is_integer_between($value, $min, $max)
+    {
+        if (!is_numeric($value) || strval(intval($value)) !== strval($value)) {
+            return false;
+        }
+
+        $int_value = intval($value);
+        return $int_value >= $min && $int_value <= $max;
+    }
+
+    /**
+     * Convert windows into [start, end] minutes from midnight, earliest first
+     *
+     * Assumes the windows have already been validated with validate_windows().
+     *
+     * @param array $windows Windows in hh:mm-hh:mm format
+     * @return array Array of [start, end] pairs
+     */
+    private function parse_windows($windows)
+    {
+        $ranges = array();
+
+        foreach ($windows as $window) {
+            list($start, $end) = explode('-', $window);
+            $ranges[] = array($this->to_minutes($start), $this->to_minutes($end));
+        }
+
+        usort($ranges, function ($a, $b) {
+            return $a[0] - $b[0];
+        });
+
+        return $ranges;
+    }
+
+    /**
+     * Count the minutes covered by a set of windows
+     *
+     * @param array $ranges Array of [start, end] pairs
+     * @return int Number of minutes
+     */
+    private function count_window_minutes($ranges)
+    {
+        $total_minutes = 0;
+
+        foreach ($ranges as $range) {
+            $total_minutes += $range[1] - $range[0];
+        }
+
+        return $total_minutes;
+    }
+
+    /**
+     * Find the time of day a number of minutes into a set of windows falls on
+     *
+     * @param array $ranges Array of [start, end] pairs, earliest first
+     * @param int $elapsed Minutes into the windows laid end to end
+     * @return int Minutes from midnight
+     */
+    private function get_minute_in_windows($ranges, $elapsed)
+    {
+        foreach ($ranges as $range) {
+            if ($elapsed < $range[1] - $range[0]) {
+                return $range[0] + $elapsed;
+            }
+
+            $elapsed -= $range[1] - $range[0];
+        }
+
+        $last = end($ranges);
+
+        return $last[1] - 1;
+    }
+
+    /**
+     * Convert an hh:mm time into minutes from midnight
+     *
+     * @param string $time The time in hh:mm format
+     * @return int
+     */
+    private function to_minutes($time)
+    {
+        list($hours, $minutes) = explode(':', $time);
+
+        return ((int) $hours * 60) + (int) $minutes;
+    }
+
+    /**
+     * Parse a dd-mm-yyyy date into a UTC midnight date object
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @return DateTimeImmutable
+     */
+    private function parse_date($date)
+    {
+        return DateTimeImmutable::createFromFormat('!d-m-Y', $date, new DateTimeZone('UTC'));
+    }
+
     /**
      * Validate calculation inputs
      *
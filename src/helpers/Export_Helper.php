@@ -0,0 +1,113 @@
+<?php
+/**
+ * Helper class for streaming CSV and JSON file downloads
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Export_Helper
+{
+    /**
+     * Supported export formats
+     */
+    const FORMATS = array('csv', 'json');
+
+    /**
+     * Stream rows to the client as a CSV or JSON file download
+     *
+     * Rows are written out as each batch is produced, so only one batch is held in memory at a time.
+     *
+     * @param string $filename Download file name without extension
+     * @param string $format 'csv' or 'json'
+     * @param array $columns Column names, in output order
+     * @param callable $producer Called with a writer callback, which it must call with each batch of rows
+     */
+    public function stream($filename, $format, $columns, $producer)
+    {
+        // Discard anything buffered so far so it does not end up in the file
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        nocache_headers();
+        header('Content-Type: ' . ($format === 'json' ? 'application/json' : 'text/csv') . '; charset=' . get_option('blog_charset'));
+        header('Content-Disposition: attachment; filename="' . $filename . '.' . $format . '"');
+
+        $output = fopen('php://output', 'w');
+        $first = true;
+
+        if ($format === 'json') {
+            fwrite($output, '[');
+        } else {
+            fputcsv($output, $columns);
+        }
+
+        call_user_func($producer, function ($rows) use ($output, $format, $columns, &$first) {
+            foreach ($rows as $row) {
+                $row = $this->pick_columns($row, $columns);
+
+                if ($format === 'json') {
+                    fwrite($output, ($first ? '' : ',') . "\n" . wp_json_encode($row));
+                } else {
+                    fputcsv($output, array_map(array($this, 'escape_csv_value'), array_values($row)));
+                }
+
+                $first = false;
+            }
+
+            flush();
+        });
+
+        if ($format === 'json') {
+            fwrite($output, "\n]\n");
+        }
+
+        fclose($output);
+    }
+
+    /**
+     * Get the export file name for a dataset, stamped with today's date
+     *
+     * @param string $dataset Dataset name, e.g. 'logs'
+     * @return string File name without extension
+     */
+    public function get_filename($dataset)
+    {
+        return 'rd-post-republishing-' . $dataset . '-' . current_time('Y-m-d');
+    }
+
+    /**
+     * Reduce a row to the given columns, in order
+     *
+     * @param array $row The row
+     * @param array $columns Column names
+     * @return array Row with exactly the given columns
+     */
+    public function pick_columns($row, $columns)
+    {
+        $picked = array();
+
+        foreach ($columns as $column) {
+            $picked[$column] = isset($row[$column]) ? $row[$column] : null;
+        }
+
+        return $picked;
+    }
+
+    /**
+     * Stop spreadsheet apps from treating a CSV value as a formula
+     *
+     * @param mixed $value The value
+     * @return mixed The value, prefixed with a quote if it starts with a formula character, tab or carriage return
+     */
+    public function escape_csv_value($value)
+    {
+        if (is_string($value) && $value !== '' && strpos("=+-@\t\r", $value[0]) !== false) {
+            return "'" . $value;
+        }
+
+        return $value;
+    }
+}
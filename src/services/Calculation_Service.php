@@ -30,16 +30,34 @@ class Calculation_Service
      */
     private $calculation_helper;
 
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * Republish service instance
+     *
+     * @var Republish_Service
+     */
+    private $republish_service;
+
     /**
      * Constructor
      *
      * @param Preferences_Service|null $preferences_service Optional service for dependency injection
      * @param Calculation_Helper|null $calculation_helper Optional helper for dependency injection
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     * @param Republish_Service|null $republish_service Optional service for dependency injection
      */
-    public function __construct($preferences_service = null, $calculation_helper = null)
+    public function __construct($preferences_service = null, $calculation_helper = null, $logging_service = null, $republish_service = null)
     {
         $this->preferences_service = $preferences_service ?: new Preferences_Service();
         $this->calculation_helper = $calculation_helper ?: new Calculation_Helper();
+        $this->logging_service = $logging_service ?: new Logging_Service();
+        $this->republish_service = $republish_service ?: new Republish_Service();
     }
 
     /**
@@ -140,13 +158,9 @@ class Calculation_Service
             );
         }
 
-        // Fetch preference values
-        $publish_start_time = (int) $this->get_preference_value('publish_start_time');
-        $publish_end_time = (int) $this->get_preference_value('publish_end_time');
-        $posts_per_day = (int) $this->get_preference_value('posts_per_day');
+        $config = $this->get_publishing_config();
 
-        // Validation: ensure we have a valid number of posts and time range
-        if ($posts_per_day <= 0 || $publish_end_time <= $publish_start_time) {
+        if ($config === null) {
             return array(
                 'success' => false,
                 'errors' => array('Invalid publishing configuration')
@@ -154,7 +168,7 @@ class Calculation_Service
         }
 
         // Generate deterministic times based on the date
-        $times = $this->calculation_helper->generate_post_times($date, $publish_start_time, $publish_end_time, $posts_per_day);
+        $times = $this->generate_times_for_date($date, $config);
 
         // Split times into previous and future based on current date/time
         $categorized_times = $this->categorize_times($date, $times);
@@ -166,6 +180,93 @@ class Calculation_Service
         );
     }
 
+    /**
+     * Get post times for every date in a range
+     *
+     * Past times include the post that was actually republished, taken from the
+     * 'republish' log entries. Future times include the post that the selection
+     * logic is projected to pick for that slot.
+     *
+     * Days on which republishing is switched off by the weekday schedule, or that
+     * get no post when the daily schedule is spread over several days, have
+     * 'enabled' set to false and no times.
+     *
+     * Any $overrides replace the saved preference values without persisting them,
+     * so unsaved changes can be previewed.
+     *
+     * @param string $start_date The first date in dd-mm-yyyy format
+     * @param string $end_date The last date in dd-mm-yyyy format
+     * @param array $overrides Optional hypothetical 'posts_per_day', 'interval_days', 'publish_windows',
+     *                         'publish_start_time', 'publish_end_time', 'schedule_mode' and 'weekday_schedule' values
+     * @return array Result with 'success', 'today' and 'days' array or 'errors' array
+     */
+    public function get_post_times_range($start_date, $end_date, $overrides = array())
+    {
+        $errors = array_merge(
+            $this->calculation_helper->validate_date_range($start_date, $end_date),
+            $this->calculation_helper->validate_schedule_overrides($overrides)
+        );
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $config = $this->get_publishing_config($overrides);
+
+        if ($config === null) {
+            return array(
+                'success' => false,
+                'errors' => array('Invalid publishing configuration')
+            );
+        }
+
+        $republished_posts = $this->get_republished_posts($start_date, $end_date);
+        $days = array();
+        $scheduled_count = 0;
+
+        foreach ($this->calculation_helper->get_dates_in_range($start_date, $end_date) as $date) {
+            $times = $this->generate_times_for_date($date, $config);
+            $categorized_times = $this->categorize_times($date, $times);
+            $scheduled_count += count($categorized_times['future_times']);
+
+            $days[] = array(
+                'date' => $date,
+                'enabled' => $this->get_day_schedule($date, $config) !== null,
+                'previous_times' => $categorized_times['previous_times'],
+                'future_times' => $categorized_times['future_times'],
+                'republished' => isset($republished_posts[$date]) ? $republished_posts[$date] : array(),
+                'scheduled' => array()
+            );
+        }
+
+        // Assign projected posts to the scheduled slots in chronological order
+        $projected_posts = $this->project_posts(
+            $this->count_upcoming_slots_before($start_date, $config),
+            $scheduled_count
+        );
+        $slot_index = 0;
+
+        foreach ($days as &$day) {
+            foreach ($day['future_times'] as $time) {
+                $day['scheduled'][] = array(
+                    'time' => $time,
+                    'post' => isset($projected_posts[$slot_index]) ? $projected_posts[$slot_index] : null
+                );
+                $slot_index++;
+            }
+        }
+        unset($day);
+
+        return array(
+            'success' => true,
+            'today' => current_time('d-m-Y'),
+            'days' => $days
+        );
+    }
+
     /**
      * Categorize times into previous and future based on current date/time
      *
@@ -213,6 +314,262 @@ class Calculation_Service
         );
     }
 
+    /**
+     * Get the publishing configuration from preferences
+     *
+     * In 'weekday' schedule mode each weekday has its own count and windows, and
+     * may be switched off entirely. Otherwise the same values apply to every day.
+     *
+     * The 'publish_windows' preference replaces the single window of whole hours in
+     * 'publish_start_time' and 'publish_end_time', which is used until windows are saved.
+     *
+     * The daily schedule republishes 'posts_per_day' posts every 'interval_days' days,
+     * which defaults to 1 when not saved.
+     *
+     * @param array $overrides Optional values that replace the saved preferences
+     * @return array|null Array with 'schedule_mode' and either 'weekdays' or 'publish_windows',
+     *                    'posts_per_day' and 'interval_days', or null if invalid
+     */
+    private function get_publishing_config($overrides = array())
+    {
+        if ($this->get_config_value('schedule_mode', $overrides) === 'weekday') {
+            $weekday_schedule = $this->get_config_value('weekday_schedule', $overrides);
+
+            if ($weekday_schedule === null || !empty($this->calculation_helper->validate_weekday_schedule($weekday_schedule))) {
+                return null;
+            }
+
+            return array(
+                'schedule_mode' => 'weekday',
+                'weekdays' => $this->calculation_helper->decode_weekday_schedule($weekday_schedule)
+            );
+        }
+
+        $posts_per_day = (int) $this->get_config_value('posts_per_day', $overrides);
+        $interval_days = $this->get_config_value('interval_days', $overrides);
+        $publish_windows = $this->get_config_value('publish_windows', $overrides);
+
+        if ($interval_days === null) {
+            $interval_days = 1;
+        } elseif (!$this->calculation_helper->is_valid_interval_days($interval_days)) {
+            return null;
+        }
+
+        // Hypothetical hours preview the old single window, so they take precedence over saved windows
+        if (isset($overrides['publish_start_time']) || isset($overrides['publish_end_time']) || $publish_windows === null) {
+            $publish_start_time = (int) $this->get_config_value('publish_start_time', $overrides);
+            $publish_end_time = (int) $this->get_config_value('publish_end_time', $overrides);
+
+            if ($publish_end_time <= $publish_start_time) {
+                return null;
+            }
+
+            $publish_windows = $this->calculation_helper->get_windows(array(
+                'publish_start_time' => $publish_start_time,
+                'publish_end_time' => $publish_end_time
+            ));
+        } elseif (!empty($this->calculation_helper->validate_windows($publish_windows, 'publish_windows', $posts_per_day))) {
+            return null;
+        }
+
+        // Validation: ensure we have a valid number of posts
+        if ($posts_per_day <= 0) {
+            return null;
+        }
+
+        return array(
+            'schedule_mode' => 'daily',
+            'publish_windows' => $this->calculation_helper->decode_windows($publish_windows),
+            'posts_per_day' => $posts_per_day,
+            'interval_days' => (int) $interval_days
+        );
+    }
+
+    /**
+     * Get the count and windows that apply to a single date
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @param array $config The publishing configuration
+     * @return array|null Array with 'publish_windows' and 'posts_per_day',
+     *                    or null if republishing is switched off or skipped for that date
+     */
+    private function get_day_schedule($date, $config)
+    {
+        if ($config['schedule_mode'] !== 'weekday') {
+            $posts = $this->calculation_helper->get_posts_for_date($date, $config['posts_per_day'], $config['interval_days']);
+
+            if ($posts === 0) {
+                return null;
+            }
+
+            return array(
+                'publish_windows' => $config['publish_windows'],
+                'posts_per_day' => $posts
+            );
+        }
+
+        $day = $config['weekdays'][$this->calculation_helper->get_weekday_key($date)];
+
+        if (empty($day['enabled'])) {
+            return null;
+        }
+
+        return array(
+            'publish_windows' => $this->calculation_helper->get_windows($day),
+            'posts_per_day' => (int) $day['posts_per_day']
+        );
+    }
+
+    /**
+     * Generate the deterministic post times for a date using a publishing configuration
+     *
+     * @param string $date The date in dd-mm-yyyy format
+     * @param array $config The publishing configuration
+     * @return array Array of times in hh:mm format (empty if the date is switched off)
+     */
+    private function generate_times_for_date($date, $config)
+    {
+        $day_schedule = $this->get_day_schedule($date, $config);
+
+        if ($day_schedule === null) {
+            return array();
+        }
+
+        return $this->calculation_helper->generate_post_times(
+            $date,
+            $day_schedule['publish_windows'],
+            $day_schedule['posts_per_day']
+        );
+    }
+
+    /**
+     * Get the posts that were actually republished, grouped by date
+     *
+     * Includes scheduled and manual republishes.
+     *
+     * @param string $start_date The first date in dd-mm-yyyy format
+     * @param string $end_date The last date in dd-mm-yyyy format
+     * @return array Array keyed by dd-mm-yyyy date of 'time' (hh:mm) and 'post' pairs
+     */
+    private function get_republished_posts($start_date, $end_date)
+    {
+        $logs = $this->logging_service->get_logs_of_type_between(
+            Republish_Service::REPUBLISH_LOG_TYPES,
+            $this->calculation_helper->to_ymd($start_date),
+            $this->calculation_helper->to_ymd($end_date)
+        );
+
+        $grouped = array();
+        $post_cache = array();
+
+        foreach ($logs as $log) {
+            $post_id = (int) $log['postid'];
+
+            if (!array_key_exists($post_id, $post_cache)) {
+                $post_cache[$post_id] = $post_id > 0 ? $this->republish_service->get_post_summary($post_id) : null;
+            }
+
+            // Timestamp format: "2026-01-26 14:05:02.189"
+            $date = substr($log['timestamp'], 8, 2) . '-' . substr($log['timestamp'], 5, 2) . '-' . substr($log['timestamp'], 0, 4);
+            $grouped[$date][] = array(
+                'time' => substr($log['timestamp'], 11, 5),
+                'post' => $post_cache[$post_id]
+            );
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * Count the slots that will be filled between now and the start of a range
+     *
+     * Includes slots earlier today that are due but have not yet been processed,
+     * as the next run will fill them before any later slot.
+     *
+     * @param string $start_date The first date of the range in dd-mm-yyyy format
+     * @param array $config The publishing configuration
+     * @return int Number of slots
+     */
+    private function count_upcoming_slots_before($start_date, $config)
+    {
+        $today = current_time('d-m-Y');
+        $today_times = $this->categorize_times($today, $this->generate_times_for_date($today, $config));
+
+        $due_count = count($today_times['previous_times']) - $this->republish_service->count_republished_today();
+        $slots = max(0, $due_count);
+
+        if ($this->calculation_helper->to_ymd($start_date) <= $this->calculation_helper->to_ymd($today)) {
+            return $slots;
+        }
+
+        $slots += count($today_times['future_times']);
+        $date = $this->calculation_helper->add_days($today, 1);
+
+        while ($this->calculation_helper->to_ymd($date) < $this->calculation_helper->to_ymd($start_date)) {
+            $slots += count($this->generate_times_for_date($date, $config));
+            $date = $this->calculation_helper->add_days($date, 1);
+        }
+
+        return $slots;
+    }
+
+    /**
+     * Project which posts will be picked for upcoming slots
+     *
+     * Republished posts move to the back of the queue, so once every eligible
+     * post has had a turn the projection wraps around to the start again. With
+     * the random strategies the projection is only an example of what may be picked.
+     *
+     * @param int $skip Number of upcoming slots to skip
+     * @param int $count Number of slots to project
+     * @return array Array of post details in slot order
+     */
+    private function project_posts($skip, $count)
+    {
+        if ($count <= 0) {
+            return array();
+        }
+
+        $pool_size = $this->republish_service->count_eligible_posts();
+
+        if ($pool_size === 0) {
+            return array();
+        }
+
+        $posts = array();
+        $position = $skip % $pool_size;
+
+        while (count($posts) < $count) {
+            $batch_size = min($count - count($posts), $pool_size - $position);
+            $batch = $this->republish_service->find_next_posts($batch_size, $position);
+
+            if (empty($batch)) {
+                break;
+            }
+
+            $posts = array_merge($posts, $batch);
+            $position = 0;
+        }
+
+        return $posts;
+    }
+
+    /**
+     * Get a configuration value, preferring an override over the saved preference
+     *
+     * @param string $key The preference key
+     * @param array $overrides Values that replace the saved preferences
+     * @return mixed The value or null if not found
+     */
+    private function get_config_value($key, $overrides)
+    {
+        if (isset($overrides[$key])) {
+            return $overrides[$key];
+        }
+
+        return $this->get_preference_value($key);
+    }
+
     /**
      * Get a preference value by key
      *
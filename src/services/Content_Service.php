@@ -0,0 +1,371 @@
+<?php
+/**
+ * Service class for managing content eligibility filters
+ *
+ * Handles which posts may be selected for republishing, based on post type,
+ * category, tag and author filters stored in the 'content_filters' preference.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Content_Service
+{
+    /**
+     * Preference key for the content filters
+     */
+    const FILTERS_PREFERENCE_KEY = 'content_filters';
+
+    /**
+     * Maximum number of results returned by a search
+     */
+    const MAX_SEARCH_RESULTS = 20;
+
+    /**
+     * Filters that hold lists of IDs, mapped to their source ('category', 'post_tag' or 'author')
+     */
+    const ID_FILTERS = array(
+        'include_categories' => 'category',
+        'exclude_categories' => 'category',
+        'include_tags' => 'post_tag',
+        'exclude_tags' => 'post_tag',
+        'include_authors' => 'author',
+        'exclude_authors' => 'author'
+    );
+
+    /**
+     * Preferences service instance
+     *
+     * @var Preferences_Service
+     */
+    private $preferences_service;
+
+    /**
+     * Constructor
+     *
+     * @param Preferences_Service|null $preferences_service Optional service for dependency injection
+     */
+    public function __construct($preferences_service = null)
+    {
+        $this->preferences_service = $preferences_service ?: new Preferences_Service();
+    }
+
+    /**
+     * Get the default content filters (every published post)
+     *
+     * @return array
+     */
+    public function get_default_filters()
+    {
+        $filters = array('post_types' => array('post'));
+
+        foreach (array_keys(self::ID_FILTERS) as $key) {
+            $filters[$key] = array();
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Get the saved content filters
+     *
+     * Falls back to the defaults when nothing has been saved or the saved value is invalid.
+     *
+     * @return array Filters with 'post_types' and the ID filters
+     */
+    public function get_filters()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::FILTERS_PREFERENCE_KEY);
+
+        if ($preference === null) {
+            return $this->get_default_filters();
+        }
+
+        $filters = json_decode($preference['value'], true);
+
+        if (!is_array($filters)) {
+            return $this->get_default_filters();
+        }
+
+        return $this->normalize_filters($filters);
+    }
+
+    /**
+     * Validate content filters
+     *
+     * @param mixed $filters The filters to validate
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_filters($filters)
+    {
+        $errors = array();
+
+        if (!is_array($filters)) {
+            $errors[] = 'filters must be an object';
+            return $errors;
+        }
+
+        if (isset($filters['post_types'])) {
+            if (!is_array($filters['post_types']) || empty($filters['post_types'])) {
+                $errors[] = 'post_types must contain at least one post type';
+            } else {
+                foreach ($filters['post_types'] as $post_type) {
+                    if (!is_string($post_type) || !post_type_exists($post_type)) {
+                        $errors[] = 'post_types contains an unknown post type';
+                        break;
+                    }
+                }
+            }
+        }
+
+        foreach (array_keys(self::ID_FILTERS) as $key) {
+            if (!isset($filters[$key])) {
+                continue;
+            }
+
+            if (!is_array($filters[$key])) {
+                $errors[] = $key . ' must be a list of IDs';
+                continue;
+            }
+
+            foreach ($filters[$key] as $id) {
+                if (!is_numeric($id) || intval($id) < 1 || strval(intval($id)) !== strval($id)) {
+                    $errors[] = $key . ' must only contain positive whole numbers';
+                    break;
+                }
+            }
+        }
+
+        if (!empty($errors)) {
+            return $errors;
+        }
+
+        $normalized = $this->normalize_filters($filters);
+
+        foreach (array('categories', 'tags', 'authors') as $type) {
+            if (array_intersect($normalized['include_' . $type], $normalized['exclude_' . $type])) {
+                $errors[] = 'the same ' . rtrim($type, 's') . ' cannot be both included and excluded';
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate and save content filters
+     *
+     * @param mixed $filters The filters to save
+     * @return array Result with 'success', 'errors' and the saved 'filters'
+     */
+    public function save_filters($filters)
+    {
+        $errors = $this->validate_filters($filters);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $normalized = $this->normalize_filters($filters);
+
+        $result = $this->preferences_service->update_preferences(array(
+            array(
+                'key' => self::FILTERS_PREFERENCE_KEY,
+                'value' => wp_json_encode($normalized)
+            )
+        ));
+
+        if (!empty($result['failed'])) {
+            return array(
+                'success' => false,
+                'errors' => array($result['failed'][0]['error'])
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'filters' => $normalized
+        );
+    }
+
+    /**
+     * Build the WP_Query arguments that restrict posts to the content filters
+     *
+     * Empty filters are left out, so they do not restrict anything.
+     *
+     * @param array|null $filters Filters to use, or null for the saved filters
+     * @return array
+     */
+    public function get_query_args($filters = null)
+    {
+        $filters = $filters === null ? $this->get_filters() : $this->normalize_filters($filters);
+
+        $query_map = array(
+            'include_categories' => 'category__in',
+            'exclude_categories' => 'category__not_in',
+            'include_tags' => 'tag__in',
+            'exclude_tags' => 'tag__not_in',
+            'include_authors' => 'author__in',
+            'exclude_authors' => 'author__not_in'
+        );
+
+        $args = array(
+            'post_type' => $filters['post_types']
+        );
+
+        foreach ($query_map as $key => $query_var) {
+            if (!empty($filters[$key])) {
+                $args[$query_var] = $filters[$key];
+            }
+        }
+
+        return $args;
+    }
+
+    /**
+     * Get the post types that can be selected
+     *
+     * @return array Array of 'name' and 'label' pairs
+     */
+    public function get_post_types()
+    {
+        $post_types = array();
+
+        foreach (get_post_types(array('public' => true), 'objects') as $post_type) {
+            if ($post_type->name === 'attachment') {
+                continue;
+            }
+
+            $post_types[] = array(
+                'name' => $post_type->name,
+                'label' => $post_type->label
+            );
+        }
+
+        return $post_types;
+    }
+
+    /**
+     * Search categories or tags by name
+     *
+     * @param string $taxonomy The taxonomy ('category' or 'post_tag')
+     * @param string $search The search text
+     * @return array Array of 'id' and 'name' pairs
+     */
+    public function search_terms($taxonomy, $search)
+    {
+        $terms = get_terms(array(
+            'taxonomy' => $taxonomy,
+            'hide_empty' => false,
+            'search' => (string) $search,
+            'number' => self::MAX_SEARCH_RESULTS,
+            'orderby' => 'name'
+        ));
+
+        if (is_wp_error($terms)) {
+            return array();
+        }
+
+        $results = array();
+
+        foreach ($terms as $term) {
+            $results[] = array(
+                'id' => (int) $term->term_id,
+                'name' => $term->name
+            );
+        }
+
+        return $results;
+    }
+
+    /**
+     * Search users who can write posts by name
+     *
+     * @param string $search The search text
+     * @return array Array of 'id' and 'name' pairs
+     */
+    public function search_authors($search)
+    {
+        $args = array(
+            'capability' => array('edit_posts'),
+            'number' => self::MAX_SEARCH_RESULTS,
+            'orderby' => 'display_name',
+            'fields' => array('ID', 'display_name')
+        );
+
+        if ($search !== null && $search !== '') {
+            $args['search'] = '*' . $search . '*';
+            $args['search_columns'] = array('user_login', 'user_nicename', 'display_name');
+        }
+
+        $results = array();
+
+        foreach (get_users($args) as $user) {
+            $results[] = array(
+                'id' => (int) $user->ID,
+                'name' => $user->display_name
+            );
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get the names of the categories, tags and authors in a set of filters
+     *
+     * @param array $filters The filters
+     * @return array Array keyed by ID filter of 'id' and 'name' pairs
+     */
+    public function describe_filters($filters)
+    {
+        $descriptions = array();
+
+        foreach (self::ID_FILTERS as $key => $source) {
+            $descriptions[$key] = array();
+
+            foreach ($filters[$key] as $id) {
+                if ($source === 'author') {
+                    $user = get_userdata($id);
+                    $name = $user ? $user->display_name : null;
+                } else {
+                    $term = get_term($id, $source);
+                    $name = ($term && !is_wp_error($term)) ? $term->name : null;
+                }
+
+                $descriptions[$key][] = array(
+                    'id' => $id,
+                    'name' => $name !== null ? $name : '#' . $id
+                );
+            }
+        }
+
+        return $descriptions;
+    }
+
+    /**
+     * Normalize filters into the full structure with unique integer IDs
+     *
+     * @param array $filters The filters
+     * @return array
+     */
+    private function normalize_filters($filters)
+    {
+        $normalized = $this->get_default_filters();
+
+        if (!empty($filters['post_types']) && is_array($filters['post_types'])) {
+            $normalized['post_types'] = array_values(array_unique(array_map('strval', $filters['post_types'])));
+        }
+
+        foreach (array_keys(self::ID_FILTERS) as $key) {
+            if (!empty($filters[$key]) && is_array($filters[$key])) {
+                $normalized[$key] = array_values(array_unique(array_map('intval', $filters[$key])));
+            }
+        }
+
+        return $normalized;
+    }
+}
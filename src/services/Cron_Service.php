@@ -2,7 +2,8 @@
 /**
  * Service class for managing WP Cron jobs
  *
- * Handles scheduling and unscheduling of the republishing process
+ * Handles scheduling and unscheduling of the republishing process and the log purge,
+ * the webhook delivery retries and the notification digest
  */
 
 if (!defined('ABSPATH')) {
@@ -16,6 +17,21 @@ class Cron_Service
      */
     const CRON_HOOK = 'rd_pr_republish_cron';
 
+    /**
+     * Cron hook name for the daily log purge
+     */
+    const PURGE_CRON_HOOK = 'rd_pr_log_purge_cron';
+
+    /**
+     * Cron hook name for retrying a webhook delivery, scheduled once per retry
+     */
+    const WEBHOOK_CRON_HOOK = 'rd_pr_webhook_delivery_cron';
+
+    /**
+     * Cron hook name for the notification digest, recurring daily or weekly
+     */
+    const DIGEST_CRON_HOOK = 'rd_pr_notification_digest_cron';
+
     /**
      * Preferences service instance
      *
@@ -23,12 +39,28 @@ class Cron_Service
      */
     private $preferences_service;
 
+    /**
+     * Retention service instance
+     *
+     * @var Retention_Service
+     */
+    private $retention_service;
+
+    /**
+     * Notification service instance
+     *
+     * @var Notification_Service
+     */
+    private $notification_service;
+
     /**
      * Constructor
      */
     public function __construct()
     {
         $this->preferences_service = new Preferences_Service();
+        $this->retention_service = new Retention_Service($this->preferences_service);
+        $this->notification_service = new Notification_Service($this->preferences_service);
     }
 
     /**
@@ -40,6 +72,33 @@ class Cron_Service
         $process_service->execute_republish_process();
     }
 
+    /**
+     * Handle the log purge cron event
+     */
+    public function handle_purge_event()
+    {
+        $this->retention_service->purge_logs();
+    }
+
+    /**
+     * Handle a webhook delivery retry event
+     *
+     * @param int $delivery_id The delivery to retry
+     */
+    public function handle_webhook_delivery_event($delivery_id)
+    {
+        $webhook_service = new Webhook_Service();
+        $webhook_service->deliver((int) $delivery_id);
+    }
+
+    /**
+     * Handle the notification digest cron event
+     */
+    public function handle_digest_event()
+    {
+        $this->notification_service->send_digest();
+    }
+
     /**
      * Manage the cron job based on current preferences
      *
@@ -55,6 +114,15 @@ class Cron_Service
         } else {
             $this->unschedule_cron();
         }
+
+        // The purge only needs to run while some log type has a retention period
+        if ($this->retention_service->has_retention()) {
+            $this->schedule_purge_cron();
+        } else {
+            $this->unschedule_purge_cron();
+        }
+
+        $this->manage_digest_cron($this->notification_service->get_settings()['digest']);
     }
 
     /**
@@ -83,6 +151,58 @@ class Cron_Service
         }
     }
 
+    /**
+     * Schedule the log purge cron job
+     *
+     * @return void
+     */
+    private function schedule_purge_cron()
+    {
+        if (!wp_next_scheduled(self::PURGE_CRON_HOOK)) {
+            wp_schedule_event(time(), 'daily', self::PURGE_CRON_HOOK);
+        }
+    }
+
+    /**
+     * Unschedule the log purge cron job
+     *
+     * @return void
+     */
+    private function unschedule_purge_cron()
+    {
+        $timestamp = wp_next_scheduled(self::PURGE_CRON_HOOK);
+        if ($timestamp) {
+            wp_unschedule_event($timestamp, self::PURGE_CRON_HOOK);
+        }
+    }
+
+    /**
+     * Schedule the digest for the chosen frequency, or unschedule it when it is off
+     *
+     * The digest is first sent at the next midnight in the site's timezone, so it
+     * covers whole days.
+     *
+     * @param string $frequency 'off', 'daily' or 'weekly'
+     * @return void
+     */
+    private function manage_digest_cron($frequency)
+    {
+        $timestamp = wp_next_scheduled(self::DIGEST_CRON_HOOK);
+
+        if ($timestamp && wp_get_schedule(self::DIGEST_CRON_HOOK) === $frequency) {
+            return;
+        }
+
+        if ($timestamp) {
+            wp_unschedule_event($timestamp, self::DIGEST_CRON_HOOK);
+        }
+
+        if ($frequency === 'daily' || $frequency === 'weekly') {
+            $midnight = new DateTime('tomorrow', wp_timezone());
+            wp_schedule_event($midnight->getTimestamp(), $frequency, self::DIGEST_CRON_HOOK);
+        }
+    }
+
     /**
      * Get a preference value by key
      *
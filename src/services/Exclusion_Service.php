@@ -0,0 +1,174 @@
+<?php
+/**
+ * Service class for managing excluded posts
+ *
+ * Handles the list of posts that must never be republished, stored as the
+ * '_rd_pr_exclude' post meta.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Exclusion_Service
+{
+    /**
+     * Post meta key that marks a post as excluded
+     */
+    const META_KEY = '_rd_pr_exclude';
+
+    /**
+     * Maximum number of results returned by a search
+     */
+    const MAX_SEARCH_RESULTS = 20;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+
+    }
+
+    /**
+     * Get every excluded post
+     *
+     * @return array Array of post details ordered by title
+     */
+    public function get_excluded_posts()
+    {
+        $query = new WP_Query(array(
+            'post_type' => 'any',
+            'post_status' => 'any',
+            'posts_per_page' => -1,
+            'orderby' => 'title',
+            'order' => 'ASC',
+            'meta_query' => array(
+                array(
+                    'key' => self::META_KEY,
+                    'compare' => 'EXISTS'
+                )
+            )
+        ));
+
+        $posts = array();
+
+        foreach ($query->posts as $post) {
+            $posts[] = $this->format_post($post);
+        }
+
+        return $posts;
+    }
+
+    /**
+     * Check if a post is excluded
+     *
+     * @param int $post_id The post ID
+     * @return bool True if excluded
+     */
+    public function is_excluded($post_id)
+    {
+        return get_post_meta((int) $post_id, self::META_KEY, true) !== '';
+    }
+
+    /**
+     * Exclude a post from republishing
+     *
+     * @param int $post_id The post ID
+     * @return array Result with 'success' and 'errors' array
+     */
+    public function exclude_post($post_id)
+    {
+        $post = get_post((int) $post_id);
+
+        if (!$post) {
+            return array(
+                'success' => false,
+                'errors' => array('Post not found')
+            );
+        }
+
+        update_post_meta($post->ID, self::META_KEY, '1');
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'post' => $this->format_post($post)
+        );
+    }
+
+    /**
+     * Remove a post from the exclusion list
+     *
+     * @param int $post_id The post ID
+     * @return array Result with 'success' and 'errors' array
+     */
+    public function include_post($post_id)
+    {
+        if (!$this->is_excluded($post_id)) {
+            return array(
+                'success' => false,
+                'errors' => array('Post is not excluded')
+            );
+        }
+
+        delete_post_meta((int) $post_id, self::META_KEY);
+
+        return array(
+            'success' => true,
+            'errors' => array()
+        );
+    }
+
+    /**
+     * Search published posts that are not yet excluded
+     *
+     * @param string $search The search text
+     * @return array Array of post details
+     */
+    public function search_posts($search)
+    {
+        $post_types = array_values(array_diff(get_post_types(array('public' => true)), array('attachment')));
+
+        $query = new WP_Query(array(
+            'post_type' => $post_types,
+            'post_status' => 'publish',
+            's' => (string) $search,
+            'posts_per_page' => self::MAX_SEARCH_RESULTS,
+            'meta_query' => array(
+                array(
+                    'key' => self::META_KEY,
+                    'compare' => 'NOT EXISTS'
+                )
+            )
+        ));
+
+        $posts = array();
+
+        foreach ($query->posts as $post) {
+            $posts[] = $this->format_post($post);
+        }
+
+        return $posts;
+    }
+
+    /**
+     * Format a post into the details returned by this service
+     *
+     * @param WP_Post $post The post
+     * @return array
+     */
+    private function format_post($post)
+    {
+        $post_type = get_post_type_object($post->post_type);
+
+        return array(
+            'id'         => $post->ID,
+            'title'      => $post->post_title,
+            'date'       => $post->post_date,
+            'post_type'  => $post_type ? $post_type->labels->singular_name : $post->post_type,
+            'permalink'  => get_permalink($post->ID),
+            'edit_url'   => get_edit_post_link($post->ID, 'raw'),
+        );
+    }
+}
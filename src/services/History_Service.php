@@ -11,6 +11,11 @@ if (!defined('ABSPATH')) {
 
 class History_Service
 {
+    /**
+     * Number of history entries read per batch when exporting
+     */
+    const EXPORT_BATCH_SIZE = 500;
+
     /**
      * Constructor
      */
@@ -22,8 +27,9 @@ class History_Service
     /**
      * Get latest history entry for each unique post with post details
      *
-     * Returns id, post_id, post_title, post_publish_datetime, and post_url
-     * Only returns the most recent entry per post_id
+     * Returns id, post_id, type, republished_at, post_title, post_publish_datetime, original_date,
+     * republish_id, reverted_at, revertable and post_url
+     * Only returns the most recent entry per post_id, scheduled ('republish') or manual
      *
      * @return array Array of history entries with post details
      */
@@ -33,18 +39,22 @@ class History_Service
 
         $table_name = Init_Setup::get_log_table_name();
         $posts_table = $wpdb->posts;
+        $original_date = $this->get_original_date_column();
+        $republish_table = Init_Setup::get_republish_table_name();
 
         // Get only the latest entry for each post_id by using a subquery
         $results = $wpdb->get_results(
-            "SELECT l.id, l.postid as post_id, p.post_title, p.post_date as post_publish_datetime
+            "SELECT l.id, l.postid as post_id, l.type, l.timestamp as republished_at, p.post_title, p.post_date as post_publish_datetime, $original_date as original_date,
+                r.id as republish_id, r.reverted_at
             FROM $table_name l
             INNER JOIN (
                 SELECT postid, MAX(id) as max_id
                 FROM $table_name
-                WHERE type = 'republish' AND postid IS NOT NULL AND postid > 0
+                WHERE type IN ('republish', 'manual') AND postid IS NOT NULL AND postid > 0
                 GROUP BY postid
             ) latest ON l.id = latest.max_id
             INNER JOIN $posts_table p ON l.postid = p.ID
+            LEFT JOIN $republish_table r ON r.logid = l.id
             ORDER BY l.id DESC",
             ARRAY_A
         );
@@ -56,6 +66,7 @@ class History_Service
         // Add post URLs to results
         foreach ($results as &$row) {
             $row['post_url'] = get_permalink((int) $row['post_id']);
+            $row['revertable'] = $row['republish_id'] !== null && $row['reverted_at'] === null;
         }
 
         return $results;
@@ -73,13 +84,17 @@ class History_Service
 
         $table_name = Init_Setup::get_log_table_name();
         $posts_table = $wpdb->posts;
+        $original_date = $this->get_original_date_column();
+        $republish_table = Init_Setup::get_republish_table_name();
 
         $results = $wpdb->get_results(
             $wpdb->prepare(
-                "SELECT l.id, l.postid as post_id, p.post_title, p.post_date as post_publish_datetime
+                "SELECT l.id, l.postid as post_id, l.type, l.timestamp as republished_at, p.post_title, p.post_date as post_publish_datetime, $original_date as original_date,
+                r.id as republish_id, r.reverted_at
                 FROM $table_name l
                 INNER JOIN $posts_table p ON l.postid = p.ID
-                WHERE l.type = 'republish' AND l.postid = %d
+                LEFT JOIN $republish_table r ON r.logid = l.id
+                WHERE l.type IN ('republish', 'manual') AND l.postid = %d
                 ORDER BY l.id DESC
                 LIMIT 1",
                 $post_id
@@ -94,6 +109,7 @@ class History_Service
         // Add post URL to result
         foreach ($results as &$row) {
             $row['post_url'] = get_permalink((int) $row['post_id']);
+            $row['revertable'] = $row['republish_id'] !== null && $row['reverted_at'] === null;
         }
 
         return $results;
@@ -112,18 +128,22 @@ class History_Service
 
         $table_name = Init_Setup::get_log_table_name();
         $posts_table = $wpdb->posts;
+        $original_date = $this->get_original_date_column();
+        $republish_table = Init_Setup::get_republish_table_name();
 
         $results = $wpdb->get_results(
             $wpdb->prepare(
-                "SELECT l.id, l.postid as post_id, p.post_title, p.post_date as post_publish_datetime
+                "SELECT l.id, l.postid as post_id, l.type, l.timestamp as republished_at, p.post_title, p.post_date as post_publish_datetime, $original_date as original_date,
+                r.id as republish_id, r.reverted_at
                 FROM $table_name l
                 INNER JOIN (
                     SELECT postid, MAX(id) as max_id
                     FROM $table_name
-                    WHERE type = 'republish' AND postid IS NOT NULL AND postid > 0
+                    WHERE type IN ('republish', 'manual') AND postid IS NOT NULL AND postid > 0
                     GROUP BY postid
                 ) latest ON l.id = latest.max_id
                 INNER JOIN $posts_table p ON l.postid = p.ID
+                LEFT JOIN $republish_table r ON r.logid = l.id
                 ORDER BY l.id DESC
                 LIMIT %d OFFSET %d",
                 $limit,
@@ -139,8 +159,260 @@ class History_Service
         // Add post URLs to results
         foreach ($results as &$row) {
             $row['post_url'] = get_permalink((int) $row['post_id']);
+            $row['revertable'] = $row['republish_id'] !== null && $row['reverted_at'] === null;
         }
 
         return $results;
     }
+
+    /**
+     * Pass the latest history entries to a callback in batches (one per post)
+     *
+     * @param int|null $limit Maximum number of entries to export, or null for all
+     * @param callable $callback Called with each batch of history entries
+     * @param int $batch_size Number of entries per batch
+     * @return int Total number of entries exported
+     */
+    public function export_history($limit, $callback, $batch_size = self::EXPORT_BATCH_SIZE)
+    {
+        $offset = 0;
+
+        while ($limit === null || $offset < $limit) {
+            $size = $limit === null ? $batch_size : min($batch_size, $limit - $offset);
+            $history = $this->get_history_paginated($size, $offset);
+
+            if (empty($history)) {
+                break;
+            }
+
+            call_user_func($callback, $history);
+
+            $offset += count($history);
+
+            if (count($history) < $size) {
+                break;
+            }
+        }
+
+        return $offset;
+    }
+
+    /**
+     * Record the post dates either side of a republish
+     *
+     * @param int $log_id ID of the log entry for the republish
+     * @param int $post_id The post ID
+     * @param array $previous_dates The post's 'post_date', 'post_date_gmt', 'post_modified'
+     *                              and 'post_modified_gmt' before the republish (Y-m-d H:i:s)
+     * @param string $date_after Post date after the republish (Y-m-d H:i:s), or the modified
+     *                           date for a republish in the 'modified' mode
+     * @param string $mode The republish mode, 'date' or 'modified'
+     * @return bool True if recorded
+     */
+    public function record_republish($log_id, $post_id, $previous_dates, $date_after, $mode = 'date')
+    {
+        global $wpdb;
+
+        $result = $wpdb->insert(
+            Init_Setup::get_republish_table_name(),
+            array(
+                'logid' => (int) $log_id,
+                'postid' => (int) $post_id,
+                'date_before' => $previous_dates['post_date'],
+                'date_gmt_before' => $previous_dates['post_date_gmt'],
+                'modified_before' => $previous_dates['post_modified'],
+                'modified_gmt_before' => $previous_dates['post_modified_gmt'],
+                'date_after' => $date_after,
+                'mode' => $mode
+            ),
+            array('%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s')
+        );
+
+        return $result !== false;
+    }
+
+    /**
+     * Get the most recent republish record for a post
+     *
+     * @param int $post_id The post ID
+     * @return array|null The record, or null if the post has none
+     */
+    public function get_latest_republish($post_id)
+    {
+        global $wpdb;
+
+        $republish_table = Init_Setup::get_republish_table_name();
+
+        $result = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT id, logid, postid, date_before, date_gmt_before, modified_before, modified_gmt_before, date_after, mode, reverted_at
+                FROM $republish_table
+                WHERE postid = %d
+                ORDER BY id DESC
+                LIMIT 1",
+                $post_id
+            ),
+            ARRAY_A
+        );
+
+        return $result ?: null;
+    }
+
+    /**
+     * Mark a republish record as reverted
+     *
+     * @param int $republish_id The republish record ID
+     * @return bool True if marked
+     */
+    public function mark_reverted($republish_id)
+    {
+        global $wpdb;
+
+        $result = $wpdb->update(
+            Init_Setup::get_republish_table_name(),
+            array('reverted_at' => current_time('mysql')),
+            array('id' => (int) $republish_id),
+            array('%s'),
+            array('%d')
+        );
+
+        return $result !== false;
+    }
+
+    /**
+     * Count the republish records of a post that have not been reverted
+     *
+     * @param int $post_id The post ID
+     * @return int Number of records
+     */
+    public function count_unreverted_republishes($post_id)
+    {
+        global $wpdb;
+
+        $republish_table = Init_Setup::get_republish_table_name();
+
+        return (int) $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT COUNT(*) FROM $republish_table WHERE postid = %d AND reverted_at IS NULL",
+                $post_id
+            )
+        );
+    }
+
+    /**
+     * Delete republish records whose log entry has been purged
+     *
+     * @return int Number of records deleted
+     */
+    public function delete_orphaned_republishes()
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $republish_table = Init_Setup::get_republish_table_name();
+
+        $result = $wpdb->query(
+            "DELETE r FROM $republish_table r
+            LEFT JOIN $table_name l ON l.id = r.logid
+            WHERE l.id IS NULL"
+        );
+
+        return $result === false ? 0 : (int) $result;
+    }
+
+    /**
+     * Get every republish of a post, newest first
+     *
+     * Republishes from before the dates were recorded have null dates.
+     *
+     * @param int $post_id The post ID
+     * @return array Array of entries with id, timestamp, type, date_before, date_after, mode and reverted_at
+     */
+    public function get_post_timeline($post_id)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $republish_table = Init_Setup::get_republish_table_name();
+
+        $results = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT l.id, l.timestamp, l.type, r.date_before, r.date_after, r.mode, r.reverted_at
+                FROM $table_name l
+                LEFT JOIN $republish_table r ON r.logid = l.id
+                WHERE l.type IN ('republish', 'manual') AND l.postid = %d
+                ORDER BY l.id DESC",
+                $post_id
+            ),
+            ARRAY_A
+        );
+
+        if ($results === null) {
+            return array();
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get every republish, scheduled or manual, logged between two dates, oldest first
+     *
+     * Returns id, post_id, type, republished_at, post_title and post_url
+     *
+     * @param string $from First day (Y-m-d, inclusive)
+     * @param string $to Last day (Y-m-d, inclusive)
+     * @return array Array of republish entries
+     */
+    public function get_republishes_between($from, $to)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $posts_table = $wpdb->posts;
+
+        $results = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT l.id, l.postid as post_id, l.type, l.timestamp as republished_at, p.post_title
+                FROM $table_name l
+                INNER JOIN $posts_table p ON l.postid = p.ID
+                WHERE l.type IN ('republish', 'manual') AND DATE(l.timestamp) >= %s AND DATE(l.timestamp) <= %s
+                ORDER BY l.id ASC",
+                $from,
+                $to
+            ),
+            ARRAY_A
+        );
+
+        if ($results === null) {
+            return array();
+        }
+
+        foreach ($results as &$row) {
+            $row['post_url'] = get_permalink((int) $row['post_id']);
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get the SQL for a post's original publication date, for a query joining posts as p
+     *
+     * Uses the date saved on the first republish, falling back to the earliest recorded date.
+     *
+     * @return string SQL expression
+     */
+    private function get_original_date_column()
+    {
+        global $wpdb;
+
+        $republish_table = Init_Setup::get_republish_table_name();
+
+        return $wpdb->prepare(
+            "COALESCE(
+                (SELECT meta_value FROM {$wpdb->postmeta} WHERE post_id = p.ID AND meta_key = %s LIMIT 1),
+                (SELECT MIN(date_before) FROM $republish_table WHERE postid = p.ID)
+            )",
+            Republish_Service::ORIGINAL_DATE_META_KEY
+        );
+    }
 }
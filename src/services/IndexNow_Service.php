@@ -0,0 +1,367 @@
+<?php
+/**
+ * Service class for the IndexNow integration
+ *
+ * Handles the 'indexnow' preference and tells search engines about republished
+ * posts by submitting their URLs to an IndexNow-compatible endpoint. Each
+ * submission is written to the log table as 'indexnow'.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class IndexNow_Service
+{
+    /**
+     * Preference key for the IndexNow settings
+     */
+    const SETTINGS_PREFERENCE_KEY = 'indexnow';
+
+    /**
+     * Endpoint used when none has been set, which shares submissions with every
+     * search engine taking part in IndexNow
+     */
+    const DEFAULT_ENDPOINT = 'https://api.indexnow.org/indexnow';
+
+    /**
+     * Log type for submission results
+     */
+    const LOG_TYPE = 'indexnow';
+
+    /**
+     * Maximum number of URLs in one submission, set by the IndexNow protocol
+     */
+    const MAX_URLS = 10000;
+
+    /**
+     * Seconds to wait for the endpoint to respond
+     */
+    const REQUEST_TIMEOUT = 10;
+
+    /**
+     * Maximum length for the endpoint URL
+     */
+    const MAX_ENDPOINT_LENGTH = 500;
+
+    /**
+     * Pattern a key must match, set by the IndexNow protocol
+     */
+    const KEY_PATTERN = '/^[a-zA-Z0-9-]{8,128}$/';
+
+    /**
+     * Preferences service instance
+     *
+     * @var Preferences_Service
+     */
+    private $preferences_service;
+
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * Constructor
+     *
+     * @param Preferences_Service|null $preferences_service Optional service for dependency injection
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     */
+    public function __construct($preferences_service = null, $logging_service = null)
+    {
+        $this->preferences_service = $preferences_service ?: new Preferences_Service();
+        $this->logging_service = $logging_service ?: new Logging_Service();
+    }
+
+    /**
+     * Get the default settings (turned off)
+     *
+     * @return array
+     */
+    public function get_default_settings()
+    {
+        return array(
+            'enabled' => false,
+            'endpoint' => self::DEFAULT_ENDPOINT,
+            'key' => ''
+        );
+    }
+
+    /**
+     * Get the saved IndexNow settings
+     *
+     * Falls back to the defaults when nothing has been saved or the saved value is invalid.
+     *
+     * @return array Settings with 'enabled', 'endpoint' and 'key'
+     */
+    public function get_settings()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::SETTINGS_PREFERENCE_KEY);
+
+        if ($preference === null) {
+            return $this->get_default_settings();
+        }
+
+        $settings = json_decode($preference['value'], true);
+
+        if (!is_array($settings)) {
+            return $this->get_default_settings();
+        }
+
+        return $this->normalize_settings($settings);
+    }
+
+    /**
+     * Check whether republished posts are submitted
+     *
+     * @return bool True when the integration is turned on and has a key
+     */
+    public function is_enabled()
+    {
+        $settings = $this->get_settings();
+
+        return $settings['enabled'] && $settings['key'] !== '';
+    }
+
+    /**
+     * Validate IndexNow settings
+     *
+     * @param mixed $settings The settings to validate
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_settings($settings)
+    {
+        $errors = array();
+
+        if (!is_array($settings)) {
+            $errors[] = 'settings must be an object';
+            return $errors;
+        }
+
+        if (isset($settings['enabled']) && !is_bool($settings['enabled'])) {
+            $errors[] = 'enabled must be true or false';
+        }
+
+        if (isset($settings['endpoint']) && $settings['endpoint'] !== '') {
+            $endpoint = $settings['endpoint'];
+
+            if (!is_string($endpoint) || filter_var($endpoint, FILTER_VALIDATE_URL) === false
+                || !in_array(strtolower((string) parse_url($endpoint, PHP_URL_SCHEME)), array('http', 'https'), true)) {
+                $errors[] = 'endpoint must be an http or https URL';
+            } elseif (strlen($endpoint) > self::MAX_ENDPOINT_LENGTH) {
+                $errors[] = 'endpoint exceeds maximum length of ' . self::MAX_ENDPOINT_LENGTH . ' characters';
+            }
+        }
+
+        if (isset($settings['key']) && $settings['key'] !== '' && (!is_string($settings['key']) || !preg_match(self::KEY_PATTERN, $settings['key']))) {
+            $errors[] = 'key must be 8 to 128 letters, digits or dashes';
+        }
+
+        if (empty($errors) && !empty($settings['enabled']) && empty($settings['key'])) {
+            $errors[] = 'key is required when IndexNow is enabled';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate and save IndexNow settings
+     *
+     * @param mixed $settings The settings to save
+     * @return array Result with 'success', 'errors' and the saved 'settings'
+     */
+    public function save_settings($settings)
+    {
+        $errors = $this->validate_settings($settings);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $normalized = $this->normalize_settings($settings);
+
+        $result = $this->preferences_service->update_preferences(array(
+            array(
+                'key' => self::SETTINGS_PREFERENCE_KEY,
+                'value' => wp_json_encode($normalized)
+            )
+        ));
+
+        if (!empty($result['failed'])) {
+            return array(
+                'success' => false,
+                'errors' => array($result['failed'][0]['error'])
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'settings' => $normalized
+        );
+    }
+
+    /**
+     * Generate a new key
+     *
+     * @return string 32 hexadecimal characters
+     */
+    public function generate_key()
+    {
+        return bin2hex(random_bytes(16));
+    }
+
+    /**
+     * Get the URL of the file search engines read to check a key belongs to this site
+     *
+     * @param string $key The key
+     * @return string
+     */
+    public function get_key_location($key)
+    {
+        return home_url('/' . $key . '.txt');
+    }
+
+    /**
+     * Submit the posts republished in a run, if the integration is turned on
+     *
+     * The posts are sent together in a single submission.
+     *
+     * @param array $republished_posts Results returned by Republish_Service::republish_post()
+     * @return array|null The submission result, or null if nothing was submitted
+     */
+    public function submit_republished_posts($republished_posts)
+    {
+        if (empty($republished_posts) || !$this->is_enabled()) {
+            return null;
+        }
+
+        $urls = array_values(array_unique(array_filter(array_map(function ($post) {
+            return isset($post['permalink']) ? $post['permalink'] : null;
+        }, $republished_posts))));
+
+        if (empty($urls)) {
+            return null;
+        }
+
+        return $this->submit_urls($urls, $this->get_settings());
+    }
+
+    /**
+     * Send a test submission of the site's home page
+     *
+     * @param mixed $endpoint Endpoint to submit to, or null for the saved endpoint
+     * @param mixed $key Key to submit with, or null for the saved key
+     * @return array Result with 'success', 'errors' and the 'response_code'
+     */
+    public function send_test($endpoint = null, $key = null)
+    {
+        $settings = $this->get_settings();
+
+        if ($endpoint !== null) {
+            $settings['endpoint'] = $endpoint;
+        }
+
+        if ($key !== null) {
+            $settings['key'] = $key;
+        }
+
+        $errors = $this->validate_settings(array('endpoint' => $settings['endpoint'], 'key' => $settings['key']));
+
+        if (empty($errors) && $settings['key'] === '') {
+            $errors[] = 'key is required';
+        }
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        return $this->submit_urls(array(home_url('/')), $this->normalize_settings($settings), 'IndexNow Test Submission');
+    }
+
+    /**
+     * Submit URLs to the endpoint and log the result
+     *
+     * Sent with wp_remote_post rather than wp_safe_remote_post, so the endpoint can be
+     * a local stand-in while testing.
+     *
+     * @param array $urls The URLs, all on the site's host
+     * @param array $settings Settings with the 'endpoint' and 'key' to use
+     * @param string $entry Start of the log entry
+     * @return array Result with 'success', 'errors' and the 'response_code'
+     */
+    public function submit_urls($urls, $settings, $entry = 'IndexNow Submission')
+    {
+        $urls = array_slice(array_values($urls), 0, self::MAX_URLS);
+
+        $response = wp_remote_post($settings['endpoint'], array(
+            'timeout' => self::REQUEST_TIMEOUT,
+            'headers' => array(
+                'Content-Type' => 'application/json; charset=utf-8'
+            ),
+            'body' => wp_json_encode(array(
+                'host' => wp_parse_url(home_url(), PHP_URL_HOST),
+                'key' => $settings['key'],
+                'keyLocation' => $this->get_key_location($settings['key']),
+                'urlList' => $urls
+            )),
+            'data_format' => 'body'
+        ));
+
+        if (is_wp_error($response)) {
+            $response_code = null;
+            $response_message = $response->get_error_message();
+        } else {
+            $response_code = (int) wp_remote_retrieve_response_code($response);
+            $response_message = wp_remote_retrieve_response_message($response);
+        }
+
+        // IndexNow answers 200 when the URLs are accepted and 202 when the key is still being checked
+        $success = $response_code === 200 || $response_code === 202;
+        $status = $response_code !== null ? 'HTTP ' . $response_code . ' ' . $response_message : $response_message;
+
+        $this->logging_service->insert_log(
+            self::LOG_TYPE,
+            substr($entry . ($success ? ' Accepted' : ' Failed') . ': ' . count($urls) . ' URL(s), ' . trim($status), 0, 500)
+        );
+
+        return array(
+            'success' => $success,
+            'errors' => $success ? array() : array('The endpoint did not accept the submission: ' . trim($status)),
+            'response_code' => $response_code
+        );
+    }
+
+    /**
+     * Normalize settings into the full structure
+     *
+     * @param array $settings The settings
+     * @return array
+     */
+    private function normalize_settings($settings)
+    {
+        $normalized = $this->get_default_settings();
+
+        if (isset($settings['enabled'])) {
+            $normalized['enabled'] = (bool) $settings['enabled'];
+        }
+
+        if (!empty($settings['endpoint']) && is_string($settings['endpoint'])) {
+            $normalized['endpoint'] = trim($settings['endpoint']);
+        }
+
+        if (!empty($settings['key']) && is_string($settings['key'])) {
+            $normalized['key'] = trim($settings['key']);
+        }
+
+        return $normalized;
+    }
+}
@@ -26,6 +26,26 @@ class Logging_Service
      */
     const MAX_POSTID_DIGITS = 10;
 
+    /**
+     * Default number of log entries per page
+     */
+    const DEFAULT_PER_PAGE = 100;
+
+    /**
+     * Maximum number of log entries per page
+     */
+    const MAX_PER_PAGE = 1000;
+
+    /**
+     * Number of log entries read per batch when exporting
+     */
+    const EXPORT_BATCH_SIZE = 500;
+
+    /**
+     * Number of log entries deleted per query when purging
+     */
+    const PURGE_BATCH_SIZE = 1000;
+
     /**
      * Constructor
      */
@@ -57,6 +77,176 @@ class Logging_Service
         return $results;
     }
 
+    /**
+     * Get one page of logs matching a set of filters, newest first
+     *
+     * @param array $filters Array with any of 'page', 'per_page', 'type', 'post_id',
+     *                       'search' (text within the entry), 'from' and 'to' (Y-m-d, inclusive)
+     * @return array Array with 'logs', 'total', 'page', 'per_page' and 'total_pages'
+     */
+    public function query_logs($filters)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+
+        $page = !empty($filters['page']) ? max(1, (int) $filters['page']) : 1;
+        $per_page = !empty($filters['per_page']) ? min(self::MAX_PER_PAGE, max(1, (int) $filters['per_page'])) : self::DEFAULT_PER_PAGE;
+
+        list($where, $values) = $this->get_log_conditions($filters);
+
+        $count_sql = "SELECT COUNT(*) FROM $table_name $where";
+        $total = (int) $wpdb->get_var(empty($values) ? $count_sql : $wpdb->prepare($count_sql, $values));
+
+        $logs = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, timestamp, type, entry, postid FROM $table_name $where ORDER BY timestamp DESC, id DESC LIMIT %d OFFSET %d",
+                array_merge($values, array($per_page, ($page - 1) * $per_page))
+            ),
+            ARRAY_A
+        );
+
+        return array(
+            'logs' => $logs === null ? array() : $logs,
+            'total' => $total,
+            'page' => $page,
+            'per_page' => $per_page,
+            'total_pages' => (int) ceil($total / $per_page)
+        );
+    }
+
+    /**
+     * Pass every log matching a set of filters to a callback in batches, newest first
+     *
+     * Batches are read by ID so that entries written during the export do not shift the batches.
+     *
+     * @param array $filters Array with any of 'type', 'post_id', 'search', 'from' and 'to', as for query_logs()
+     * @param callable $callback Called with each batch of log entries
+     * @param int $batch_size Number of log entries per batch
+     * @return int Total number of log entries exported
+     */
+    public function export_logs($filters, $callback, $batch_size = self::EXPORT_BATCH_SIZE)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+
+        list($where, $values) = $this->get_log_conditions($filters);
+
+        $where = $where === '' ? 'WHERE id < %d' : $where . ' AND id < %d';
+        $last_id = PHP_INT_MAX;
+        $total = 0;
+
+        do {
+            $logs = $wpdb->get_results(
+                $wpdb->prepare(
+                    "SELECT id, timestamp, type, entry, postid FROM $table_name $where ORDER BY id DESC LIMIT %d",
+                    array_merge($values, array($last_id, $batch_size))
+                ),
+                ARRAY_A
+            );
+
+            if (empty($logs)) {
+                break;
+            }
+
+            call_user_func($callback, $logs);
+
+            $total += count($logs);
+            $last_id = (int) $logs[count($logs) - 1]['id'];
+        } while (count($logs) === $batch_size);
+
+        return $total;
+    }
+
+    /**
+     * Build the WHERE clause for a set of log filters
+     *
+     * @param array $filters Array with any of 'type', 'post_id', 'search', 'from' and 'to'
+     * @return array Array of the WHERE clause (empty if unfiltered) and its placeholder values
+     */
+    private function get_log_conditions($filters)
+    {
+        global $wpdb;
+
+        $conditions = array();
+        $values = array();
+
+        if (isset($filters['type']) && $filters['type'] !== '') {
+            $conditions[] = 'type = %s';
+            $values[] = $filters['type'];
+        }
+
+        if (!empty($filters['post_id'])) {
+            $conditions[] = 'postid = %d';
+            $values[] = (int) $filters['post_id'];
+        }
+
+        if (isset($filters['search']) && $filters['search'] !== '') {
+            $conditions[] = 'entry LIKE %s';
+            $values[] = '%' . $wpdb->esc_like($filters['search']) . '%';
+        }
+
+        if (!empty($filters['from'])) {
+            $conditions[] = 'DATE(timestamp) >= %s';
+            $values[] = $filters['from'];
+        }
+
+        if (!empty($filters['to'])) {
+            $conditions[] = 'DATE(timestamp) <= %s';
+            $values[] = $filters['to'];
+        }
+
+        $where = empty($conditions) ? '' : 'WHERE ' . implode(' AND ', $conditions);
+
+        return array($where, $values);
+    }
+
+    /**
+     * Validate the filters for a log query
+     *
+     * @param array $filters The filters accepted by query_logs()
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_log_query($filters)
+    {
+        $errors = array();
+
+        foreach (array('from', 'to') as $key) {
+            if (empty($filters[$key])) {
+                continue;
+            }
+
+            $date = DateTime::createFromFormat('!Y-m-d', $filters[$key]);
+
+            if (!$date || $date->format('Y-m-d') !== $filters[$key]) {
+                $errors[] = $key . ' must be a date in YYYY-MM-DD format';
+            }
+        }
+
+        if (empty($errors) && !empty($filters['from']) && !empty($filters['to']) && $filters['from'] > $filters['to']) {
+            $errors[] = 'from must not be later than to';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the distinct log types in the database
+     *
+     * @return array Array of log types in alphabetical order
+     */
+    public function get_log_types()
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+
+        $results = $wpdb->get_col("SELECT DISTINCT type FROM $table_name ORDER BY type ASC");
+
+        return empty($results) ? array() : $results;
+    }
+
     /**
      * Get all logs of specific type from the database
      *
@@ -84,6 +274,114 @@ class Logging_Service
         return $results;
     }
 
+    /**
+     * Get all logs of a specific type between two dates (inclusive)
+     *
+     * @param string|array $type The log type to filter by, or a list of types
+     * @param string $start_date The first date in Y-m-d format
+     * @param string $end_date The last date in Y-m-d format
+     * @return array Array of log entries ordered by timestamp ascending
+     */
+    public function get_logs_of_type_between($type, $start_date, $end_date)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $types = (array) $type;
+        $placeholders = $this->get_placeholders($types);
+
+        $results = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, timestamp, type, entry, postid FROM $table_name WHERE type IN ($placeholders) AND DATE(timestamp) BETWEEN %s AND %s ORDER BY timestamp ASC",
+                array_merge($types, array($start_date, $end_date))
+            ),
+            ARRAY_A
+        );
+
+        if ($results === null) {
+            return array();
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get the distinct post IDs logged with a specific type since a point in time
+     *
+     * @param string|array $type The log type to filter by, or a list of types
+     * @param string $since The earliest timestamp in Y-m-d H:i:s format (site timezone)
+     * @return array Array of post IDs
+     */
+    public function get_post_ids_of_type_since($type, $since)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $types = (array) $type;
+        $placeholders = $this->get_placeholders($types);
+
+        $results = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT DISTINCT postid FROM $table_name WHERE type IN ($placeholders) AND postid IS NOT NULL AND timestamp >= %s",
+                array_merge($types, array($since))
+            )
+        );
+
+        if (empty($results)) {
+            return array();
+        }
+
+        return array_map('intval', $results);
+    }
+
+    /**
+     * Get the post ID of the most recent log entry of a type
+     *
+     * @param string|array $type The log type, or a list of types
+     * @return int|null The post ID, or null if no entry has a post ID
+     */
+    public function get_latest_post_id_of_type($type)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $types = (array) $type;
+        $placeholders = $this->get_placeholders($types);
+
+        $result = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT postid FROM $table_name WHERE type IN ($placeholders) AND postid IS NOT NULL ORDER BY timestamp DESC, id DESC LIMIT 1",
+                $types
+            )
+        );
+
+        return $result !== null ? (int) $result : null;
+    }
+
+    /**
+     * Get the ID of the most recent log entry of a type
+     *
+     * @param string|array $type The log type, or a list of types
+     * @return int|null The log entry ID, or null if there is no entry
+     */
+    public function get_latest_id_of_type($type)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $types = (array) $type;
+        $placeholders = $this->get_placeholders($types);
+
+        $result = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT id FROM $table_name WHERE type IN ($placeholders) ORDER BY id DESC LIMIT 1",
+                $types
+            )
+        );
+
+        return $result !== null ? (int) $result : null;
+    }
+
     /**
      * Insert a log entry
      *
@@ -140,7 +438,7 @@ class Logging_Service
     /**
      * Count logs of a specific type for today
      *
-     * @param string $type The log type to count
+     * @param string|array $type The log type to count, or a list of types
      * @return int Count of logs matching the type for today
      */
     public function count_logs_of_type_today($type)
@@ -149,18 +447,90 @@ class Logging_Service
 
         $table_name = Init_Setup::get_log_table_name();
         $today = current_time('Y-m-d');
+        $types = (array) $type;
+        $placeholders = $this->get_placeholders($types);
+
+        $count = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT COUNT(*) FROM $table_name WHERE type IN ($placeholders) AND DATE(timestamp) = %s",
+                array_merge($types, array($today))
+            )
+        );
+
+        return intval($count);
+    }
+
+    /**
+     * Count logs of a specific type written before a point in time
+     *
+     * @param string $type The log type
+     * @param string $before Site time in Y-m-d H:i:s format
+     * @return int Count of matching logs
+     */
+    public function count_logs_of_type_before($type, $before)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
 
         $count = $wpdb->get_var(
             $wpdb->prepare(
-                "SELECT COUNT(*) FROM $table_name WHERE type = %s AND DATE(timestamp) = %s",
+                "SELECT COUNT(*) FROM $table_name WHERE type = %s AND timestamp < %s",
                 $type,
-                $today
+                $before
             )
         );
 
         return intval($count);
     }
 
+    /**
+     * Delete logs of a specific type written before a point in time
+     *
+     * Deletes in batches so a large purge does not lock the table for long.
+     *
+     * @param string $type The log type
+     * @param string $before Site time in Y-m-d H:i:s format
+     * @return int Number of logs deleted
+     */
+    public function delete_logs_of_type_before($type, $before)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $deleted = 0;
+
+        do {
+            $result = $wpdb->query(
+                $wpdb->prepare(
+                    "DELETE FROM $table_name WHERE type = %s AND timestamp < %s LIMIT %d",
+                    $type,
+                    $before,
+                    self::PURGE_BATCH_SIZE
+                )
+            );
+
+            if ($result === false) {
+                break;
+            }
+
+            $deleted += $result;
+        } while ($result === self::PURGE_BATCH_SIZE);
+
+        return $deleted;
+    }
+
+    /**
+     * Get a comma separated list of string placeholders for a prepared IN clause
+     *
+     * @param array $values The values the placeholders stand for
+     * @return string
+     */
+    private function get_placeholders($values)
+    {
+        return implode(', ', array_fill(0, count($values), '%s'));
+    }
+
     /**
      * Get current timestamp with milliseconds
      *
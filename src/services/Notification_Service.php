@@ -0,0 +1,418 @@
+<?php
+/**
+ * Service class for email notifications
+ *
+ * Handles the 'notifications' preference, the emails sent when a run fails or runs
+ * out of eligible posts, and the daily or weekly digest of republished posts.
+ * Every email is sent with wp_mail.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Notification_Service
+{
+    /**
+     * Preference key for the notification settings
+     */
+    const NOTIFICATIONS_PREFERENCE_KEY = 'notifications';
+
+    /**
+     * Events an email can be sent for
+     */
+    const EVENTS = array(
+        'run_failure' => 'A run fails',
+        'pool_empty' => 'No eligible posts are left to republish'
+    );
+
+    /**
+     * Digest frequencies, 'off' sends no digest
+     */
+    const DIGEST_FREQUENCIES = array('off', 'daily', 'weekly');
+
+    /**
+     * Maximum number of recipients
+     */
+    const MAX_RECIPIENTS = 10;
+
+    /**
+     * Prefix of the transients recording the day an event email was last sent
+     */
+    const SENT_TRANSIENT_PREFIX = 'rd_pr_notification_sent_';
+
+    /**
+     * Preferences service instance
+     *
+     * @var Preferences_Service
+     */
+    private $preferences_service;
+
+    /**
+     * History service instance
+     *
+     * @var History_Service
+     */
+    private $history_service;
+
+    /**
+     * Constructor
+     *
+     * @param Preferences_Service|null $preferences_service Optional service for dependency injection
+     * @param History_Service|null $history_service Optional service for dependency injection
+     */
+    public function __construct($preferences_service = null, $history_service = null)
+    {
+        $this->preferences_service = $preferences_service ?: new Preferences_Service();
+        $this->history_service = $history_service ?: new History_Service();
+    }
+
+    /**
+     * Get the available events
+     *
+     * @return array Array of events with 'key' and 'label'
+     */
+    public function get_events()
+    {
+        $events = array();
+
+        foreach (self::EVENTS as $key => $label) {
+            $events[] = array(
+                'key' => $key,
+                'label' => $label
+            );
+        }
+
+        return $events;
+    }
+
+    /**
+     * Get the default settings (no emails)
+     *
+     * @return array
+     */
+    public function get_default_settings()
+    {
+        return array(
+            'recipients' => array(),
+            'events' => array(),
+            'digest' => 'off'
+        );
+    }
+
+    /**
+     * Get the saved notification settings
+     *
+     * Falls back to the defaults when nothing has been saved or the saved value is invalid.
+     *
+     * @return array Settings with 'recipients', 'events' and 'digest'
+     */
+    public function get_settings()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::NOTIFICATIONS_PREFERENCE_KEY);
+
+        if ($preference === null) {
+            return $this->get_default_settings();
+        }
+
+        $settings = json_decode($preference['value'], true);
+
+        if (!is_array($settings)) {
+            return $this->get_default_settings();
+        }
+
+        return $this->normalize_settings($settings);
+    }
+
+    /**
+     * Validate notification settings
+     *
+     * @param mixed $settings The settings to validate
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_settings($settings)
+    {
+        $errors = array();
+
+        if (!is_array($settings)) {
+            $errors[] = 'settings must be an object';
+            return $errors;
+        }
+
+        if (isset($settings['recipients'])) {
+            if (!is_array($settings['recipients'])) {
+                $errors[] = 'recipients must be a list of email addresses';
+            } elseif (count($settings['recipients']) > self::MAX_RECIPIENTS) {
+                $errors[] = 'recipients must not contain more than ' . self::MAX_RECIPIENTS . ' email addresses';
+            } else {
+                foreach ($settings['recipients'] as $recipient) {
+                    if (!is_string($recipient) || !is_email(trim($recipient))) {
+                        $errors[] = 'recipients contains an invalid email address: ' . (is_string($recipient) ? $recipient : '');
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (isset($settings['events'])) {
+            if (!is_array($settings['events'])) {
+                $errors[] = 'events must be a list of events';
+            } else {
+                foreach ($settings['events'] as $event) {
+                    if (!is_string($event) || !isset(self::EVENTS[$event])) {
+                        $errors[] = 'events must be one of: ' . implode(', ', array_keys(self::EVENTS));
+                        break;
+                    }
+                }
+            }
+        }
+
+        if (isset($settings['digest']) && !in_array($settings['digest'], self::DIGEST_FREQUENCIES, true)) {
+            $errors[] = 'digest must be one of: ' . implode(', ', self::DIGEST_FREQUENCIES);
+        }
+
+        if (!empty($errors)) {
+            return $errors;
+        }
+
+        $normalized = $this->normalize_settings($settings);
+
+        if (empty($normalized['recipients']) && (!empty($normalized['events']) || $normalized['digest'] !== 'off')) {
+            $errors[] = 'recipients must contain at least one email address when an event or the digest is enabled';
+        }
+
+        // Long addresses can push the saved settings past the preference value limit
+        if (strlen(wp_json_encode($normalized)) > Preferences_Service::MAX_VALUE_LENGTH) {
+            $errors[] = 'settings must not exceed ' . Preferences_Service::MAX_VALUE_LENGTH . ' characters once saved; use fewer or shorter email addresses';
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate and save notification settings
+     *
+     * @param mixed $settings The settings to save
+     * @return array Result with 'success', 'errors' and the saved 'settings'
+     */
+    public function save_settings($settings)
+    {
+        $errors = $this->validate_settings($settings);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $normalized = $this->normalize_settings($settings);
+
+        $result = $this->preferences_service->update_preferences(array(
+            array(
+                'key' => self::NOTIFICATIONS_PREFERENCE_KEY,
+                'value' => wp_json_encode($normalized)
+            )
+        ));
+
+        if (!empty($result['failed'])) {
+            return array(
+                'success' => false,
+                'errors' => array($result['failed'][0]['error'])
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'settings' => $normalized
+        );
+    }
+
+    /**
+     * Email the recipients about an event, if they asked for it
+     *
+     * Each event is emailed at most once a day, so an hourly run that keeps failing
+     * does not fill the inbox.
+     *
+     * @param string $event The event key
+     * @param array $errors The error messages of the run
+     * @return bool True if the email was sent
+     */
+    public function notify($event, $errors)
+    {
+        $settings = $this->get_settings();
+
+        if (!isset(self::EVENTS[$event]) || !in_array($event, $settings['events'], true) || empty($settings['recipients'])) {
+            return false;
+        }
+
+        $today = current_time('Y-m-d');
+
+        if (get_transient(self::SENT_TRANSIENT_PREFIX . $event) === $today) {
+            return false;
+        }
+
+        $lines = array(
+            self::EVENTS[$event] . ' on ' . home_url() . ' at ' . current_time('mysql') . '.',
+            ''
+        );
+
+        foreach ($errors as $error) {
+            $lines[] = '- ' . $error;
+        }
+
+        $lines[] = '';
+        $lines[] = 'Further emails about this are paused until tomorrow. See the logs for details: ' . admin_url('admin.php?page=rd-post-republisher-logs');
+
+        $sent = $this->send($settings['recipients'], self::EVENTS[$event], $lines);
+
+        if ($sent) {
+            set_transient(self::SENT_TRANSIENT_PREFIX . $event, $today, DAY_IN_SECONDS);
+        }
+
+        return $sent;
+    }
+
+    /**
+     * Email the digest of posts republished in the last period
+     *
+     * A digest is sent even when nothing was republished, so its absence means something is wrong.
+     *
+     * @return bool True if the digest was sent
+     */
+    public function send_digest()
+    {
+        $settings = $this->get_settings();
+
+        if ($settings['digest'] === 'off' || empty($settings['recipients'])) {
+            return false;
+        }
+
+        list($from, $to) = $this->get_digest_period($settings['digest']);
+        $republishes = $this->history_service->get_republishes_between($from, $to);
+
+        $period = $from === $to ? $from : $from . ' to ' . $to;
+        $lines = array(
+            count($republishes) . ' post(s) republished on ' . home_url() . ' (' . $period . ').',
+            ''
+        );
+
+        foreach ($republishes as $republish) {
+            $lines[] = '- ' . $republish['post_title'] . ($republish['type'] === 'manual' ? ' (manual)' : '');
+            $lines[] = '  ' . $republish['republished_at'] . ' ' . $republish['post_url'];
+        }
+
+        return $this->send($settings['recipients'], ucfirst($settings['digest']) . ' digest', $lines);
+    }
+
+    /**
+     * Send a test email to a list of recipients
+     *
+     * @param mixed $recipients Email addresses, or null for the saved recipients
+     * @return array Result with 'success' and 'errors' array
+     */
+    public function send_test($recipients = null)
+    {
+        if ($recipients === null) {
+            $recipients = $this->get_settings()['recipients'];
+        }
+
+        $errors = $this->validate_settings(array('recipients' => $recipients));
+
+        if (empty($errors) && empty($recipients)) {
+            $errors[] = 'recipients must contain at least one email address';
+        }
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $sent = $this->send(
+            $this->normalize_settings(array('recipients' => $recipients))['recipients'],
+            'Test email',
+            array('Notifications from ' . home_url() . ' will be sent to this address.')
+        );
+
+        if (!$sent) {
+            return array(
+                'success' => false,
+                'errors' => array('The email could not be sent, check the site\'s mail configuration')
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array()
+        );
+    }
+
+    /**
+     * Get the days a digest covers, ending yesterday
+     *
+     * @param string $frequency 'daily' or 'weekly'
+     * @return array The first and last day in Y-m-d format
+     */
+    public function get_digest_period($frequency)
+    {
+        $to = new DateTime(current_time('mysql'), new DateTimeZone('UTC'));
+        $to->modify('-1 day');
+
+        $from = clone $to;
+
+        if ($frequency === 'weekly') {
+            $from->modify('-6 days');
+        }
+
+        return array($from->format('Y-m-d'), $to->format('Y-m-d'));
+    }
+
+    /**
+     * Send a plain text email
+     *
+     * @param array $recipients Email addresses
+     * @param string $subject Subject, prefixed with the site name
+     * @param array $lines Lines of the message
+     * @return bool True if wp_mail accepted the email
+     */
+    private function send($recipients, $subject, $lines)
+    {
+        $site_name = wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES);
+
+        return (bool) wp_mail(
+            $recipients,
+            '[' . $site_name . '] Post republishing: ' . $subject,
+            implode("\n", $lines)
+        );
+    }
+
+    /**
+     * Normalize settings into the full structure with unique recipients and events
+     *
+     * @param array $settings The settings
+     * @return array
+     */
+    private function normalize_settings($settings)
+    {
+        $normalized = $this->get_default_settings();
+
+        if (!empty($settings['recipients']) && is_array($settings['recipients'])) {
+            $normalized['recipients'] = array_values(array_unique(array_map(function ($recipient) {
+                return strtolower(trim($recipient));
+            }, $settings['recipients'])));
+        }
+
+        if (!empty($settings['events']) && is_array($settings['events'])) {
+            $normalized['events'] = array_values(array_intersect(array_keys(self::EVENTS), $settings['events']));
+        }
+
+        if (isset($settings['digest']) && in_array($settings['digest'], self::DIGEST_FREQUENCIES, true)) {
+            $normalized['digest'] = $settings['digest'];
+        }
+
+        return $normalized;
+    }
+}
@@ -21,6 +21,21 @@ class Preferences_Service
      */
     const MAX_VALUE_LENGTH = 1000;
 
+    /**
+     * Version of the configuration export format
+     */
+    const EXPORT_VERSION = 1;
+
+    /**
+     * Preferences holding secrets, left out of exports unless asked for
+     */
+    const SECRET_KEYS = array('cron_secret_token', 'at_value', 'license');
+
+    /**
+     * Preferences that only make sense on the site that set them, never exported or imported
+     */
+    const SITE_KEYS = array('debug_timestamp');
+
     /**
      * Constructor
      */
@@ -145,6 +160,190 @@ class Preferences_Service
         return $result;
     }
 
+    /**
+     * Build a versioned export of every preference
+     *
+     * @param bool $include_secrets Whether to include the preferences in SECRET_KEYS
+     * @return array Configuration with 'version', 'exported_at', 'site_url' and 'preferences'
+     */
+    public function export_preferences($include_secrets = false)
+    {
+        $preferences = array();
+
+        foreach ($this->get_all_preferences() as $preference) {
+            if (in_array($preference['key'], self::SITE_KEYS, true)) {
+                continue;
+            }
+
+            if (!$include_secrets && in_array($preference['key'], self::SECRET_KEYS, true)) {
+                continue;
+            }
+
+            $preferences[] = array(
+                'key' => $preference['key'],
+                'value' => $preference['value']
+            );
+        }
+
+        return array(
+            'version' => self::EXPORT_VERSION,
+            'exported_at' => current_time('mysql'),
+            'site_url' => home_url(),
+            'preferences' => $preferences
+        );
+    }
+
+    /**
+     * Validate an exported configuration before it is imported
+     *
+     * Every preference is checked with the same rules as update_preferences.
+     *
+     * @param mixed $configuration The decoded configuration
+     * @return array Array of error messages, empty if valid
+     */
+    public function validate_import($configuration)
+    {
+        if (!is_array($configuration)) {
+            return array('configuration must be an object');
+        }
+
+        $errors = array();
+
+        if (!isset($configuration['version']) || !is_int($configuration['version'])) {
+            $errors[] = 'version is required';
+        } elseif ($configuration['version'] < 1 || $configuration['version'] > self::EXPORT_VERSION) {
+            $errors[] = 'version ' . $configuration['version'] . ' is not supported';
+        }
+
+        if (!isset($configuration['preferences']) || !is_array($configuration['preferences'])) {
+            $errors[] = 'preferences must be an array';
+            return $errors;
+        }
+
+        $seen = array();
+
+        foreach (array_values($configuration['preferences']) as $index => $preference) {
+            if (!is_array($preference)) {
+                $errors[] = 'preferences[' . $index . '] must be an object';
+                continue;
+            }
+
+            $key = isset($preference['key']) ? $preference['key'] : null;
+            $value = isset($preference['value']) ? $preference['value'] : null;
+            $validation_error = $this->validate_preference($key, $value);
+
+            if ($validation_error !== null) {
+                $errors[] = 'preferences[' . $index . ']: ' . $validation_error;
+            } elseif (in_array($key, self::SITE_KEYS, true)) {
+                $errors[] = $key . ' cannot be imported';
+            } elseif (isset($seen[$key])) {
+                $errors[] = $key . ' appears more than once';
+            }
+
+            if (is_string($key)) {
+                $seen[$key] = true;
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Compare an exported configuration with the current preferences
+     *
+     * Preferences missing from the configuration are left as they are, so only
+     * the ones it contains are listed.
+     *
+     * @param mixed $configuration The decoded configuration
+     * @return array Result with 'success' and 'changes' (key, before, after, action) or 'errors'
+     */
+    public function preview_import($configuration)
+    {
+        $errors = $this->validate_import($configuration);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $current = array();
+        foreach ($this->get_all_preferences() as $preference) {
+            $current[$preference['key']] = $preference['value'];
+        }
+
+        $changes = array();
+
+        foreach ($configuration['preferences'] as $preference) {
+            $before = isset($current[$preference['key']]) ? $current[$preference['key']] : null;
+            $after = (string) $preference['value'];
+
+            if ($before === null) {
+                $action = 'add';
+            } elseif ($before === $after) {
+                $action = 'unchanged';
+            } else {
+                $action = 'change';
+            }
+
+            $changes[] = array(
+                'key' => $preference['key'],
+                'before' => $before,
+                'after' => $after,
+                'action' => $action
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'changes' => $changes
+        );
+    }
+
+    /**
+     * Import an exported configuration
+     *
+     * Nothing is written unless every preference is valid, and the writes run in one
+     * transaction so a database error leaves the preferences as they were.
+     *
+     * @param mixed $configuration The decoded configuration
+     * @return array Result with 'success', 'errors' and 'changes'
+     */
+    public function import_preferences($configuration)
+    {
+        global $wpdb;
+
+        $preview = $this->preview_import($configuration);
+
+        if (!$preview['success']) {
+            return $preview;
+        }
+
+        $wpdb->query('START TRANSACTION');
+
+        foreach ($preview['changes'] as $change) {
+            if ($change['action'] === 'unchanged') {
+                continue;
+            }
+
+            if (!$this->upsert_preference($change['key'], $change['after'])) {
+                $wpdb->query('ROLLBACK');
+
+                return array(
+                    'success' => false,
+                    'errors' => array('Database error occurred while importing ' . $change['key'] . ', nothing was imported'),
+                    'changes' => array()
+                );
+            }
+        }
+
+        $wpdb->query('COMMIT');
+
+        return $preview;
+    }
+
     /**
      * Validate a preference key and value
      *
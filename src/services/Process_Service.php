@@ -11,6 +11,11 @@ if (!defined('ABSPATH')) {
 
 class Process_Service
 {
+    /**
+     * Transient recording the day the validation_failure webhook was last sent
+     */
+    const VALIDATION_FAILURE_SENT_TRANSIENT = 'rd_pr_validation_failure_sent';
+
     /**
      * Preferences service instance
      *
@@ -39,23 +44,75 @@ class Process_Service
      */
     private $republish_service;
 
+    /**
+     * Calculation helper instance
+     *
+     * @var Calculation_Helper
+     */
+    private $calculation_helper;
+
+    /**
+     * Webhook service instance
+     *
+     * @var Webhook_Service
+     */
+    private $webhook_service;
+
+    /**
+     * Notification service instance
+     *
+     * @var Notification_Service
+     */
+    private $notification_service;
+
+    /**
+     * IndexNow service instance
+     *
+     * @var IndexNow_Service
+     */
+    private $indexnow_service;
+
     /**
      * Constructor
+     *
+     * @param Preferences_Service|null $preferences_service Optional service for dependency injection
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     * @param Calculation_Service|null $calculation_service Optional service for dependency injection
+     * @param Republish_Service|null $republish_service Optional service for dependency injection
+     * @param Webhook_Service|null $webhook_service Optional service for dependency injection
+     * @param Notification_Service|null $notification_service Optional service for dependency injection
+     * @param IndexNow_Service|null $indexnow_service Optional service for dependency injection
      */
-    public function __construct()
+    public function __construct($preferences_service = null, $logging_service = null, $calculation_service = null, $republish_service = null, $webhook_service = null, $notification_service = null, $indexnow_service = null)
     {
-        $this->preferences_service = new Preferences_Service();
-        $this->logging_service = new Logging_Service();
-        $this->calculation_service = new Calculation_Service($this->preferences_service);
-        $this->republish_service = new Republish_Service();
+        $this->preferences_service = $preferences_service ?: new Preferences_Service();
+        $this->calculation_helper = new Calculation_Helper();
+        $this->logging_service = $logging_service ?: new Logging_Service();
+        $this->calculation_service = $calculation_service ?: new Calculation_Service($this->preferences_service);
+        $this->republish_service = $republish_service ?: new Republish_Service();
+        $this->webhook_service = $webhook_service ?: new Webhook_Service($this->logging_service);
+        $this->notification_service = $notification_service ?: new Notification_Service($this->preferences_service);
+        $this->indexnow_service = $indexnow_service ?: new IndexNow_Service($this->preferences_service, $this->logging_service);
     }
 
     /**
      * Execute the republish process
      *
+     * A dry run goes through validation, the quota check, slot calculation and post
+     * selection, then returns the posts it would republish in 'planned_posts' without
+     * updating any post or writing any log. Each post is planned at most once per run.
+     *
+     * Outside a dry run, webhooks are sent for each republish and failed republish, when
+     * validation first fails on a day for any reason other than republishing being paused,
+     * and when the run republishes the last post of the daily limit.
+     * Emails are sent when the run fails, unless republishing is paused, and when no
+     * eligible posts are left. When the IndexNow integration is on, the URLs of the
+     * republished posts are submitted together at the end of the run.
+     *
+     * @param bool $dry_run Whether to only report what would be republished
      * @return array Result with 'success' (bool), 'errors' (array), and additional data
      */
-    public function execute_republish_process()
+    public function execute_republish_process($dry_run = false)
     {
         $errors = array();
 
@@ -63,34 +120,52 @@ class Process_Service
         $validation_result = $this->validate_prerequisites();
 
         if (!$validation_result['success']) {
+            if (!$dry_run && !$this->is_only_paused($validation_result['errors'])) {
+                $this->dispatch_validation_failure($validation_result['errors']);
+                $this->notification_service->notify('run_failure', $validation_result['errors']);
+            }
+
             return $validation_result;
         }
 
-        // Get posts_per_day preference
-        $posts_per_day = intval($this->get_preference_value('posts_per_day'));
+        // Get today's date in dd-mm-yyyy format
+        $today = current_time('d-m-Y');
 
-        // Count republish logs for today
-        $republish_count_today = $this->logging_service->count_logs_of_type_today('republish');
+        // Get post times for today
+        $post_times_result = $this->calculation_service->get_post_times($today);
+
+        if (!$post_times_result['success']) {
+            if (!$dry_run) {
+                $this->notification_service->notify('run_failure', $post_times_result['errors']);
+            }
 
-        // Check if we've already reached the daily limit
-        if ($republish_count_today >= $posts_per_day) {
-            $errors[] = "Daily republish limit reached. Already republished " . $republish_count_today . " of " . $posts_per_day . " posts today.";
             return array(
                 'success' => false,
-                'errors' => $errors
+                'errors' => $post_times_result['errors']
             );
         }
 
-        // Get today's date in dd-mm-yyyy format
-        $today = current_time('d-m-Y');
+        // Today's limit follows the schedule, which may differ per weekday or skip
+        // days when posts are spread over several days
+        $posts_per_day = count($post_times_result['previous_times']) + count($post_times_result['future_times']);
 
-        // Get post times for today
-        $post_times_result = $this->calculation_service->get_post_times($today);
+        if ($posts_per_day === 0) {
+            return array(
+                'success' => true,
+                'errors' => $errors,
+                'message' => 'No posts are scheduled for today'
+            );
+        }
 
-        if (!$post_times_result['success']) {
+        // Count today's republishes that use up the daily quota
+        $republish_count_today = $this->republish_service->count_republished_today();
+
+        // Check if we've already reached the daily limit
+        if ($republish_count_today >= $posts_per_day) {
+            $errors[] = "Daily republish limit reached. Already republished " . $republish_count_today . " of " . $posts_per_day . " posts today.";
             return array(
                 'success' => false,
-                'errors' => $post_times_result['errors']
+                'errors' => $errors
             );
         }
 
@@ -110,19 +185,25 @@ class Process_Service
             );
         }
 
+        if ($dry_run) {
+            return $this->plan_republish($times_due);
+        }
+
         // Republish posts for each time due
         $republished_posts = array();
+        $pool_empty = false;
 
         foreach ($times_due as $time) {
-            // Find the oldest post
-            $oldest_post = $this->republish_service->find_oldest_post();
+            // Find the next post using the selection strategy
+            $next_post = $this->republish_service->find_next_post();
 
-            if ($oldest_post === null) {
+            if ($next_post === null) {
                 $errors[] = "No posts available to republish";
+                $pool_empty = true;
                 break;
             }
 
-            $post_id = $oldest_post['id'];
+            $post_id = $next_post['id'];
 
             // Log the attempt
             $this->logging_service->insert_log('process', 'Attempting to Republish Post', $post_id);
@@ -137,17 +218,50 @@ class Process_Service
                 // Log the failure
                 $this->logging_service->insert_log('error', 'Failed to Republish Post', $post_id);
                 $errors[] = "Failed to republish post ID " . $post_id . ": " . $result->get_error_message();
+
+                $this->webhook_service->dispatch('republish_failure', array(
+                    'post_id' => $post_id,
+                    'error' => $result->get_error_message()
+                ));
                 continue;
             }
 
             // Log the success
-            $this->logging_service->insert_log('republish', 'Successfully Republished Post', $post_id);
+            $this->republish_service->log_republish('republish', 'Successfully Republished Post', $result);
 
             $republished_posts[] = $result;
 
+            $this->webhook_service->dispatch('republish_success', array(
+                'post' => array(
+                    'id' => $result['id'],
+                    'title' => $result['title'],
+                    'permalink' => $result['permalink'],
+                    'previous_date' => $result['previous_date'],
+                    'new_date' => $result['new_date']
+                )
+            ));
+
             sleep(1);
         }
 
+        if (!empty($republished_posts) && $republish_count_today + count($republished_posts) >= $posts_per_day) {
+            $this->webhook_service->dispatch('limit_reached', array(
+                'republished_today' => $republish_count_today + count($republished_posts),
+                'posts_per_day' => $posts_per_day
+            ));
+        }
+
+        $this->indexnow_service->submit_republished_posts($republished_posts);
+
+        if ($pool_empty) {
+            $this->notification_service->notify('pool_empty', $errors);
+        }
+
+        // Any other error means a post failed to republish
+        if (count($errors) > ($pool_empty ? 1 : 0)) {
+            $this->notification_service->notify('run_failure', $errors);
+        }
+
         return array(
             'success' => empty($errors),
             'errors' => $errors,
@@ -155,6 +269,83 @@ class Process_Service
         );
     }
 
+    /**
+     * Send the validation_failure webhook, at most once a day
+     *
+     * Every cron run fails validation until the settings are fixed, so later failures
+     * on the same day are not sent again.
+     *
+     * @param array $errors The validation errors
+     * @return void
+     */
+    private function dispatch_validation_failure($errors)
+    {
+        $today = current_time('Y-m-d');
+
+        if (get_transient(self::VALIDATION_FAILURE_SENT_TRANSIENT) === $today) {
+            return;
+        }
+
+        $sent = $this->webhook_service->dispatch('validation_failure', array(
+            'errors' => $errors
+        ));
+
+        if ($sent > 0) {
+            set_transient(self::VALIDATION_FAILURE_SENT_TRANSIENT, $today, DAY_IN_SECONDS);
+        }
+    }
+
+    /**
+     * Check whether validation only failed because republishing is paused
+     *
+     * A paused plugin is switched off on purpose, so it is not reported as a failure.
+     *
+     * @param array $errors The validation errors
+     * @return bool True if 'status' is not 'active' and nothing else is wrong
+     */
+    private function is_only_paused($errors)
+    {
+        return count($errors) === 1 && $this->get_preference_value('status') !== 'active';
+    }
+
+    /**
+     * Plan which posts would be republished for the times due, without changing anything
+     *
+     * @param array $times_due The times due in hh:mm format
+     * @return array Result with 'success', 'errors' and 'planned_posts'
+     */
+    private function plan_republish($times_due)
+    {
+        $errors = array();
+        $planned_posts = array();
+
+        $posts = $this->republish_service->find_next_posts(count($times_due));
+
+        foreach ($times_due as $index => $time) {
+            if (!isset($posts[$index])) {
+                $errors[] = "No posts available to republish";
+                break;
+            }
+
+            list($new_date) = $this->republish_service->get_republish_dates($this->convert_time_to_timestamp($time));
+
+            $planned_posts[] = array(
+                'id'           => $posts[$index]['id'],
+                'title'        => $posts[$index]['title'],
+                'permalink'    => $posts[$index]['permalink'],
+                'time'         => $time,
+                'current_date' => $posts[$index]['date'],
+                'new_date'     => $new_date,
+            );
+        }
+
+        return array(
+            'success' => empty($errors),
+            'errors' => $errors,
+            'planned_posts' => $planned_posts
+        );
+    }
+
     /**
      * Convert a time string (hh:mm) to epoch timestamp for today
      *
@@ -189,9 +380,7 @@ class Process_Service
 
         // Get all required preferences
         $status = $this->get_preference_value('status');
-        $posts_per_day = $this->get_preference_value('posts_per_day');
-        $publish_start_time = $this->get_preference_value('publish_start_time');
-        $publish_end_time = $this->get_preference_value('publish_end_time');
+        $schedule_mode = $this->get_preference_value('schedule_mode');
 
         // Validate 'status' preference
         if ($status === null) {
@@ -200,25 +389,81 @@ class Process_Service
             $errors[] = "Preference 'status' must have a value of 'active'";
         }
 
+        // Validate 'schedule_mode' preference (defaults to 'daily' when not set)
+        if ($schedule_mode !== null && !in_array($schedule_mode, array('daily', 'weekday'), true)) {
+            $errors[] = "Preference 'schedule_mode' must have a value of 'daily' or 'weekday'";
+        } elseif ($schedule_mode === 'weekday') {
+            $errors = array_merge($errors, $this->validate_weekday_schedule_preference());
+        } else {
+            $errors = array_merge($errors, $this->validate_daily_schedule_preferences());
+        }
+
+        // Validate the optional eligibility rules
+        foreach (Republish_Service::RULE_KEYS as $key) {
+            $value = $this->get_preference_value($key);
+
+            if ($value !== null && !empty($this->republish_service->validate_rules(array($key => $value)))) {
+                $errors[] = "Preference '" . $key . "' must be a whole number between 0 and " . Republish_Service::MAX_RULE_DAYS;
+            }
+        }
+
+        return array(
+            'success' => empty($errors),
+            'errors' => $errors
+        );
+    }
+
+    /**
+     * Validate the preferences used when the same schedule applies to every day
+     *
+     * @return array Array of error messages (empty if valid)
+     */
+    private function validate_daily_schedule_preferences()
+    {
+        $errors = array();
+
+        $posts_per_day = $this->get_preference_value('posts_per_day');
+        $interval_days = $this->get_preference_value('interval_days');
+        $publish_windows = $this->get_preference_value('publish_windows');
+
         // Validate 'posts_per_day' preference
         if ($posts_per_day === null) {
             $errors[] = "Preference 'posts_per_day' is not set";
-        } elseif (!$this->is_positive_integer_string($posts_per_day)) {
-            $errors[] = "Preference 'posts_per_day' must be a numerical value of 1 or more";
+        } elseif (!$this->is_positive_integer_string($posts_per_day) || intval($posts_per_day) > Calculation_Helper::MAX_POSTS_PER_DAY) {
+            $errors[] = "Preference 'posts_per_day' must be a numerical value between 1 and " . Calculation_Helper::MAX_POSTS_PER_DAY;
+        }
+
+        // Validate 'interval_days' preference, which defaults to every day when not set
+        if ($interval_days !== null && !$this->calculation_helper->is_valid_interval_days($interval_days)) {
+            $errors[] = "Preference 'interval_days' must be a numerical value between 1 and " . Calculation_Helper::MAX_INTERVAL_DAYS;
         }
 
+        // Validate 'publish_windows' preference, which replaces the start and end hours once saved
+        if ($publish_windows !== null) {
+            $posts_valid = $posts_per_day !== null && $this->is_positive_integer_string($posts_per_day) && intval($posts_per_day) <= Calculation_Helper::MAX_POSTS_PER_DAY;
+
+            foreach ($this->calculation_helper->validate_windows($publish_windows, 'publish_windows', $posts_valid ? intval($posts_per_day) : null) as $error) {
+                $errors[] = "Preference 'publish_windows' is invalid: " . $error;
+            }
+
+            return $errors;
+        }
+
+        $publish_start_time = $this->get_preference_value('publish_start_time');
+        $publish_end_time = $this->get_preference_value('publish_end_time');
+
         // Validate 'publish_start_time' preference
         if ($publish_start_time === null) {
             $errors[] = "Preference 'publish_start_time' is not set";
         } elseif (!$this->is_valid_start_time($publish_start_time)) {
-            $errors[] = "Preference 'publish_start_time' must be a numerical value between 1 and 22";
+            $errors[] = "Preference 'publish_start_time' must be a numerical value between 0 and 23";
         }
 
         // Validate 'publish_end_time' preference
         if ($publish_end_time === null) {
             $errors[] = "Preference 'publish_end_time' is not set";
         } elseif (!$this->is_valid_end_time($publish_end_time)) {
-            $errors[] = "Preference 'publish_end_time' must be a numerical value between 2 and 23";
+            $errors[] = "Preference 'publish_end_time' must be a numerical value between 1 and 24";
         }
 
         // Validate start time is before end time (only if both are valid)
@@ -230,10 +475,29 @@ class Process_Service
             }
         }
 
-        return array(
-            'success' => empty($errors),
-            'errors' => $errors
-        );
+        return $errors;
+    }
+
+    /**
+     * Validate the per-weekday schedule preference
+     *
+     * @return array Array of error messages (empty if valid)
+     */
+    private function validate_weekday_schedule_preference()
+    {
+        $weekday_schedule = $this->get_preference_value('weekday_schedule');
+
+        if ($weekday_schedule === null) {
+            return array("Preference 'weekday_schedule' is not set");
+        }
+
+        $errors = array();
+
+        foreach ($this->calculation_helper->validate_weekday_schedule($weekday_schedule) as $error) {
+            $errors[] = "Preference 'weekday_schedule' is invalid: " . $error;
+        }
+
+        return $errors;
     }
 
     /**
@@ -283,7 +547,7 @@ class Process_Service
     }
 
     /**
-     * Check if a value is a valid start time (1-22)
+     * Check if a value is a valid start time (0-23)
      *
      * @param string $value The value to check
      * @return bool True if valid start time
@@ -295,11 +559,11 @@ class Process_Service
         }
 
         $int_value = intval($value);
-        return $int_value >= 1 && $int_value <= 22;
+        return $int_value >= 0 && $int_value <= 23;
     }
 
     /**
-     * Check if a value is a valid end time (2-23)
+     * Check if a value is a valid end time (1-24)
      *
      * @param string $value The value to check
      * @return bool True if valid end time
@@ -311,7 +575,7 @@ class Process_Service
         }
 
         $int_value = intval($value);
-        return $int_value >= 2 && $int_value <= 23;
+        return $int_value >= 1 && $int_value <= 24;
     }
 
 }
\ No newline at end of file
@@ -11,43 +11,742 @@ if (!defined('ABSPATH')) {
 
 class Republish_Service
 {
+    /**
+     * Preference keys for the eligibility rules, both measured in days
+     */
+    const RULE_KEYS = array('min_post_age_days', 'republish_cooldown_days');
+
+    /**
+     * Maximum number of days allowed for an eligibility rule
+     */
+    const MAX_RULE_DAYS = 3650;
+
+    /**
+     * Maximum number of skipped excluded posts logged per selection
+     */
+    const MAX_SKIPPED_POSTS = 10;
+
+    /**
+     * Preference key for the post selection strategy
+     */
+    const STRATEGY_PREFERENCE_KEY = 'selection_strategy';
+
+    /**
+     * Strategy used when none has been saved or the saved one is unknown
+     */
+    const DEFAULT_STRATEGY = 'oldest_first';
+
+    /**
+     * Log type for posts republished by hand from the admin
+     */
+    const MANUAL_LOG_TYPE = 'manual';
+
+    /**
+     * Log types that record a post being republished, by schedule or by hand
+     */
+    const REPUBLISH_LOG_TYPES = array('republish', 'manual');
+
+    /**
+     * Preference key that decides whether manual republishes use up the daily quota
+     */
+    const MANUAL_QUOTA_PREFERENCE_KEY = 'manual_counts_toward_quota';
+
+    /**
+     * Post meta key holding the post date from before its first republish
+     */
+    const ORIGINAL_DATE_META_KEY = '_rd_pr_original_date';
+
+    /**
+     * Log type for republishes that have been reverted
+     */
+    const REVERT_LOG_TYPE = 'revert';
+
+    /**
+     * Available republish modes
+     *
+     * 'date' gives the post a new publish date, moving it to the top of the feed.
+     * 'modified' keeps the publish date and only updates the modified date.
+     */
+    const REPUBLISH_MODES = array(
+        'date' => 'New publish date',
+        'modified' => 'Updated date only'
+    );
+
+    /**
+     * Preference key for the site's republish mode
+     */
+    const MODE_PREFERENCE_KEY = 'republish_mode';
+
+    /**
+     * Preference key for the republish modes of individual post types, a JSON object
+     * of modes keyed by post type
+     */
+    const POST_TYPE_MODES_PREFERENCE_KEY = 'republish_mode_post_types';
+
+    /**
+     * Republish mode used when none has been saved or the saved one is unknown
+     */
+    const DEFAULT_MODE = 'date';
+
+    /**
+     * Preference key that decides whether republished posts show an "Originally published" notice
+     */
+    const NOTICE_PREFERENCE_KEY = 'republish_notice';
+
+    /**
+     * WP_Query 'orderby' value that orders posts by the date they were last republished
+     */
+    const DATE_ORDERBY = 'rd_pr_republish_date';
+
+    /**
+     * WP_Query variable holding the post types republished in the 'modified' mode and
+     * the 'before' conditions on the date posts were last republished
+     */
+    const DATE_QUERY_VAR = 'rd_pr_republish_date_query';
+
+    /**
+     * Content service instance
+     *
+     * @var Content_Service
+     */
+    private $content_service;
+
+    /**
+     * Preferences service instance
+     *
+     * @var Preferences_Service
+     */
+    private $preferences_service;
+
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * History service instance
+     *
+     * @var History_Service
+     */
+    private $history_service;
+
+    /**
+     * Available selection strategies keyed by strategy key
+     *
+     * @var Selection_Strategy[]|null
+     */
+    private $strategies;
 
     /**
      * Constructor
+     *
+     * @param Content_Service|null $content_service Optional service for dependency injection
+     * @param Preferences_Service|null $preferences_service Optional service for dependency injection
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     * @param History_Service|null $history_service Optional service for dependency injection
+     */
+    public function __construct($content_service = null, $preferences_service = null, $logging_service = null, $history_service = null)
+    {
+        $this->content_service = $content_service ?: new Content_Service();
+        $this->preferences_service = $preferences_service ?: new Preferences_Service();
+        $this->logging_service = $logging_service ?: new Logging_Service();
+        $this->history_service = $history_service ?: new History_Service();
+    }
+
+    /**
+     * Find the next post to republish using the active selection strategy
+     *
+     * Excluded posts are skipped. With the oldest first strategy, any excluded post
+     * that would otherwise have been chosen ahead of the returned post is logged as 'skip'.
+     *
+     * @return array|null The post details, or null if there are no posts
+     */
+    public function find_next_post()
+    {
+        $posts = $this->find_next_posts(1);
+        $post = !empty($posts) ? $posts[0] : null;
+
+        if ($this->get_active_strategy()->get_key() === self::DEFAULT_STRATEGY) {
+            foreach ($this->find_skipped_post_ids($post) as $skipped_id) {
+                $this->logging_service->insert_log('skip', 'Skipped Excluded Post', $skipped_id);
+            }
+        }
+
+        return $post;
+    }
+
+    /**
+     * Find eligible posts in the order they would be republished
+     *
+     * @param int $count Number of posts to return
+     * @param int $offset Number of posts to skip from the start of the queue
+     * @param string|null $strategy_key Strategy to use, or null for the active strategy
+     * @return array Array of post details
+     */
+    public function find_next_posts($count, $offset = 0, $strategy_key = null)
+    {
+        $strategies = $this->get_strategies();
+        $strategy = ($strategy_key !== null && isset($strategies[$strategy_key]))
+            ? $strategies[$strategy_key]
+            : $this->get_active_strategy();
+
+        $post_ids = $strategy->select_post_ids($this->get_query_args(), (int) $count, (int) $offset);
+
+        $posts = array();
+
+        foreach ($post_ids as $post_id) {
+            $post = get_post($post_id);
+
+            if ($post) {
+                $posts[] = $this->format_post($post);
+            }
+        }
+
+        return $posts;
+    }
+
+    /**
+     * Get the available selection strategies
+     *
+     * @return Selection_Strategy[] Strategies keyed by strategy key
+     */
+    public function get_strategies()
+    {
+        if ($this->strategies === null) {
+            $this->strategies = array();
+
+            $strategies = array(
+                new Oldest_First_Strategy(),
+                new Least_Recently_Republished_Strategy(),
+                new Random_Strategy($this->logging_service),
+                new Comment_Weighted_Strategy($this->logging_service),
+                new Round_Robin_Strategy('author', $this->logging_service),
+                new Round_Robin_Strategy('category', $this->logging_service)
+            );
+
+            foreach ($strategies as $strategy) {
+                $this->strategies[$strategy->get_key()] = $strategy;
+            }
+        }
+
+        return $this->strategies;
+    }
+
+    /**
+     * Get the saved selection strategy
+     *
+     * Falls back to oldest first when nothing has been saved or the saved key is unknown.
+     *
+     * @return Selection_Strategy
+     */
+    public function get_active_strategy()
+    {
+        $strategies = $this->get_strategies();
+        $preference = $this->preferences_service->get_preference_by_key(self::STRATEGY_PREFERENCE_KEY);
+
+        if ($preference !== null && isset($strategies[$preference['value']])) {
+            return $strategies[$preference['value']];
+        }
+
+        return $strategies[self::DEFAULT_STRATEGY];
+    }
+
+    /**
+     * Get the selection strategies for display in the settings
+     *
+     * @return array Array of 'key', 'label' and 'description'
+     */
+    public function get_strategy_options()
+    {
+        $options = array();
+
+        foreach ($this->get_strategies() as $strategy) {
+            $options[] = array(
+                'key' => $strategy->get_key(),
+                'label' => $strategy->get_label(),
+                'description' => $strategy->get_description()
+            );
+        }
+
+        return $options;
+    }
+
+    /**
+     * Get the republish mode for a post type
+     *
+     * Falls back to the site's mode when the post type has none of its own, and to
+     * 'date' when nothing has been saved or the saved mode is unknown.
+     *
+     * @param string|null $post_type The post type, or null for the site's mode
+     * @return string One of the REPUBLISH_MODES keys
+     */
+    public function get_republish_mode($post_type = null)
+    {
+        if ($post_type !== null) {
+            $post_type_modes = $this->get_post_type_modes();
+
+            if (isset($post_type_modes[$post_type])) {
+                return $post_type_modes[$post_type];
+            }
+        }
+
+        $preference = $this->preferences_service->get_preference_by_key(self::MODE_PREFERENCE_KEY);
+
+        if ($preference !== null && isset(self::REPUBLISH_MODES[$preference['value']])) {
+            return $preference['value'];
+        }
+
+        return self::DEFAULT_MODE;
+    }
+
+    /**
+     * Get the saved republish modes of individual post types
+     *
+     * Unknown modes are left out, so those post types use the site's mode.
+     *
+     * @return array Modes keyed by post type
+     */
+    public function get_post_type_modes()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::POST_TYPE_MODES_PREFERENCE_KEY);
+        $modes = $preference !== null ? json_decode($preference['value'], true) : null;
+
+        if (!is_array($modes)) {
+            return array();
+        }
+
+        return array_filter($modes, function ($mode) {
+            return is_string($mode) && isset(self::REPUBLISH_MODES[$mode]);
+        });
+    }
+
+    /**
+     * Apply the republish date ordering and conditions to a query
+     *
+     * Hooked to 'posts_clauses', and only changes queries built from get_query_args().
+     * Post types republished in the 'modified' mode keep their publish date, so they go
+     * by their modified date while every other post type goes by its publish date.
+     *
+     * @param array $clauses The query clauses
+     * @param WP_Query $query The query
+     * @return array The clauses
+     */
+    public function add_republish_date_clauses($clauses, $query)
+    {
+        global $wpdb;
+
+        $date_query = $query->get(self::DATE_QUERY_VAR);
+
+        if (!is_array($date_query)) {
+            return $clauses;
+        }
+
+        $modified_post_types = isset($date_query['modified_post_types']) ? (array) $date_query['modified_post_types'] : array();
+        $date_column = "{$wpdb->posts}.post_date";
+
+        if (!empty($modified_post_types)) {
+            $placeholders = implode(', ', array_fill(0, count($modified_post_types), '%s'));
+            $date_column = $wpdb->prepare(
+                "CASE WHEN {$wpdb->posts}.post_type IN ($placeholders) THEN {$wpdb->posts}.post_modified ELSE {$wpdb->posts}.post_date END",
+                $modified_post_types
+            );
+        }
+
+        $before = isset($date_query['before']) ? $date_query['before'] : array();
+
+        foreach ($before as $condition) {
+            $clauses['where'] .= ' AND ' . $date_column . (!empty($condition['inclusive']) ? ' <= ' : ' < ') . $wpdb->prepare('%s', $condition['date']);
+        }
+
+        if ($query->get('orderby') === self::DATE_ORDERBY) {
+            $clauses['orderby'] = $date_column . ' ' . (strtoupper((string) $query->get('order')) === 'DESC' ? 'DESC' : 'ASC');
+        }
+
+        return $clauses;
+    }
+
+    /**
+     * Check whether republished posts show an "Originally published" notice
+     *
+     * @return bool True when the 'republish_notice' preference is 'active'
+     */
+    public function is_notice_enabled()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::NOTICE_PREFERENCE_KEY);
+
+        return $preference !== null && $preference['value'] === 'active';
+    }
+
+    /**
+     * Get the dates shown in the "Originally published" notice of a post
+     *
+     * @param WP_Post $post The post
+     * @return array|null Array with the 'original' and 'updated' dates in Y-m-d H:i:s format,
+     *                    or null if the post has not been republished
+     */
+    public function get_notice_dates($post)
+    {
+        $original = get_post_meta($post->ID, self::ORIGINAL_DATE_META_KEY, true);
+
+        if (empty($original)) {
+            return null;
+        }
+
+        return array(
+            'original' => $original,
+            'updated' => $post->post_modified
+        );
+    }
+
+    /**
+     * Count the posts that can be republished
+     *
+     * @param array|null $filters Content filters to count against, or null for the saved filters
+     * @param array|null $rules Eligibility rules to count against, or null for the saved rules
+     * @return int Number of eligible posts
+     */
+    public function count_eligible_posts($filters = null, $rules = null)
+    {
+        $args = $this->get_query_args($filters, $rules);
+        $args['posts_per_page'] = 1;
+        $args['fields'] = 'ids';
+
+        $query = new WP_Query($args);
+
+        return (int) $query->found_posts;
+    }
+
+    /**
+     * Get the details of a single post
+     *
+     * @param int $id The post ID
+     * @return array|null The post details, or null if the post no longer exists
+     */
+    public function get_post_summary($id)
+    {
+        $post = get_post($id);
+
+        if (!$post) {
+            return null;
+        }
+
+        return $this->format_post($post);
+    }
+
+    /**
+     * Get the saved eligibility rules
+     *
+     * Rules that are not set or not valid are treated as 0 (no restriction).
+     *
+     * @return array Array with 'min_post_age_days' and 'republish_cooldown_days'
+     */
+    public function get_rules()
+    {
+        $rules = array();
+
+        foreach (self::RULE_KEYS as $key) {
+            $preference = $this->preferences_service->get_preference_by_key($key);
+            $value = $preference !== null ? $preference['value'] : null;
+
+            if ($value === null || !empty($this->validate_rules(array($key => $value)))) {
+                $rules[$key] = 0;
+                continue;
+            }
+
+            $rules[$key] = (int) $value;
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Validate eligibility rules
+     *
+     * Only the keys present in the array are validated.
+     *
+     * @param array $rules Array with any of 'min_post_age_days' and 'republish_cooldown_days'
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_rules($rules)
+    {
+        $errors = array();
+
+        foreach (self::RULE_KEYS as $key) {
+            if (!isset($rules[$key]) || $rules[$key] === '') {
+                continue;
+            }
+
+            $value = $rules[$key];
+
+            if (!is_numeric($value) || strval(intval($value)) !== strval($value) || intval($value) < 0 || intval($value) > self::MAX_RULE_DAYS) {
+                $errors[] = $key . ' must be a whole number between 0 and ' . self::MAX_RULE_DAYS;
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Get the WP_Query arguments used to select posts for republishing
+     *
+     * @param array|null $filters Content filters to apply, or null for the saved filters
+     * @param array|null $rules Eligibility rules to apply, or null for the saved rules
+     * @return array
      */
-    public function __construct()
+    private function get_query_args($filters = null, $rules = null)
     {
+        $content_args = $this->content_service->get_query_args($filters);
 
+        $args = array_merge(
+            $content_args,
+            $this->get_rule_query_args($rules === null ? $this->get_rules() : $rules),
+            array(
+                'post_status'    => 'publish',
+                'orderby'        => self::DATE_ORDERBY,
+                'order'          => 'ASC',
+                'meta_query'     => array(
+                    array(
+                        'key'     => Exclusion_Service::META_KEY,
+                        'compare' => 'NOT EXISTS',
+                    ),
+                ),
+            )
+        );
+
+        $args[self::DATE_QUERY_VAR]['modified_post_types'] = $this->get_modified_post_types($content_args['post_type']);
+
+        return $args;
     }
 
-    public function find_oldest_post()
+    /**
+     * Find the excluded posts that would have been chosen ahead of a post
+     *
+     * @param array|null $post The chosen post, or null if no post was chosen
+     * @return array Array of post IDs
+     */
+    private function find_skipped_post_ids($post)
     {
-        $args = array(
-            'post_type'      => 'post',
-            'post_status'    => 'publish',
-            'posts_per_page' => 1,
-            'orderby'        => 'date',
-            'order'          => 'ASC',
+        $args = $this->get_query_args();
+        $args['fields'] = 'ids';
+        $args['posts_per_page'] = self::MAX_SKIPPED_POSTS;
+        $args['meta_query'] = array(
+            array(
+                'key'     => Exclusion_Service::META_KEY,
+                'compare' => 'EXISTS',
+            ),
         );
 
+        if ($post !== null) {
+            $args[self::DATE_QUERY_VAR]['before'][] = array(
+                'date' => $this->get_republish_mode(get_post_type($post['id'])) === 'modified' ? $post['modified'] : $post['date'],
+                'inclusive' => false
+            );
+        }
+
         $query = new WP_Query($args);
 
-        if ($query->have_posts()) {
-            $post = $query->posts[0];
+        return array_map('intval', $query->posts);
+    }
+
+    /**
+     * Get the WP_Query arguments that enforce the eligibility rules
+     *
+     * The minimum age is measured from the date the queue is ordered by. The cooldown is
+     * measured from the most recent 'republish' or 'manual' log entry for each post.
+     *
+     * @param array $rules Array with 'min_post_age_days' and 'republish_cooldown_days'
+     * @return array
+     */
+    private function get_rule_query_args($rules)
+    {
+        $args = array();
+
+        $min_post_age_days = isset($rules['min_post_age_days']) ? (int) $rules['min_post_age_days'] : 0;
+        $republish_cooldown_days = isset($rules['republish_cooldown_days']) ? (int) $rules['republish_cooldown_days'] : 0;
+
+        if ($min_post_age_days > 0) {
+            $args[self::DATE_QUERY_VAR]['before'][] = array(
+                'date' => $this->get_local_datetime_days_ago($min_post_age_days),
+                'inclusive' => true
+            );
+        }
+
+        if ($republish_cooldown_days > 0) {
+            $recent_post_ids = $this->logging_service->get_post_ids_of_type_since(
+                self::REPUBLISH_LOG_TYPES,
+                $this->get_local_datetime_days_ago($republish_cooldown_days)
+            );
+
+            if (!empty($recent_post_ids)) {
+                $args['post__not_in'] = $recent_post_ids;
+            }
+        }
+
+        return $args;
+    }
+
+    /**
+     * Get the post types that are republished in the 'modified' mode
+     *
+     * @param array|string $post_types The queued post types
+     * @return array Post type names
+     */
+    private function get_modified_post_types($post_types)
+    {
+        $modified_post_types = array();
+
+        foreach ((array) $post_types as $post_type) {
+            if ($this->get_republish_mode($post_type) === 'modified') {
+                $modified_post_types[] = $post_type;
+            }
+        }
+
+        return $modified_post_types;
+    }
+
+    /**
+     * Get the date and time a number of days ago in the site timezone
+     *
+     * @param int $days Number of days
+     * @return string Datetime in Y-m-d H:i:s format
+     */
+    private function get_local_datetime_days_ago($days)
+    {
+        $datetime = new DateTime('now', wp_timezone());
+        $datetime->modify('-' . (int) $days . ' days');
+
+        return $datetime->format('Y-m-d H:i:s');
+    }
+
+    /**
+     * Format a post into the details returned by this service
+     *
+     * @param WP_Post $post The post
+     * @return array
+     */
+    private function format_post($post)
+    {
+        return array(
+            'id'         => $post->ID,
+            'title'      => $post->post_title,
+            'date'       => $post->post_date,
+            'modified'   => $post->post_modified,
+            'permalink'  => get_permalink($post->ID),
+            'edit_url'   => get_edit_post_link($post->ID, 'raw'),
+        );
+    }
+
+    /**
+     * Count today's republishes that use up the daily quota
+     *
+     * Scheduled republishes always count. Manual republishes only count when the
+     * 'manual_counts_toward_quota' preference is 'active'.
+     *
+     * @return int Number of republishes today
+     */
+    public function count_republished_today()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::MANUAL_QUOTA_PREFERENCE_KEY);
+        $types = ($preference !== null && $preference['value'] === 'active')
+            ? self::REPUBLISH_LOG_TYPES
+            : array('republish');
+
+        return $this->logging_service->count_logs_of_type_today($types);
+    }
+
+    /**
+     * Preview a manual republish
+     *
+     * @param int $id The post ID
+     * @return array|WP_Error The post details with its 'new_date' and republish 'mode', or WP_Error if it cannot be republished
+     */
+    public function preview_republish_now($id)
+    {
+        $post = get_post($id);
+
+        if (!$post || $post->post_status !== 'publish') {
+            return new WP_Error(
+                'invalid_post',
+                __('Post not found or not published.'),
+                array('status' => 404)
+            );
+        }
+
+        $summary = $this->format_post($post);
+        $summary['new_date'] = current_time('mysql');
+        $summary['mode'] = $this->get_republish_mode($post->post_type);
+
+        return $summary;
+    }
+
+    /**
+     * Republish a post straight away at the request of an editor
+     *
+     * Logged as 'manual' so it can be told apart from scheduled republishes.
+     *
+     * @param int $id The post ID
+     * @return array|WP_Error Result array on success, WP_Error on failure
+     */
+    public function republish_post_now($id)
+    {
+        $result = $this->republish_post($id);
+
+        if (is_wp_error($result)) {
+            $this->logging_service->insert_log('error', 'Failed to Manually Republish Post', $id);
+            return $result;
+        }
+
+        $this->log_republish(self::MANUAL_LOG_TYPE, 'Manually Republished Post', $result);
+
+        return $result;
+    }
+
+    /**
+     * Log a successful republish and record the post dates either side of it
+     *
+     * @param string $type The log type, one of REPUBLISH_LOG_TYPES
+     * @param string $entry The log entry
+     * @param array $result The result returned by republish_post()
+     * @return void
+     */
+    public function log_republish($type, $entry, $result)
+    {
+        $log = $this->logging_service->insert_log($type, $entry, $result['id']);
+
+        if ($log['success']) {
+            $this->history_service->record_republish($log['id'], $result['id'], $result['previous_dates'], $result['new_date'], $result['mode']);
+        }
+    }
+
+    /**
+     * Get the dates a post would be given when republished
+     *
+     * @param int|null $timestamp Optional epoch timestamp for the new publish date
+     * @return array The new local date and GMT date, both in Y-m-d H:i:s format
+     */
+    public function get_republish_dates($timestamp = null)
+    {
+        // Use provided timestamp or current time
+        if ($timestamp !== null && is_numeric($timestamp)) {
+            $epoch = intval($timestamp);
+
             return array(
-                'id'         => $post->ID,
-                'title'      => $post->post_title,
-                'date'       => $post->post_date,
-                'permalink'  => get_permalink($post->ID),
+                gmdate('Y-m-d H:i:s', $epoch + (get_option('gmt_offset') * HOUR_IN_SECONDS)),
+                gmdate('Y-m-d H:i:s', $epoch)
             );
         }
 
-        return null;
+        return array(current_time('mysql'), current_time('mysql', true));
     }
 
     /**
      * Republish a post with a new date
      *
+     * In the 'date' mode the post gets a new publish date. In the 'modified' mode it keeps
+     * its publish date and only the modified date changes.
+     *
      * @param int $id The post ID to republish
      * @param int|null $timestamp Optional epoch timestamp for the new publish date
      * @return array|WP_Error Result array on success, WP_Error on failure
@@ -64,34 +763,185 @@ class Republish_Service
             );
         }
 
-        // Use provided timestamp or current time
-        if ($timestamp !== null && is_numeric($timestamp)) {
-            $epoch = intval($timestamp);
-            $new_date = gmdate('Y-m-d H:i:s', $epoch + (get_option('gmt_offset') * HOUR_IN_SECONDS));
-            $new_date_gmt = gmdate('Y-m-d H:i:s', $epoch);
+        list($new_date, $new_date_gmt) = $this->get_republish_dates($timestamp);
+        $mode = $this->get_republish_mode($post->post_type);
+
+        if ($mode === 'modified') {
+            $updated = wp_update_post(array('ID' => $id), true);
         } else {
-            $new_date = current_time('mysql');
-            $new_date_gmt = current_time('mysql', true);
+            $updated = wp_update_post(array(
+                'ID'                => $id,
+                'post_date'         => $new_date,
+                'post_date_gmt'     => $new_date_gmt,
+                'post_modified'     => $new_date,
+                'post_modified_gmt' => $new_date_gmt,
+            ), true);
         }
 
-        $updated = wp_update_post(array(
-            'ID'                => $id,
-            'post_date'         => $new_date,
-            'post_date_gmt'     => $new_date_gmt,
-            'post_modified'     => $new_date,
-            'post_modified_gmt' => $new_date_gmt,
-        ), true);
-
         if (is_wp_error($updated)) {
             return $updated;
         }
 
+        if ($mode === 'modified') {
+            $this->set_modified_dates($id, $new_date, $new_date_gmt);
+        }
+
+        // Only added the first time, so it keeps the date the post was first published
+        add_post_meta($id, self::ORIGINAL_DATE_META_KEY, $post->post_date, true);
+
         return array(
-            'id'           => $id,
-            'title'        => $post->post_title,
-            'new_date'     => $new_date,
-            'permalink'    => get_permalink($id),
-            'republished'  => true,
+            'id'             => $id,
+            'title'          => $post->post_title,
+            'previous_date'  => $post->post_date,
+            'previous_dates' => array(
+                'post_date'         => $post->post_date,
+                'post_date_gmt'     => $post->post_date_gmt,
+                'post_modified'     => $post->post_modified,
+                'post_modified_gmt' => $post->post_modified_gmt,
+            ),
+            'new_date'       => $new_date,
+            'mode'           => $mode,
+            'permalink'      => get_permalink($id),
+            'republished'    => true,
+        );
+    }
+
+    /**
+     * Revert the latest republish of several posts
+     *
+     * @param array $post_ids The post IDs
+     * @return array Result with 'success', 'errors' and 'reverted_posts'
+     */
+    public function revert_republishes($post_ids)
+    {
+        $errors = array();
+        $reverted_posts = array();
+
+        foreach (array_unique(array_map('intval', $post_ids)) as $post_id) {
+            $result = $this->revert_republish($post_id);
+
+            if (is_wp_error($result)) {
+                $errors[] = "Failed to revert post ID " . $post_id . ": " . $result->get_error_message();
+                continue;
+            }
+
+            $reverted_posts[] = $result;
+        }
+
+        return array(
+            'success' => empty($errors),
+            'errors' => $errors,
+            'reverted_posts' => $reverted_posts
+        );
+    }
+
+    /**
+     * Revert the latest republish of a post, restoring the dates it had before
+     *
+     * Only allowed while the post still has the date the republish gave it, so a later
+     * edit to the date is never overwritten. For a republish in the 'modified' mode
+     * that is the modified date, and only the modified dates are restored.
+     *
+     * @param int $id The post ID
+     * @return array|WP_Error Result array on success, WP_Error on failure
+     */
+    public function revert_republish($id)
+    {
+        $post = get_post($id);
+
+        if (!$post) {
+            return new WP_Error(
+                'invalid_post',
+                __('Post not found.'),
+                array('status' => 404)
+            );
+        }
+
+        $record = $this->history_service->get_latest_republish($id);
+
+        if (!$record || $record['reverted_at'] !== null) {
+            return new WP_Error(
+                'nothing_to_revert',
+                __('This post has no republish to revert.'),
+                array('status' => 409)
+            );
+        }
+
+        $modified_only = isset($record['mode']) && $record['mode'] === 'modified';
+
+        if ($modified_only && $post->post_modified !== $record['date_after']) {
+            return new WP_Error(
+                'post_modified_changed',
+                __('The post has been updated since it was republished.'),
+                array('status' => 409)
+            );
+        }
+
+        if (!$modified_only && $post->post_date !== $record['date_after']) {
+            return new WP_Error(
+                'post_date_changed',
+                __('The post date has changed since it was republished.'),
+                array('status' => 409)
+            );
+        }
+
+        if (!$modified_only) {
+            $updated = wp_update_post(array(
+                'ID'            => $id,
+                'post_date'     => $record['date_before'],
+                'post_date_gmt' => $record['date_gmt_before'] ?: get_gmt_from_date($record['date_before']),
+            ), true);
+
+            if (is_wp_error($updated)) {
+                $this->logging_service->insert_log('error', 'Failed to Revert Republished Post', $id);
+                return $updated;
+            }
+        }
+
+        if ($record['modified_before'] !== null) {
+            $this->set_modified_dates($id, $record['modified_before'], $record['modified_gmt_before']);
+        }
+
+        $this->history_service->mark_reverted($record['id']);
+
+        // Once every republish has been reverted the post is back to its original date
+        if ($this->history_service->count_unreverted_republishes($id) === 0) {
+            delete_post_meta($id, self::ORIGINAL_DATE_META_KEY);
+        }
+
+        $this->logging_service->insert_log(self::REVERT_LOG_TYPE, 'Reverted Republished Post', $id);
+
+        return array(
+            'id'            => $id,
+            'title'         => $post->post_title,
+            'restored_date' => $modified_only ? $record['modified_before'] : $record['date_before'],
+            'permalink'     => get_permalink($id),
+            'reverted'      => true,
+        );
+    }
+
+    /**
+     * Set the modified dates of a post
+     *
+     * wp_update_post always sets the modified dates to now, so they are written directly.
+     *
+     * @param int $id The post ID
+     * @param string $modified Modified date in Y-m-d H:i:s format
+     * @param string $modified_gmt Modified GMT date in Y-m-d H:i:s format
+     * @return void
+     */
+    private function set_modified_dates($id, $modified, $modified_gmt)
+    {
+        global $wpdb;
+
+        $wpdb->update(
+            $wpdb->posts,
+            array(
+                'post_modified'     => $modified,
+                'post_modified_gmt' => $modified_gmt,
+            ),
+            array('ID' => $id)
         );
+        clean_post_cache($id);
     }
 }
\ No newline at end of file
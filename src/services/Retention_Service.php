@@ -0,0 +1,280 @@
+<?php
+/**
+ * Service class for log retention
+ *
+ * Handles how long each type of log entry is kept, stored as days per type in the
+ * 'log_retention' preference, and purges the entries that are older than that.
+ * Types without a retention period are kept forever.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Retention_Service
+{
+    /**
+     * Preference key for the retention periods
+     */
+    const RETENTION_PREFERENCE_KEY = 'log_retention';
+
+    /**
+     * Maximum number of days allowed for a retention period
+     */
+    const MAX_RETENTION_DAYS = 3650;
+
+    /**
+     * Log types written by the plugin, offered even before any entry of the type exists
+     */
+    const DEFAULT_LOG_TYPES = array('process', 'republish', 'manual', 'revert', 'skip', 'error', 'purge');
+
+    /**
+     * Log type for the entry recording a purge
+     */
+    const PURGE_LOG_TYPE = 'purge';
+
+    /**
+     * Preferences service instance
+     *
+     * @var Preferences_Service
+     */
+    private $preferences_service;
+
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * History service instance
+     *
+     * @var History_Service
+     */
+    private $history_service;
+
+    /**
+     * Constructor
+     *
+     * @param Preferences_Service|null $preferences_service Optional service for dependency injection
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     * @param History_Service|null $history_service Optional service for dependency injection
+     */
+    public function __construct($preferences_service = null, $logging_service = null, $history_service = null)
+    {
+        $this->preferences_service = $preferences_service ?: new Preferences_Service();
+        $this->logging_service = $logging_service ?: new Logging_Service();
+        $this->history_service = $history_service ?: new History_Service();
+    }
+
+    /**
+     * Get the saved retention periods
+     *
+     * @return array Days to keep, keyed by log type (types kept forever are left out)
+     */
+    public function get_retention()
+    {
+        $preference = $this->preferences_service->get_preference_by_key(self::RETENTION_PREFERENCE_KEY);
+
+        if ($preference === null) {
+            return array();
+        }
+
+        $retention = json_decode($preference['value'], true);
+
+        // Types saved earlier stay valid after all their entries are purged
+        if (!is_array($retention) || !empty($this->validate_retention($retention, array_keys($retention)))) {
+            return array();
+        }
+
+        return $this->normalize_retention($retention);
+    }
+
+    /**
+     * Check whether any log type has a retention period
+     *
+     * @return bool
+     */
+    public function has_retention()
+    {
+        return !empty($this->get_retention());
+    }
+
+    /**
+     * Validate retention periods
+     *
+     * @param mixed $retention Days to keep keyed by log type; empty or 0 keeps the type forever
+     * @param array|null $log_types Log types that may be given a period (defaults to get_log_types())
+     * @return array Array of error messages (empty if valid)
+     */
+    public function validate_retention($retention, $log_types = null)
+    {
+        $errors = array();
+
+        if (!is_array($retention)) {
+            $errors[] = 'retention must be an object';
+            return $errors;
+        }
+
+        // JSON object keys such as "404" are decoded to integer array keys
+        $log_types = array_map('strval', $log_types === null ? $this->get_log_types() : $log_types);
+
+        foreach ($retention as $type => $days) {
+            if (!in_array((string) $type, $log_types, true)) {
+                $errors[] = $type . ' is not a known log type';
+                continue;
+            }
+
+            if ($days === null || $days === '') {
+                continue;
+            }
+
+            if (!is_numeric($days) || strval(intval($days)) !== strval($days) || intval($days) < 0 || intval($days) > self::MAX_RETENTION_DAYS) {
+                $errors[] = $type . ' must be a whole number of days between 0 and ' . self::MAX_RETENTION_DAYS;
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate and save retention periods
+     *
+     * @param mixed $retention Days to keep keyed by log type
+     * @return array Result with 'success', 'errors' and the saved 'retention'
+     */
+    public function save_retention($retention)
+    {
+        $errors = $this->validate_retention($retention);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $normalized = $this->normalize_retention($retention);
+
+        $result = $this->preferences_service->update_preferences(array(
+            array(
+                'key' => self::RETENTION_PREFERENCE_KEY,
+                'value' => wp_json_encode((object) $normalized)
+            )
+        ));
+
+        if (!empty($result['failed'])) {
+            return array(
+                'success' => false,
+                'errors' => array($result['failed'][0]['error'])
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'retention' => $normalized
+        );
+    }
+
+    /**
+     * Get every log type that can be given a retention period
+     *
+     * @return array Log types in alphabetical order
+     */
+    public function get_log_types()
+    {
+        $types = array_unique(array_merge(
+            self::DEFAULT_LOG_TYPES,
+            $this->logging_service->get_log_types(),
+            array_map('strval', array_keys($this->get_retention()))
+        ));
+
+        sort($types);
+
+        return $types;
+    }
+
+    /**
+     * Count the log entries a purge would delete right now
+     *
+     * @return array Number of entries keyed by log type, for types with a retention period
+     */
+    public function preview_purge()
+    {
+        $counts = array();
+
+        foreach ($this->get_retention() as $type => $days) {
+            $counts[$type] = $this->logging_service->count_logs_of_type_before($type, $this->get_cutoff($days));
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Delete the log entries that are older than their type's retention period
+     *
+     * Republish records that belonged to deleted entries are removed with them.
+     *
+     * @return array Result with 'success', 'errors', 'purged' (count keyed by log type) and 'total'
+     */
+    public function purge_logs()
+    {
+        $purged = array();
+
+        foreach ($this->get_retention() as $type => $days) {
+            $purged[$type] = $this->logging_service->delete_logs_of_type_before($type, $this->get_cutoff($days));
+        }
+
+        $total = array_sum($purged);
+
+        if ($total > 0) {
+            $this->history_service->delete_orphaned_republishes();
+            $this->logging_service->insert_log(self::PURGE_LOG_TYPE, 'Purged ' . $total . ' Log Entries');
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'purged' => $purged,
+            'total' => $total
+        );
+    }
+
+    /**
+     * Get the point in time before which entries kept for a number of days are purged
+     *
+     * @param int $days Days to keep
+     * @return string Site time in Y-m-d H:i:s format
+     */
+    public function get_cutoff($days)
+    {
+        // Both sides are site time, so do the sum in UTC to avoid daylight saving shifts
+        $cutoff = new DateTime(current_time('mysql'), new DateTimeZone('UTC'));
+        $cutoff->modify('-' . (int) $days . ' days');
+
+        return $cutoff->format('Y-m-d H:i:s');
+    }
+
+    /**
+     * Drop types kept forever and cast the periods to integers
+     *
+     * @param array $retention Validated retention periods
+     * @return array
+     */
+    private function normalize_retention($retention)
+    {
+        $normalized = array();
+
+        foreach ($retention as $type => $days) {
+            if ((int) $days > 0) {
+                $normalized[$type] = (int) $days;
+            }
+        }
+
+        ksort($normalized, SORT_STRING);
+
+        return $normalized;
+    }
+}
@@ -0,0 +1,406 @@
+<?php
+/**
+ * Service class for named API tokens
+ *
+ * Handles the rd_pr_tokens table. Each token is scoped to a set of the public
+ * endpoints, may expire, and records when it was last used.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Token_Service
+{
+    /**
+     * Maximum length for a token name
+     */
+    const MAX_NAME_LENGTH = 100;
+
+    /**
+     * Number of leading token characters kept to tell tokens apart
+     */
+    const PREFIX_LENGTH = 8;
+
+    /**
+     * Available scopes
+     *
+     * 'areas' are the API areas (postmetadata/v1/<area>) a scope grants, 'read_only'
+     * limits it to GET requests. The 'all' scope grants every public endpoint. Webhooks
+     * are left to 'all', as listing them returns their signing secrets.
+     */
+    const SCOPES = array(
+        'all' => array(
+            'label' => 'Full access',
+            'areas' => array(),
+            'read_only' => false
+        ),
+        'process' => array(
+            'label' => 'Process trigger only',
+            'areas' => array('process'),
+            'read_only' => false
+        ),
+        'read' => array(
+            'label' => 'Read history and logs',
+            'areas' => array('history', 'logging'),
+            'read_only' => true
+        ),
+        'republish' => array(
+            'label' => 'Republish and revert posts',
+            'areas' => array('republish'),
+            'read_only' => false
+        ),
+        'settings' => array(
+            'label' => 'Read and change settings',
+            'areas' => array('preferences', 'content', 'exclusions', 'calculation', 'license', 'notifications', 'indexnow'),
+            'read_only' => false
+        )
+    );
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+
+    }
+
+    /**
+     * Get the available scopes
+     *
+     * @return array Array of scopes with 'key' and 'label'
+     */
+    public function get_scopes()
+    {
+        $scopes = array();
+
+        foreach (self::SCOPES as $key => $scope) {
+            $scopes[] = array(
+                'key' => $key,
+                'label' => $scope['label']
+            );
+        }
+
+        return $scopes;
+    }
+
+    /**
+     * Get every token, newest first, without the token hashes
+     *
+     * @return array Array of tokens
+     */
+    public function get_tokens()
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_tokens_table_name();
+
+        $results = $wpdb->get_results(
+            "SELECT id, name, token_prefix, scopes, created_at, expires_at, last_used_at FROM $table_name ORDER BY id DESC",
+            ARRAY_A
+        );
+
+        if ($results === null) {
+            return array();
+        }
+
+        return array_map(array($this, 'format_token'), $results);
+    }
+
+    /**
+     * Validate the details of a new token
+     *
+     * @param mixed $name The token name
+     * @param mixed $scopes Array of scope keys
+     * @param mixed $expires_at Expiry date in Y-m-d format, or empty for no expiry
+     * @return array Array of error messages, empty if valid
+     */
+    public function validate_token($name, $scopes, $expires_at)
+    {
+        $errors = array();
+
+        if (!is_string($name) || trim($name) === '') {
+            $errors[] = 'name is required';
+        } elseif (strlen(trim($name)) > self::MAX_NAME_LENGTH) {
+            $errors[] = 'name exceeds maximum length of ' . self::MAX_NAME_LENGTH . ' characters';
+        }
+
+        if (!is_array($scopes) || empty($scopes)) {
+            $errors[] = 'scopes must contain at least one scope';
+        } else {
+            foreach ($scopes as $scope) {
+                if (!is_string($scope) || !isset(self::SCOPES[$scope])) {
+                    $errors[] = 'scopes must be one of: ' . implode(', ', array_keys(self::SCOPES));
+                    break;
+                }
+            }
+        }
+
+        if ($expires_at !== null && $expires_at !== '') {
+            $date = is_string($expires_at) ? DateTime::createFromFormat('!Y-m-d', $expires_at) : false;
+
+            if (!$date || $date->format('Y-m-d') !== $expires_at) {
+                $errors[] = 'expires_at must be a date in Y-m-d format';
+            } elseif ($expires_at < current_time('Y-m-d')) {
+                $errors[] = 'expires_at must not be in the past';
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Create a token
+     *
+     * The token itself is only returned here, the table keeps a hash of it.
+     *
+     * @param string $name The token name
+     * @param array $scopes Array of scope keys
+     * @param string|null $expires_at Expiry date in Y-m-d format, the token works until the end of that day
+     * @return array Result with 'success', 'errors', 'token' and 'data'
+     */
+    public function create_token($name, $scopes, $expires_at = null)
+    {
+        global $wpdb;
+
+        $errors = $this->validate_token($name, $scopes, $expires_at);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $token = bin2hex(random_bytes(32));
+        $row = array(
+            'name' => trim($name),
+            'token_hash' => $this->hash_token($token),
+            'token_prefix' => substr($token, 0, self::PREFIX_LENGTH),
+            'scopes' => implode(',', array_values(array_unique($scopes))),
+            'created_at' => current_time('mysql'),
+            'expires_at' => empty($expires_at) ? null : $expires_at . ' 23:59:59'
+        );
+
+        $result = $wpdb->insert(
+            Init_Setup::get_tokens_table_name(),
+            $row,
+            array('%s', '%s', '%s', '%s', '%s', '%s')
+        );
+
+        if ($result === false) {
+            return array(
+                'success' => false,
+                'errors' => array('Database error occurred')
+            );
+        }
+
+        $row['id'] = $wpdb->insert_id;
+        $row['last_used_at'] = null;
+        unset($row['token_hash']);
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'token' => $token,
+            'data' => $this->format_token($row)
+        );
+    }
+
+    /**
+     * Revoke a token, leaving the others untouched
+     *
+     * @param int $id The token ID
+     * @return array Result with 'success' and 'errors' array
+     */
+    public function revoke_token($id)
+    {
+        global $wpdb;
+
+        $result = $wpdb->delete(
+            Init_Setup::get_tokens_table_name(),
+            array('id' => (int) $id),
+            array('%d')
+        );
+
+        if ($result === false) {
+            return array(
+                'success' => false,
+                'errors' => array('Database error occurred')
+            );
+        }
+
+        if ($result === 0) {
+            return array(
+                'success' => false,
+                'errors' => array('Token not found')
+            );
+        }
+
+        return array(
+            'success' => true,
+            'errors' => array()
+        );
+    }
+
+    /**
+     * Check whether a token grants a request and record that it was used
+     *
+     * @param string $token The token provided with the request
+     * @param string $route The request route, e.g. '/postmetadata/v1/process/triggerpublic'
+     * @param string $method The request method
+     * @param array $params The request parameters
+     * @return bool True if a current token with a matching scope was provided
+     */
+    public function authorize($token, $route, $method, $params = array())
+    {
+        global $wpdb;
+
+        if (!is_string($token) || $token === '') {
+            return false;
+        }
+
+        $table_name = Init_Setup::get_tokens_table_name();
+        $now = current_time('mysql');
+
+        $row = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT id, scopes FROM $table_name WHERE token_hash = %s AND (expires_at IS NULL OR expires_at >= %s)",
+                $this->hash_token($token),
+                $now
+            ),
+            ARRAY_A
+        );
+
+        if (!$row || !$this->scopes_allow(explode(',', $row['scopes']), $route, $method, $params)) {
+            return false;
+        }
+
+        $wpdb->update(
+            $table_name,
+            array('last_used_at' => $now),
+            array('id' => (int) $row['id']),
+            array('%s'),
+            array('%d')
+        );
+
+        return true;
+    }
+
+    /**
+     * Check whether a set of scopes grants a request
+     *
+     * Only the 'all' scope may read or change the preferences in
+     * Preferences_Service::SECRET_KEYS and SITE_KEYS, otherwise a settings token
+     * could read the cron secret or open a debug window and grant itself full access.
+     *
+     * @param array $scopes Array of scope keys
+     * @param string $route The request route
+     * @param string $method The request method
+     * @param array $params The request parameters
+     * @return bool
+     */
+    public function scopes_allow($scopes, $route, $method, $params = array())
+    {
+        if (in_array('all', $scopes, true)) {
+            return true;
+        }
+
+        if (!preg_match('#^/postmetadata/v1/([^/]+)/#', $route, $matches)) {
+            return false;
+        }
+
+        if ($matches[1] === 'preferences' && $this->reaches_protected_preferences($route, $params)) {
+            return false;
+        }
+
+        foreach ($scopes as $scope) {
+            if (!isset(self::SCOPES[$scope]) || !in_array($matches[1], self::SCOPES[$scope]['areas'], true)) {
+                continue;
+            }
+
+            if (!self::SCOPES[$scope]['read_only'] || strtoupper($method) === 'GET') {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether a preferences request reads or changes a protected preference
+     *
+     * @param string $route The request route
+     * @param array $params The request parameters
+     * @return bool
+     */
+    private function reaches_protected_preferences($route, $params)
+    {
+        $key = isset($params['key']) ? $params['key'] : null;
+
+        // Retrieving without a key returns every preference, protected ones included
+        if (preg_match('#/retrievepublic$#', $route) && ($key === null || $key === '')) {
+            return true;
+        }
+
+        if (!empty($params['include_secrets'])) {
+            return true;
+        }
+
+        $keys = array($key);
+        $preferences = isset($params['preferences']) ? $params['preferences'] : array();
+
+        if (isset($params['configuration']['preferences'])) {
+            $preferences = $params['configuration']['preferences'];
+        }
+
+        if (is_array($preferences)) {
+            foreach ($preferences as $preference) {
+                if (is_array($preference) && isset($preference['key'])) {
+                    $keys[] = $preference['key'];
+                }
+            }
+        }
+
+        $protected_keys = array_merge(Preferences_Service::SECRET_KEYS, Preferences_Service::SITE_KEYS);
+
+        foreach ($keys as $preference_key) {
+            if (in_array($preference_key, $protected_keys, true)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Hash a token for storage and lookup
+     *
+     * @param string $token The token
+     * @return string
+     */
+    private function hash_token($token)
+    {
+        return hash('sha256', $token);
+    }
+
+    /**
+     * Format a token row for the API
+     *
+     * @param array $row The token row
+     * @return array
+     */
+    private function format_token($row)
+    {
+        return array(
+            'id' => (int) $row['id'],
+            'name' => $row['name'],
+            'token_prefix' => $row['token_prefix'],
+            'scopes' => explode(',', $row['scopes']),
+            'created_at' => $row['created_at'],
+            'expires_at' => $row['expires_at'],
+            'last_used_at' => $row['last_used_at'],
+            'expired' => $row['expires_at'] !== null && $row['expires_at'] < current_time('mysql')
+        );
+    }
+}
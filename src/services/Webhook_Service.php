@@ -0,0 +1,544 @@
+<?php
+/**
+ * Service class for outgoing webhooks
+ *
+ * Handles the rd_pr_webhooks and rd_pr_webhook_deliveries tables. Each event is
+ * sent as a signed JSON payload to every webhook registered for it. Deliveries are
+ * made and, when they fail, retried with backoff through a single cron event.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Webhook_Service
+{
+    /**
+     * Events a webhook can be registered for
+     */
+    const EVENTS = array(
+        'republish_success' => 'Republish success',
+        'republish_failure' => 'Republish failure',
+        'limit_reached' => 'Daily limit reached',
+        'validation_failure' => 'Validation failure'
+    );
+
+    /**
+     * Maximum number of attempts for one delivery
+     */
+    const MAX_ATTEMPTS = 5;
+
+    /**
+     * Seconds to wait before each retry, indexed by the number of attempts made
+     */
+    const RETRY_DELAYS = array(1 => 60, 2 => 300, 3 => 1800, 4 => 7200);
+
+    /**
+     * Seconds to wait for a webhook to respond
+     */
+    const REQUEST_TIMEOUT = 10;
+
+    /**
+     * Header carrying the HMAC-SHA256 signature of the request body
+     */
+    const SIGNATURE_HEADER = 'X-RD-PR-Signature';
+
+    /**
+     * Deliveries older than this are removed
+     */
+    const DELIVERY_RETENTION_DAYS = 30;
+
+    /**
+     * Maximum number of deliveries returned for the delivery log
+     */
+    const MAX_DELIVERIES = 100;
+
+    /**
+     * Maximum length for a webhook URL
+     */
+    const MAX_URL_LENGTH = 2048;
+
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * Constructor
+     *
+     * @param Logging_Service|null $logging_service
+     */
+    public function __construct($logging_service = null)
+    {
+        $this->logging_service = $logging_service ?: new Logging_Service();
+    }
+
+    /**
+     * Get the available events
+     *
+     * @return array Array of events with 'key' and 'label'
+     */
+    public function get_events()
+    {
+        $events = array();
+
+        foreach (self::EVENTS as $key => $label) {
+            $events[] = array(
+                'key' => $key,
+                'label' => $label
+            );
+        }
+
+        return $events;
+    }
+
+    /**
+     * Get every webhook, oldest first
+     *
+     * @return array Array of webhooks
+     */
+    public function get_webhooks()
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_webhooks_table_name();
+
+        $results = $wpdb->get_results(
+            "SELECT id, url, events, secret, created_at FROM $table_name ORDER BY id ASC",
+            ARRAY_A
+        );
+
+        if ($results === null) {
+            return array();
+        }
+
+        return array_map(array($this, 'format_webhook'), $results);
+    }
+
+    /**
+     * Validate the details of a new webhook
+     *
+     * @param mixed $url The URL deliveries are posted to
+     * @param mixed $events Array of event keys
+     * @return array Array of error messages, empty if valid
+     */
+    public function validate_webhook($url, $events)
+    {
+        $errors = array();
+
+        if (!is_string($url) || $url === '') {
+            $errors[] = 'url is required';
+        } elseif (strlen($url) > self::MAX_URL_LENGTH) {
+            $errors[] = 'url exceeds maximum length of ' . self::MAX_URL_LENGTH . ' characters';
+        } elseif (filter_var($url, FILTER_VALIDATE_URL) === false
+            || !in_array(strtolower((string) parse_url($url, PHP_URL_SCHEME)), array('http', 'https'), true)) {
+            $errors[] = 'url must be an http or https URL';
+        }
+
+        if (!is_array($events) || empty($events)) {
+            $errors[] = 'events must contain at least one event';
+        } else {
+            foreach ($events as $event) {
+                if (!is_string($event) || !isset(self::EVENTS[$event])) {
+                    $errors[] = 'events must be one of: ' . implode(', ', array_keys(self::EVENTS));
+                    break;
+                }
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Register a webhook with a new signing secret
+     *
+     * @param string $url The URL deliveries are posted to
+     * @param array $events Array of event keys
+     * @return array Result with 'success', 'errors' and 'data'
+     */
+    public function add_webhook($url, $events)
+    {
+        global $wpdb;
+
+        $errors = $this->validate_webhook($url, $events);
+
+        if (!empty($errors)) {
+            return array(
+                'success' => false,
+                'errors' => $errors
+            );
+        }
+
+        $row = array(
+            'url' => $url,
+            'events' => implode(',', array_values(array_unique($events))),
+            'secret' => bin2hex(random_bytes(32)),
+            'created_at' => current_time('mysql')
+        );
+
+        $result = $wpdb->insert(
+            Init_Setup::get_webhooks_table_name(),
+            $row,
+            array('%s', '%s', '%s', '%s')
+        );
+
+        if ($result === false) {
+            return array(
+                'success' => false,
+                'errors' => array('Database error occurred')
+            );
+        }
+
+        $row['id'] = $wpdb->insert_id;
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'data' => $this->format_webhook($row)
+        );
+    }
+
+    /**
+     * Remove a webhook and its deliveries
+     *
+     * @param int $id The webhook ID
+     * @return array Result with 'success' and 'errors' array
+     */
+    public function remove_webhook($id)
+    {
+        global $wpdb;
+
+        $result = $wpdb->delete(
+            Init_Setup::get_webhooks_table_name(),
+            array('id' => (int) $id),
+            array('%d')
+        );
+
+        if (!$result) {
+            return array(
+                'success' => false,
+                'errors' => array('Webhook not found')
+            );
+        }
+
+        $wpdb->delete(
+            Init_Setup::get_webhook_deliveries_table_name(),
+            array('webhookid' => (int) $id),
+            array('%d')
+        );
+
+        return array(
+            'success' => true,
+            'errors' => array()
+        );
+    }
+
+    /**
+     * Queue an event for every webhook registered for it
+     *
+     * The first attempt runs from the delivery cron event, like the retries, so a slow
+     * receiver never holds up the republish run that raised the event.
+     *
+     * @param string $event The event key
+     * @param array $data Event details, sent as the payload's 'data'
+     * @return int Number of webhooks the event was queued for
+     */
+    public function dispatch($event, $data)
+    {
+        global $wpdb;
+
+        $webhooks = array_filter($this->get_webhooks(), function ($webhook) use ($event) {
+            return in_array($event, $webhook['events'], true);
+        });
+
+        if (empty($webhooks)) {
+            return 0;
+        }
+
+        $this->delete_old_deliveries();
+
+        $payload = wp_json_encode(array(
+            'event' => $event,
+            'timestamp' => current_time('c'),
+            'site_url' => home_url(),
+            'data' => $data
+        ));
+
+        foreach ($webhooks as $webhook) {
+            $wpdb->insert(
+                Init_Setup::get_webhook_deliveries_table_name(),
+                array(
+                    'webhookid' => $webhook['id'],
+                    'event' => $event,
+                    'payload' => $payload,
+                    'status' => 'pending',
+                    'created_at' => current_time('mysql')
+                ),
+                array('%d', '%s', '%s', '%s', '%s')
+            );
+
+            wp_schedule_single_event(time(), Cron_Service::WEBHOOK_CRON_HOOK, array((int) $wpdb->insert_id));
+        }
+
+        return count($webhooks);
+    }
+
+    /**
+     * Attempt a delivery, scheduling a retry if it fails and attempts remain
+     *
+     * @param int $delivery_id The delivery ID
+     * @return array|null The delivery after the attempt, or null if it or its webhook no longer exists
+     */
+    public function deliver($delivery_id)
+    {
+        global $wpdb;
+
+        $deliveries_table = Init_Setup::get_webhook_deliveries_table_name();
+        $webhooks_table = Init_Setup::get_webhooks_table_name();
+
+        $delivery = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT d.id, d.event, d.payload, d.status, d.attempts, w.url, w.secret
+                FROM $deliveries_table d
+                INNER JOIN $webhooks_table w ON w.id = d.webhookid
+                WHERE d.id = %d",
+                $delivery_id
+            ),
+            ARRAY_A
+        );
+
+        if (!$delivery) {
+            return null;
+        }
+
+        if ($delivery['status'] === 'success') {
+            return $this->get_delivery($delivery_id);
+        }
+
+        $attempts = (int) $delivery['attempts'] + 1;
+        $response = wp_safe_remote_post($delivery['url'], array(
+            'timeout' => self::REQUEST_TIMEOUT,
+            'redirection' => 0,
+            'headers' => array(
+                'Content-Type' => 'application/json',
+                'X-RD-PR-Event' => $delivery['event'],
+                'X-RD-PR-Delivery' => (string) $delivery['id'],
+                self::SIGNATURE_HEADER => $this->sign($delivery['payload'], $delivery['secret'])
+            ),
+            'body' => $delivery['payload'],
+            'data_format' => 'body'
+        ));
+
+        if (is_wp_error($response)) {
+            $response_code = null;
+            $response_message = $response->get_error_message();
+        } else {
+            $response_code = (int) wp_remote_retrieve_response_code($response);
+            $response_message = wp_remote_retrieve_response_message($response);
+        }
+
+        $delivered = $response_code !== null && $response_code >= 200 && $response_code < 300;
+        $retry_delay = $delivered ? null : $this->get_retry_delay($attempts);
+
+        $next_attempt_at = null;
+
+        if ($delivered) {
+            $status = 'success';
+        } elseif ($retry_delay !== null) {
+            $status = 'retrying';
+            $next_attempt = new DateTime(current_time('mysql'), new DateTimeZone('UTC'));
+            $next_attempt_at = $next_attempt->modify('+' . $retry_delay . ' seconds')->format('Y-m-d H:i:s');
+            wp_schedule_single_event(time() + $retry_delay, Cron_Service::WEBHOOK_CRON_HOOK, array((int) $delivery['id']));
+        } else {
+            $status = 'failed';
+            $this->logging_service->insert_log('error', 'Webhook Delivery Failed: ' . $delivery['event'] . ' to ' . substr($delivery['url'], 0, 200));
+        }
+
+        $wpdb->update(
+            $deliveries_table,
+            array(
+                'status' => $status,
+                'attempts' => $attempts,
+                'response_code' => $response_code,
+                'response_message' => substr((string) $response_message, 0, 500),
+                'last_attempt_at' => current_time('mysql'),
+                'next_attempt_at' => $next_attempt_at
+            ),
+            array('id' => (int) $delivery['id']),
+            array('%s', '%d', '%d', '%s', '%s', '%s'),
+            array('%d')
+        );
+
+        return $this->get_delivery($delivery_id);
+    }
+
+    /**
+     * Send a delivery's payload again as a new delivery
+     *
+     * @param int $delivery_id The delivery ID
+     * @return array Result with 'success', 'errors' and 'data' (the new delivery)
+     */
+    public function redeliver($delivery_id)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_webhook_deliveries_table_name();
+
+        $delivery = $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT webhookid, event, payload FROM $table_name WHERE id = %d",
+                $delivery_id
+            ),
+            ARRAY_A
+        );
+
+        if (!$delivery) {
+            return array(
+                'success' => false,
+                'errors' => array('Delivery not found')
+            );
+        }
+
+        $wpdb->insert(
+            $table_name,
+            array(
+                'webhookid' => (int) $delivery['webhookid'],
+                'event' => $delivery['event'],
+                'payload' => $delivery['payload'],
+                'status' => 'pending',
+                'created_at' => current_time('mysql')
+            ),
+            array('%d', '%s', '%s', '%s', '%s')
+        );
+
+        return array(
+            'success' => true,
+            'errors' => array(),
+            'data' => $this->deliver($wpdb->insert_id)
+        );
+    }
+
+    /**
+     * Get the most recent deliveries, newest first, without their payloads
+     *
+     * @param int $limit Maximum number of deliveries
+     * @return array Array of deliveries with the webhook URL
+     */
+    public function get_deliveries($limit = self::MAX_DELIVERIES)
+    {
+        global $wpdb;
+
+        $deliveries_table = Init_Setup::get_webhook_deliveries_table_name();
+        $webhooks_table = Init_Setup::get_webhooks_table_name();
+
+        $results = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT d.id, d.webhookid, w.url, d.event, d.status, d.attempts, d.response_code, d.response_message,
+                    d.created_at, d.last_attempt_at, d.next_attempt_at
+                FROM $deliveries_table d
+                INNER JOIN $webhooks_table w ON w.id = d.webhookid
+                ORDER BY d.id DESC
+                LIMIT %d",
+                min(max(1, (int) $limit), self::MAX_DELIVERIES)
+            ),
+            ARRAY_A
+        );
+
+        return $results === null ? array() : $results;
+    }
+
+    /**
+     * Get the seconds to wait before retrying a failed delivery
+     *
+     * @param int $attempts Number of attempts made so far
+     * @return int|null Delay in seconds, or null if no attempts remain
+     */
+    public function get_retry_delay($attempts)
+    {
+        if ($attempts >= self::MAX_ATTEMPTS || !isset(self::RETRY_DELAYS[$attempts])) {
+            return null;
+        }
+
+        return self::RETRY_DELAYS[$attempts];
+    }
+
+    /**
+     * Sign a request body with a webhook's secret
+     *
+     * Receivers recompute the HMAC-SHA256 of the raw body with the same secret and compare.
+     *
+     * @param string $body The request body
+     * @param string $secret The webhook secret
+     * @return string Signature in the form 'sha256=<hex digest>'
+     */
+    public function sign($body, $secret)
+    {
+        return 'sha256=' . hash_hmac('sha256', $body, $secret);
+    }
+
+    /**
+     * Get a single delivery for the delivery log
+     *
+     * @param int $delivery_id The delivery ID
+     * @return array|null
+     */
+    private function get_delivery($delivery_id)
+    {
+        global $wpdb;
+
+        $deliveries_table = Init_Setup::get_webhook_deliveries_table_name();
+        $webhooks_table = Init_Setup::get_webhooks_table_name();
+
+        return $wpdb->get_row(
+            $wpdb->prepare(
+                "SELECT d.id, d.webhookid, w.url, d.event, d.status, d.attempts, d.response_code, d.response_message,
+                    d.created_at, d.last_attempt_at, d.next_attempt_at
+                FROM $deliveries_table d
+                INNER JOIN $webhooks_table w ON w.id = d.webhookid
+                WHERE d.id = %d",
+                $delivery_id
+            ),
+            ARRAY_A
+        );
+    }
+
+    /**
+     * Remove deliveries older than the retention period
+     *
+     * @return void
+     */
+    private function delete_old_deliveries()
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_webhook_deliveries_table_name();
+        $cutoff = new DateTime(current_time('mysql'), new DateTimeZone('UTC'));
+        $cutoff->modify('-' . self::DELIVERY_RETENTION_DAYS . ' days');
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM $table_name WHERE created_at < %s",
+                $cutoff->format('Y-m-d H:i:s')
+            )
+        );
+    }
+
+    /**
+     * Format a webhook row for the API
+     *
+     * @param array $row The webhook row
+     * @return array
+     */
+    private function format_webhook($row)
+    {
+        return array(
+            'id' => (int) $row['id'],
+            'url' => $row['url'],
+            'events' => explode(',', $row['events']),
+            'secret' => $row['secret'],
+            'created_at' => $row['created_at']
+        );
+    }
+}
@@ -3,28 +3,49 @@
 require_once plugin_dir_path( __FILE__ ) . 'Preferences_Service.php';
 new Preferences_Service();
 
-require_once plugin_dir_path( __FILE__ ) . 'Republish_Service.php';
-new Republish_Service();
-
 require_once plugin_dir_path( __FILE__ ) . 'Logging_Service.php';
 new Logging_Service();
 
+require_once plugin_dir_path( __FILE__ ) . 'History_Service.php';
+new History_Service();
+
+require_once plugin_dir_path( __FILE__ ) . 'Webhook_Service.php';
+new Webhook_Service();
+
+require_once plugin_dir_path( __FILE__ ) . 'Notification_Service.php';
+new Notification_Service();
+
+require_once plugin_dir_path( __FILE__ ) . 'IndexNow_Service.php';
+new IndexNow_Service();
+
+require_once plugin_dir_path( __FILE__ ) . 'Exclusion_Service.php';
+new Exclusion_Service();
+
+require_once plugin_dir_path( __FILE__ ) . 'Content_Service.php';
+new Content_Service();
+
+require_once plugin_dir_path( __FILE__ ) . 'Republish_Service.php';
+new Republish_Service();
+
 require_once plugin_dir_path( __FILE__ ) . 'Calculation_Service.php';
 new Calculation_Service();
 
 require_once plugin_dir_path( __FILE__ ) . 'Process_Service.php';
 new Process_Service();
 
+require_once plugin_dir_path( __FILE__ ) . 'Retention_Service.php';
+new Retention_Service();
+
 require_once plugin_dir_path( __FILE__ ) . 'Cron_Service.php';
 $cron_service = new Cron_Service();
 $cron_service->manage_cron();
 
-require_once plugin_dir_path( __FILE__ ) . 'History_Service.php';
-new History_Service();
-
 require_once plugin_dir_path( __FILE__ ) . 'License_Service.php';
 new License_Service();
 
+require_once plugin_dir_path( __FILE__ ) . 'Token_Service.php';
+new Token_Service();
+
 $preferences_service_shared = new Preferences_Service();
 $authorisation_helper_shared = new Authorisation_Helper($preferences_service_shared);
 
@@ -0,0 +1,98 @@
+<?php
+/**
+ * Base class for post selection strategies
+ *
+ * Provides the queries shared by strategies that order the eligible posts
+ * by more than the WP_Query arguments can express.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+abstract class Abstract_Selection_Strategy implements Selection_Strategy
+{
+    /**
+     * Get the IDs of every eligible post, oldest first
+     *
+     * Oldest by the date the query arguments order by, the publish date unless set.
+     *
+     * @param array $query_args WP_Query arguments that match the eligible posts
+     * @return array Array of post IDs
+     */
+    protected function get_eligible_post_ids($query_args)
+    {
+        $query_args['posts_per_page'] = -1;
+        $query_args['fields'] = 'ids';
+        $query_args['orderby'] = isset($query_args['orderby']) ? $query_args['orderby'] : 'date';
+        $query_args['order'] = 'ASC';
+        $query_args['no_found_rows'] = true;
+        unset($query_args['offset']);
+
+        $query = new WP_Query($query_args);
+
+        return array_map('intval', $query->posts);
+    }
+
+    /**
+     * Get a page of eligible post IDs, with the query clauses changed by a callback
+     *
+     * The callback runs after the republish date clauses, so it can extend their
+     * ordering rather than replace it.
+     *
+     * @param array $query_args WP_Query arguments that match the eligible posts
+     * @param int $count Number of posts to return
+     * @param int $offset Number of posts to skip
+     * @param callable $clauses_callback Receives the query clauses and returns them changed
+     * @return array Array of post IDs
+     */
+    protected function query_post_ids($query_args, $count, $offset, $clauses_callback)
+    {
+        $query_args['posts_per_page'] = (int) $count;
+        $query_args['offset'] = (int) $offset;
+        $query_args['fields'] = 'ids';
+        $query_args['orderby'] = isset($query_args['orderby']) ? $query_args['orderby'] : 'date';
+        $query_args['order'] = 'ASC';
+        $query_args['no_found_rows'] = true;
+
+        add_filter('posts_clauses', $clauses_callback, 20);
+        $query = new WP_Query($query_args);
+        remove_filter('posts_clauses', $clauses_callback, 20);
+
+        return array_map('intval', $query->posts);
+    }
+
+    /**
+     * Get a column of the posts table for a set of posts
+     *
+     * @param array $post_ids The post IDs
+     * @param string $column The column name ('post_author' or 'comment_count')
+     * @return array Array of integer values keyed by post ID
+     */
+    protected function get_post_column($post_ids, $column)
+    {
+        global $wpdb;
+
+        if (empty($post_ids)) {
+            return array();
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($post_ids), '%d'));
+
+        $results = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT ID, $column AS value FROM {$wpdb->posts} WHERE ID IN ($placeholders)",
+                $post_ids
+            ),
+            ARRAY_A
+        );
+
+        $values = array();
+
+        foreach ((array) $results as $row) {
+            $values[(int) $row['ID']] = (int) $row['value'];
+        }
+
+        return $values;
+    }
+}
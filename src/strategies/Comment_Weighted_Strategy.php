@@ -0,0 +1,87 @@
+<?php
+/**
+ * Selection strategy that picks a random post, weighted by comment count
+ *
+ * Each post is weighted by its number of approved comments plus one, so
+ * posts without comments can still be picked. As with the random strategy,
+ * the seed changes with every republish, so the offset continues the same order.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Comment_Weighted_Strategy extends Abstract_Selection_Strategy
+{
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * Constructor
+     *
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     */
+    public function __construct($logging_service = null)
+    {
+        $this->logging_service = $logging_service ?: new Logging_Service();
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_key()
+    {
+        return 'comment_weighted';
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_label()
+    {
+        return __('Weighted by comments', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_description()
+    {
+        return __('Republish a random eligible post, favouring posts with more comments. Upcoming picks are only an example.', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function select_post_ids($query_args, $count, $offset = 0)
+    {
+        $seed = (int) $this->logging_service->get_latest_id_of_type(Republish_Service::REPUBLISH_LOG_TYPES);
+
+        return $this->query_post_ids($query_args, $count, $offset, function ($clauses) use ($seed) {
+            return $this->add_weighted_order($clauses, $seed);
+        });
+    }
+
+    /**
+     * Order the posts at random, weighted by comment count
+     *
+     * Sorting by -ln(u) / weight, with u drawn uniformly from (0, 1], gives a
+     * weighted random order without repeats.
+     *
+     * @param array $clauses The query clauses
+     * @param int $seed The random seed
+     * @return array The clauses
+     */
+    protected function add_weighted_order($clauses, $seed)
+    {
+        global $wpdb;
+
+        $clauses['orderby'] = '-LN(1 - RAND(' . (int) $seed . ")) / ({$wpdb->posts}.comment_count + 1) ASC, {$wpdb->posts}.ID ASC";
+
+        return $clauses;
+    }
+}
@@ -0,0 +1,74 @@
+<?php
+/**
+ * Selection strategy that picks the post republished longest ago
+ *
+ * Uses the republish log rather than the post date, so posts whose dates
+ * were changed by hand keep their place. Posts that have never been
+ * republished come first, oldest first.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Least_Recently_Republished_Strategy extends Abstract_Selection_Strategy
+{
+    /**
+     * {@inheritdoc}
+     */
+    public function get_key()
+    {
+        return 'least_recently_republished';
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_label()
+    {
+        return __('Least recently republished', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_description()
+    {
+        return __('Republish the post that has gone longest without being republished. Posts never republished come first.', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function select_post_ids($query_args, $count, $offset = 0)
+    {
+        return $this->query_post_ids($query_args, $count, $offset, function ($clauses) {
+            return $this->add_latest_republish_order($clauses);
+        });
+    }
+
+    /**
+     * Order the posts by their latest republish, ahead of the date order of the query
+     *
+     * Posts never republished have no latest republish, which sorts first.
+     *
+     * @param array $clauses The query clauses
+     * @return array The clauses
+     */
+    protected function add_latest_republish_order($clauses)
+    {
+        global $wpdb;
+
+        $table_name = Init_Setup::get_log_table_name();
+        $types = Republish_Service::REPUBLISH_LOG_TYPES;
+        $placeholders = implode(', ', array_fill(0, count($types), '%s'));
+
+        $clauses['join'] .= $wpdb->prepare(
+            " LEFT JOIN (SELECT postid, MAX(timestamp) AS latest FROM $table_name WHERE type IN ($placeholders) AND postid IS NOT NULL GROUP BY postid) AS rd_pr_latest ON rd_pr_latest.postid = {$wpdb->posts}.ID",
+            $types
+        );
+        $clauses['orderby'] = 'rd_pr_latest.latest ASC' . ($clauses['orderby'] !== '' ? ', ' . $clauses['orderby'] : '');
+
+        return $clauses;
+    }
+}
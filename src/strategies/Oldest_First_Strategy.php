@@ -0,0 +1,55 @@
+<?php
+/**
+ * Selection strategy that picks the post with the oldest date first
+ *
+ * Republishing moves a post's date to now, so each post goes to the back of
+ * the queue once it has been republished. When posts are republished in the
+ * 'modified' mode, the query arguments order them by modified date instead.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Oldest_First_Strategy implements Selection_Strategy
+{
+    /**
+     * {@inheritdoc}
+     */
+    public function get_key()
+    {
+        return 'oldest_first';
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_label()
+    {
+        return __('Oldest first', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_description()
+    {
+        return __('Republish the post with the oldest publish date.', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function select_post_ids($query_args, $count, $offset = 0)
+    {
+        $query_args['posts_per_page'] = (int) $count;
+        $query_args['offset'] = (int) $offset;
+        $query_args['fields'] = 'ids';
+        $query_args['orderby'] = isset($query_args['orderby']) ? $query_args['orderby'] : 'date';
+        $query_args['order'] = 'ASC';
+
+        $query = new WP_Query($query_args);
+
+        return array_map('intval', $query->posts);
+    }
+}
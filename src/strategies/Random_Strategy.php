@@ -0,0 +1,75 @@
+<?php
+/**
+ * Selection strategy that picks a random eligible post
+ *
+ * The posts are shuffled with a seed that changes with every republish, so
+ * the order stays the same between calls until then and the offset continues
+ * it without repeating posts.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Random_Strategy implements Selection_Strategy
+{
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * Constructor
+     *
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     */
+    public function __construct($logging_service = null)
+    {
+        $this->logging_service = $logging_service ?: new Logging_Service();
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_key()
+    {
+        return 'random';
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_label()
+    {
+        return __('Random', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_description()
+    {
+        return __('Republish a random eligible post. Upcoming picks are only an example.', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function select_post_ids($query_args, $count, $offset = 0)
+    {
+        $seed = (int) $this->logging_service->get_latest_id_of_type(Republish_Service::REPUBLISH_LOG_TYPES);
+
+        $query_args['posts_per_page'] = (int) $count;
+        $query_args['offset'] = (int) $offset;
+        $query_args['fields'] = 'ids';
+        $query_args['orderby'] = 'RAND(' . $seed . ')';
+        $query_args['no_found_rows'] = true;
+        unset($query_args['order']);
+
+        $query = new WP_Query($query_args);
+
+        return array_map('intval', $query->posts);
+    }
+}
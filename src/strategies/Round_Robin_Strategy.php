@@ -0,0 +1,184 @@
+<?php
+/**
+ * Selection strategy that takes turns between authors or categories
+ *
+ * Each turn picks the oldest eligible post from the next author or category,
+ * starting after the one whose post was republished most recently, so a
+ * prolific author or busy category cannot take every slot. A post is grouped
+ * under its first category.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class Round_Robin_Strategy extends Abstract_Selection_Strategy
+{
+    /**
+     * Fields posts can be grouped by
+     */
+    const FIELDS = array('author', 'category');
+
+    /**
+     * The field posts are grouped by ('author' or 'category')
+     *
+     * @var string
+     */
+    private $field;
+
+    /**
+     * Logging service instance
+     *
+     * @var Logging_Service
+     */
+    private $logging_service;
+
+    /**
+     * Constructor
+     *
+     * @param string $field The field posts are grouped by ('author' or 'category')
+     * @param Logging_Service|null $logging_service Optional service for dependency injection
+     * @throws InvalidArgumentException If the field is not supported
+     */
+    public function __construct($field, $logging_service = null)
+    {
+        if (!in_array($field, self::FIELDS, true)) {
+            throw new InvalidArgumentException('Unsupported round-robin field: ' . $field);
+        }
+
+        $this->field = $field;
+        $this->logging_service = $logging_service ?: new Logging_Service();
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_key()
+    {
+        return 'round_robin_' . $this->field;
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_label()
+    {
+        return $this->field === 'author'
+            ? __('Round-robin by author', 'rd-post-republishing')
+            : __('Round-robin by category', 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function get_description()
+    {
+        return $this->field === 'author'
+            ? __("Take turns between authors, republishing each author's oldest post.", 'rd-post-republishing')
+            : __("Take turns between categories, republishing each category's oldest post.", 'rd-post-republishing');
+    }
+
+    /**
+     * {@inheritdoc}
+     */
+    public function select_post_ids($query_args, $count, $offset = 0)
+    {
+        $post_ids = $this->get_eligible_post_ids($query_args);
+
+        if (empty($post_ids)) {
+            return array();
+        }
+
+        $last_post_id = $this->logging_service->get_latest_post_id_of_type(Republish_Service::REPUBLISH_LOG_TYPES);
+        $lookup_ids = $last_post_id !== null ? array_merge($post_ids, array($last_post_id)) : $post_ids;
+        $groups = $this->get_groups($lookup_ids);
+
+        $last_group = ($last_post_id !== null && isset($groups[$last_post_id])) ? $groups[$last_post_id] : null;
+
+        $queue = $this->interleave($post_ids, $groups, $last_group);
+
+        return array_slice($queue, (int) $offset, (int) $count);
+    }
+
+    /**
+     * Order posts so that each group takes a turn
+     *
+     * @param array $post_ids Post IDs, oldest first
+     * @param array $groups Group keys keyed by post ID
+     * @param int|null $last_group The group that had the last turn, or null to start with the first group
+     * @return array Array of post IDs in pick order
+     */
+    protected function interleave($post_ids, $groups, $last_group)
+    {
+        $queues = array();
+
+        foreach ($post_ids as $post_id) {
+            $group = isset($groups[$post_id]) ? $groups[$post_id] : 0;
+            $queues[$group][] = $post_id;
+        }
+
+        ksort($queues);
+
+        // Rotate so the group after the last one to have a turn goes first
+        if ($last_group !== null) {
+            $before = array();
+            $after = array();
+
+            foreach ($queues as $group => $queue) {
+                if ($group > $last_group) {
+                    $after[$group] = $queue;
+                } else {
+                    $before[$group] = $queue;
+                }
+            }
+
+            $queues = $after + $before;
+        }
+
+        $ordered = array();
+
+        while (!empty($queues)) {
+            foreach ($queues as $group => $queue) {
+                $ordered[] = array_shift($queues[$group]);
+
+                if (empty($queues[$group])) {
+                    unset($queues[$group]);
+                }
+            }
+        }
+
+        return $ordered;
+    }
+
+    /**
+     * Get the author or first category of each post
+     *
+     * @param array $post_ids The post IDs
+     * @return array Group keys keyed by post ID
+     */
+    private function get_groups($post_ids)
+    {
+        if ($this->field === 'author') {
+            return $this->get_post_column($post_ids, 'post_author');
+        }
+
+        $groups = array();
+
+        $terms = wp_get_object_terms($post_ids, 'category', array(
+            'fields' => 'all_with_object_id',
+            'orderby' => 'term_id'
+        ));
+
+        if (is_wp_error($terms)) {
+            return $groups;
+        }
+
+        foreach ($terms as $term) {
+            if (!isset($groups[(int) $term->object_id])) {
+                $groups[(int) $term->object_id] = (int) $term->term_id;
+            }
+        }
+
+        return $groups;
+    }
+}
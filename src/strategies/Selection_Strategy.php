@@ -0,0 +1,46 @@
+<?php
+/**
+ * Interface for post selection strategies
+ *
+ * A strategy decides the order in which eligible posts are picked for
+ * republishing. The eligible posts are described by WP_Query arguments that
+ * already apply the content filters, eligibility rules and exclusions.
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+interface Selection_Strategy
+{
+    /**
+     * Get the key stored in the 'selection_strategy' preference
+     *
+     * @return string
+     */
+    public function get_key();
+
+    /**
+     * Get the name shown in the settings
+     *
+     * @return string
+     */
+    public function get_label();
+
+    /**
+     * Get a short explanation shown in the settings
+     *
+     * @return string
+     */
+    public function get_description();
+
+    /**
+     * Select posts in the order they would be republished
+     *
+     * @param array $query_args WP_Query arguments that match the eligible posts
+     * @param int $count Number of posts to return
+     * @param int $offset Number of posts to skip from the start of the queue
+     * @return array Array of post IDs
+     */
+    public function select_post_ids($query_args, $count, $offset = 0);
+}
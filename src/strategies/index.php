@@ -0,0 +1,16 @@
+<?php
+/**
+ * Includes for post selection strategies
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+require_once plugin_dir_path(__FILE__) . 'Selection_Strategy.php';
+require_once plugin_dir_path(__FILE__) . 'Abstract_Selection_Strategy.php';
+require_once plugin_dir_path(__FILE__) . 'Oldest_First_Strategy.php';
+require_once plugin_dir_path(__FILE__) . 'Least_Recently_Republished_Strategy.php';
+require_once plugin_dir_path(__FILE__) . 'Random_Strategy.php';
+require_once plugin_dir_path(__FILE__) . 'Comment_Weighted_Strategy.php';
+require_once plugin_dir_path(__FILE__) . 'Round_Robin_Strategy.php';
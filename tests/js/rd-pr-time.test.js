@@ -0,0 +1,130 @@
+/**
+ * Tests for the site timezone helpers in admin/js/rd-pr-time.js.
+ *
+ * Run with: node --test tests/js/
+ *
+ * @package    Rd_Post_Republishing
+ */
+
+'use strict';
+
+// The viewer's timezone, read by the Date methods the script uses for local time
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../admin/js/rd-pr-time.js'), 'utf8');
+
+/**
+ * Load the script in a fresh context with stubs for jQuery, the page and localStorage
+ *
+ * @param {Object} timezone The localized rdPrTimezone ({ timezone, offset })
+ * @param {Object} storage Saved localStorage values
+ * @return {Object} The context, with the events triggered on the document in 'triggered'
+ */
+function load(timezone, storage) {
+	const triggered = [];
+	const chain = {
+		ready: () => chain,
+		prop: () => chain,
+		attr: () => chain,
+		on: () => chain,
+		trigger: (name) => {
+			triggered.push(name);
+			return chain;
+		}
+	};
+	const saved = Object.assign({}, storage);
+
+	const context = vm.createContext({
+		rdPrTimezone: timezone,
+		jQuery: () => chain,
+		document: {},
+		triggered: triggered,
+		localStorage: {
+			getItem: (key) => (key in saved ? saved[key] : null),
+			setItem: (key, value) => {
+				saved[key] = String(value);
+			}
+		},
+		saved: saved
+	});
+
+	context.window = context;
+	vm.runInContext(SOURCE, context);
+
+	return context;
+}
+
+test('converts between site time and timestamps in a named timezone', () => {
+	const { rdPrTime } = load({ timezone: 'Europe/London', offset: 0 });
+
+	assert.equal(rdPrTime.toTimestamp('2026-01-15 12:00:00'), Date.UTC(2026, 0, 15, 12, 0, 0));
+	assert.equal(rdPrTime.toTimestamp('2026-07-01 12:00:00'), Date.UTC(2026, 6, 1, 11, 0, 0));
+	assert.equal(rdPrTime.toTimestamp('2026-07-01'), Date.UTC(2026, 5, 30, 23, 0, 0));
+	assert.ok(Number.isNaN(rdPrTime.toTimestamp('not a date')));
+
+	assert.equal(rdPrTime.fromTimestamp(Date.UTC(2026, 6, 1, 11, 0, 0)), '2026-07-01 12:00:00');
+
+	// Clocks go forward at 01:00 UTC on 29 March 2026
+	assert.equal(rdPrTime.fromTimestamp(Date.UTC(2026, 2, 29, 0, 59, 59)), '2026-03-29 00:59:59');
+	assert.equal(rdPrTime.fromTimestamp(Date.UTC(2026, 2, 29, 1, 0, 0)), '2026-03-29 02:00:00');
+	assert.equal(rdPrTime.toTimestamp('2026-03-29 02:00:00'), Date.UTC(2026, 2, 29, 1, 0, 0));
+});
+
+test('uses the localized offset for a fixed UTC offset', () => {
+	const { rdPrTime } = load({ timezone: '+05:30', offset: 330 });
+
+	assert.equal(rdPrTime.toTimestamp('2026-01-26 14:05:02'), Date.UTC(2026, 0, 26, 8, 35, 2));
+	assert.equal(rdPrTime.fromTimestamp(Date.UTC(2026, 0, 26, 20, 0, 0)), '2026-01-27 01:30:00');
+	assert.match(rdPrTime.getTitle('2026-01-26 14:05:02'), /^Site time \(UTC\+05:30\): 26\/01\/26 14:05:02\n/);
+});
+
+test('formats dates in site time by default', () => {
+	const { rdPrTime } = load({ timezone: 'Europe/London', offset: 0 });
+
+	assert.equal(rdPrTime.isViewerLocal(), false);
+	assert.equal(rdPrTime.formatDate('2026-01-26 14:05:02.189'), '26/01/26');
+	assert.equal(rdPrTime.formatTime('2026-01-26 14:05:02.189'), '14:05');
+	assert.equal(rdPrTime.formatTime('2026-01-26 14:05:02.189', true), '14:05:02');
+	assert.equal(rdPrTime.formatDateTime('2026-01-26 14:05:02.189'), '26/01/26 14:05');
+	assert.equal(rdPrTime.formatDateTime('2026-01-26 14:05:02.189', true), '26/01/26 14:05:02');
+	assert.equal(rdPrTime.formatDateTime('2026-01-26'), '26/01/26 00:00');
+	assert.equal(rdPrTime.formatDateTime(''), '');
+	assert.equal(rdPrTime.formatDateTime(null), '');
+});
+
+test('formats dates in the viewer\'s time once chosen and remembers the choice', () => {
+	const context = load({ timezone: 'Europe/London', offset: 0 }, { rdPrViewerLocalTime: '1' });
+	const { rdPrTime } = context;
+
+	assert.equal(rdPrTime.isViewerLocal(), true);
+	assert.equal(rdPrTime.formatDateTime('2026-01-26 14:05:02'), '26/01/26 09:05');
+	assert.equal(rdPrTime.formatDate('2026-01-26 02:00:00'), '25/01/26');
+	assert.equal(
+		rdPrTime.getTitle('2026-01-26 14:05:02'),
+		'Site time (Europe/London): 26/01/26 14:05:02\nYour time (America/New_York): 26/01/26 09:05:02'
+	);
+
+	rdPrTime.setViewerLocal(false);
+
+	assert.equal(rdPrTime.isViewerLocal(), false);
+	assert.equal(context.saved.rdPrViewerLocalTime, '0');
+	assert.deepEqual(Array.from(context.triggered), ['rdPrTimeChange']);
+	assert.equal(rdPrTime.formatDateTime('2026-01-26 14:05:02'), '26/01/26 14:05');
+});
+
+test('gets today in the site\'s timezone', () => {
+	const context = load({ timezone: 'Pacific/Auckland', offset: 780 });
+
+	// 20:00 UTC on 26 January is already 27 January in Auckland
+	vm.runInContext('Date.now = function() { return ' + Date.UTC(2026, 0, 26, 20, 0, 0) + '; };', context);
+
+	const today = context.rdPrTime.getSiteToday();
+
+	assert.deepEqual([today.getFullYear(), today.getMonth(), today.getDate(), today.getHours()], [2026, 0, 27, 0]);
+});
@@ -64,17 +64,232 @@ class CalculationHelperTest extends TestCase
             ->andReturn('https://example.com');
 
         // Test with explicit domain
-        $times1 = $helper->generate_post_times('01-01-2024', 9, 17, 4, 'test.com');
-        $times2 = $helper->generate_post_times('01-01-2024', 9, 17, 4, 'test.com');
+        $times1 = $helper->generate_post_times('01-01-2024', ['09:00-17:00'], 4, 'test.com');
+        $times2 = $helper->generate_post_times('01-01-2024', ['09:00-17:00'], 4, 'test.com');
         $this->assertEquals($times1, $times2); // Determinism
 
+        // A single window gives the same times as the whole-hour window did before windows
+        $this->assertEquals(['09:19', '12:33', '14:11', '15:09'], $times1);
+
         // Test with different domain
-        $times3 = $helper->generate_post_times('01-01-2024', 9, 17, 4, 'other.com');
+        $times3 = $helper->generate_post_times('01-01-2024', ['09:00-17:00'], 4, 'other.com');
         $this->assertNotEquals($times1, $times3);
 
         // Test domain fallback (uses home_url)
-        $times_fallback = $helper->generate_post_times('01-01-2024', 9, 17, 4);
+        $times_fallback = $helper->generate_post_times('01-01-2024', ['09:00-17:00'], 4);
         $this->assertIsArray($times_fallback);
         $this->assertCount(4, $times_fallback);
     }
+
+    /**
+     * Test slots are spread across several windows in proportion to their length
+     */
+    public function test_generate_post_times_multiple_windows()
+    {
+        $helper = new Calculation_Helper();
+
+        // One hour in the morning and three in the evening give one slot per hour
+        $times = $helper->generate_post_times('01-01-2024', ['18:00-21:00', '07:00-08:00'], 4, 'test.com');
+        $this->assertEquals(['07', '18', '19', '20'], array_map(function($time) {
+            return substr($time, 0, 2);
+        }, $times));
+
+        // Windows can run to the end of the day
+        $times_full_day = $helper->generate_post_times('01-01-2024', ['00:00-24:00'], 10, 'test.com');
+        $this->assertCount(10, $times_full_day);
+        $this->assertLessThan('02:24', $times_full_day[0]);
+        $this->assertGreaterThanOrEqual('21:36', $times_full_day[9]);
+        $this->assertLessThanOrEqual('23:59', $times_full_day[9]);
+
+        // Minute-level windows
+        foreach ($helper->generate_post_times('01-01-2024', ['07:30-09:15'], 3, 'test.com') as $time) {
+            $this->assertGreaterThanOrEqual('07:30', $time);
+            $this->assertLessThan('09:15', $time);
+        }
+    }
+
+    /**
+     * Test posts spread over several days land on the same days every time
+     */
+    public function test_get_posts_for_date()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEquals(25, $helper->get_posts_for_date('01-01-2024', 25, 1, 'test.com'));
+
+        // 31-12-2023 starts a three day cycle, so each run of three days from it gets one post
+        $counts = array_map(function ($date) use ($helper) {
+            return $helper->get_posts_for_date($date, 1, 3, 'test.com');
+        }, $helper->get_dates_in_range('31-12-2023', '05-01-2024'));
+
+        $this->assertEquals(1, array_sum(array_slice($counts, 0, 3)));
+        $this->assertEquals(1, array_sum(array_slice($counts, 3, 3)));
+        $this->assertEquals($counts[0], $helper->get_posts_for_date('31-12-2023', 1, 3, 'test.com'));
+
+        // More posts than days are spread evenly, 31-12-2023 also starts a two day cycle
+        $this->assertEquals(3, $helper->get_posts_for_date('31-12-2023', 5, 2, 'test.com'));
+        $this->assertEquals(2, $helper->get_posts_for_date('01-01-2024', 5, 2, 'test.com'));
+    }
+
+    /**
+     * Test validation of publishing windows
+     */
+    public function test_validate_windows()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEmpty($helper->validate_windows(['07:30-09:15', '18:00-24:00']));
+        $this->assertEmpty($helper->validate_windows('["00:00-24:00"]'));
+        $this->assertEquals(['publish_windows must contain at least one window'], $helper->validate_windows([]));
+        $this->assertEquals(['publish_windows must contain at least one window'], $helper->validate_windows('not json'));
+        $this->assertEquals(
+            ['publish_windows must not contain more than 4 windows'],
+            $helper->validate_windows(['01:00-02:00', '03:00-04:00', '05:00-06:00', '07:00-08:00', '09:00-10:00'])
+        );
+        $this->assertEquals(['publish_windows windows must be in hh:mm-hh:mm format'], $helper->validate_windows(['7:30-9:15']));
+        $this->assertEquals(['publish_windows windows must be in hh:mm-hh:mm format'], $helper->validate_windows(['24:00-24:00']));
+        $this->assertEquals(
+            ['publish_windows windows must end at least 15 minutes after they start'],
+            $helper->validate_windows(['22:00-02:00'])
+        );
+        $this->assertEquals(
+            ['publish_windows windows must not overlap'],
+            $helper->validate_windows(['12:00-14:00', '08:00-12:30'])
+        );
+        $this->assertEquals(['weekday_schedule mon publish_windows must contain at least one window'], $helper->validate_windows(null, 'weekday_schedule mon publish_windows'));
+    }
+
+    /**
+     * Test windows shorter than one minute per post are rejected
+     */
+    public function test_validate_windows_posts_per_day()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEmpty($helper->validate_windows(['09:00-09:15', '12:00-12:15'], 'publish_windows', 25));
+        $this->assertEquals(
+            ['publish_windows must span at least 25 minutes for 25 posts per day'],
+            $helper->validate_windows(['09:00-09:20'], 'publish_windows', 25)
+        );
+        $this->assertEquals(
+            ['publish_windows must span at least 25 minutes for 25 posts per day'],
+            $helper->validate_schedule_overrides(['posts_per_day' => 25, 'publish_windows' => ['09:00-09:20']])
+        );
+        $this->assertEmpty($helper->validate_windows(['09:00-09:20']));
+    }
+
+    /**
+     * Test the windows of a schedule, including schedules saved as whole hours
+     */
+    public function test_get_windows()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEquals(['07:30-09:15'], $helper->get_windows(['publish_windows' => '["07:30-09:15"]']));
+        $this->assertEquals(['09:00-17:00'], $helper->get_windows(['publish_start_time' => '9', 'publish_end_time' => 17]));
+        $this->assertEquals(['00:00-24:00'], $helper->get_windows(['publish_start_time' => 0, 'publish_end_time' => 24]));
+    }
+
+    /**
+     * Test date range validation scenarios
+     */
+    public function test_validate_date_range()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEquals(['start_date is missing'], $helper->validate_date_range(null, '01-01-2024'));
+        $this->assertEquals(['end_date is invalid'], $helper->validate_date_range('01-01-2024', '2024-01-31'));
+        $this->assertEquals(['end_date must not be before start_date'], $helper->validate_date_range('10-01-2024', '01-01-2024'));
+        $this->assertEquals(['date range must not exceed 62 days'], $helper->validate_date_range('01-01-2024', '03-03-2024'));
+        $this->assertEmpty($helper->validate_date_range('01-01-2024', '02-03-2024'));
+        $this->assertEmpty($helper->validate_date_range('01-01-2024', '01-01-2024'));
+    }
+
+    /**
+     * Test expanding a date range into individual dates
+     */
+    public function test_get_dates_in_range()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEquals(
+            ['30-12-2023', '31-12-2023', '01-01-2024'],
+            $helper->get_dates_in_range('30-12-2023', '01-01-2024')
+        );
+        $this->assertEquals(['29-02-2024'], $helper->get_dates_in_range('29-02-2024', '29-02-2024'));
+        $this->assertCount(31, $helper->get_dates_in_range('01-03-2024', '31-03-2024'));
+        $this->assertEquals('2024-03-31', $helper->to_ymd('31-03-2024'));
+        $this->assertEquals('01-03-2024', $helper->add_days('29-02-2024', 1));
+        $this->assertEquals('31-12-2023', $helper->add_days('01-01-2024', -1));
+    }
+
+    /**
+     * Test validation of hypothetical schedule values
+     */
+    public function test_validate_schedule_overrides()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEmpty($helper->validate_schedule_overrides([]));
+        $this->assertEmpty($helper->validate_schedule_overrides(['posts_per_day' => 3, 'publish_start_time' => '8', 'publish_end_time' => 20]));
+        $this->assertEmpty($helper->validate_schedule_overrides(['publish_windows' => ['06:00-06:30', '20:00-24:00']]));
+        $this->assertEquals(
+            ['posts_per_day must be a whole number between 1 and 25'],
+            $helper->validate_schedule_overrides(['posts_per_day' => 26])
+        );
+        $this->assertEmpty($helper->validate_schedule_overrides(['posts_per_day' => 25, 'interval_days' => '30']));
+        $this->assertEquals(
+            ['interval_days must be a whole number between 1 and 30'],
+            $helper->validate_schedule_overrides(['interval_days' => 31])
+        );
+        $this->assertEquals(
+            ['publish_start_time must be a whole number between 0 and 23', 'publish_end_time must be a whole number between 1 and 24'],
+            $helper->validate_schedule_overrides(['publish_start_time' => '7.5', 'publish_end_time' => 25])
+        );
+        $this->assertEquals(
+            ['publish_windows windows must not overlap'],
+            $helper->validate_schedule_overrides(['publish_windows' => ['06:00-08:00', '07:00-09:00']])
+        );
+    }
+
+    /**
+     * Test validation of the per-weekday schedule
+     */
+    public function test_validate_weekday_schedule()
+    {
+        $helper = new Calculation_Helper();
+        $day = ['enabled' => true, 'posts_per_day' => 2, 'publish_start_time' => 9, 'publish_end_time' => 17];
+        $schedule = array_fill_keys(Calculation_Helper::WEEKDAYS, $day);
+        $schedule['sun'] = ['enabled' => false];
+
+        $this->assertEmpty($helper->validate_weekday_schedule($schedule));
+        $this->assertEmpty($helper->validate_weekday_schedule(json_encode($schedule)));
+        $this->assertEquals(['weekday_schedule is invalid'], $helper->validate_weekday_schedule('not json'));
+
+        $schedule['sat'] = ['enabled' => true, 'posts_per_day' => 2, 'publish_windows' => ['07:30-09:15', '18:00-21:00']];
+        $this->assertEmpty($helper->validate_weekday_schedule($schedule));
+
+        $schedule['sat']['publish_windows'] = [];
+        $this->assertEquals(['weekday_schedule sat publish_windows must contain at least one window'], $helper->validate_weekday_schedule($schedule));
+        $schedule['sat'] = ['enabled' => false];
+
+        unset($schedule['mon']);
+        $schedule['tue']['posts_per_day'] = 26;
+        $this->assertEquals(
+            ['weekday_schedule is missing mon', 'weekday_schedule tue posts_per_day must be a whole number between 1 and 25'],
+            $helper->validate_weekday_schedule($schedule)
+        );
+    }
+
+    /**
+     * Test weekday keys for dates
+     */
+    public function test_get_weekday_key()
+    {
+        $helper = new Calculation_Helper();
+
+        $this->assertEquals('mon', $helper->get_weekday_key('01-01-2024'));
+        $this->assertEquals('sat', $helper->get_weekday_key('06-01-2024'));
+        $this->assertEquals('sun', $helper->get_weekday_key('07-01-2024'));
+    }
 }
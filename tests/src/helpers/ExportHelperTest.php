@@ -0,0 +1,52 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Export_Helper;
+use PHPUnit\Framework\TestCase;
+
+class ExportHelperTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test rows are reduced to the export columns, in order
+     */
+    public function test_pick_columns()
+    {
+        $helper = new Export_Helper();
+
+        $this->assertSame(
+            ['type' => 'republish', 'id' => '3', 'postid' => null],
+            $helper->pick_columns(['id' => '3', 'entry' => 'Republished Post', 'type' => 'republish'], ['type', 'id', 'postid'])
+        );
+    }
+
+    /**
+     * Test values that spreadsheets would read as formulas are escaped
+     */
+    public function test_escape_csv_value()
+    {
+        $helper = new Export_Helper();
+
+        $this->assertSame("'=SUM(A1)", $helper->escape_csv_value('=SUM(A1)'));
+        $this->assertSame("'@user", $helper->escape_csv_value('@user'));
+        $this->assertSame("'\t=1+2", $helper->escape_csv_value("\t=1+2"));
+        $this->assertSame("'\r=1+2", $helper->escape_csv_value("\r=1+2"));
+        $this->assertSame('Republished Post', $helper->escape_csv_value('Republished Post'));
+        $this->assertSame('', $helper->escape_csv_value(''));
+        $this->assertSame(42, $helper->escape_csv_value(42));
+        $this->assertNull($helper->escape_csv_value(null));
+    }
+}
@@ -133,6 +133,9 @@ class CalculationServiceTest extends TestCase
         Functions\when('home_url')->justReturn('https://example.com');
 
         $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('schedule_mode')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('interval_days')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_windows')->andReturn(null);
         $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_start_time')->andReturn(['value' => 9]);
         $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_end_time')->andReturn(['value' => 17]);
         $prefs_mock->shouldReceive('get_preference_by_key')->with('posts_per_day')->andReturn(['value' => 4]);
@@ -162,6 +165,310 @@ class CalculationServiceTest extends TestCase
         $this->assertFalse($result_null['success']);
     }
 
+    /**
+     * Test get_post_times_range returns republished and projected posts per day
+     */
+    public function test_get_post_times_range()
+    {
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('current_time')->alias(function($arg) {
+            if ($arg === 'Y-m-d') return '2024-01-02';
+            if ($arg === 'd-m-Y') return '02-01-2024';
+            if ($arg === 'H:i') return '00:00';
+            return '';
+        });
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('schedule_mode')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('interval_days')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_windows')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_start_time')->andReturn(['value' => 9]);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_end_time')->andReturn(['value' => 17]);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('posts_per_day')->andReturn(['value' => 2]);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('get_logs_of_type_between')
+            ->once()
+            ->with(['republish', 'manual'], '2024-01-01', '2024-01-03')
+            ->andReturn([
+                ['id' => 1, 'timestamp' => '2024-01-01 10:15:02.189', 'type' => 'republish', 'entry' => 'Successfully Republished Post', 'postid' => 5],
+                ['id' => 2, 'timestamp' => '2024-01-01 15:40:11.004', 'type' => 'manual', 'entry' => 'Manually Republished Post', 'postid' => 6],
+            ]);
+
+        $post_one = ['id' => 1, 'title' => 'One'];
+        $post_two = ['id' => 2, 'title' => 'Two'];
+        $post_three = ['id' => 3, 'title' => 'Three'];
+
+        $republish_mock = Mockery::mock('Republish_Service');
+        $republish_mock->shouldReceive('get_post_summary')->once()->with(5)->andReturn(['id' => 5, 'title' => 'Five']);
+        $republish_mock->shouldReceive('get_post_summary')->once()->with(6)->andReturn(['id' => 6, 'title' => 'Six']);
+        $republish_mock->shouldReceive('count_republished_today')->andReturn(0);
+        $republish_mock->shouldReceive('count_eligible_posts')->andReturn(3);
+        $republish_mock->shouldReceive('find_next_posts')->with(3, 0)->andReturn([$post_one, $post_two, $post_three]);
+        $republish_mock->shouldReceive('find_next_posts')->with(1, 0)->andReturn([$post_one]);
+
+        $service = new Calculation_Service($prefs_mock, null, $logging_mock, $republish_mock);
+        $result = $service->get_post_times_range('01-01-2024', '03-01-2024');
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals('02-01-2024', $result['today']);
+        $this->assertCount(3, $result['days']);
+
+        // Past day shows what actually ran
+        $this->assertEquals('01-01-2024', $result['days'][0]['date']);
+        $this->assertCount(2, $result['days'][0]['previous_times']);
+        $this->assertEquals('10:15', $result['days'][0]['republished'][0]['time']);
+        $this->assertEquals(5, $result['days'][0]['republished'][0]['post']['id']);
+        $this->assertEquals(6, $result['days'][0]['republished'][1]['post']['id']);
+        $this->assertEmpty($result['days'][0]['scheduled']);
+
+        // Future slots are filled oldest first and wrap once the pool is exhausted
+        $this->assertEquals(1, $result['days'][1]['scheduled'][0]['post']['id']);
+        $this->assertEquals(2, $result['days'][1]['scheduled'][1]['post']['id']);
+        $this->assertEquals(3, $result['days'][2]['scheduled'][0]['post']['id']);
+        $this->assertEquals(1, $result['days'][2]['scheduled'][1]['post']['id']);
+        $this->assertEquals($result['days'][2]['future_times'][1], $result['days'][2]['scheduled'][1]['time']);
+
+        // Invalid range is rejected before any preferences are read
+        $result_invalid = $service->get_post_times_range('03-01-2024', '01-01-2024');
+        $this->assertFalse($result_invalid['success']);
+        $this->assertEquals(['end_date must not be before start_date'], $result_invalid['errors']);
+    }
+
+    /**
+     * Create a service for the dashboard widget's range, late on 02-01-2024 with both of today's slots past
+     *
+     * @param array $logs The republish log entries of the range
+     * @param int $republished_today Republishes counted against today's quota
+     * @return Calculation_Service
+     */
+    private function create_dashboard_service($logs, $republished_today)
+    {
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('current_time')->alias(function($arg) {
+            if ($arg === 'Y-m-d') return '2024-01-02';
+            if ($arg === 'd-m-Y') return '02-01-2024';
+            if ($arg === 'H:i') return '23:59';
+            return '';
+        });
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('schedule_mode')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('interval_days')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_windows')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_start_time')->andReturn(['value' => 9]);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_end_time')->andReturn(['value' => 17]);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('posts_per_day')->andReturn(['value' => 2]);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('get_logs_of_type_between')
+            ->once()
+            ->with(['republish', 'manual'], '2024-01-02', '2024-01-03')
+            ->andReturn($logs);
+
+        $posts = [['id' => 1, 'title' => 'One'], ['id' => 2, 'title' => 'Two'], ['id' => 3, 'title' => 'Three']];
+
+        $republish_mock = Mockery::mock('Republish_Service');
+        $republish_mock->shouldReceive('get_post_summary')->with(5)->andReturn(['id' => 5, 'title' => 'Five']);
+        $republish_mock->shouldReceive('count_republished_today')->andReturn($republished_today);
+        $republish_mock->shouldReceive('count_eligible_posts')->andReturn(3);
+        $republish_mock->shouldReceive('find_next_posts')->andReturnUsing(function ($count, $offset) use ($posts) {
+            return array_slice($posts, $offset, $count);
+        });
+
+        return new Calculation_Service($prefs_mock, null, $logging_mock, $republish_mock);
+    }
+
+    /**
+     * Test the dashboard widget's range counts today's republishes and projects the next slot after them
+     */
+    public function test_get_post_times_range_dashboard_with_history()
+    {
+        $service = $this->create_dashboard_service([
+            ['id' => 1, 'timestamp' => '2024-01-02 10:15:02.189', 'type' => 'republish', 'entry' => 'Successfully Republished Post', 'postid' => 5],
+        ], 1);
+
+        $result = $service->get_post_times_range('02-01-2024', '03-01-2024');
+
+        $this->assertTrue($result['success']);
+        $this->assertEquals('02-01-2024', $result['today']);
+
+        // Today: one of two slots republished, nothing left to schedule
+        $this->assertEquals('02-01-2024', $result['days'][0]['date']);
+        $this->assertCount(2, $result['days'][0]['previous_times']);
+        $this->assertCount(1, $result['days'][0]['republished']);
+        $this->assertEquals(5, $result['days'][0]['republished'][0]['post']['id']);
+        $this->assertEmpty($result['days'][0]['scheduled']);
+
+        // The slot still due today takes the first post, so the next slot gets the second
+        $this->assertEquals(2, $result['days'][1]['scheduled'][0]['post']['id']);
+        $this->assertEquals(3, $result['days'][1]['scheduled'][1]['post']['id']);
+    }
+
+    /**
+     * Test the dashboard widget's range when nothing has been republished yet
+     */
+    public function test_get_post_times_range_dashboard_without_history()
+    {
+        $service = $this->create_dashboard_service([], 0);
+
+        $result = $service->get_post_times_range('02-01-2024', '03-01-2024');
+
+        $this->assertTrue($result['success']);
+
+        // Today: none of the two slots republished
+        $this->assertCount(2, $result['days'][0]['previous_times']);
+        $this->assertSame([], $result['days'][0]['republished']);
+        $this->assertEmpty($result['days'][0]['scheduled']);
+
+        // Both slots still due today come first, so the next slot gets the third post and then wraps
+        $this->assertEquals(3, $result['days'][1]['scheduled'][0]['post']['id']);
+        $this->assertEquals(1, $result['days'][1]['scheduled'][1]['post']['id']);
+    }
+
+    /**
+     * Test get_post_times_range uses hypothetical values without touching saved preferences
+     */
+    public function test_get_post_times_range_with_overrides()
+    {
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('current_time')->alias(function($arg) {
+            if ($arg === 'Y-m-d') return '2024-01-01';
+            if ($arg === 'd-m-Y') return '01-01-2024';
+            if ($arg === 'H:i') return '00:00';
+            return '';
+        });
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('schedule_mode')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('interval_days')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_windows')->andReturn(null);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_start_time')->andReturn(['value' => 9]);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('publish_end_time')->andReturn(['value' => 17]);
+        $prefs_mock->shouldNotReceive('get_preference_by_key')->with('posts_per_day');
+        $prefs_mock->shouldNotReceive('update_preferences');
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('get_logs_of_type_between')->andReturn([]);
+
+        $republish_mock = Mockery::mock('Republish_Service');
+        $republish_mock->shouldReceive('count_republished_today')->andReturn(0);
+        $republish_mock->shouldReceive('count_eligible_posts')->andReturn(0);
+
+        $service = new Calculation_Service($prefs_mock, null, $logging_mock, $republish_mock);
+
+        $result = $service->get_post_times_range('02-01-2024', '02-01-2024', ['posts_per_day' => 5]);
+        $this->assertTrue($result['success']);
+        $this->assertCount(5, $result['days'][0]['future_times']);
+        $this->assertNull($result['days'][0]['scheduled'][0]['post']);
+
+        // Overrides are validated
+        $result_invalid = $service->get_post_times_range('02-01-2024', '02-01-2024', ['posts_per_day' => 0]);
+        $this->assertFalse($result_invalid['success']);
+
+        // A hypothetical window that ends before it starts is rejected
+        $result_window = $service->get_post_times_range('02-01-2024', '02-01-2024', ['posts_per_day' => 2, 'publish_end_time' => 8]);
+        $this->assertFalse($result_window['success']);
+        $this->assertEquals('Invalid publishing configuration', $result_window['errors'][0]);
+
+        // Hypothetical windows replace the saved hours
+        $result_windows = $service->get_post_times_range('02-01-2024', '02-01-2024', ['posts_per_day' => 2, 'publish_windows' => ['06:00-06:30']]);
+        $this->assertTrue($result_windows['success']);
+        foreach ($result_windows['days'][0]['future_times'] as $time) {
+            $this->assertGreaterThanOrEqual('06:00', $time);
+            $this->assertLessThan('06:30', $time);
+        }
+
+        $result_overlap = $service->get_post_times_range('02-01-2024', '02-01-2024', ['publish_windows' => ['06:00-08:00', '07:00-09:00']]);
+        $this->assertFalse($result_overlap['success']);
+        $this->assertEquals(['publish_windows windows must not overlap'], $result_overlap['errors']);
+
+        // Posts spread over several days skip the days without one
+        $result_interval = $service->get_post_times_range('31-12-2023', '05-01-2024', ['posts_per_day' => 1, 'interval_days' => 3]);
+        $this->assertTrue($result_interval['success']);
+        $enabled_days = array_filter($result_interval['days'], function ($day) {
+            return $day['enabled'];
+        });
+        $this->assertCount(2, $enabled_days);
+        foreach ($result_interval['days'] as $day) {
+            $this->assertCount($day['enabled'] ? 1 : 0, array_merge($day['previous_times'], $day['future_times']));
+        }
+
+        $result_interval_invalid = $service->get_post_times_range('02-01-2024', '02-01-2024', ['interval_days' => 0]);
+        $this->assertFalse($result_interval_invalid['success']);
+        $this->assertEquals(['interval_days must be a whole number between 1 and 30'], $result_interval_invalid['errors']);
+    }
+
+    /**
+     * Test get_post_times_range applies a separate count and window per weekday
+     */
+    public function test_get_post_times_range_weekday_schedule()
+    {
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('current_time')->alias(function($arg) {
+            if ($arg === 'Y-m-d') return '2024-01-01';
+            if ($arg === 'd-m-Y') return '01-01-2024';
+            if ($arg === 'H:i') return '00:00';
+            return '';
+        });
+
+        $weekday = ['enabled' => true, 'posts_per_day' => 1, 'publish_start_time' => 9, 'publish_end_time' => 17];
+        $schedule = [
+            'mon' => $weekday,
+            'tue' => $weekday,
+            'wed' => $weekday,
+            'thu' => $weekday,
+            'fri' => ['enabled' => true, 'posts_per_day' => 3, 'publish_start_time' => 10, 'publish_end_time' => 12],
+            'sat' => ['enabled' => false],
+            'sun' => ['enabled' => false]
+        ];
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('schedule_mode')->andReturn(['value' => 'weekday']);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('weekday_schedule')->andReturn(['value' => json_encode($schedule)]);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('get_logs_of_type_between')->andReturn([]);
+
+        $republish_mock = Mockery::mock('Republish_Service');
+        $republish_mock->shouldReceive('count_republished_today')->andReturn(0);
+        $republish_mock->shouldReceive('count_eligible_posts')->andReturn(0);
+
+        $service = new Calculation_Service($prefs_mock, null, $logging_mock, $republish_mock);
+
+        // 01-01-2024 is a Monday
+        $result = $service->get_post_times_range('01-01-2024', '07-01-2024');
+        $this->assertTrue($result['success']);
+        $this->assertCount(7, $result['days']);
+
+        $this->assertTrue($result['days'][0]['enabled']);
+        $this->assertCount(1, $result['days'][0]['future_times']);
+
+        $this->assertCount(3, $result['days'][4]['future_times']);
+        foreach ($result['days'][4]['future_times'] as $time) {
+            $this->assertGreaterThanOrEqual('10:00', $time);
+            $this->assertLessThan('12:00', $time);
+        }
+
+        // Weekend is switched off
+        $this->assertFalse($result['days'][5]['enabled']);
+        $this->assertEmpty($result['days'][5]['future_times']);
+        $this->assertEmpty($result['days'][6]['scheduled']);
+
+        // A day can have several windows
+        $schedule['sat'] = ['enabled' => true, 'posts_per_day' => 2, 'publish_windows' => ['07:00-08:00', '20:00-21:00']];
+        $result_windows = $service->get_post_times_range('06-01-2024', '06-01-2024', ['weekday_schedule' => $schedule]);
+        $this->assertTrue($result_windows['success']);
+        $this->assertEquals('07', substr($result_windows['days'][0]['future_times'][0], 0, 2));
+        $this->assertEquals('20', substr($result_windows['days'][0]['future_times'][1], 0, 2));
+
+        // A hypothetical weekday schedule with an invalid day is rejected
+        $schedule['sat'] = ['enabled' => true, 'posts_per_day' => 2, 'publish_start_time' => 14, 'publish_end_time' => 10];
+        $result_invalid = $service->get_post_times_range('01-01-2024', '07-01-2024', ['weekday_schedule' => $schedule]);
+        $this->assertFalse($result_invalid['success']);
+        $this->assertEquals(['weekday_schedule sat publish_start_time must be earlier than publish_end_time'], $result_invalid['errors']);
+    }
+
     /**
      * Test getting available operations
      */
@@ -0,0 +1,123 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Content_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class ContentServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test get_filters falls back to the defaults
+     */
+    public function test_get_filters_defaults()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('content_filters')->andReturn(null, ['value' => 'not json']);
+
+        $service = new Content_Service($prefs_mock);
+
+        $this->assertEquals($service->get_default_filters(), $service->get_filters());
+        $this->assertEquals($service->get_default_filters(), $service->get_filters());
+        $this->assertEquals(['post'], $service->get_default_filters()['post_types']);
+    }
+
+    /**
+     * Test get_filters normalizes the saved value
+     */
+    public function test_get_filters_saved()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('content_filters')->andReturn([
+            'value' => '{"post_types":["post","guide"],"include_categories":["3",3,7]}'
+        ]);
+
+        $service = new Content_Service($prefs_mock);
+        $filters = $service->get_filters();
+
+        $this->assertEquals(['post', 'guide'], $filters['post_types']);
+        $this->assertSame([3, 7], $filters['include_categories']);
+        $this->assertSame([], $filters['exclude_authors']);
+    }
+
+    /**
+     * Test validation of content filters
+     */
+    public function test_validate_filters()
+    {
+        Functions\when('post_type_exists')->alias(function($post_type) {
+            return in_array($post_type, ['post', 'page', 'guide'], true);
+        });
+
+        $service = new Content_Service(Mockery::mock('Preferences_Service'));
+
+        $this->assertEmpty($service->validate_filters(['post_types' => ['post', 'guide'], 'include_tags' => [4, '5']]));
+        $this->assertEquals(['filters must be an object'], $service->validate_filters('post'));
+        $this->assertEquals(['post_types must contain at least one post type'], $service->validate_filters(['post_types' => []]));
+        $this->assertEquals(['post_types contains an unknown post type'], $service->validate_filters(['post_types' => ['product']]));
+        $this->assertEquals(['exclude_authors must only contain positive whole numbers'], $service->validate_filters(['exclude_authors' => [0]]));
+        $this->assertEquals(
+            ['the same category cannot be both included and excluded'],
+            $service->validate_filters(['include_categories' => [2, 3], 'exclude_categories' => [3]])
+        );
+    }
+
+    /**
+     * Test query arguments only include filters that are set
+     */
+    public function test_get_query_args()
+    {
+        $service = new Content_Service(Mockery::mock('Preferences_Service'));
+
+        $args = $service->get_query_args([
+            'post_types' => ['post', 'guide'],
+            'exclude_categories' => [9],
+            'include_authors' => [1, 2]
+        ]);
+
+        $this->assertEquals([
+            'post_type' => ['post', 'guide'],
+            'category__not_in' => [9],
+            'author__in' => [1, 2]
+        ], $args);
+    }
+
+    /**
+     * Test invalid filters are not saved
+     */
+    public function test_save_filters()
+    {
+        Functions\when('post_type_exists')->justReturn(true);
+        Functions\when('wp_json_encode')->alias('json_encode');
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('update_preferences')
+            ->once()
+            ->with([['key' => 'content_filters', 'value' => '{"post_types":["guide"],"include_categories":[],"exclude_categories":[],"include_tags":[],"exclude_tags":[4],"include_authors":[],"exclude_authors":[]}']])
+            ->andReturn(['successful' => [['key' => 'content_filters']], 'failed' => [], 'total' => 1]);
+
+        $service = new Content_Service($prefs_mock);
+
+        $result = $service->save_filters(['post_types' => ['guide'], 'exclude_tags' => ['4']]);
+        $this->assertTrue($result['success']);
+        $this->assertSame([4], $result['filters']['exclude_tags']);
+
+        $result_invalid = $service->save_filters(['include_tags' => [4], 'exclude_tags' => [4]]);
+        $this->assertFalse($result_invalid['success']);
+    }
+}
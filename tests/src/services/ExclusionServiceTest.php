@@ -0,0 +1,70 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Exclusion_Service;
+use PHPUnit\Framework\TestCase;
+
+class ExclusionServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test a post is excluded only when the meta is set
+     */
+    public function test_is_excluded()
+    {
+        Functions\expect('get_post_meta')
+            ->twice()
+            ->with(\Mockery::anyOf(5, 6), '_rd_pr_exclude', true)
+            ->andReturn('1', '');
+
+        $service = new Exclusion_Service();
+
+        $this->assertTrue($service->is_excluded('5'));
+        $this->assertFalse($service->is_excluded(6));
+    }
+
+    /**
+     * Test excluding a post that does not exist fails
+     */
+    public function test_exclude_post_not_found()
+    {
+        Functions\when('get_post')->justReturn(null);
+        Functions\expect('update_post_meta')->never();
+
+        $service = new Exclusion_Service();
+        $result = $service->exclude_post(99);
+
+        $this->assertFalse($result['success']);
+        $this->assertEquals(['Post not found'], $result['errors']);
+    }
+
+    /**
+     * Test only excluded posts can be removed from the list
+     */
+    public function test_include_post()
+    {
+        Functions\when('get_post_meta')->alias(function($post_id) {
+            return $post_id === 5 ? '1' : '';
+        });
+        Functions\expect('delete_post_meta')->once()->with(5, '_rd_pr_exclude');
+
+        $service = new Exclusion_Service();
+
+        $this->assertTrue($service->include_post(5)['success']);
+        $this->assertEquals(['Post is not excluded'], $service->include_post(6)['errors']);
+    }
+}
@@ -0,0 +1,114 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use IndexNow_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class IndexNowServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+        Functions\when('home_url')->alias(function($path = '') {
+            return 'https://example.com' . $path;
+        });
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test get_settings falls back to the defaults and normalizes the saved value
+     */
+    public function test_get_settings()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('indexnow')->andReturn(
+            null,
+            ['value' => 'not json'],
+            ['value' => '{"enabled":true,"endpoint":"","key":" abcdef123456 "}']
+        );
+
+        $service = new IndexNow_Service($prefs_mock, Mockery::mock('Logging_Service'));
+
+        $this->assertEquals($service->get_default_settings(), $service->get_settings());
+        $this->assertEquals($service->get_default_settings(), $service->get_settings());
+        $this->assertEquals([
+            'enabled' => true,
+            'endpoint' => 'https://api.indexnow.org/indexnow',
+            'key' => 'abcdef123456'
+        ], $service->get_settings());
+    }
+
+    /**
+     * Test validation of IndexNow settings
+     */
+    public function test_validate_settings()
+    {
+        $service = new IndexNow_Service(Mockery::mock('Preferences_Service'), Mockery::mock('Logging_Service'));
+
+        $this->assertEmpty($service->validate_settings(['enabled' => true, 'endpoint' => 'http://localhost:8080/indexnow', 'key' => 'abcdef12']));
+        $this->assertEmpty($service->validate_settings(['enabled' => false, 'endpoint' => '', 'key' => '']));
+        $this->assertEquals(['settings must be an object'], $service->validate_settings('abcdef12'));
+        $this->assertEquals(['enabled must be true or false'], $service->validate_settings(['enabled' => 'yes', 'key' => 'abcdef12']));
+        $this->assertEquals(['endpoint must be an http or https URL'], $service->validate_settings(['endpoint' => 'ftp://example.com']));
+        $this->assertEquals(['key must be 8 to 128 letters, digits or dashes'], $service->validate_settings(['key' => 'short']));
+        $this->assertEquals(['key must be 8 to 128 letters, digits or dashes'], $service->validate_settings(['key' => 'has spaces in it']));
+        $this->assertEquals(['key is required when IndexNow is enabled'], $service->validate_settings(['enabled' => true, 'key' => '']));
+    }
+
+    /**
+     * Test the posts of a run are submitted in one request and the result is logged
+     */
+    public function test_submit_republished_posts()
+    {
+        Functions\when('wp_json_encode')->alias('json_encode');
+        Functions\when('wp_parse_url')->alias('parse_url');
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\when('wp_remote_retrieve_response_code')->justReturn(202);
+        Functions\when('wp_remote_retrieve_response_message')->justReturn('Accepted');
+
+        Functions\expect('wp_remote_post')->once()->andReturnUsing(function($url, $args) {
+            $this->assertEquals('http://localhost:8080/indexnow', $url);
+            $this->assertEquals([
+                'host' => 'example.com',
+                'key' => 'abcdef12',
+                'keyLocation' => 'https://example.com/abcdef12.txt',
+                'urlList' => ['https://example.com/first', 'https://example.com/second']
+            ], json_decode($args['body'], true));
+            return [];
+        });
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('indexnow')->andReturn(
+            ['value' => '{"enabled":false,"endpoint":"http://localhost:8080/indexnow","key":"abcdef12"}'],
+            ['value' => '{"enabled":true,"endpoint":"http://localhost:8080/indexnow","key":"abcdef12"}']
+        );
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('insert_log')->once()->with('indexnow', 'IndexNow Submission Accepted: 2 URL(s), HTTP 202 Accepted');
+
+        $service = new IndexNow_Service($prefs_mock, $logging_mock);
+        $posts = [
+            ['id' => 1, 'permalink' => 'https://example.com/first'],
+            ['id' => 2, 'permalink' => 'https://example.com/second'],
+            ['id' => 2, 'permalink' => 'https://example.com/second']
+        ];
+
+        $this->assertNull($service->submit_republished_posts([]));
+        $this->assertNull($service->submit_republished_posts($posts));
+
+        $result = $service->submit_republished_posts($posts);
+
+        $this->assertTrue($result['success']);
+        $this->assertSame(202, $result['response_code']);
+    }
+}
@@ -0,0 +1,41 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Logging_Service;
+use PHPUnit\Framework\TestCase;
+
+class LoggingServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test the date range filters are validated
+     */
+    public function test_validate_log_query()
+    {
+        $service = new Logging_Service();
+
+        $this->assertEquals([], $service->validate_log_query([]));
+        $this->assertEquals([], $service->validate_log_query(['from' => '2026-01-01', 'to' => '2026-01-31']));
+        $this->assertEquals(
+            ['from must be a date in YYYY-MM-DD format', 'to must be a date in YYYY-MM-DD format'],
+            $service->validate_log_query(['from' => '2026-02-30', 'to' => '31/01/2026'])
+        );
+        $this->assertEquals(
+            ['from must not be later than to'],
+            $service->validate_log_query(['from' => '2026-02-01', 'to' => '2026-01-31'])
+        );
+    }
+}
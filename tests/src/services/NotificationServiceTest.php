@@ -0,0 +1,148 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Notification_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class NotificationServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+        Functions\when('is_email')->alias(function($email) {
+            return filter_var($email, FILTER_VALIDATE_EMAIL) !== false;
+        });
+        Functions\when('wp_json_encode')->alias('json_encode');
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test get_settings falls back to the defaults and normalizes the saved value
+     */
+    public function test_get_settings()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('notifications')->andReturn(
+            null,
+            ['value' => 'not json'],
+            ['value' => '{"recipients":[" Admin@Example.com","admin@example.com"],"events":["pool_empty","unknown"],"digest":"weekly"}']
+        );
+
+        $service = new Notification_Service($prefs_mock, Mockery::mock('History_Service'));
+
+        $this->assertEquals($service->get_default_settings(), $service->get_settings());
+        $this->assertEquals($service->get_default_settings(), $service->get_settings());
+        $this->assertEquals([
+            'recipients' => ['admin@example.com'],
+            'events' => ['pool_empty'],
+            'digest' => 'weekly'
+        ], $service->get_settings());
+    }
+
+    /**
+     * Test validation of notification settings
+     */
+    public function test_validate_settings()
+    {
+        $service = new Notification_Service(Mockery::mock('Preferences_Service'), Mockery::mock('History_Service'));
+
+        $this->assertEmpty($service->validate_settings(['recipients' => ['a@example.com'], 'events' => ['run_failure'], 'digest' => 'daily']));
+        $this->assertEmpty($service->validate_settings(['recipients' => [], 'events' => [], 'digest' => 'off']));
+        $this->assertEquals(['settings must be an object'], $service->validate_settings('a@example.com'));
+        $this->assertEquals(['recipients contains an invalid email address: nobody'], $service->validate_settings(['recipients' => ['nobody']]));
+        $this->assertEquals(
+            ['recipients must not contain more than 10 email addresses'],
+            $service->validate_settings(['recipients' => array_fill(0, 11, 'a@example.com')])
+        );
+        $this->assertEquals(['events must be one of: run_failure, pool_empty'], $service->validate_settings(['events' => ['limit_reached']]));
+        $this->assertEquals(['digest must be one of: off, daily, weekly'], $service->validate_settings(['digest' => 'monthly']));
+        $this->assertEquals(
+            ['recipients must contain at least one email address when an event or the digest is enabled'],
+            $service->validate_settings(['recipients' => [], 'digest' => 'daily'])
+        );
+
+        $long_recipients = array_map(function ($i) {
+            return str_repeat('a', 60) . $i . '@' . str_repeat('b', 40) . '.example.com';
+        }, range(0, 9));
+        $this->assertEquals(
+            ['settings must not exceed 1000 characters once saved; use fewer or shorter email addresses'],
+            $service->validate_settings(['recipients' => $long_recipients, 'events' => ['run_failure']])
+        );
+    }
+
+    /**
+     * Test events are only emailed when enabled and at most once a day
+     */
+    public function test_notify()
+    {
+        Functions\when('current_time')->justReturn('2026-03-10');
+        Functions\when('get_transient')->justReturn('2026-03-10');
+        Functions\expect('wp_mail')->never();
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('notifications')->andReturn([
+            'value' => '{"recipients":["a@example.com"],"events":["run_failure"],"digest":"off"}'
+        ]);
+
+        $service = new Notification_Service($prefs_mock, Mockery::mock('History_Service'));
+
+        $this->assertFalse($service->notify('pool_empty', ['No posts available to republish']));
+        $this->assertFalse($service->notify('run_failure', ['Failed to republish post ID 4: error']));
+    }
+
+    /**
+     * Test the digest covers the previous day or the previous seven days
+     */
+    public function test_get_digest_period()
+    {
+        Functions\when('current_time')->justReturn('2026-03-01 00:05:00');
+
+        $service = new Notification_Service(Mockery::mock('Preferences_Service'), Mockery::mock('History_Service'));
+
+        $this->assertEquals(['2026-02-28', '2026-02-28'], $service->get_digest_period('daily'));
+        $this->assertEquals(['2026-02-22', '2026-02-28'], $service->get_digest_period('weekly'));
+    }
+
+    /**
+     * Test the digest lists the republished posts with links
+     */
+    public function test_send_digest()
+    {
+        Functions\when('current_time')->justReturn('2026-03-01 00:05:00');
+        Functions\when('home_url')->justReturn('https://example.com');
+        Functions\when('get_bloginfo')->justReturn('Example');
+        Functions\when('wp_specialchars_decode')->returnArg();
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('notifications')->andReturn([
+            'value' => '{"recipients":["a@example.com"],"events":[],"digest":"daily"}'
+        ]);
+
+        $history_mock = Mockery::mock('History_Service');
+        $history_mock->shouldReceive('get_republishes_between')->once()->with('2026-02-28', '2026-02-28')->andReturn([
+            ['post_title' => 'First post', 'type' => 'republish', 'republished_at' => '2026-02-28 09:00:00', 'post_url' => 'https://example.com/first']
+        ]);
+
+        Functions\expect('wp_mail')->once()->andReturnUsing(function($to, $subject, $message) {
+            $this->assertEquals(['a@example.com'], $to);
+            $this->assertEquals('[Example] Post republishing: Daily digest', $subject);
+            $this->assertStringContainsString('First post', $message);
+            $this->assertStringContainsString('https://example.com/first', $message);
+            return true;
+        });
+
+        $service = new Notification_Service($prefs_mock, $history_mock);
+
+        $this->assertTrue($service->send_digest());
+    }
+}
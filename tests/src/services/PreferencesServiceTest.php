@@ -0,0 +1,103 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Preferences_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class PreferencesServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test secrets are only exported when asked for and site-only preferences never are
+     */
+    public function test_export_preferences()
+    {
+        Functions\when('current_time')->justReturn('2026-10-19 12:00:00');
+        Functions\when('home_url')->justReturn('https://example.com');
+
+        $service = Mockery::mock('Preferences_Service')->makePartial();
+        $service->shouldReceive('get_all_preferences')->andReturn([
+            ['key' => 'posts_per_day', 'value' => '3'],
+            ['key' => 'cron_secret_token', 'value' => 'secret'],
+            ['key' => 'debug_timestamp', 'value' => '2026-10-19 11:00:00']
+        ]);
+
+        $export = $service->export_preferences();
+
+        $this->assertSame(1, $export['version']);
+        $this->assertSame([['key' => 'posts_per_day', 'value' => '3']], $export['preferences']);
+
+        $this->assertSame(
+            [['key' => 'posts_per_day', 'value' => '3'], ['key' => 'cron_secret_token', 'value' => 'secret']],
+            $service->export_preferences(true)['preferences']
+        );
+    }
+
+    /**
+     * Test validation of an imported configuration
+     */
+    public function test_validate_import()
+    {
+        $service = new Preferences_Service();
+
+        $this->assertEquals([], $service->validate_import(['version' => 1, 'preferences' => [['key' => 'posts_per_day', 'value' => '3']]]));
+        $this->assertEquals(['configuration must be an object'], $service->validate_import('{}'));
+        $this->assertEquals(['version is required', 'preferences must be an array'], $service->validate_import([]));
+        $this->assertEquals(['version 2 is not supported'], $service->validate_import(['version' => 2, 'preferences' => []]));
+        $this->assertEquals(
+            [
+                'preferences[0]: Key is required',
+                'debug_timestamp cannot be imported',
+                'status appears more than once',
+                'preferences[4] must be an object'
+            ],
+            $service->validate_import(['version' => 1, 'preferences' => [
+                ['value' => '1'],
+                ['key' => 'debug_timestamp', 'value' => '2026-10-19 11:00:00'],
+                ['key' => 'status', 'value' => 'active'],
+                ['key' => 'status', 'value' => 'inactive'],
+                'status'
+            ]])
+        );
+    }
+
+    /**
+     * Test the import preview compares each imported preference with the current value
+     */
+    public function test_preview_import()
+    {
+        $service = Mockery::mock('Preferences_Service')->makePartial();
+        $service->shouldReceive('get_all_preferences')->andReturn([
+            ['key' => 'status', 'value' => 'active'],
+            ['key' => 'posts_per_day', 'value' => '1']
+        ]);
+
+        $result = $service->preview_import(['version' => 1, 'preferences' => [
+            ['key' => 'status', 'value' => 'active'],
+            ['key' => 'posts_per_day', 'value' => 3],
+            ['key' => 'wp_cron', 'value' => 'active']
+        ]]);
+
+        $this->assertTrue($result['success']);
+        $this->assertSame([
+            ['key' => 'status', 'before' => 'active', 'after' => 'active', 'action' => 'unchanged'],
+            ['key' => 'posts_per_day', 'before' => '1', 'after' => '3', 'action' => 'change'],
+            ['key' => 'wp_cron', 'before' => null, 'after' => 'active', 'action' => 'add']
+        ], $result['changes']);
+    }
+}
@@ -0,0 +1,201 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Process_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class ProcessServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+        Functions\when('current_time')->justReturn('2026-10-19');
+        Functions\when('get_transient')->justReturn(false);
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Create a preferences mock returning the given preference values, null for the rest
+     *
+     * @param array $values Preference values keyed by preference key
+     * @return \Mockery\MockInterface
+     */
+    private function mock_preferences($values)
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->andReturnUsing(function ($key) use ($values) {
+            return isset($values[$key]) ? ['value' => $values[$key]] : null;
+        });
+
+        return $prefs_mock;
+    }
+
+    /**
+     * Test a paused plugin fails validation without sending a webhook or an email
+     */
+    public function test_execute_republish_process_paused()
+    {
+        $prefs_mock = $this->mock_preferences([
+            'status' => 'inactive',
+            'posts_per_day' => '2',
+            'publish_windows' => '["09:00-17:00"]'
+        ]);
+
+        $webhook_mock = Mockery::mock('Webhook_Service');
+        $webhook_mock->shouldReceive('dispatch')->never();
+
+        $notification_mock = Mockery::mock('Notification_Service');
+        $notification_mock->shouldReceive('notify')->never();
+
+        $service = new Process_Service($prefs_mock, Mockery::mock('Logging_Service'), Mockery::mock('Calculation_Service'), Mockery::mock('Republish_Service'), $webhook_mock, $notification_mock, Mockery::mock('IndexNow_Service'));
+        $result = $service->execute_republish_process();
+
+        $this->assertFalse($result['success']);
+        $this->assertEquals(["Preference 'status' must have a value of 'active'"], $result['errors']);
+    }
+
+    /**
+     * Test a paused plugin that is also misconfigured still reports the failure
+     */
+    public function test_execute_republish_process_paused_and_misconfigured()
+    {
+        $prefs_mock = $this->mock_preferences([
+            'status' => 'inactive',
+            'publish_windows' => '["09:00-17:00"]'
+        ]);
+
+        $webhook_mock = Mockery::mock('Webhook_Service');
+        $webhook_mock->shouldReceive('dispatch')->once()->with('validation_failure', Mockery::type('array'))->andReturn(0);
+
+        $notification_mock = Mockery::mock('Notification_Service');
+        $notification_mock->shouldReceive('notify')->once()->with('run_failure', [
+            "Preference 'status' must have a value of 'active'",
+            "Preference 'posts_per_day' is not set"
+        ]);
+
+        $service = new Process_Service($prefs_mock, Mockery::mock('Logging_Service'), Mockery::mock('Calculation_Service'), Mockery::mock('Republish_Service'), $webhook_mock, $notification_mock, Mockery::mock('IndexNow_Service'));
+        $result = $service->execute_republish_process();
+
+        $this->assertFalse($result['success']);
+    }
+
+    /**
+     * Create the mocks of a dry run with the given posts selected, none of which may change anything
+     *
+     * @param array $posts The posts find_next_posts returns
+     * @return array Republish, logging, webhook, notification and IndexNow mocks
+     */
+    private function mock_dry_run_services($posts)
+    {
+        $republish_mock = Mockery::mock('Republish_Service');
+        $republish_mock->shouldReceive('count_republished_today')->andReturn(1);
+        $republish_mock->shouldReceive('find_next_posts')->once()->with(2)->andReturn($posts);
+        $republish_mock->shouldReceive('get_republish_dates')->andReturnUsing(function ($timestamp) {
+            return [date('Y-m-d H:i:s', $timestamp), gmdate('Y-m-d H:i:s', $timestamp)];
+        });
+        $republish_mock->shouldReceive('find_next_post')->never();
+        $republish_mock->shouldReceive('republish_post')->never();
+        $republish_mock->shouldReceive('log_republish')->never();
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('insert_log')->never();
+
+        $webhook_mock = Mockery::mock('Webhook_Service');
+        $webhook_mock->shouldReceive('dispatch')->never();
+
+        $notification_mock = Mockery::mock('Notification_Service');
+        $notification_mock->shouldReceive('notify')->never();
+
+        $indexnow_mock = Mockery::mock('IndexNow_Service');
+        $indexnow_mock->shouldReceive('submit_republished_posts')->never();
+
+        return [$republish_mock, $logging_mock, $webhook_mock, $notification_mock, $indexnow_mock];
+    }
+
+    /**
+     * Create a calculation mock with four posts scheduled today, three of them due by now
+     *
+     * @return \Mockery\MockInterface
+     */
+    private function mock_calculation()
+    {
+        $calculation_mock = Mockery::mock('Calculation_Service');
+        $calculation_mock->shouldReceive('get_post_times')->andReturn([
+            'success' => true,
+            'errors' => [],
+            'previous_times' => ['09:00', '11:30', '13:15'],
+            'future_times' => ['16:45']
+        ]);
+
+        return $calculation_mock;
+    }
+
+    /**
+     * Test a dry run plans the posts due in order without republishing or logging anything
+     */
+    public function test_execute_republish_process_dry_run()
+    {
+        Functions\when('current_time')->alias(function ($format) {
+            return date($format, mktime(14, 0, 0, 10, 19, 2026));
+        });
+
+        $prefs_mock = $this->mock_preferences([
+            'status' => 'active',
+            'posts_per_day' => '4',
+            'publish_windows' => '["09:00-17:00"]'
+        ]);
+
+        list($republish_mock, $logging_mock, $webhook_mock, $notification_mock, $indexnow_mock) = $this->mock_dry_run_services([
+            ['id' => 12, 'title' => 'First', 'permalink' => 'https://example.com/first', 'date' => '2024-01-05 08:00:00'],
+            ['id' => 7, 'title' => 'Second', 'permalink' => 'https://example.com/second', 'date' => '2024-02-10 10:00:00']
+        ]);
+
+        $service = new Process_Service($prefs_mock, $logging_mock, $this->mock_calculation(), $republish_mock, $webhook_mock, $notification_mock, $indexnow_mock);
+        $result = $service->execute_republish_process(true);
+
+        $this->assertTrue($result['success']);
+        $this->assertSame([], $result['errors']);
+        $this->assertSame([12, 7], array_column($result['planned_posts'], 'id'));
+        $this->assertSame(['11:30', '13:15'], array_column($result['planned_posts'], 'time'));
+        $this->assertSame(['2024-01-05 08:00:00', '2024-02-10 10:00:00'], array_column($result['planned_posts'], 'current_date'));
+        $this->assertSame(['2026-10-19 11:30:00', '2026-10-19 13:15:00'], array_column($result['planned_posts'], 'new_date'));
+        $this->assertArrayNotHasKey('republished_posts', $result);
+    }
+
+    /**
+     * Test a dry run reports an empty pool for the times no post is left for, without an email
+     */
+    public function test_execute_republish_process_dry_run_pool_empty()
+    {
+        Functions\when('current_time')->alias(function ($format) {
+            return date($format, mktime(14, 0, 0, 10, 19, 2026));
+        });
+
+        $prefs_mock = $this->mock_preferences([
+            'status' => 'active',
+            'posts_per_day' => '4',
+            'publish_windows' => '["09:00-17:00"]'
+        ]);
+
+        list($republish_mock, $logging_mock, $webhook_mock, $notification_mock, $indexnow_mock) = $this->mock_dry_run_services([
+            ['id' => 12, 'title' => 'First', 'permalink' => 'https://example.com/first', 'date' => '2024-01-05 08:00:00']
+        ]);
+
+        $service = new Process_Service($prefs_mock, $logging_mock, $this->mock_calculation(), $republish_mock, $webhook_mock, $notification_mock, $indexnow_mock);
+        $result = $service->execute_republish_process(true);
+
+        $this->assertFalse($result['success']);
+        $this->assertSame(['No posts available to republish'], $result['errors']);
+        $this->assertSame([12], array_column($result['planned_posts'], 'id'));
+    }
+}
@@ -0,0 +1,331 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Republish_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class RepublishServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test validation of the eligibility rules
+     */
+    public function test_validate_rules()
+    {
+        $service = new Republish_Service(
+            Mockery::mock('Content_Service'),
+            Mockery::mock('Preferences_Service'),
+            Mockery::mock('Logging_Service')
+        );
+
+        $this->assertEmpty($service->validate_rules([]));
+        $this->assertEmpty($service->validate_rules(['min_post_age_days' => '30', 'republish_cooldown_days' => 0]));
+        $this->assertEmpty($service->validate_rules(['min_post_age_days' => '']));
+        $this->assertEquals(
+            ['min_post_age_days must be a whole number between 0 and 3650', 'republish_cooldown_days must be a whole number between 0 and 3650'],
+            $service->validate_rules(['min_post_age_days' => -1, 'republish_cooldown_days' => '1.5'])
+        );
+        $this->assertEquals(
+            ['republish_cooldown_days must be a whole number between 0 and 3650'],
+            $service->validate_rules(['republish_cooldown_days' => 3651])
+        );
+    }
+
+    /**
+     * Test saved rules fall back to no restriction when missing or invalid
+     */
+    public function test_get_rules()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('min_post_age_days')->andReturn(['value' => '90']);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('republish_cooldown_days')->andReturn(null);
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), $prefs_mock, Mockery::mock('Logging_Service'));
+        $this->assertSame(['min_post_age_days' => 90, 'republish_cooldown_days' => 0], $service->get_rules());
+
+        $prefs_invalid_mock = Mockery::mock('Preferences_Service');
+        $prefs_invalid_mock->shouldReceive('get_preference_by_key')->andReturn(['value' => 'abc']);
+
+        $service_invalid = new Republish_Service(Mockery::mock('Content_Service'), $prefs_invalid_mock, Mockery::mock('Logging_Service'));
+        $this->assertSame(['min_post_age_days' => 0, 'republish_cooldown_days' => 0], $service_invalid->get_rules());
+    }
+
+    /**
+     * Test the active strategy falls back to oldest first when unknown
+     */
+    public function test_get_active_strategy()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('selection_strategy')->andReturn(['value' => 'round_robin_author'], ['value' => 'newest_first'], null);
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), $prefs_mock, Mockery::mock('Logging_Service'));
+
+        $this->assertSame('round_robin_author', $service->get_active_strategy()->get_key());
+        $this->assertSame('oldest_first', $service->get_active_strategy()->get_key());
+        $this->assertSame('oldest_first', $service->get_active_strategy()->get_key());
+        $this->assertSame(
+            ['oldest_first', 'least_recently_republished', 'random', 'comment_weighted', 'round_robin_author', 'round_robin_category'],
+            array_keys($service->get_strategies())
+        );
+    }
+
+    /**
+     * Test the republish mode of a post type falls back to the site's mode, then to 'date'
+     */
+    public function test_get_republish_mode()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('republish_mode_post_types')->andReturn(
+            ['value' => '{"page":"modified","product":"bump","post":"date"}']
+        );
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('republish_mode')->andReturn(['value' => 'modified'], ['value' => 'unknown'], null);
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), $prefs_mock, Mockery::mock('Logging_Service'));
+
+        $this->assertSame(['page' => 'modified', 'post' => 'date'], $service->get_post_type_modes());
+        $this->assertSame('modified', $service->get_republish_mode('page'));
+        $this->assertSame('date', $service->get_republish_mode('post'));
+        $this->assertSame('modified', $service->get_republish_mode('product'));
+        $this->assertSame('date', $service->get_republish_mode());
+        $this->assertSame('date', $service->get_republish_mode());
+    }
+
+    /**
+     * Test a queue mixing republish modes orders each post type by its own date
+     */
+    public function test_add_republish_date_clauses_mixed_modes()
+    {
+        if (!extension_loaded('pdo_sqlite')) {
+            $this->markTestSkipped('pdo_sqlite is required to run the generated SQL');
+        }
+
+        Functions\when('wp_timezone')->justReturn(new \DateTimeZone('UTC'));
+
+        $pdo = new \PDO('sqlite::memory:');
+        $pdo->exec('CREATE TABLE wp_posts (ID INTEGER, post_type TEXT, post_date TEXT, post_modified TEXT)');
+        $rows = [
+            [1, 'post', '2024-01-01 09:00:00', '2026-01-01 09:00:00'],
+            [2, 'page', '2019-01-01 09:00:00', '2025-06-01 09:00:00'],
+            [3, 'page', '2018-01-01 09:00:00', '2023-05-01 09:00:00'],
+            [4, 'page', '2017-01-01 09:00:00', gmdate('Y-m-d H:i:s')],
+            [5, 'post', '2025-01-01 09:00:00', '2020-01-01 09:00:00']
+        ];
+        $insert = $pdo->prepare('INSERT INTO wp_posts VALUES (?, ?, ?, ?)');
+        foreach ($rows as $row) {
+            $insert->execute($row);
+        }
+
+        global $wpdb;
+        $wpdb = new class($pdo) {
+            public $posts = 'wp_posts';
+            private $pdo;
+
+            public function __construct($pdo)
+            {
+                $this->pdo = $pdo;
+            }
+
+            public function prepare($query, ...$args)
+            {
+                $args = isset($args[0]) && is_array($args[0]) ? $args[0] : $args;
+                return vsprintf($query, array_map([$this->pdo, 'quote'], $args));
+            }
+        };
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('republish_mode_post_types')->andReturn(['value' => '{"page":"modified"}']);
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('republish_mode')->andReturn(['value' => 'date']);
+
+        $content_mock = Mockery::mock('Content_Service');
+        $content_mock->shouldReceive('get_query_args')->andReturn(['post_type' => ['post', 'page']]);
+
+        $service = new Republish_Service($content_mock, $prefs_mock, Mockery::mock('Logging_Service'));
+
+        $get_query_args = new \ReflectionMethod($service, 'get_query_args');
+        $get_query_args->setAccessible(true);
+        $args = $get_query_args->invoke($service, null, ['min_post_age_days' => 30, 'republish_cooldown_days' => 0]);
+
+        $query = Mockery::mock();
+        $query->shouldReceive('get')->andReturnUsing(function ($key) use ($args) {
+            return isset($args[$key]) ? $args[$key] : '';
+        });
+
+        $clauses = $service->add_republish_date_clauses(['where' => '', 'orderby' => 'wp_posts.post_date DESC'], $query);
+        $ids = $pdo->query('SELECT ID FROM wp_posts WHERE 1=1' . $clauses['where'] . ' ORDER BY ' . $clauses['orderby'])->fetchAll(\PDO::FETCH_COLUMN);
+
+        // Pages go by their modified date, posts by their publish date, and page 4 is too recent
+        $this->assertEquals([3, 1, 5, 2], array_map('intval', $ids));
+
+        $wpdb = null;
+    }
+
+    /**
+     * Test the notice is only shown for posts that have been republished
+     */
+    public function test_get_notice_dates()
+    {
+        Functions\when('get_post_meta')->alias(function ($post_id) {
+            return $post_id === 7 ? '2020-01-01 09:00:00' : '';
+        });
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), Mockery::mock('Preferences_Service'), Mockery::mock('Logging_Service'));
+
+        $this->assertSame(
+            ['original' => '2020-01-01 09:00:00', 'updated' => '2026-10-19 09:00:00'],
+            $service->get_notice_dates((object) ['ID' => 7, 'post_modified' => '2026-10-19 09:00:00'])
+        );
+        $this->assertNull($service->get_notice_dates((object) ['ID' => 8, 'post_modified' => '2026-10-19 09:00:00']));
+    }
+
+    /**
+     * Test manual republishes only use up the quota when the preference is on
+     */
+    public function test_count_republished_today()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('manual_counts_toward_quota')->andReturn(null, ['value' => 'active']);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('count_logs_of_type_today')->once()->with(['republish'])->andReturn(2);
+        $logging_mock->shouldReceive('count_logs_of_type_today')->once()->with(['republish', 'manual'])->andReturn(3);
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), $prefs_mock, $logging_mock);
+
+        $this->assertSame(2, $service->count_republished_today());
+        $this->assertSame(3, $service->count_republished_today());
+    }
+
+    /**
+     * Test the post dates are only recorded when the log entry is written
+     */
+    public function test_log_republish()
+    {
+        $previous_dates = [
+            'post_date' => '2020-01-01 09:00:00',
+            'post_date_gmt' => '2020-01-01 09:00:00',
+            'post_modified' => '2021-06-01 12:00:00',
+            'post_modified_gmt' => '2021-06-01 12:00:00'
+        ];
+        $result = ['id' => 7, 'previous_dates' => $previous_dates, 'new_date' => '2026-10-19 09:00:00', 'mode' => 'modified'];
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('insert_log')->with('manual', 'Manually Republished Post', 7)
+            ->andReturn(['success' => true, 'id' => 42], ['success' => false, 'error' => 'Database error']);
+
+        $history_mock = Mockery::mock('History_Service');
+        $history_mock->shouldReceive('record_republish')->once()->with(42, 7, $previous_dates, '2026-10-19 09:00:00', 'modified');
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), Mockery::mock('Preferences_Service'), $logging_mock, $history_mock);
+
+        $service->log_republish('manual', 'Manually Republished Post', $result);
+        $service->log_republish('manual', 'Manually Republished Post', $result);
+
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * Test a republish is not reverted when the post date has changed since
+     */
+    public function test_revert_republish_post_date_changed()
+    {
+        Functions\when('__')->returnArg(1);
+        Functions\when('get_post')->justReturn((object) ['ID' => 7, 'post_date' => '2026-10-20 08:00:00']);
+        Functions\expect('wp_update_post')->never();
+
+        $history_mock = Mockery::mock('History_Service');
+        $history_mock->shouldReceive('get_latest_republish')->with(7)->andReturn([
+            'id' => 3,
+            'date_before' => '2020-01-01 09:00:00',
+            'date_after' => '2026-10-19 09:00:00',
+            'reverted_at' => null
+        ]);
+        $history_mock->shouldReceive('mark_reverted')->never();
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), Mockery::mock('Preferences_Service'), Mockery::mock('Logging_Service'), $history_mock);
+        $result = $service->revert_republish(7);
+
+        $this->assertInstanceOf('\WP_Error', $result);
+        $this->assertEquals('post_date_changed', $result->get_error_code());
+    }
+
+    /**
+     * Test a modified-only republish is not reverted when the post has been updated since
+     */
+    public function test_revert_republish_post_modified_changed()
+    {
+        Functions\when('__')->returnArg(1);
+        Functions\when('get_post')->justReturn((object) [
+            'ID' => 7,
+            'post_date' => '2020-01-01 09:00:00',
+            'post_modified' => '2026-10-20 08:00:00'
+        ]);
+        Functions\expect('wp_update_post')->never();
+
+        $history_mock = Mockery::mock('History_Service');
+        $history_mock->shouldReceive('get_latest_republish')->with(7)->andReturn([
+            'id' => 3,
+            'date_before' => '2020-01-01 09:00:00',
+            'date_after' => '2026-10-19 09:00:00',
+            'mode' => 'modified',
+            'reverted_at' => null
+        ]);
+        $history_mock->shouldReceive('mark_reverted')->never();
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), Mockery::mock('Preferences_Service'), Mockery::mock('Logging_Service'), $history_mock);
+        $result = $service->revert_republish(7);
+
+        $this->assertInstanceOf('\WP_Error', $result);
+        $this->assertEquals('post_modified_changed', $result->get_error_code());
+    }
+
+    /**
+     * Test the original date is only forgotten once no republish of the post is left to revert
+     */
+    public function test_revert_republish_removes_original_date()
+    {
+        Functions\when('get_post')->justReturn((object) ['ID' => 7, 'post_title' => 'Post', 'post_date' => '2026-10-19 09:00:00']);
+        Functions\when('wp_update_post')->justReturn(7);
+        Functions\when('is_wp_error')->justReturn(false);
+        Functions\when('get_permalink')->justReturn('https://example.com/post');
+        Functions\expect('delete_post_meta')->once()->with(7, '_rd_pr_original_date');
+
+        $record = [
+            'id' => 3,
+            'date_before' => '2026-10-01 09:00:00',
+            'date_gmt_before' => '2026-10-01 09:00:00',
+            'modified_before' => null,
+            'date_after' => '2026-10-19 09:00:00',
+            'mode' => 'date',
+            'reverted_at' => null
+        ];
+
+        $history_mock = Mockery::mock('History_Service');
+        $history_mock->shouldReceive('get_latest_republish')->with(7)->andReturn($record);
+        $history_mock->shouldReceive('mark_reverted')->with(3)->twice();
+        $history_mock->shouldReceive('count_unreverted_republishes')->with(7)->andReturn(1, 0);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('insert_log')->with('revert', 'Reverted Republished Post', 7)->twice();
+
+        $service = new Republish_Service(Mockery::mock('Content_Service'), Mockery::mock('Preferences_Service'), $logging_mock, $history_mock);
+
+        // An earlier republish is still in place, so the notice keeps its original date
+        $this->assertTrue($service->revert_republish(7)['reverted']);
+        $this->assertTrue($service->revert_republish(7)['reverted']);
+    }
+}
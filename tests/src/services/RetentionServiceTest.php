@@ -0,0 +1,110 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Retention_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class RetentionServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test validation of the retention periods
+     */
+    public function test_validate_retention()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('log_retention')->andReturn(['value' => '{"archived":30}']);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('get_log_types')->andReturn(['404', 'import']);
+
+        $service = new Retention_Service($prefs_mock, $logging_mock, Mockery::mock('History_Service'));
+
+        $this->assertEquals([], $service->validate_retention(['process' => 30, 'republish' => '', 'error' => '0']));
+        $this->assertEquals([], $service->validate_retention(['import' => 7, 'archived' => 14]));
+        $this->assertEquals(['retention must be an object'], $service->validate_retention('30'));
+        $this->assertEquals(
+            ['process must be a whole number of days between 0 and 3650', 'error must be a whole number of days between 0 and 3650'],
+            $service->validate_retention(['process' => 1.5, 'error' => 4000])
+        );
+        $this->assertEquals(['unknown is not a known log type'], $service->validate_retention(['unknown' => 7]));
+    }
+
+    /**
+     * Test numeric log types decoded to integer keys are accepted
+     */
+    public function test_validate_retention_numeric_type()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('log_retention')->andReturn(null);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('get_log_types')->andReturn(['404']);
+
+        $service = new Retention_Service($prefs_mock, $logging_mock, Mockery::mock('History_Service'));
+        $retention = json_decode('{"404":7,"500":7}', true);
+
+        $this->assertSame(404, array_key_first($retention));
+        $this->assertEquals(['500 is not a known log type'], $service->validate_retention($retention));
+    }
+
+    /**
+     * Test types kept forever are left out of the saved retention
+     */
+    public function test_get_retention()
+    {
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->with('log_retention')->andReturn(
+            ['value' => '{"process":"30","republish":0}'],
+            ['value' => 'not json'],
+            null
+        );
+
+        $service = new Retention_Service($prefs_mock, Mockery::mock('Logging_Service'), Mockery::mock('History_Service'));
+
+        $this->assertSame(['process' => 30], $service->get_retention());
+        $this->assertSame([], $service->get_retention());
+        $this->assertSame([], $service->get_retention());
+    }
+
+    /**
+     * Test each type is purged to its own cutoff and the purge is logged
+     */
+    public function test_purge_logs()
+    {
+        Functions\when('current_time')->justReturn('2026-10-19 12:00:00');
+
+        $prefs_mock = Mockery::mock('Preferences_Service');
+        $prefs_mock->shouldReceive('get_preference_by_key')->andReturn(['value' => '{"process":30,"skip":7}']);
+
+        $logging_mock = Mockery::mock('Logging_Service');
+        $logging_mock->shouldReceive('delete_logs_of_type_before')->once()->with('process', '2026-09-19 12:00:00')->andReturn(12);
+        $logging_mock->shouldReceive('delete_logs_of_type_before')->once()->with('skip', '2026-10-12 12:00:00')->andReturn(3);
+        $logging_mock->shouldReceive('insert_log')->once()->with('purge', 'Purged 15 Log Entries');
+
+        $history_mock = Mockery::mock('History_Service');
+        $history_mock->shouldReceive('delete_orphaned_republishes')->once();
+
+        $service = new Retention_Service($prefs_mock, $logging_mock, $history_mock);
+        $result = $service->purge_logs();
+
+        $this->assertTrue($result['success']);
+        $this->assertSame(['process' => 12, 'skip' => 3], $result['purged']);
+        $this->assertSame(15, $result['total']);
+    }
+}
@@ -0,0 +1,84 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Brain\Monkey\Functions;
+use Token_Service;
+use PHPUnit\Framework\TestCase;
+
+class TokenServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test validation of the details of a new token
+     */
+    public function test_validate_token()
+    {
+        Functions\when('current_time')->justReturn('2026-10-19');
+
+        $service = new Token_Service();
+
+        $this->assertEquals([], $service->validate_token('Server cron', ['process'], ''));
+        $this->assertEquals([], $service->validate_token('Reporting', ['read', 'republish'], '2026-10-19'));
+        $this->assertEquals(
+            ['name is required', 'scopes must contain at least one scope', 'expires_at must be a date in Y-m-d format'],
+            $service->validate_token(' ', [], '19-10-2026')
+        );
+        $this->assertEquals(
+            ['scopes must be one of: all, process, read, republish, settings', 'expires_at must not be in the past'],
+            $service->validate_token('Old', ['process', 'everything'], '2026-10-18')
+        );
+    }
+
+    /**
+     * Test each scope only grants its own public endpoints
+     */
+    public function test_scopes_allow()
+    {
+        $service = new Token_Service();
+
+        $this->assertTrue($service->scopes_allow(['all'], '/postmetadata/v1/preferences/updatepublic', 'POST'));
+        $this->assertTrue($service->scopes_allow(['process'], '/postmetadata/v1/process/triggerpublic', 'GET'));
+        $this->assertFalse($service->scopes_allow(['process'], '/postmetadata/v1/history/retrievepublic', 'GET'));
+        $this->assertTrue($service->scopes_allow(['read'], '/postmetadata/v1/logging/retrievepublic', 'GET'));
+        $this->assertFalse($service->scopes_allow(['read'], '/postmetadata/v1/logging/purgepublic', 'POST'));
+        $this->assertTrue($service->scopes_allow(['read', 'republish'], '/postmetadata/v1/republish/revertpublic', 'POST'));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/authentication/retrievepublic', 'GET'));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/webhooks/retrievepublic', 'GET'));
+        $this->assertTrue($service->scopes_allow(['all'], '/postmetadata/v1/webhooks/retrievepublic', 'GET'));
+        $this->assertFalse($service->scopes_allow(['process'], '/wp/v2/posts', 'GET'));
+    }
+
+    /**
+     * Test only the all scope reaches the secret and site preferences
+     */
+    public function test_scopes_allow_protected_preferences()
+    {
+        $service = new Token_Service();
+        $update = ['preferences' => [['key' => 'posts_per_day', 'value' => '3'], ['key' => 'cron_secret_token', 'value' => 'mine']]];
+        $import = ['configuration' => ['version' => 1, 'preferences' => [['key' => 'license', 'value' => 'abc']]]];
+
+        $this->assertTrue($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/updatepublic', 'POST', ['preferences' => [['key' => 'posts_per_day', 'value' => '3']]]));
+        $this->assertTrue($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/retrievepublic', 'GET', ['key' => 'posts_per_day']));
+        $this->assertTrue($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/exportpublic', 'GET', ['include_secrets' => false]));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/updatepublic', 'POST', $update));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/updatepublic', 'POST', ['preferences' => [['key' => 'debug_timestamp', 'value' => '9999999999']]]));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/retrievepublic', 'GET', ['key' => 'cron_secret_token']));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/retrievepublic', 'GET', []));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/exportpublic', 'GET', ['include_secrets' => true]));
+        $this->assertFalse($service->scopes_allow(['settings'], '/postmetadata/v1/preferences/importpublic', 'POST', $import));
+        $this->assertTrue($service->scopes_allow(['all'], '/postmetadata/v1/preferences/updatepublic', 'POST', $update));
+    }
+}
@@ -0,0 +1,66 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Webhook_Service;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class WebhookServiceTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test validation of the details of a new webhook
+     */
+    public function test_validate_webhook()
+    {
+        $service = new Webhook_Service(Mockery::mock('Logging_Service'));
+
+        $this->assertEquals([], $service->validate_webhook('https://example.com/hooks/republish', ['republish_success', 'limit_reached']));
+        $this->assertEquals(
+            ['url is required', 'events must contain at least one event'],
+            $service->validate_webhook('', [])
+        );
+        $this->assertEquals(
+            ['url must be an http or https URL', 'events must be one of: republish_success, republish_failure, limit_reached, validation_failure'],
+            $service->validate_webhook('ftp://example.com/hook', ['republish_success', 'published'])
+        );
+        $this->assertEquals(['url must be an http or https URL'], $service->validate_webhook('not a url', ['validation_failure']));
+    }
+
+    /**
+     * Test the retry delay grows with each attempt and stops at the maximum
+     */
+    public function test_get_retry_delay()
+    {
+        $service = new Webhook_Service(Mockery::mock('Logging_Service'));
+
+        $this->assertSame(60, $service->get_retry_delay(1));
+        $this->assertSame(300, $service->get_retry_delay(2));
+        $this->assertSame(7200, $service->get_retry_delay(4));
+        $this->assertNull($service->get_retry_delay(5));
+    }
+
+    /**
+     * Test the signature is the HMAC-SHA256 of the body
+     */
+    public function test_sign()
+    {
+        $service = new Webhook_Service(Mockery::mock('Logging_Service'));
+        $body = '{"event":"republish_success"}';
+
+        $this->assertSame('sha256=' . hash_hmac('sha256', $body, 'secret'), $service->sign($body, 'secret'));
+    }
+}
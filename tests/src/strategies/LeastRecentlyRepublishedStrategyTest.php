@@ -0,0 +1,83 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Least_Recently_Republished_Strategy;
+use PHPUnit\Framework\TestCase;
+
+class LeastRecentlyRepublishedStrategyTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Test posts never republished come first, then the one republished longest ago
+     */
+    public function test_add_latest_republish_order()
+    {
+        if (!extension_loaded('pdo_sqlite')) {
+            $this->markTestSkipped('pdo_sqlite is required to run the generated SQL');
+        }
+
+        $pdo = new \PDO('sqlite::memory:');
+        $pdo->exec('CREATE TABLE wp_posts (ID INTEGER, post_date TEXT)');
+        $pdo->exec('CREATE TABLE wp_rd_pr_log (id INTEGER, timestamp TEXT, type TEXT, postid INTEGER)');
+
+        $insert = $pdo->prepare('INSERT INTO wp_posts VALUES (?, ?)');
+        foreach ([[1, '2020-01-01 09:00:00'], [2, '2021-01-01 09:00:00'], [3, '2022-01-01 09:00:00'], [4, '2023-01-01 09:00:00']] as $row) {
+            $insert->execute($row);
+        }
+
+        $insert = $pdo->prepare('INSERT INTO wp_rd_pr_log VALUES (?, ?, ?, ?)');
+        $logs = [
+            [1, '2026-01-01 09:00:00.000', 'republish', 1],
+            [2, '2026-03-01 09:00:00.000', 'manual', 2],
+            [3, '2026-02-01 09:00:00.000', 'republish', 1],
+            [4, '2026-04-01 09:00:00.000', 'error', 4]
+        ];
+        foreach ($logs as $row) {
+            $insert->execute($row);
+        }
+
+        global $wpdb;
+        $wpdb = new class($pdo) {
+            public $posts = 'wp_posts';
+            public $prefix = 'wp_';
+            private $pdo;
+
+            public function __construct($pdo)
+            {
+                $this->pdo = $pdo;
+            }
+
+            public function prepare($query, ...$args)
+            {
+                $args = isset($args[0]) && is_array($args[0]) ? $args[0] : $args;
+                return vsprintf($query, array_map([$this->pdo, 'quote'], $args));
+            }
+        };
+
+        $strategy = new Least_Recently_Republished_Strategy();
+
+        $method = new \ReflectionMethod(Least_Recently_Republished_Strategy::class, 'add_latest_republish_order');
+        $method->setAccessible(true);
+
+        $clauses = $method->invoke($strategy, ['join' => '', 'orderby' => 'wp_posts.post_date ASC']);
+        $ids = $pdo->query('SELECT wp_posts.ID FROM wp_posts' . $clauses['join'] . ' ORDER BY ' . $clauses['orderby'] . ' LIMIT 3 OFFSET 1')->fetchAll(\PDO::FETCH_COLUMN);
+
+        // Posts 3 and 4 were never republished (errors don't count), post 1 was republished before post 2
+        $this->assertEquals([4, 1, 2], array_map('intval', $ids));
+
+        $wpdb = null;
+    }
+}
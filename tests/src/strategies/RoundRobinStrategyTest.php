@@ -0,0 +1,67 @@
+<?php
+
+namespace Tests;
+
+use Brain\Monkey;
+use Round_Robin_Strategy;
+use PHPUnit\Framework\TestCase;
+use Mockery;
+
+class RoundRobinStrategyTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        Monkey\setUp();
+    }
+
+    protected function tearDown(): void
+    {
+        Monkey\tearDown();
+        parent::tearDown();
+    }
+
+    /**
+     * Call the protected interleave method
+     */
+    private function interleave($post_ids, $groups, $last_group)
+    {
+        $strategy = new Round_Robin_Strategy('author', Mockery::mock('Logging_Service'));
+
+        $method = new \ReflectionMethod(Round_Robin_Strategy::class, 'interleave');
+        $method->setAccessible(true);
+
+        return $method->invoke($strategy, $post_ids, $groups, $last_group);
+    }
+
+    /**
+     * Test each group takes a turn, oldest post first within a group
+     */
+    public function test_interleave()
+    {
+        $groups = [10 => 1, 11 => 1, 12 => 1, 13 => 2, 14 => 3, 15 => 2];
+
+        $this->assertSame([10, 13, 14, 11, 15, 12], $this->interleave([10, 11, 12, 13, 14, 15], $groups, null));
+    }
+
+    /**
+     * Test the turns start after the group that had the last turn
+     */
+    public function test_interleave_after_last_group()
+    {
+        $groups = [10 => 1, 11 => 1, 13 => 2, 14 => 3];
+
+        $this->assertSame([14, 10, 13, 11], $this->interleave([10, 11, 13, 14], $groups, 2));
+        $this->assertSame([10, 13, 14, 11], $this->interleave([10, 11, 13, 14], $groups, 3));
+    }
+
+    /**
+     * Test only author and category are supported
+     */
+    public function test_unsupported_field()
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        new Round_Robin_Strategy('tag', Mockery::mock('Logging_Service'));
+    }
+}